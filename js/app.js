@@ -75,6 +75,12 @@ class App {
         return;
       }
 
+      // Pen (bezier) tool: B (Ctrl+B is ungroup)
+      if ((e.key === 'b' || e.key === 'B') && !e.ctrlKey && !e.metaKey) {
+        this.uiManager.setTool('bezier');
+        return;
+      }
+
       // Cut tool: C
       if (e.key === 'c' || e.key === 'C') {
         if (!e.ctrlKey && !e.metaKey) {
@@ -124,12 +130,27 @@ class App {
         return;
       }
 
+      // Join selected tubes: J
+      if ((e.key === 'j' || e.key === 'J') && !e.ctrlKey && !e.metaKey) {
+        this.uiManager._onJoinTubes();
+        return;
+      }
+
+      // Object snap toggle: O (only without Ctrl)
+      if ((e.key === 'o' || e.key === 'O') && !e.ctrlKey && !e.metaKey) {
+        this.uiManager.toggleObjectSnap();
+        return;
+      }
+
       // Undo: Ctrl+Z (skip global undo when drawing — click-place handles its own point undo)
       if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z') && !e.shiftKey) {
         e.preventDefault();
         if (this.drawingManager.currentMode === 'click-place' && this.drawingManager.clickPlaceMode.points.length > 0) {
           return; // Let ClickPlaceMode's keydown handler undo the last point
         }
+        if (this.drawingManager.currentMode === 'bezier' && this.drawingManager.bezierPenMode.nodes.length > 0) {
+          return; // Same for the pen tool
+        }
         this.uiManager.undo();
         return;
       }
@@ -219,6 +240,12 @@ class App {
         return;
       }
 
+      // Pixel Effects panel: K key (without Ctrl)
+      if ((e.key === 'k' || e.key === 'K') && !e.ctrlKey && !e.metaKey) {
+        this.uiManager.toggleEffectsPanel();
+        return;
+      }
+
       // Focus: F key (without Ctrl)
       if ((e.key === 'f' || e.key === 'F') && !e.ctrlKey && !e.metaKey) {
         this.uiManager.focusSelected();
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+import { pixelAddresses, tubePixelCounts } from './DMXPatch.js';
+import { tubeChannelRanges } from './PatchValidator.js';
+
+/** Tube ordering options for auto-patching. */
+export const PATCH_ORDERS = {
+  list:    'List order',
+  spatial: 'Spatial (nearest chain)',
+};
+
+/**
+ * Re-address tubes back to back, following the MVR universe wrapping.
+ *
+ * With a per-universe pixel limit, a tube that no longer fits in the remaining
+ * budget of the current universe starts at address 1 of the next universe.
+ * Tubes longer than the limit still wrap at the 512-channel boundary.
+ *
+ * @param {import('../tube/TubeModel.js').TubeModel[]} tubes - tubes to patch (mutated)
+ * @param {object} opts
+ * @param {'list'|'spatial'} [opts.order='list']
+ * @param {number} [opts.startUniverse=1]
+ * @param {number} [opts.startAddress=1]
+ * @param {number} [opts.maxPixelsPerUniverse=0] - 0 = no limit
+ * @param {number|null} [opts.startFixtureId=null] - renumber fixture IDs from here (null = keep)
+ * @returns {{ tubes: import('../tube/TubeModel.js').TubeModel[], lastUniverse: number }}
+ *   tubes in patch order and the last universe used
+ */
+export function autoPatch(tubes, opts = {}) {
+  const ordered = opts.order === 'spatial' ? spatialOrder(tubes) : [...tubes];
+  const limit = Math.max(0, Math.round(opts.maxPixelsPerUniverse || 0));
+
+  // Cursor: 0-based absolute channel, Universe 1 Addr 1 = 0
+  let absCh = ((opts.startUniverse || 1) - 1) * 512 + ((opts.startAddress || 1) - 1);
+  let fixtureId = opts.startFixtureId != null ? opts.startFixtureId : null;
+  let lastUniverse = opts.startUniverse || 1;
+
+  // Pixels already placed in the universe the cursor is in
+  let usedUniverse = Math.floor(absCh / 512);
+  let usedPixels = 0;
+
+  for (const tube of ordered) {
+    const ch = Number(tube.dmxChannelsPerPixel) || 3;
+    const pixelCount = tube.isPlaceholder ? 1 : (tubePixelCounts(tube)?.activePixels || 0);
+    if (pixelCount === 0) continue;
+
+    if (Math.floor(absCh / 512) !== usedUniverse) {
+      usedUniverse = Math.floor(absCh / 512);
+      usedPixels = 0;
+    }
+
+    // Start address must leave room for one fixture (same clamp as the panel)
+    let nextUniverse = (absCh % 512) + ch > 512;
+    if (!nextUniverse && limit > 0 && usedPixels > 0) {
+      const capacity = Math.min(limit, Math.floor(512 / ch));
+      const fitsInUniverse = Math.floor((512 - (absCh % 512)) / ch);
+      nextUniverse = usedPixels + Math.min(pixelCount, fitsInUniverse) > capacity;
+    }
+    if (nextUniverse) {
+      absCh = (Math.floor(absCh / 512) + 1) * 512;
+      usedUniverse = Math.floor(absCh / 512);
+      usedPixels = 0;
+    }
+
+    tube.dmxUniverse = Math.floor(absCh / 512) + 1;
+    tube.dmxAddress = (absCh % 512) + 1;
+    if (fixtureId != null) {
+      tube.fixtureId = fixtureId;
+      // UV-mapped tubes have no pixel fixtures in the MVR — they use no IDs
+      if (tube.isPlaceholder || tube.pixelMode !== 'uv-mapped') fixtureId += pixelCount;
+    }
+
+    // Advance past the tube's last pixel (with its own universe jumps)
+    const addresses = tube.isPlaceholder
+      ? [{ universe: tube.dmxUniverse, address: tube.dmxAddress }]
+      : pixelAddresses(tube, pixelCount);
+    const last = addresses[addresses.length - 1];
+    const lastStart = (last.universe - 1) * 512 + (last.address - 1);
+    absCh = lastStart + ch;
+    lastUniverse = last.universe;
+
+    if (last.universe - 1 === usedUniverse) {
+      usedPixels += addresses.length;
+    } else {
+      usedUniverse = last.universe - 1;
+      usedPixels = addresses.filter(a => a.universe === last.universe).length;
+    }
+  }
+
+  return { tubes: ordered, lastUniverse };
+}
+
+/**
+ * The first patch slot after everything the given tubes already use: the
+ * channel after the highest one in use and the fixture ID after the highest
+ * one taken. Pass the result to autoPatch() to add tubes without overlaps.
+ * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+ * @returns {{ startUniverse: number, startAddress: number, startFixtureId: number }}
+ */
+export function nextFreePatch(tubes) {
+  let lastChannel = 0;
+  let lastFixtureId = 0;
+  for (const tube of tubes) {
+    for (const { end } of tubeChannelRanges(tube)) lastChannel = Math.max(lastChannel, end);
+    const pixelCount = tube.isPlaceholder || tube.pixelMode === 'uv-mapped'
+      ? 1
+      : (tubePixelCounts(tube)?.activePixels || 1);
+    lastFixtureId = Math.max(lastFixtureId, (Number(tube.fixtureId) || 1) + pixelCount - 1);
+  }
+  return {
+    startUniverse: Math.floor(lastChannel / 512) + 1,
+    startAddress: (lastChannel % 512) + 1,
+    startFixtureId: lastFixtureId + 1,
+  };
+}
+
+/**
+ * Nearest-neighbour chain: start with the tube furthest along -X / -Z / +Y
+ * (top-left seen from the front), then always continue with the tube whose
+ * start is closest to the previous tube's end — the way a data run is cabled.
+ */
+function spatialOrder(tubes) {
+  const ends = new Map();
+  for (const t of tubes) {
+    const pts = t.controlPoints;
+    ends.set(t, {
+      start: pts[0] || new THREE.Vector3(),
+      end: t.closed ? pts[0] : pts[pts.length - 1] || new THREE.Vector3(),
+    });
+  }
+
+  const remaining = [...tubes];
+  const score = (p) => p.x + p.z - p.y;
+  remaining.sort((a, b) => score(ends.get(a).start) - score(ends.get(b).start));
+
+  const result = [];
+  let current = remaining.shift();
+  while (current) {
+    result.push(current);
+    const from = ends.get(current).end;
+    let bestIdx = -1;
+    let bestD = Infinity;
+    for (let i = 0; i < remaining.length; i++) {
+      const d = ends.get(remaining[i]).start.distanceToSquared(from);
+      if (d < bestD) { bestD = d; bestIdx = i; }
+    }
+    current = bestIdx >= 0 ? remaining.splice(bestIdx, 1)[0] : null;
+  }
+  return result;
+}
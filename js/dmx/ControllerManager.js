@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import { ControllerModel } from './ControllerModel.js';
+import { autoPatch } from './AutoPatcher.js';
+import { tubePixelCounts } from './DMXPatch.js';
+import { tubeChannelRanges } from './PatchValidator.js';
+
+/** Data-chain line colors, one per output port (wraps). */
+const PORT_COLORS = [0x00d4ff, 0xff44aa, 0x44ff88, 0xffaa44, 0xaa44ff, 0x44aaff, 0xff8844, 0x88ff44];
+
+/**
+ * Manages pixel controllers, their port chains, and the scene markers
+ * (controller box + dashed data-chain lines).
+ */
+export class ControllerManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.controllers = [];
+
+    this.rootGroup = new THREE.Group();
+    this.rootGroup.name = 'NeonFlexControllers';
+    this.scene.add(this.rootGroup);
+
+    this._boxGeo = new THREE.BoxGeometry(0.12, 0.06, 0.08);
+    this._boxMat = new THREE.MeshBasicMaterial({ color: 0x00d4ff, transparent: true, opacity: 0.85 });
+    this._lineMats = PORT_COLORS.map(color => new THREE.LineDashedMaterial({
+      color, dashSize: 0.04, gapSize: 0.03, depthTest: false, transparent: true,
+    }));
+  }
+
+  /**
+   * Create a controller.
+   * @param {object} options - ControllerModel constructor options
+   * @returns {ControllerModel}
+   */
+  createController(options = {}) {
+    const controller = new ControllerModel(options);
+    this.controllers.push(controller);
+    return controller;
+  }
+
+  /**
+   * Delete a controller by instance or id (its tubes become unassigned).
+   * @param {ControllerModel|number} controllerOrId
+   */
+  deleteController(controllerOrId) {
+    const controller = typeof controllerOrId === 'number'
+      ? this.getControllerById(controllerOrId)
+      : controllerOrId;
+    const idx = this.controllers.indexOf(controller);
+    if (idx !== -1) this.controllers.splice(idx, 1);
+  }
+
+  getControllerById(id) {
+    return this.controllers.find(c => c.id === id) || null;
+  }
+
+  /**
+   * Where a tube is wired.
+   * @param {number} tubeId
+   * @returns {{ controller: ControllerModel, port: number, index: number }|null}
+   */
+  findAssignment(tubeId) {
+    for (const controller of this.controllers) {
+      for (let port = 0; port < controller.ports.length; port++) {
+        const index = controller.ports[port].indexOf(tubeId);
+        if (index !== -1) return { controller, port, index };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Wire tubes into a port chain (moving them from any chain they're in).
+   * @param {number[]} tubeIds - in chain order
+   * @param {ControllerModel} controller
+   * @param {number} port - 0-based
+   * @param {number} [index=-1] - insert before this chain position (-1 = append)
+   */
+  assignTubes(tubeIds, controller, port, index = -1) {
+    const chain = controller.ports[port];
+    if (!chain) return;
+    let insertAt = index < 0 ? chain.length : index;
+    for (const id of tubeIds) {
+      const current = this.findAssignment(id);
+      if (!current) continue;
+      // Removing an earlier entry of the same chain shifts the insert position
+      if (current.controller === controller && current.port === port && current.index < insertAt) insertAt--;
+      current.controller.ports[current.port].splice(current.index, 1);
+    }
+    chain.splice(Math.min(insertAt, chain.length), 0, ...tubeIds);
+  }
+
+  /**
+   * Remove a tube from its chain.
+   * @param {number} tubeId
+   * @returns {boolean} true if it was wired
+   */
+  unassignTube(tubeId) {
+    const current = this.findAssignment(tubeId);
+    if (!current) return false;
+    current.controller.ports[current.port].splice(current.index, 1);
+    return true;
+  }
+
+  /**
+   * Hand a tube's chain slot to the tubes that replace it (split halves, a
+   * join target), in order. Replacements already wired elsewhere keep their
+   * own slot.
+   * @param {number} oldId
+   * @param {number[]} newIds
+   */
+  replaceTube(oldId, newIds) {
+    const current = this.findAssignment(oldId);
+    if (!current) return;
+    const fresh = newIds.filter(id => !this.findAssignment(id));
+    current.controller.ports[current.port].splice(current.index, 1, ...fresh);
+  }
+
+  /**
+   * Drop chain entries whose tube no longer exists (deleted, undone).
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   */
+  prune(tubes) {
+    const ids = new Set(tubes.map(t => t.id));
+    for (const controller of this.controllers) {
+      for (let p = 0; p < controller.ports.length; p++) {
+        controller.ports[p] = controller.ports[p].filter(id => ids.has(id));
+      }
+    }
+  }
+
+  /**
+   * Tubes of a port chain, in order.
+   * @param {ControllerModel} controller
+   * @param {number} port
+   * @param {Map<number, import('../tube/TubeModel.js').TubeModel>} tubesById
+   */
+  chainTubes(controller, port, tubesById) {
+    return controller.ports[port].map(id => tubesById.get(id)).filter(t => t && t.isValid);
+  }
+
+  /**
+   * Address every wired tube from its chain: each port starts at address 1
+   * of its first universe and tubes follow back to back (same universe
+   * wrapping as Auto-Patch).
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   */
+  applyPatch(tubes) {
+    const byId = new Map(tubes.map(t => [t.id, t]));
+    for (const controller of this.controllers) {
+      for (let port = 0; port < controller.ports.length; port++) {
+        const chain = this.chainTubes(controller, port, byId);
+        if (chain.length === 0) continue;
+        autoPatch(chain, { order: 'list', startUniverse: controller.portStartUniverse(port), startAddress: 1 });
+      }
+    }
+  }
+
+  /**
+   * Pixel / universe load of every port (call after applyPatch).
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @returns {Map<string, PortStatus>} key `${controllerId}:${port}`
+   */
+  portStatus(tubes) {
+    const byId = new Map(tubes.map(t => [t.id, t]));
+    const status = new Map();
+    for (const controller of this.controllers) {
+      for (let port = 0; port < controller.ports.length; port++) {
+        const chain = this.chainTubes(controller, port, byId);
+        const firstUniverse = controller.portStartUniverse(port);
+        let pixels = 0;
+        let lastUniverse = firstUniverse;
+        for (const tube of chain) {
+          // Placeholders are one fixture
+          pixels += tube.isPlaceholder ? 1 : (tubePixelCounts(tube)?.activePixels || 0);
+          for (const range of tubeChannelRanges(tube)) {
+            lastUniverse = Math.max(lastUniverse, Math.floor((range.end - 1) / 512) + 1);
+          }
+        }
+
+        const problems = [];
+        if (controller.maxPixelsPerPort > 0 && pixels > controller.maxPixelsPerPort) {
+          problems.push(`${pixels} px exceeds the ${controller.maxPixelsPerPort} px port limit`);
+        }
+        const universes = chain.length > 0 ? lastUniverse - firstUniverse + 1 : 0;
+        if (universes > controller.universesPerPort) {
+          problems.push(`needs ${universes} universes, port has ${controller.universesPerPort}`);
+        }
+        status.set(`${controller.id}:${port}`, {
+          controller, port, tubes: chain.length, pixels, firstUniverse, lastUniverse, universes, problems,
+        });
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Rebuild the controller markers and data-chain lines.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   */
+  updateVisuals(tubes) {
+    for (const child of [...this.rootGroup.children]) {
+      this.rootGroup.remove(child);
+      if (child.isLine) child.geometry.dispose();
+    }
+    const byId = new Map(tubes.map(t => [t.id, t]));
+
+    for (const controller of this.controllers) {
+      const box = new THREE.Mesh(this._boxGeo, this._boxMat);
+      box.position.copy(controller.position);
+      box.name = controller.name;
+      this.rootGroup.add(box);
+
+      for (let port = 0; port < controller.ports.length; port++) {
+        const chain = this.chainTubes(controller, port, byId);
+        if (chain.length === 0) continue;
+        // Controller → start of tube 1, end of tube 1 → start of tube 2, ...
+        const pts = [];
+        let from = controller.position;
+        for (const tube of chain) {
+          const cps = tube.controlPoints;
+          pts.push(from.clone(), cps[0].clone());
+          from = tube.closed ? cps[0] : cps[cps.length - 1];
+        }
+        const line = new THREE.LineSegments(
+          new THREE.BufferGeometry().setFromPoints(pts),
+          this._lineMats[port % this._lineMats.length]
+        );
+        line.computeLineDistances();
+        line.renderOrder = 997;
+        this.rootGroup.add(line);
+      }
+    }
+  }
+
+  /**
+   * Remove all controllers.
+   */
+  clearAll() {
+    this.controllers = [];
+  }
+
+  toJSON() {
+    return this.controllers.map(c => c.toJSON());
+  }
+
+  /**
+   * Load controllers from JSON array.
+   * @param {Array} dataArray
+   */
+  loadFromJSON(dataArray) {
+    this.clearAll();
+    if (!Array.isArray(dataArray)) return;
+    let maxId = 0;
+    for (const data of dataArray) {
+      const controller = ControllerModel.fromJSON(data);
+      if (controller.id > maxId) maxId = controller.id;
+      this.controllers.push(controller);
+    }
+    ControllerModel.resetIdCounter(maxId);
+  }
+}
+
+/**
+ * @typedef {object} PortStatus
+ * @property {ControllerModel} controller
+ * @property {number} port - 0-based
+ * @property {number} tubes
+ * @property {number} pixels
+ * @property {number} firstUniverse
+ * @property {number} lastUniverse
+ * @property {number} universes - universes used (0 = empty port)
+ * @property {string[]} problems
+ */
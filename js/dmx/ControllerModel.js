@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+
+let controllerIdCounter = 0;
+
+/**
+ * Data model for a pixel controller: output ports, each with a daisy chain
+ * of tubes (data runs from the controller into the first tube, out of its
+ * end into the next one, ...).
+ *
+ * Port p is patched from universe `startUniverse + p * universesPerPort`;
+ * the chain order drives the tubes' dmxUniverse / dmxAddress.
+ */
+export class ControllerModel {
+  constructor(options = {}) {
+    this.id = ++controllerIdCounter;
+    this.name = options.name || `Controller ${this.id}`;
+    this.position = options.position ? options.position.clone() : new THREE.Vector3();
+    this.portCount = Math.max(1, options.portCount || 8);
+    this.maxPixelsPerPort = options.maxPixelsPerPort ?? 680;
+    this.universesPerPort = Math.max(1, options.universesPerPort || 4);
+    this.startUniverse = Math.max(1, options.startUniverse || 1);
+
+    /** @type {number[][]} tube ids per port, in data-chain order */
+    this.ports = [];
+    for (let p = 0; p < this.portCount; p++) {
+      this.ports.push(options.ports && options.ports[p] ? [...options.ports[p]] : []);
+    }
+  }
+
+  /**
+   * First universe of a port (0-based port index).
+   * @param {number} port
+   * @returns {number}
+   */
+  portStartUniverse(port) {
+    return this.startUniverse + port * this.universesPerPort;
+  }
+
+  /**
+   * Change the number of ports. Chains on removed ports are dropped.
+   * @param {number} count
+   */
+  setPortCount(count) {
+    this.portCount = Math.max(1, Math.round(count));
+    while (this.ports.length < this.portCount) this.ports.push([]);
+    this.ports.length = this.portCount;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      position: { x: this.position.x, y: this.position.y, z: this.position.z },
+      portCount: this.portCount,
+      maxPixelsPerPort: this.maxPixelsPerPort,
+      universesPerPort: this.universesPerPort,
+      startUniverse: this.startUniverse,
+      ports: this.ports.map(chain => [...chain]),
+    };
+  }
+
+  static fromJSON(data) {
+    const controller = new ControllerModel({
+      name: data.name,
+      position: data.position
+        ? new THREE.Vector3(data.position.x, data.position.y, data.position.z)
+        : null,
+      portCount: data.portCount,
+      maxPixelsPerPort: data.maxPixelsPerPort,
+      universesPerPort: data.universesPerPort,
+      startUniverse: data.startUniverse,
+      ports: data.ports,
+    });
+    if (data.id != null) controller.id = data.id;
+    return controller;
+  }
+
+  static resetIdCounter(maxId) {
+    controllerIdCounter = maxId;
+  }
+}
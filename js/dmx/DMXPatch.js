@@ -0,0 +1,48 @@
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+
+/**
+ * Per-pixel DMX patch math.
+ * Same universe wrapping as MVRExporter._buildMVRXml: a pixel never straddles
+ * a universe boundary — if its channels don't fit, it starts at address 1 of
+ * the next universe.
+ */
+
+/**
+ * DMX start address of every active pixel of a tube, in display / DMX order
+ * (element i belongs to pixel instance i of the PixelDistributor mesh).
+ * @param {import('../tube/TubeModel.js').TubeModel} tube
+ * @param {number} activeCount number of active (ordered) pixels
+ * @returns {{ universe: number, address: number }[]}
+ */
+export function pixelAddresses(tube, activeCount) {
+  const ch = Number(tube.dmxChannelsPerPixel) || 3;
+  const startUni = Number(tube.dmxUniverse) || 1;
+  const startAddr = Number(tube.dmxAddress) || 1;
+
+  // 0-based absolute channel: Universe 1 Addr 1 = 0, Universe 2 Addr 1 = 512
+  let absCh = (startUni - 1) * 512 + (startAddr - 1);
+  const result = [];
+  for (let i = 0; i < activeCount; i++) {
+    if ((absCh % 512) + ch > 512) {
+      absCh = (Math.floor(absCh / 512) + 1) * 512;
+    }
+    result.push({ universe: Math.floor(absCh / 512) + 1, address: (absCh % 512) + 1 });
+    absCh += ch;
+  }
+  return result;
+}
+
+/**
+ * Curve length and pixel counts of a tube, as used by the viewport and export
+ * (pixels centred along the curve, open tubes skip the first startPixel).
+ * @param {import('../tube/TubeModel.js').TubeModel} tube
+ * @returns {{ lengthM: number, totalPixels: number, activePixels: number }|null}
+ */
+export function tubePixelCounts(tube) {
+  const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+  if (!curve) return null;
+  const lengthM = CurveBuilder.getLength(curve);
+  const totalPixels = tube.pixelsPerMeter > 0 ? Math.max(1, Math.round(lengthM * tube.pixelsPerMeter)) : 0;
+  const activePixels = tube.orderedPixelIndices(totalPixels).length;
+  return { lengthM, totalPixels, activePixels };
+}
@@ -0,0 +1,259 @@
+import { ZipReader } from '../utils/ZipReader.js';
+
+/**
+ * Library of imported GDTF fixture types.
+ *
+ * A .gdtf file is a ZIP with a description.xml; we read the fixture type and
+ * its DMX modes (with channel footprints) and keep the original bytes so the
+ * MVR export can embed the real manufacturer file instead of Generic LED.
+ *
+ * Fixtures are keyed by their FixtureTypeID, so importing a newer revision
+ * of the same fixture replaces the old one. The library is saved inside the
+ * .neon project (file bytes as base64).
+ */
+export class GDTFLibrary {
+  constructor() {
+    /** @type {Map<string, GDTFFixture>} */
+    this.fixtures = new Map();
+    this.onChange = null; // () => {}
+  }
+
+  /**
+   * Import a .gdtf file.
+   * @param {File} file
+   * @returns {Promise<GDTFFixture>}
+   */
+  async importFile(file) {
+    const buffer = await file.arrayBuffer();
+    return this.importBytes(new Uint8Array(buffer), file.name);
+  }
+
+  /**
+   * Import GDTF bytes (e.g. from inside an MVR).
+   * @param {Uint8Array} data
+   * @param {string} fileName
+   * @returns {Promise<GDTFFixture>}
+   */
+  async importBytes(data, fileName) {
+    let zip;
+    try {
+      zip = new ZipReader(data);
+    } catch {
+      throw new Error(`${fileName} is not a GDTF file`);
+    }
+    const xmlText = await zip.readText('description.xml');
+    if (!xmlText) throw new Error(`${fileName} has no description.xml`);
+
+    const fixture = {
+      ...parseGDTFDescription(xmlText, fileName),
+      fileName,
+      data,
+    };
+    this.fixtures.set(fixture.id, fixture);
+    if (this.onChange) this.onChange();
+    return fixture;
+  }
+
+  /**
+   * @param {string} id - FixtureTypeID
+   * @returns {GDTFFixture|null}
+   */
+  get(id) {
+    return (id && this.fixtures.get(id)) || null;
+  }
+
+  /**
+   * Resolve a tube's fixture type + mode.
+   * @param {import('../tube/TubeModel.js').TubeModel} tube
+   * @returns {{ fixture: GDTFFixture, mode: GDTFMode }|null} null = built-in generic
+   */
+  resolve(tube) {
+    const fixture = this.get(tube.gdtfFixture);
+    if (!fixture || fixture.modes.length === 0) return null;
+    const mode = fixture.modes.find(m => m.name === tube.gdtfMode) || fixture.modes[0];
+    return { fixture, mode };
+  }
+
+  /**
+   * Assign a fixture type + mode to a tube. The mode's channel footprint
+   * becomes the tube's channels per pixel. Pass an empty id to go back to the
+   * built-in generic fixture (RGB for pixels, RGBW for placeholders).
+   * @param {import('../tube/TubeModel.js').TubeModel} tube
+   * @param {string} fixtureId
+   * @param {string} [modeName] - defaults to the fixture's first mode
+   */
+  assign(tube, fixtureId, modeName) {
+    const fixture = this.get(fixtureId);
+    if (!fixture || fixture.modes.length === 0) {
+      const wasGdtf = !!tube.gdtfFixture;
+      tube.gdtfFixture = '';
+      tube.gdtfMode = '';
+      if (wasGdtf) setGenericChannels(tube);
+    } else {
+      const mode = fixture.modes.find(m => m.name === modeName) || fixture.modes[0];
+      tube.gdtfFixture = fixture.id;
+      tube.gdtfMode = mode.name;
+      tube.dmxChannelsPerPixel = mode.footprint;
+    }
+    clampAddress(tube);
+  }
+
+  /**
+   * Bring loaded tubes in step with the library. A tube whose GDTF is missing
+   * exports as Generic LED, so it gets the generic channel count; the fixture
+   * id stays so re-importing the GDTF restores it.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   */
+  syncTubes(tubes) {
+    for (const tube of tubes) {
+      if (!tube.gdtfFixture) continue;
+      const resolved = this.resolve(tube);
+      if (resolved) tube.dmxChannelsPerPixel = resolved.mode.footprint;
+      else setGenericChannels(tube);
+      clampAddress(tube);
+    }
+  }
+
+  /** Fixtures sorted by manufacturer + name (for selects). */
+  list() {
+    return [...this.fixtures.values()].sort((a, b) =>
+      `${a.manufacturer} ${a.name}`.localeCompare(`${b.manufacturer} ${b.name}`));
+  }
+
+  remove(id) {
+    if (this.fixtures.delete(id) && this.onChange) this.onChange();
+  }
+
+  clear() {
+    this.fixtures.clear();
+    if (this.onChange) this.onChange();
+  }
+
+  toJSON() {
+    return this.list().map(f => ({
+      id: f.id,
+      name: f.name,
+      shortName: f.shortName,
+      manufacturer: f.manufacturer,
+      modes: f.modes,
+      fileName: f.fileName,
+      data: bytesToBase64(f.data),
+    }));
+  }
+
+  loadFromJSON(arr) {
+    this.fixtures.clear();
+    for (const f of arr || []) {
+      if (!f.id || !f.data) continue;
+      this.fixtures.set(f.id, {
+        id: f.id,
+        name: f.name || f.fileName,
+        shortName: f.shortName || '',
+        manufacturer: f.manufacturer || '',
+        modes: (f.modes || []).filter(m => m.footprint <= 512),
+        fileName: f.fileName,
+        data: base64ToBytes(f.data),
+      });
+    }
+    if (this.onChange) this.onChange();
+  }
+}
+
+/**
+ * @typedef {object} GDTFMode
+ * @property {string} name - DMXMode name (written as <GDTFMode> in the MVR)
+ * @property {number} footprint - DMX channels per fixture (first break)
+ */
+
+/**
+ * @typedef {object} GDTFFixture
+ * @property {string} id - FixtureTypeID (file name if missing)
+ * @property {string} name
+ * @property {string} shortName
+ * @property {string} manufacturer
+ * @property {GDTFMode[]} modes
+ * @property {string} fileName - original .gdtf file name
+ * @property {Uint8Array} data - original .gdtf bytes
+ */
+
+/**
+ * Parse fixture type info and DMX mode footprints from a GDTF description.xml.
+ * Modes wider than one universe are left out (a fixture's channels can't
+ * span universes); a fixture with only such modes is an error.
+ * @param {string} xmlText
+ * @param {string} [fileName] - fallback name / id
+ * @returns {{ id: string, name: string, shortName: string, manufacturer: string, modes: GDTFMode[] }}
+ */
+export function parseGDTFDescription(xmlText, fileName = '') {
+  const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+  const ft = doc.querySelector('FixtureType');
+  if (!ft) throw new Error(`${fileName || 'GDTF'}: no FixtureType in description.xml`);
+
+  const modes = [];
+  const oversized = [];
+  for (const modeEl of ft.querySelectorAll('DMXModes > DMXMode')) {
+    const name = modeEl.getAttribute('Name');
+    if (!name) continue;
+    const footprint = modeFootprint(modeEl);
+    if (footprint > 512) oversized.push(name);
+    else if (footprint > 0) modes.push({ name, footprint });
+  }
+  if (modes.length === 0 && oversized.length > 0) {
+    throw new Error(`${fileName || 'GDTF'}: no DMX mode fits in one universe (${oversized.join(', ')} > 512 channels)`);
+  }
+
+  const baseName = fileName.replace(/\.gdtf$/i, '');
+  return {
+    id: ft.getAttribute('FixtureTypeID') || baseName,
+    name: ft.getAttribute('LongName') || ft.getAttribute('Name') || baseName,
+    shortName: ft.getAttribute('ShortName') || '',
+    manufacturer: ft.getAttribute('Manufacturer') || '',
+    modes,
+  };
+}
+
+/** Built-in generic channel count: RGB for pixels, RGBW for placeholders. */
+function setGenericChannels(tube) {
+  const ch = tube.isPlaceholder ? 4 : 3;
+  if (tube.dmxChannelsPerPixel !== 3 && tube.dmxChannelsPerPixel !== 4) tube.dmxChannelsPerPixel = ch;
+}
+
+/** Clamp the address so the fixture still fits within 512. */
+function clampAddress(tube) {
+  const maxAddr = 512 - tube.dmxChannelsPerPixel + 1;
+  if (tube.dmxAddress > maxAddr) tube.dmxAddress = maxAddr;
+}
+
+/**
+ * Channel footprint of a DMX mode: the highest channel offset used in the
+ * first DMX break. Offsets are 1-based, comma-separated for 16/24-bit
+ * channels ("1,2"), and "None" for virtual channels.
+ */
+function modeFootprint(modeEl) {
+  let footprint = 0;
+  for (const chEl of modeEl.querySelectorAll('DMXChannels > DMXChannel')) {
+    const brk = chEl.getAttribute('DMXBreak') || '1';
+    if (brk !== '1' && brk !== 'Overwrite') continue;
+    for (const part of (chEl.getAttribute('Offset') || '').split(',')) {
+      const n = parseInt(part, 10);
+      if (n > footprint) footprint = n;
+    }
+  }
+  return footprint;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+import { pixelAddresses } from './DMXPatch.js';
+import { getPixelMesh, beginPixelColors, clearPixelColors } from './PixelColors.js';
+
+const RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Universe numbering of the source protocol. Art-Net counts universes from 0,
+ * sACN from 1 — the offset converts to NeonFlexer's 1-based dmxUniverse.
+ */
+export const LIVE_PROTOCOLS = {
+  artnet: { label: 'Art-Net (universe 0 = U1)', universeOffset: 1 },
+  sacn:   { label: 'sACN (universe 1 = U1)', universeOffset: 0 },
+};
+
+/**
+ * Live DMX pixel preview.
+ *
+ * Browsers can't open UDP sockets, so Art-Net / sACN arrives through a small
+ * local WebSocket bridge. Each message carries one universe:
+ *   - binary: uint16 big-endian universe, followed by up to 512 channel bytes
+ *   - text:   JSON { "universe": 0, "data": [r, g, b, ...] }
+ * Universe numbers are the sender's own; LIVE_PROTOCOLS maps them to U1-based.
+ *
+ * Incoming data drives the per-instance colors of every tube's pixel
+ * InstancedMesh, using the same pixel order and universe wrapping as the MVR
+ * export, so the viewport shows exactly what the console sends to each pixel.
+ */
+export class LiveDMXInput {
+  /**
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {import('../scene/SceneManager.js').SceneManager} sceneManager
+   */
+  constructor(tubeManager, sceneManager) {
+    this.tubeManager = tubeManager;
+    this.sceneManager = sceneManager;
+
+    this.url = 'ws://localhost:9000';
+    this.protocol = 'artnet';
+    this.active = false;
+    this.connected = false;
+
+    this.onStatusChange = null; // (message) => {}
+
+    this._socket = null;
+    this._reconnectTimer = null;
+    this._universes = new Map(); // universe (1-based) → Uint8Array(512)
+    this._frameRequested = false;
+    this._applyFrame = this._applyFrame.bind(this);
+  }
+
+  /**
+   * Start listening on a bridge URL. Reconnects automatically until stop().
+   * @param {string} url
+   * @param {string} protocol - key of LIVE_PROTOCOLS
+   */
+  start(url, protocol) {
+    this.stop();
+    this.url = url;
+    this.protocol = LIVE_PROTOCOLS[protocol] ? protocol : 'artnet';
+    this.active = true;
+    this._connect();
+  }
+
+  /** Close the bridge connection and restore static pixel colors. */
+  stop() {
+    this.active = false;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this._socket) {
+      this._socket.onclose = null;
+      this._socket.close();
+      this._socket = null;
+    }
+    const wasConnected = this.connected;
+    this.connected = false;
+    this._universes.clear();
+    this._restoreAll();
+    if (wasConnected) this._status('Live DMX stopped');
+  }
+
+  /** Number of universes received since connecting. */
+  get universeCount() {
+    return this._universes.size;
+  }
+
+  // ─── Connection ─────────────────────────────────────────
+
+  _connect() {
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (err) {
+      this.active = false;
+      this._status(`Live DMX: invalid bridge URL "${this.url}"`);
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    this._socket = socket;
+    this._status(`Live DMX: connecting to ${this.url}...`);
+
+    socket.onopen = () => {
+      this.connected = true;
+      this._status(`Live DMX: connected to ${this.url} (${LIVE_PROTOCOLS[this.protocol].label})`);
+    };
+    socket.onmessage = (e) => this._onMessage(e.data);
+    socket.onclose = () => {
+      const wasConnected = this.connected;
+      this.connected = false;
+      this._socket = null;
+      if (!this.active) return;
+      this._status(wasConnected
+        ? `Live DMX: bridge disconnected — retrying...`
+        : `Live DMX: no bridge at ${this.url} — retrying...`);
+      this._reconnectTimer = setTimeout(() => this._connect(), RECONNECT_DELAY_MS);
+    };
+  }
+
+  _onMessage(raw) {
+    let universe;
+    let data;
+    if (raw instanceof ArrayBuffer) {
+      if (raw.byteLength < 3) return;
+      const view = new DataView(raw);
+      universe = view.getUint16(0);
+      data = new Uint8Array(raw, 2, Math.min(512, raw.byteLength - 2));
+    } else {
+      let msg;
+      try { msg = JSON.parse(raw); } catch { return; }
+      if (!msg || !Array.isArray(msg.data) || !Number.isFinite(msg.universe)) return;
+      universe = msg.universe;
+      data = msg.data.slice(0, 512);
+    }
+
+    universe += LIVE_PROTOCOLS[this.protocol].universeOffset;
+    if (universe < 1) return;
+
+    let buffer = this._universes.get(universe);
+    if (!buffer) {
+      buffer = new Uint8Array(512);
+      this._universes.set(universe, buffer);
+    }
+    buffer.set(data);
+
+    // Coalesce bursts of universes into one color update per animation frame
+    if (!this._frameRequested) {
+      this._frameRequested = true;
+      requestAnimationFrame(this._applyFrame);
+    }
+  }
+
+  // ─── Pixel Colors ───────────────────────────────────────
+
+  _applyFrame() {
+    this._frameRequested = false;
+    if (!this.connected) return;
+
+    const color = new THREE.Color();
+    for (const tube of this.tubeManager.tubes) {
+      const mesh = getPixelMesh(tube);
+      if (!mesh) continue;
+      beginPixelColors(mesh);
+
+      const ch = Number(tube.dmxChannelsPerPixel) || 3;
+      const addresses = pixelAddresses(tube, mesh.count);
+      for (let i = 0; i < addresses.length; i++) {
+        const { universe, address } = addresses[i];
+        const dmx = this._universes.get(universe);
+        if (!dmx) {
+          color.setRGB(0, 0, 0);
+        } else {
+          const a = address - 1;
+          // RGBW: fold white into RGB for the preview
+          const w = ch >= 4 ? dmx[a + 3] : 0;
+          color.setRGB(
+            Math.min(255, dmx[a] + w) / 255,
+            Math.min(255, dmx[a + 1] + w) / 255,
+            Math.min(255, dmx[a + 2] + w) / 255,
+            THREE.SRGBColorSpace
+          );
+        }
+        mesh.setColorAt(i, color);
+      }
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    }
+    this.sceneManager.requestRender();
+  }
+
+  _restoreAll() {
+    clearPixelColors(this.tubeManager.tubes);
+    this.sceneManager.requestRender();
+  }
+
+  _status(message) {
+    if (this.onStatusChange) this.onStatusChange(message);
+  }
+}
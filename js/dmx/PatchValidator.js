@@ -0,0 +1,91 @@
+import { pixelAddresses, tubePixelCounts } from './DMXPatch.js';
+
+/**
+ * Absolute DMX channel ranges a tube occupies (1-based, Universe 2 Addr 1 = 513).
+ * Pixel tubes can leave a gap at the end of a universe when a pixel jumps to
+ * the next one, so the result is a list of contiguous ranges, one per universe.
+ * @param {import('../tube/TubeModel.js').TubeModel} tube
+ * @returns {{ start: number, end: number }[]}
+ */
+export function tubeChannelRanges(tube) {
+  const ch = Number(tube.dmxChannelsPerPixel) || 3;
+
+  if (tube.isPlaceholder) {
+    const start = ((Number(tube.dmxUniverse) || 1) - 1) * 512 + (Number(tube.dmxAddress) || 1);
+    return [{ start, end: start + ch - 1 }];
+  }
+
+  const counts = tubePixelCounts(tube);
+  if (!counts) return [];
+
+  const ranges = [];
+  for (const { universe, address } of pixelAddresses(tube, counts.activePixels)) {
+    const start = (universe - 1) * 512 + address;
+    const last = ranges[ranges.length - 1];
+    if (last && last.end + 1 === start) {
+      last.end = start + ch - 1;
+    } else {
+      ranges.push({ start, end: start + ch - 1 });
+    }
+  }
+  return ranges;
+}
+
+/** tube → { key, ranges } so unchanged tubes aren't re-measured on every refresh */
+const cache = new WeakMap();
+
+/** tubeChannelRanges(), reused while the tube's shape and patch are unchanged. */
+function cachedChannelRanges(tube) {
+  const key = `${tube.isPlaceholder}|${tube.dmxUniverse}|${tube.dmxAddress}|${tube.dmxChannelsPerPixel}|`
+    + `${tube.pixelsPerMeter}|${tube.startPixel}|${tube.tension}|${tube.closed}|`
+    + tube.controlPoints.map(p => `${p.x},${p.y},${p.z}`).join(';');
+  let entry = cache.get(tube);
+  if (!entry || entry.key !== key) {
+    entry = { key, ranges: tubeChannelRanges(tube) };
+    cache.set(tube, entry);
+  }
+  return entry.ranges;
+}
+
+/**
+ * Find overlapping DMX ranges between tubes.
+ * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+ * @returns {Map<number, { otherId: number, otherName: string, universe: number, address: number }[]>}
+ *   tubeId → overlaps with other tubes (first overlapping channel as U.addr)
+ */
+export function findPatchConflicts(tubes) {
+  const spans = [];
+  for (const tube of tubes) {
+    if (!tube.isValid) continue;
+    for (const r of cachedChannelRanges(tube)) spans.push({ tube, ...r });
+  }
+  spans.sort((a, b) => a.start - b.start);
+
+  const conflicts = new Map();
+  const add = (a, b, channel) => {
+    if (!conflicts.has(a.id)) conflicts.set(a.id, []);
+    const list = conflicts.get(a.id);
+    if (list.some(c => c.otherId === b.id)) return;
+    list.push({
+      otherId: b.id,
+      otherName: b.name,
+      universe: Math.floor((channel - 1) / 512) + 1,
+      address: ((channel - 1) % 512) + 1,
+    });
+  };
+
+  // Sweep: compare each span with the still-open spans before it
+  const open = [];
+  for (const span of spans) {
+    for (let i = open.length - 1; i >= 0; i--) {
+      if (open[i].end < span.start) open.splice(i, 1);
+    }
+    for (const other of open) {
+      if (other.tube === span.tube) continue;
+      add(span.tube, other.tube, span.start);
+      add(other.tube, span.tube, span.start);
+    }
+    open.push(span);
+  }
+  return conflicts;
+}
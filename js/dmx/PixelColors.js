@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+
+/**
+ * Per-pixel color overrides on the PixelDistributor InstancedMesh.
+ * Used by the live DMX input and the effects engine: both swap the static
+ * pixel material for an unlit white one so instance colors show as-is
+ * (the emissive pixel material would glow in pixelColor regardless).
+ */
+
+/**
+ * The pixel InstancedMesh of a tube, or null (hidden, placeholder, uv-mapped).
+ * Instance i is the i-th pixel in display / DMX order.
+ * @param {import('../tube/TubeModel.js').TubeModel} tube
+ * @returns {THREE.InstancedMesh|null}
+ */
+export function getPixelMesh(tube) {
+  if (!tube.pixelGroup || !tube.visible || tube.isPlaceholder) return null;
+  return tube.pixelGroup.children.find(c => c.isInstancedMesh) || null;
+}
+
+/**
+ * Switch a pixel mesh to the override material (no-op if already switched).
+ * The static material is kept in userData and restored by clearPixelColors.
+ * @param {THREE.InstancedMesh} mesh
+ */
+export function beginPixelColors(mesh) {
+  if (mesh.userData.staticMaterial) return;
+  mesh.userData.staticMaterial = mesh.material;
+  mesh.material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  mesh.material.name = 'NeonFlex_Pixel_Override';
+}
+
+/**
+ * Restore the static pixel material on every tube and drop instance colors.
+ * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+ */
+export function clearPixelColors(tubes) {
+  for (const tube of tubes) {
+    const mesh = tube.pixelGroup?.children.find(c => c.isInstancedMesh);
+    if (!mesh || !mesh.userData.staticMaterial) continue;
+    mesh.material.dispose();
+    mesh.material = mesh.userData.staticMaterial;
+    delete mesh.userData.staticMaterial;
+    mesh.instanceColor = null;
+  }
+}
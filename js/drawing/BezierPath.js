@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+
+// Spacing of the control points sampled from a bezier path (meters)
+const SAMPLE_SPACING = 0.02;
+const MIN_SAMPLES = 4;
+const MAX_SAMPLES = 48;
+
+/**
+ * Cubic bezier paths drawn with the pen tool.
+ *
+ * A path is an array of nodes { point, handleIn, handleOut, type } with all
+ * positions in meters. Handles are absolute positions; a handle sitting on
+ * its point is retracted (the segment leaves the point in a straight line).
+ *   - 'smooth' nodes keep both handles on one line (aligned tangents)
+ *   - 'corner' nodes move their handles independently (broken tangents)
+ *
+ * Tubes keep rendering from Catmull-Rom control points — sample() turns a
+ * path into points dense enough for the spline to follow the beziers.
+ */
+export class BezierPath {
+  /**
+   * New node with both handles retracted.
+   * @param {THREE.Vector3} point
+   * @param {'smooth'|'corner'} [type='corner']
+   */
+  static createNode(point, type = 'corner') {
+    return {
+      point: point.clone(),
+      handleIn: point.clone(),
+      handleOut: point.clone(),
+      type,
+    };
+  }
+
+  /**
+   * One CubicBezierCurve3 per segment (plus the closing segment when closed).
+   * @param {object[]} nodes
+   * @param {boolean} closed
+   * @returns {THREE.CubicBezierCurve3[]}
+   */
+  static segments(nodes, closed = false) {
+    const segs = [];
+    if (!nodes || nodes.length < 2) return segs;
+    const count = closed ? nodes.length : nodes.length - 1;
+    for (let i = 0; i < count; i++) {
+      const a = nodes[i];
+      const b = nodes[(i + 1) % nodes.length];
+      segs.push(new THREE.CubicBezierCurve3(
+        a.point.clone(), a.handleOut.clone(), b.handleIn.clone(), b.point.clone()
+      ));
+    }
+    return segs;
+  }
+
+  /**
+   * The exact path as a single curve (previews, handle editing).
+   * @returns {THREE.CurvePath|null}
+   */
+  static buildCurve(nodes, closed = false) {
+    const segs = BezierPath.segments(nodes, closed);
+    if (segs.length === 0) return null;
+    const path = new THREE.CurvePath();
+    for (const seg of segs) path.add(seg);
+    return path;
+  }
+
+  /**
+   * Control points for a tube: every node plus evenly spaced samples along
+   * each segment (~2cm apart). Closed paths don't repeat the first point.
+   * @returns {THREE.Vector3[]}
+   */
+  static sample(nodes, closed = false) {
+    if (!nodes || nodes.length === 0) return [];
+    const segs = BezierPath.segments(nodes, closed);
+    const points = [];
+    for (const seg of segs) {
+      const n = Math.min(MAX_SAMPLES, Math.max(MIN_SAMPLES,
+        Math.ceil(seg.getLength() / SAMPLE_SPACING)));
+      const pts = seg.getSpacedPoints(n);
+      pts.pop(); // next segment starts here
+      points.push(...pts);
+    }
+    if (!closed) points.push(nodes[nodes.length - 1].point.clone());
+    return points;
+  }
+
+  /** Move a node together with its handles. */
+  static moveNode(node, position) {
+    const delta = position.clone().sub(node.point);
+    node.point.add(delta);
+    node.handleIn.add(delta);
+    node.handleOut.add(delta);
+  }
+
+  /**
+   * Move one handle. Smooth nodes swing the opposite handle onto the same
+   * line, keeping its length; symmetric mirrors it exactly (pen drags).
+   * @param {object} node
+   * @param {'in'|'out'} which
+   * @param {THREE.Vector3} position
+   * @param {boolean} [symmetric=false]
+   */
+  static moveHandle(node, which, position, symmetric = false) {
+    const handle = which === 'in' ? node.handleIn : node.handleOut;
+    const other = which === 'in' ? node.handleOut : node.handleIn;
+    handle.copy(position);
+    if (symmetric) {
+      other.copy(node.point).multiplyScalar(2).sub(position);
+      return;
+    }
+    if (node.type !== 'smooth') return;
+    const dir = node.point.clone().sub(position);
+    const len = other.distanceTo(node.point);
+    if (dir.lengthSq() < 1e-12 || len < 1e-9) return;
+    other.copy(node.point).addScaledVector(dir.normalize(), len);
+  }
+
+  /**
+   * Switch a node between 'smooth' and 'corner'. Making a node smooth aligns
+   * its handles along the average of their directions; a node without
+   * handles gets them pulled out along the line through its neighbours, a
+   * third of the way to each.
+   * @param {object[]} nodes
+   * @param {number} index
+   * @param {'smooth'|'corner'} type
+   * @param {boolean} [closed=false]
+   */
+  static setType(nodes, index, type, closed = false) {
+    const node = nodes[index];
+    node.type = type;
+    if (type !== 'smooth') return;
+
+    const n = nodes.length;
+    const prev = index > 0 || closed ? nodes[(index - 1 + n) % n] : null;
+    const next = index < n - 1 || closed ? nodes[(index + 1) % n] : null;
+    const dirOut = node.handleOut.clone().sub(node.point);
+    const dirIn = node.point.clone().sub(node.handleIn);
+    let lenOut = dirOut.length();
+    let lenIn = dirIn.length();
+
+    const dir = new THREE.Vector3();
+    if (lenOut < 1e-9 && lenIn < 1e-9) {
+      dir.subVectors(next ? next.point : node.point, prev ? prev.point : node.point);
+      lenOut = next ? next.point.distanceTo(node.point) / 3 : 0;
+      lenIn = prev ? prev.point.distanceTo(node.point) / 3 : 0;
+    } else {
+      if (lenOut > 1e-9) dir.addScaledVector(dirOut, 1 / lenOut);
+      if (lenIn > 1e-9) dir.addScaledVector(dirIn, 1 / lenIn);
+      if (dir.lengthSq() < 1e-12) dir.copy(dirOut);
+    }
+    if (dir.lengthSq() < 1e-12) return;
+    dir.normalize();
+    node.handleOut.copy(node.point).addScaledVector(dir, lenOut);
+    node.handleIn.copy(node.point).addScaledVector(dir, -lenIn);
+  }
+
+  /**
+   * Add a node on the path nearest to `point` without changing its shape
+   * (de Casteljau split of that segment).
+   * @returns {number} index of the new node
+   */
+  static insertNode(nodes, closed, point) {
+    const segs = BezierPath.segments(nodes, closed);
+    if (segs.length === 0) return -1;
+
+    let bestSeg = 0;
+    let bestT = 0.5;
+    let bestDist = Infinity;
+    const STEPS = 100;
+    segs.forEach((seg, i) => {
+      for (let k = 0; k <= STEPS; k++) {
+        const d = seg.getPoint(k / STEPS).distanceToSquared(point);
+        if (d < bestDist) {
+          bestDist = d;
+          bestSeg = i;
+          bestT = k / STEPS;
+        }
+      }
+    });
+    const t = Math.min(0.98, Math.max(0.02, bestT));
+
+    const a = nodes[bestSeg];
+    const b = nodes[(bestSeg + 1) % nodes.length];
+    const lerp = (p, q) => new THREE.Vector3().lerpVectors(p, q, t);
+    const p01 = lerp(a.point, a.handleOut);
+    const p12 = lerp(a.handleOut, b.handleIn);
+    const p23 = lerp(b.handleIn, b.point);
+    const p012 = lerp(p01, p12);
+    const p123 = lerp(p12, p23);
+
+    a.handleOut.copy(p01);
+    b.handleIn.copy(p23);
+    nodes.splice(bestSeg + 1, 0, {
+      point: lerp(p012, p123),
+      handleIn: p012,
+      handleOut: p123,
+      type: 'smooth',
+    });
+    return bestSeg + 1;
+  }
+
+  /** Whether a handle is retracted onto its point. */
+  static isRetracted(node, which) {
+    const handle = which === 'in' ? node.handleIn : node.handleOut;
+    return handle.distanceToSquared(node.point) < 1e-12;
+  }
+
+  /** Apply a matrix to every point and handle (in place). */
+  static applyMatrix4(nodes, matrix) {
+    for (const n of nodes) {
+      n.point.applyMatrix4(matrix);
+      n.handleIn.applyMatrix4(matrix);
+      n.handleOut.applyMatrix4(matrix);
+    }
+  }
+
+  /** Translate every point and handle (in place). */
+  static translate(nodes, delta) {
+    for (const n of nodes) {
+      n.point.add(delta);
+      n.handleIn.add(delta);
+      n.handleOut.add(delta);
+    }
+  }
+
+  /** Same path, walked from the other end. */
+  static reverse(nodes) {
+    return nodes.slice().reverse().map(n => ({
+      point: n.point.clone(),
+      handleIn: n.handleOut.clone(),
+      handleOut: n.handleIn.clone(),
+      type: n.type,
+    }));
+  }
+
+  static clone(nodes) {
+    return nodes.map(n => ({
+      point: n.point.clone(),
+      handleIn: n.handleIn.clone(),
+      handleOut: n.handleOut.clone(),
+      type: n.type,
+    }));
+  }
+
+  static toJSON(nodes) {
+    const v = (p) => ({ x: p.x, y: p.y, z: p.z });
+    return nodes.map(n => ({
+      point: v(n.point),
+      handleIn: v(n.handleIn),
+      handleOut: v(n.handleOut),
+      type: n.type,
+    }));
+  }
+
+  static fromJSON(data) {
+    const v = (p) => new THREE.Vector3(p.x, p.y, p.z);
+    return (data || []).map(n => ({
+      point: v(n.point),
+      handleIn: v(n.handleIn || n.point),
+      handleOut: v(n.handleOut || n.point),
+      type: n.type === 'smooth' ? 'smooth' : 'corner',
+    }));
+  }
+}
@@ -0,0 +1,444 @@
+import * as THREE from 'three';
+import { BezierPath } from './BezierPath.js';
+import { CurveBuilder } from './CurveBuilder.js';
+
+// Screen distance (px) for closing on the first point / a drag to count
+const CLOSE_RADIUS_PX = 10;
+const DRAG_THRESHOLD_PX = 4;
+
+/**
+ * Pen tool: draw cubic bezier paths on the active drawing plane.
+ * - Click places a corner point, click+drag pulls out symmetric handles
+ * - Alt while dragging breaks the tangent (only the outgoing handle moves)
+ * - Click the last point again to retract its outgoing handle (drag to pull
+ *   out a new one on its own)
+ * - Click the first point to close the path
+ * - Switch planes mid-draw with F1/F2/F3 — plane auto-anchors to last point
+ */
+export class BezierPenMode {
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.active = false;
+    this.nodes = [];
+    this.snapEnabled = true;
+    this.gridSize = 0.01;
+    this.objectSnap = null; // ObjectSnap — set by DrawingManager
+
+    this.previewLine = null;
+    this.anchorMarkers = [];
+    this.handleMarkers = [];
+    this.handleLines = null;
+
+    // Drag state: the node whose handles follow the pointer
+    this._dragNode = null;
+    this._dragStart = null;    // { x, y } client coords at pointerdown
+    this._dragMoved = false;
+    this._dragBreak = false;   // only the outgoing handle follows (re-clicked last point)
+    this._closing = false;
+
+    // Callbacks
+    this.onComplete = null; // (points, { bezierNodes, closed }) => {}
+
+    this._onPointerMove = this._onMouseMove.bind(this);
+    this._onPointerDown = this._onMouseDown.bind(this);
+    this._onPointerUp = this._onMouseUp.bind(this);
+    this._onDblClick = this._onDblClick.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+
+    // Cursor marker
+    this.cursorMarker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.004, 16, 16),
+      new THREE.MeshBasicMaterial({ color: 0x00d4ff, transparent: true, opacity: 0.8 })
+    );
+    this.cursorMarker.name = '__cursor';
+    this.cursorMarker.visible = false;
+    this.sceneManager.scene.add(this.cursorMarker);
+  }
+
+  activate() {
+    this.active = true;
+    this.nodes = [];
+    this._clearVisuals();
+    this.cursorMarker.visible = true;
+    this.sceneManager.resetPlaneAnchor();
+    const canvas = this.sceneManager.canvas;
+    canvas.addEventListener('pointermove', this._onPointerMove);
+    canvas.addEventListener('pointerdown', this._onPointerDown);
+    canvas.addEventListener('pointerup', this._onPointerUp);
+    canvas.addEventListener('dblclick', this._onDblClick);
+    document.addEventListener('keydown', this._onKeyDown);
+    canvas.style.cursor = 'crosshair';
+  }
+
+  deactivate() {
+    this.active = false;
+    this._endDrag();
+    this.cursorMarker.visible = false;
+    if (this.objectSnap) this.objectSnap.hide();
+    this._clearVisuals();
+    this._hideLengthOverlay();
+    this.nodes = [];
+    const canvas = this.sceneManager.canvas;
+    canvas.removeEventListener('pointermove', this._onPointerMove);
+    canvas.removeEventListener('pointerdown', this._onPointerDown);
+    canvas.removeEventListener('pointerup', this._onPointerUp);
+    canvas.removeEventListener('dblclick', this._onDblClick);
+    document.removeEventListener('keydown', this._onKeyDown);
+    canvas.style.cursor = '';
+  }
+
+  /**
+   * Called when the drawing plane changes mid-draw.
+   * Anchors the new plane at the last node so drawing continues seamlessly.
+   */
+  onPlaneChanged() {
+    if (this.nodes.length > 0) {
+      this.sceneManager.anchorPlaneAt(this.nodes[this.nodes.length - 1].point);
+    }
+  }
+
+  // --- Pointer ---
+
+  /**
+   * Pointer position: an object snap target when placing (not while pulling
+   * handles), else the drawing plane point, constrained and grid-snapped.
+   */
+  _pickPoint(e) {
+    const hit = this.objectSnap && !this._dragNode
+      ? this.objectSnap.snap(e.clientX, e.clientY) : null;
+    if (this.objectSnap && this._dragNode) this.objectSnap.hide();
+    if (hit) return this.sceneManager.clampToGrid(hit.point);
+
+    let point = this.sceneManager.raycastDrawingPlane(e.clientX, e.clientY);
+    if (!point) return null;
+    this.sceneManager.constrainToPlane(point);
+    if (this.snapEnabled) {
+      point = this.sceneManager.snapToGrid(point, this.gridSize);
+      this.sceneManager.constrainToPlane(point); // re-constrain after snap
+    }
+    this.sceneManager.clampToGrid(point);
+    return point;
+  }
+
+  _onMouseMove(e) {
+    if (!this.active) return;
+    const point = this._pickPoint(e);
+    if (!point) return;
+    this.cursorMarker.position.copy(point);
+
+    if (this._dragNode) {
+      if (!this._dragMoved) {
+        const dx = e.clientX - this._dragStart.x;
+        const dy = e.clientY - this._dragStart.y;
+        if (Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+        this._dragMoved = true;
+      }
+      this._dragHandle(point, e.altKey || this._dragBreak);
+      this._updateVisuals();
+      this._updatePreview(this.nodes, this._closing);
+      this._updateLengthOverlay(this.nodes, this._closing);
+      return;
+    }
+
+    // Rubber band: preview the next segment to the cursor
+    if (this.nodes.length > 0) {
+      const snapFirst = this.nodes.length >= 2 && this._isOverNode(e, 0);
+      if (snapFirst) {
+        this._updatePreview(this.nodes, true);
+        this._updateLengthOverlay(this.nodes, true);
+      } else {
+        const preview = [...this.nodes, BezierPath.createNode(point)];
+        this._updatePreview(preview, false);
+        this._updateLengthOverlay(preview, false);
+      }
+    }
+    this._updateStatusCoords(point);
+  }
+
+  _onMouseDown(e) {
+    if (!this.active) return;
+    if (e.button !== 0) return;
+    if (e.detail > 1) return; // ignore double-click
+
+    // Click on the first point closes the path (drag to shape the closing handles)
+    if (this.nodes.length >= 2 && this._isOverNode(e, 0)) {
+      this._closing = true;
+      this._startDrag(this.nodes[0], e);
+      return;
+    }
+
+    // Click on the last point again: retract its outgoing handle (corner)
+    const last = this.nodes[this.nodes.length - 1];
+    if (last && this._isOverNode(e, this.nodes.length - 1)) {
+      last.handleOut.copy(last.point);
+      last.type = 'corner';
+      this._startDrag(last, e);
+      this._dragBreak = true;
+      this._updateVisuals();
+      this._updatePreview(this.nodes, false);
+      return;
+    }
+
+    const point = this._pickPoint(e);
+    if (!point) return;
+    const node = BezierPath.createNode(point);
+    this.nodes.push(node);
+    this._startDrag(node, e);
+    this.sceneManager.anchorPlaneAt(point);
+
+    this._updateVisuals();
+    this._updatePreview(this.nodes, false);
+    this._updateStatusText();
+    this._updateLengthOverlay(this.nodes, false);
+  }
+
+  _onMouseUp() {
+    if (!this._dragNode) return;
+    const closing = this._closing;
+    this._endDrag();
+    if (closing) {
+      this._complete(true);
+      return;
+    }
+    this._updateStatusText();
+  }
+
+  _startDrag(node, e) {
+    this._dragNode = node;
+    this._dragStart = { x: e.clientX, y: e.clientY };
+    this._dragMoved = false;
+    this._dragBreak = false;
+    // Keep the camera still while pulling handles
+    this.sceneManager.controls.enabled = false;
+  }
+
+  _endDrag() {
+    if (this._dragNode) this.sceneManager.controls.enabled = true;
+    this._dragNode = null;
+    this._dragStart = null;
+    this._dragMoved = false;
+    this._dragBreak = false;
+    this._closing = false;
+  }
+
+  /**
+   * Pull the dragged node's handles toward the pointer. The pointer sets the
+   * outgoing handle; the incoming one mirrors it unless Alt breaks the tangent.
+   */
+  _dragHandle(point, breakTangent) {
+    const node = this._dragNode;
+    if (breakTangent) {
+      node.type = 'corner';
+      node.handleOut.copy(point);
+      return;
+    }
+    BezierPath.moveHandle(node, 'out', point, true);
+    // Dragged back onto the point: no handles, a plain corner again
+    node.type = point.distanceToSquared(node.point) < 1e-12 ? 'corner' : 'smooth';
+  }
+
+  /** Whether the pointer is within CLOSE_RADIUS_PX of a node on screen. */
+  _isOverNode(e, index) {
+    const node = this.nodes[index];
+    if (!node) return false;
+    const rect = this.sceneManager.canvas.getBoundingClientRect();
+    const p = node.point.clone().project(this.sceneManager.camera);
+    const sx = rect.left + (p.x + 1) / 2 * rect.width;
+    const sy = rect.top + (1 - p.y) / 2 * rect.height;
+    return Math.hypot(sx - e.clientX, sy - e.clientY) <= CLOSE_RADIUS_PX;
+  }
+
+  // --- Keyboard ---
+
+  _onDblClick() {
+    if (!this.active) return;
+    if (this.nodes.length < 2) return;
+    this._complete(false);
+  }
+
+  _onKeyDown(e) {
+    if (!this.active) return;
+    if (e.key === 'Enter' && this.nodes.length >= 2) {
+      this._complete(false);
+    } else if (e.key === 'Escape') {
+      this._cancel();
+    } else if ((e.key === 'Backspace' || e.key === 'Delete') && !this._dragNode) {
+      this._undoLastNode();
+    } else if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z') && !e.shiftKey) {
+      // Ctrl+Z while drawing = undo last point (not global undo)
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this._undoLastNode();
+    }
+  }
+
+  // --- Complete / Cancel ---
+
+  _complete(closed) {
+    const nodes = BezierPath.clone(this.nodes);
+    const points = BezierPath.sample(nodes, closed);
+    this._endDrag();
+    this._clearVisuals();
+    this._hideLengthOverlay();
+    this.nodes = [];
+    if (this.onComplete) {
+      this.onComplete(points, { bezierNodes: nodes, closed });
+    }
+    this.sceneManager.resetPlaneAnchor();
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) statusEl.textContent = 'Bezier tube created. Click to start a new one.';
+    const coordsEl = document.getElementById('status-coords');
+    if (coordsEl) coordsEl.textContent = '';
+  }
+
+  _cancel() {
+    this._endDrag();
+    this._clearVisuals();
+    this._hideLengthOverlay();
+    this.nodes = [];
+    this.sceneManager.resetPlaneAnchor();
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) statusEl.textContent = 'Drawing cancelled.';
+  }
+
+  _undoLastNode() {
+    if (this.nodes.length === 0) return;
+    this.nodes.pop();
+    if (this.nodes.length > 0) {
+      this.sceneManager.anchorPlaneAt(this.nodes[this.nodes.length - 1].point);
+    } else {
+      this.sceneManager.resetPlaneAnchor();
+    }
+    this._updateVisuals();
+    this._updatePreview(this.nodes, false);
+    this._updateStatusText();
+    this._updateLengthOverlay(this.nodes, false);
+  }
+
+  // --- Visuals ---
+
+  /** Rebuild anchor/handle markers and handle lines from the current nodes. */
+  _updateVisuals() {
+    this._clearMarkers();
+    const scene = this.sceneManager.scene;
+    const linePts = [];
+
+    this.nodes.forEach((node, i) => {
+      const anchor = new THREE.Mesh(
+        new THREE.SphereGeometry(0.005, 12, 12),
+        new THREE.MeshBasicMaterial({ color: 0x00d4ff })
+      );
+      anchor.position.copy(node.point);
+      anchor.name = '__point_marker';
+      scene.add(anchor);
+      this.anchorMarkers.push(anchor);
+
+      for (const which of ['in', 'out']) {
+        if (which === 'in' && i === 0 && !this._closing) continue;
+        if (BezierPath.isRetracted(node, which)) continue;
+        const pos = which === 'in' ? node.handleIn : node.handleOut;
+        const marker = new THREE.Mesh(
+          new THREE.SphereGeometry(0.0035, 10, 10),
+          new THREE.MeshBasicMaterial({ color: 0xffaa44 })
+        );
+        marker.position.copy(pos);
+        marker.name = '__handle_marker';
+        scene.add(marker);
+        this.handleMarkers.push(marker);
+        linePts.push(node.point, pos);
+      }
+    });
+
+    if (linePts.length > 0) {
+      this.handleLines = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(linePts),
+        new THREE.LineBasicMaterial({ color: 0xffaa44, transparent: true, opacity: 0.6 })
+      );
+      this.handleLines.name = '__handle_lines';
+      scene.add(this.handleLines);
+    }
+  }
+
+  _updatePreview(nodes, closed) {
+    if (this.previewLine) {
+      this.sceneManager.scene.remove(this.previewLine);
+      this.previewLine.geometry.dispose();
+      this.previewLine.material.dispose();
+      this.previewLine = null;
+    }
+    const curve = BezierPath.buildCurve(nodes, closed);
+    if (!curve) return;
+    this.previewLine = CurveBuilder.createPreviewLine(curve, 0x00d4ff);
+    if (this.previewLine) {
+      this.sceneManager.scene.add(this.previewLine);
+    }
+  }
+
+  _getPathLength(nodes, closed) {
+    const curve = BezierPath.buildCurve(nodes, closed);
+    return curve ? curve.getLength() : 0;
+  }
+
+  _updateStatusCoords(point) {
+    const coordsEl = document.getElementById('status-coords');
+    if (coordsEl) coordsEl.textContent = this.sceneManager.formatCoords(point);
+  }
+
+  _updateStatusText() {
+    const statusEl = document.getElementById('status-text');
+    if (!statusEl) return;
+    if (this.nodes.length === 0) {
+      statusEl.textContent = 'Pen — Click for a corner, drag for a smooth point | Alt+drag break tangent | F1/F2/F3 switch plane';
+    } else {
+      const length = this._getPathLength(this.nodes, false);
+      statusEl.textContent = `${this.nodes.length} pts | ${(length * 1000).toFixed(0)}mm — Click first point to close | Dbl-click/Enter finish | Esc cancel`;
+    }
+  }
+
+  _updateLengthOverlay(nodes, closed) {
+    const overlay = document.getElementById('length-overlay');
+    if (!overlay) return;
+    if (nodes.length < 2) {
+      overlay.classList.remove('visible');
+      return;
+    }
+    overlay.textContent = `${(this._getPathLength(nodes, closed) * 1000).toFixed(0)} mm`;
+    overlay.style.color = '';
+    overlay.classList.add('visible');
+  }
+
+  _hideLengthOverlay() {
+    const overlay = document.getElementById('length-overlay');
+    if (overlay) {
+      overlay.classList.remove('visible');
+      overlay.textContent = '';
+      overlay.style.color = '';
+    }
+  }
+
+  _clearMarkers() {
+    for (const marker of [...this.anchorMarkers, ...this.handleMarkers]) {
+      this.sceneManager.scene.remove(marker);
+      marker.geometry.dispose();
+      marker.material.dispose();
+    }
+    this.anchorMarkers = [];
+    this.handleMarkers = [];
+    if (this.handleLines) {
+      this.sceneManager.scene.remove(this.handleLines);
+      this.handleLines.geometry.dispose();
+      this.handleLines.material.dispose();
+      this.handleLines = null;
+    }
+  }
+
+  _clearVisuals() {
+    if (this.previewLine) {
+      this.sceneManager.scene.remove(this.previewLine);
+      this.previewLine.geometry.dispose();
+      this.previewLine.material.dispose();
+      this.previewLine = null;
+    }
+    this._clearMarkers();
+  }
+}
@@ -1,10 +1,13 @@
 import * as THREE from 'three';
 import { CurveBuilder } from './CurveBuilder.js';
+import { segmentLength, snapLengthDown } from '../tube/CutRules.js';
+import { CoordinateInput, parseCoordinateInput, resolveCoordinateInput } from './CoordinateInput.js';
 
 /**
  * Click-to-place control points on the active drawing plane.
  * - Switch planes mid-draw with F1/F2/F3 — plane auto-anchors to last point
  * - Shift+drag to adjust off-plane height after placing a point
+ * - Tab, or a number after the first point, to enter a point precisely (see CoordinateInput)
  * - Live curve length shown while drawing
  */
 export class ClickPlaceMode {
@@ -18,7 +21,10 @@ export class ClickPlaceMode {
     this.snapEnabled = true;
     this.gridSize = 0.01;
     this.maxLengthM = 0; // Set by DrawingManager when preset has maxLength
+    this.cutRules = null; // { incrementM, minLengthM } — set with the preset, snaps lengths to cut marks
     this.segmentNumber = 1; // Current segment counter (resets on activate)
+    this.objectSnap = null; // ObjectSnap — set by DrawingManager
+    this._objectSnapped = false; // last picked point came from an object snap
 
     // Segment continuation state — drawing pauses between segments
     this._waitingForContinue = false;
@@ -52,6 +58,19 @@ export class ClickPlaceMode {
     this.cursorMarker.name = '__cursor';
     this.cursorMarker.visible = false;
     this.sceneManager.scene.add(this.cursorMarker);
+
+    // Typed coordinate entry
+    this.coordInput = new CoordinateInput();
+    this.coordInput.onSubmit = (text) => this._onTypedEntry(text);
+    this.coordInput.onChange = (text) => this._previewTypedEntry(text);
+    this.coordInput.onClose = () => this._updatePreview(this.points);
+    // Before the first point, number keys keep switching tools (Tab opens the field)
+    this.coordInput.canType = () => this.points.length > 0 || !!this._continuePoint;
+  }
+
+  /** Length of a full segment: maxLength rounded down to a cut mark. */
+  get segmentLengthM() {
+    return this.maxLengthM > 0 ? segmentLength(this.maxLengthM, this.cutRules) : 0;
   }
 
   activate() {
@@ -69,6 +88,7 @@ export class ClickPlaceMode {
     canvas.addEventListener('dblclick', this._onDblClick);
     canvas.addEventListener('contextmenu', this._onContextMenu);
     document.addEventListener('keydown', this._onKeyDown);
+    this.coordInput.attach();
     canvas.style.cursor = 'crosshair';
   }
 
@@ -78,6 +98,7 @@ export class ClickPlaceMode {
     this._waitingForContinue = false;
     this._continuePoint = null;
     this.cursorMarker.visible = false;
+    if (this.objectSnap) this.objectSnap.hide();
     this._clearVisuals();
     this._clearHeightLine();
     this._hideLengthOverlay();
@@ -89,6 +110,7 @@ export class ClickPlaceMode {
     canvas.removeEventListener('dblclick', this._onDblClick);
     canvas.removeEventListener('contextmenu', this._onContextMenu);
     document.removeEventListener('keydown', this._onKeyDown);
+    this.coordInput.detach();
     canvas.style.cursor = '';
   }
 
@@ -112,14 +134,8 @@ export class ClickPlaceMode {
       return;
     }
 
-    let point = this.sceneManager.raycastDrawingPlane(e.clientX, e.clientY);
+    const point = this._pickPoint(e);
     if (!point) return;
-    this.sceneManager.constrainToPlane(point);
-    if (this.snapEnabled) {
-      point = this.sceneManager.snapToGrid(point, this.gridSize);
-      this.sceneManager.constrainToPlane(point); // re-constrain after snap
-    }
-    this.sceneManager.clampToGrid(point);
     this.cursorMarker.position.copy(point);
 
     if (this.points.length > 0) {
@@ -152,15 +168,35 @@ export class ClickPlaceMode {
 
     if (e.detail > 1) return; // ignore double-click
 
-    let point = this.sceneManager.raycastDrawingPlane(e.clientX, e.clientY);
+    const point = this._pickPoint(e);
     if (!point) return;
-    this.sceneManager.constrainToPlane(point);
-    if (this.snapEnabled) {
-      point = this.sceneManager.snapToGrid(point, this.gridSize);
+    // Snapped onto an object off the plane — keep drawing at that height
+    if (this._objectSnapped) this.sceneManager.anchorPlaneAt(point);
+    this._placePoint(point);
+  }
+
+  /**
+   * Point under the pointer: an object snap target if there is one (may sit
+   * off the plane), else the plane point, grid-snapped.
+   */
+  _pickPoint(e) {
+    const hit = this.objectSnap ? this.objectSnap.snap(e.clientX, e.clientY) : null;
+    this._objectSnapped = !!hit;
+    let point = hit ? hit.point : this.sceneManager.raycastDrawingPlane(e.clientX, e.clientY);
+    if (!point) return null;
+    if (!hit) {
       this.sceneManager.constrainToPlane(point);
+      if (this.snapEnabled) {
+        point = this.sceneManager.snapToGrid(point, this.gridSize);
+        this.sceneManager.constrainToPlane(point); // re-constrain after snap
+      }
     }
     this.sceneManager.clampToGrid(point);
+    return point;
+  }
 
+  /** Add a point (clicked or typed) and auto-complete the segment at maxLength. */
+  _placePoint(point) {
     this.points.push(point);
     this._addPointMarker(point);
     this._updatePreview(this.points);
@@ -175,13 +211,65 @@ export class ClickPlaceMode {
     // Auto-segment: if maxLength is set and curve reached it, cap and stop
     if (this.maxLengthM > 0 && this.points.length >= 2) {
       const length = this._getCurveLength(this.points);
-      if (length >= this.maxLengthM) {
+      if (length >= this.segmentLengthM) {
         this._capAtMaxLength();
         this._autoCompleteSegment();
       }
     }
   }
 
+  // --- Typed entry ---
+
+  /** Resolve typed text to a world point, or throw with a readable message. */
+  _resolveTypedEntry(text) {
+    const entry = parseCoordinateInput(text);
+    const n = this.points.length;
+    const result = resolveCoordinateInput(entry, {
+      plane: this.sceneManager.currentPlane,
+      anchor: this.sceneManager._planeAnchor,
+      last: n > 0 ? this.points[n - 1] : null,
+      prev: n > 1 ? this.points[n - 2] : null,
+      cursor: this.cursorMarker.position,
+    });
+    this.sceneManager.clampToGrid(result.point);
+    return result;
+  }
+
+  /** Enter in the coordinate field: place the typed point. */
+  _onTypedEntry(text) {
+    const statusEl = document.getElementById('status-text');
+    if (this._waitingForContinue) {
+      if (statusEl) statusEl.textContent = 'Right-click to continue the next segment before typing points';
+      return true;
+    }
+    let result;
+    try {
+      result = this._resolveTypedEntry(text);
+    } catch (err) {
+      if (statusEl) statusEl.textContent = `Can't use "${text}": ${err.message}`;
+      return false;
+    }
+    // 3D entries can leave the plane — carry on drawing at that point's height
+    if (!result.onPlane) this.sceneManager.anchorPlaneAt(result.point);
+    this._placePoint(result.point);
+    return true;
+  }
+
+  /** Preview the typed point while the entry is being edited. */
+  _previewTypedEntry(text) {
+    if (this._waitingForContinue) return;
+    let point;
+    try {
+      point = this._resolveTypedEntry(text).point;
+    } catch {
+      this._updatePreview(this.points);
+      return;
+    }
+    this._updatePreview([...this.points, point]);
+    this._updateStatusCoords(point);
+    this._updateLengthOverlay([...this.points, point]);
+  }
+
   /**
    * Prevent browser context menu when right-click is used for segment continue.
    */
@@ -200,6 +288,7 @@ export class ClickPlaceMode {
   // --- Shift-drag height adjustment ---
 
   _startShiftDrag(e) {
+    if (this.objectSnap) this.objectSnap.hide();
     const idx = this.points.length - 1;
     const point = this.points[idx];
     const plane = this.sceneManager.currentPlane;
@@ -328,22 +417,29 @@ export class ClickPlaceMode {
 
   // --- Complete / Cancel ---
 
+  /**
+   * Trim to the segment length (maxLength snapped down to a cut mark).
+   */
+  _capAtMaxLength() {
+    this._capAtLength(this.segmentLengthM);
+  }
+
   /**
    * Replace control points with dense samples from the original curve,
-   * trimmed to exactly maxLengthM. Dense sampling constrains the rebuilt
+   * trimmed to exactly lengthM. Dense sampling constrains the rebuilt
    * CatmullRom to closely follow the original curve. A final binary
-   * search on the last point guarantees length <= maxLengthM.
+   * search on the last point guarantees length <= lengthM.
    */
-  _capAtMaxLength() {
+  _capAtLength(lengthM) {
     if (this.points.length < 2) return;
 
     const curve = CurveBuilder.build(this.points, 0.5, false);
     if (!curve) return;
     const totalLength = CurveBuilder.getLength(curve);
-    if (totalLength <= this.maxLengthM) return;
+    if (totalLength <= lengthM) return;
 
-    // Sample the original curve from 0 to maxLengthM with dense points
-    const tCut = this.maxLengthM / totalLength;
+    // Sample the original curve from 0 to lengthM with dense points
+    const tCut = lengthM / totalLength;
     const numSamples = 50; // ~120mm spacing for 6m tube — tight enough for CatmullRom fidelity
 
     // Clear old markers
@@ -361,7 +457,35 @@ export class ClickPlaceMode {
     }
     this.points = newPoints;
 
-    // Fine-tune: binary search the last sample point to guarantee <= maxLengthM
+    // Fine-tune: binary search the last sample point to guarantee <= lengthM
+    this._fitLastPoint(lengthM);
+    const lastIdx = this.points.length - 1;
+
+    // Add markers for first and last
+    this._addPointMarker(this.points[0]);
+    this._addPointMarker(this.points[lastIdx]);
+
+    this._updatePreview(this.points);
+    this._updateLengthOverlay(this.points);
+  }
+
+  /**
+   * Trim the free end to lengthM by pulling only the last point back along
+   * the final span — the points the user placed keep their positions. End
+   * points the trim reaches past are dropped first.
+   */
+  _trimToLength(lengthM) {
+    while (this.points.length > 2 && this._getCurveLength(this.points.slice(0, -1)) >= lengthM) {
+      this.points.pop();
+    }
+    this._fitLastPoint(lengthM);
+  }
+
+  /**
+   * Binary search the last point along the final span so the curve is at
+   * most lengthM long.
+   */
+  _fitLastPoint(lengthM) {
     const lastIdx = this.points.length - 1;
     const prevPt = this.points[lastIdx - 1];
     const origLast = this.points[lastIdx].clone();
@@ -375,22 +499,15 @@ export class ClickPlaceMode {
       if (!c) break;
       const len = CurveBuilder.getLength(c);
 
-      if (len > this.maxLengthM) {
+      if (len > lengthM) {
         hi = mid;
       } else {
         lo = mid;
       }
       if (hi - lo < 0.0001) break;
     }
-    // lo is guaranteed <= maxLengthM
+    // lo is guaranteed <= lengthM
     this.points[lastIdx] = new THREE.Vector3().lerpVectors(prevPt, origLast, lo);
-
-    // Add markers for first and last
-    this._addPointMarker(this.points[0]);
-    this._addPointMarker(this.points[lastIdx]);
-
-    this._updatePreview(this.points);
-    this._updateLengthOverlay(this.points);
   }
 
   /**
@@ -414,6 +531,7 @@ export class ClickPlaceMode {
 
     // PAUSE — enter waiting state, user must right-click to continue
     this._waitingForContinue = true;
+    if (this.objectSnap) this.objectSnap.hide();
     this._continuePoint = lastPoint;
     this.points = [];
     this.cursorMarker.visible = false;
@@ -421,7 +539,7 @@ export class ClickPlaceMode {
     // Show a marker at the continuation point
     this._addPointMarker(lastPoint);
 
-    const maxMm = Math.round(this.maxLengthM * 1000);
+    const maxMm = Math.round(this.segmentLengthM * 1000);
     const statusEl = document.getElementById('status-text');
     if (statusEl) {
       statusEl.textContent = `Seg ${this.segmentNumber - 1} complete (${maxMm}mm) — Right-click to continue segment ${this.segmentNumber} | Enter/Dbl-click to finish | Esc cancel`;
@@ -478,6 +596,17 @@ export class ClickPlaceMode {
   }
 
   _complete() {
+    // Trim the free end back to the last cut mark (never below the minimum)
+    let trimmedMm = 0;
+    if (this.cutRules && this.cutRules.incrementM > 0 && this.points.length >= 2) {
+      const length = this._getCurveLength(this.points);
+      const snapped = snapLengthDown(length, this.cutRules);
+      if (snapped > 0 && snapped >= this.cutRules.minLengthM && length - snapped > 0.0005) {
+        this._trimToLength(snapped);
+        trimmedMm = Math.round((length - snapped) * 1000);
+      }
+    }
+
     const pts = this.points.slice();
     this._clearVisuals();
     this._clearHeightLine();
@@ -492,7 +621,11 @@ export class ClickPlaceMode {
     this.cursorMarker.visible = true;
     this.sceneManager.resetPlaneAnchor();
     const statusEl = document.getElementById('status-text');
-    if (statusEl) statusEl.textContent = 'Tube created. Click to start a new one.';
+    if (statusEl) {
+      statusEl.textContent = trimmedMm > 0
+        ? `Tube created — trimmed ${trimmedMm}mm to the last cut mark. Click to start a new one.`
+        : 'Tube created. Click to start a new one.';
+    }
     const coordsEl = document.getElementById('status-coords');
     if (coordsEl) coordsEl.textContent = '';
   }
@@ -584,7 +717,7 @@ export class ClickPlaceMode {
     const statusEl = document.getElementById('status-text');
     if (!statusEl) return;
     if (this.points.length === 0) {
-      statusEl.textContent = 'Click to place points | F1/F2/F3 switch plane | Shift+drag height';
+      statusEl.textContent = 'Click to place points | Type x,y,z · @dx,dy,dz · L<angle · L (mm) | F1/F2/F3 switch plane | Shift+drag height';
     } else {
       const length = this._getCurveLength(this.points);
       let text = '';
@@ -593,10 +726,13 @@ export class ClickPlaceMode {
       }
       text += `${this.points.length} pts | ${(length * 1000).toFixed(0)}mm`;
       if (this.maxLengthM > 0) {
-        const maxMm = Math.round(this.maxLengthM * 1000);
-        const pct = Math.round((length / this.maxLengthM) * 100);
+        const maxMm = Math.round(this.segmentLengthM * 1000);
+        const pct = Math.round((length / this.segmentLengthM) * 100);
         text += ` / ${maxMm}mm (${pct}%)`;
       }
+      if (this.cutRules && this.cutRules.incrementM > 0) {
+        text += ` | cut at ${Math.round(snapLengthDown(length, this.cutRules) * 1000)}mm`;
+      }
       text += ' — Dbl-click/Enter finish | Esc cancel';
       statusEl.textContent = text;
     }
@@ -608,7 +744,7 @@ export class ClickPlaceMode {
     if (points.length < 2) {
       if (this.maxLengthM > 0 && this.segmentNumber > 1) {
         // Show segment info even with < 2 points if we're on segment 2+
-        overlay.textContent = `Seg ${this.segmentNumber}: 0 / ${Math.round(this.maxLengthM * 1000)} mm`;
+        overlay.textContent = `Seg ${this.segmentNumber}: 0 / ${Math.round(this.segmentLengthM * 1000)} mm`;
         overlay.style.color = '';
         overlay.classList.add('visible');
       } else {
@@ -620,8 +756,8 @@ export class ClickPlaceMode {
     const lengthMm = (length * 1000).toFixed(0);
 
     if (this.maxLengthM > 0) {
-      const maxMm = Math.round(this.maxLengthM * 1000);
-      const pct = Math.round((length / this.maxLengthM) * 100);
+      const maxMm = Math.round(this.segmentLengthM * 1000);
+      const pct = Math.round((length / this.segmentLengthM) * 100);
       let text = '';
       if (this.segmentNumber > 1) {
         text += `Seg ${this.segmentNumber}: `;
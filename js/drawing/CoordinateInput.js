@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+
+/**
+ * CAD-style typed point entry while drawing. Values are millimeters,
+ * separated by commas (or spaces):
+ *   x,y,z      absolute world position
+ *   a,b        absolute position on the drawing plane (XZ: X,Z · XY: X,Y · YZ: Y,Z)
+ *   @dx,dy,dz  offset from the last point
+ *   @da,db     offset on the drawing plane
+ *   L<A        length L at angle A (degrees) from the last point, on the plane
+ *   L          length L toward the cursor (along the rubber band)
+ *
+ * Polar angles run counter-clockwise seen from the plane's front:
+ * 0° = +X on XZ/XY, +Z on YZ; 90° = -Z on XZ, +Y on XY/YZ.
+ */
+
+// In-plane axes for 2-value entries, in the order of the plane's name
+const PLANE_COORDS = {
+  XZ: ['x', 'z'],
+  XY: ['x', 'y'],
+  YZ: ['y', 'z'],
+};
+
+// 2D frame for polar angles (matches the text tools' plane mapping)
+const PLANE_FRAMES = {
+  XZ: { u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 0, -1) },
+  XY: { u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 1, 0) },
+  YZ: { u: new THREE.Vector3(0, 0, 1), v: new THREE.Vector3(0, 1, 0) },
+};
+
+// Keys that open the entry field when typed in the viewport (once a point is placed)
+const START_KEYS = /^[0-9@.\-+]$/;
+
+// Opens the empty field at any time, e.g. to type the first point
+const OPEN_KEY = 'Tab';
+
+/**
+ * Parse a typed entry.
+ * @param {string} text
+ * @returns {{ type: 'absolute'|'relative', values: number[] }
+ *   | { type: 'polar', length: number, angle: number }
+ *   | { type: 'distance', length: number }}
+ *   lengths in meters, angle in radians
+ * @throws {Error} when the entry can't be read
+ */
+export function parseCoordinateInput(text) {
+  let s = String(text || '').trim();
+  if (!s) throw new Error('Nothing entered');
+
+  const relative = s.startsWith('@');
+  if (relative) s = s.slice(1).trim();
+
+  const num = (str) => {
+    const v = Number(str.trim());
+    if (str.trim() === '' || !Number.isFinite(v)) throw new Error(`"${str.trim()}" is not a number`);
+    return v;
+  };
+
+  if (s.includes('<')) {
+    const [len, ang, ...rest] = s.split('<');
+    if (rest.length > 0) throw new Error('Use length<angle');
+    const length = num(len) * 0.001;
+    if (length <= 0) throw new Error('Length must be positive');
+    return { type: 'polar', length, angle: THREE.MathUtils.degToRad(num(ang)) };
+  }
+
+  const parts = s.split(/\s*,\s*|\s+/);
+  if (parts.length === 1 && !relative) {
+    const length = num(parts[0]) * 0.001;
+    if (length <= 0) throw new Error('Length must be positive');
+    return { type: 'distance', length };
+  }
+  if (parts.length < 2 || parts.length > 3) {
+    throw new Error('Enter x,y,z — or two values on the drawing plane');
+  }
+  return {
+    type: relative ? 'relative' : 'absolute',
+    values: parts.map(p => num(p) * 0.001),
+  };
+}
+
+/**
+ * Turn a parsed entry into a world point.
+ * @param {object} entry - from parseCoordinateInput()
+ * @param {object} ctx
+ * @param {string} ctx.plane - 'XZ' | 'XY' | 'YZ'
+ * @param {THREE.Vector3} ctx.anchor - a point on the drawing plane
+ * @param {THREE.Vector3|null} ctx.last - last placed point
+ * @param {THREE.Vector3|null} [ctx.prev] - point before the last (fallback direction)
+ * @param {THREE.Vector3|null} [ctx.cursor] - cursor on the drawing plane
+ * @returns {{ point: THREE.Vector3, onPlane: boolean }} onPlane is false for 3D entries
+ * @throws {Error} when the entry needs a last point or direction that isn't there
+ */
+export function resolveCoordinateInput(entry, ctx) {
+  const plane = PLANE_COORDS[ctx.plane] ? ctx.plane : 'XZ';
+  const [a, b] = PLANE_COORDS[plane];
+  const origin = ctx.last ? ctx.last.clone() : new THREE.Vector3();
+
+  switch (entry.type) {
+    case 'absolute':
+    case 'relative': {
+      const base = entry.type === 'relative' ? origin : new THREE.Vector3();
+      if (entry.values.length === 3) {
+        const [x, y, z] = entry.values;
+        return { point: base.add(new THREE.Vector3(x, y, z)), onPlane: false };
+      }
+      const point = base.clone();
+      point[a] += entry.values[0];
+      point[b] += entry.values[1];
+      if (entry.type === 'absolute') {
+        // Off-plane axis stays on the drawing plane
+        const off = ['x', 'y', 'z'].find(k => k !== a && k !== b);
+        point[off] = ctx.anchor[off];
+      }
+      return { point, onPlane: true };
+    }
+    case 'polar': {
+      const { u, v } = PLANE_FRAMES[plane];
+      const dir = u.clone().multiplyScalar(Math.cos(entry.angle))
+        .addScaledVector(v, Math.sin(entry.angle));
+      return { point: origin.addScaledVector(dir, entry.length), onPlane: true };
+    }
+    case 'distance': {
+      if (!ctx.last) throw new Error('Place a first point, then type a length');
+      let dir = ctx.cursor ? ctx.cursor.clone().sub(ctx.last) : new THREE.Vector3();
+      if (dir.lengthSq() < 1e-10 && ctx.prev) dir = ctx.last.clone().sub(ctx.prev);
+      if (dir.lengthSq() < 1e-10) throw new Error('Move the cursor to set a direction');
+      return { point: origin.addScaledVector(dir.normalize(), entry.length), onPlane: true };
+    }
+    default:
+      throw new Error('Unknown entry');
+  }
+}
+
+/**
+ * The entry field at the bottom of the viewport (#coord-input). While
+ * attached, Tab opens it; once canType() allows (a point is placed), typing
+ * a number, '@', '-' or '.' over the viewport opens it too — otherwise the
+ * number keys stay tool shortcuts. Enter submits, Esc closes.
+ */
+export class CoordinateInput {
+  constructor() {
+    this.container = document.getElementById('coord-input');
+    this.field = document.getElementById('coord-input-field');
+    this.attached = false;
+
+    this.onSubmit = null;  // (text) => boolean — return false to keep the field open
+    this.onChange = null;  // (text) => {} — live preview while typing
+    this.onClose = null;   // () => {}
+    this.canType = null;   // () => boolean — may typing a number open the field
+
+    this._onDocKeyDown = this._onDocKeyDown.bind(this);
+    this._onFieldKeyDown = this._onFieldKeyDown.bind(this);
+    this._onFieldInput = () => {
+      this.container.classList.remove('error');
+      if (this.onChange) this.onChange(this.field.value);
+    };
+
+    if (this.field) {
+      this.field.addEventListener('keydown', this._onFieldKeyDown);
+      this.field.addEventListener('input', this._onFieldInput);
+    }
+  }
+
+  get isOpen() {
+    return !!this.container && this.container.classList.contains('visible');
+  }
+
+  /** Start listening for typed entries (drawing mode activated). */
+  attach() {
+    if (this.attached || !this.container) return;
+    this.attached = true;
+    // Capture phase: runs before the app's shortcuts
+    document.addEventListener('keydown', this._onDocKeyDown, true);
+  }
+
+  detach() {
+    if (!this.attached) return;
+    this.attached = false;
+    document.removeEventListener('keydown', this._onDocKeyDown, true);
+    this.close();
+  }
+
+  open(text = '') {
+    if (!this.container) return;
+    this.container.classList.add('visible');
+    this.container.classList.remove('error');
+    this.field.value = text;
+    this.field.focus();
+    this.field.setSelectionRange(text.length, text.length);
+    if (this.onChange) this.onChange(text);
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.container.classList.remove('visible', 'error');
+    this.field.value = '';
+    this.field.blur();
+    if (this.onClose) this.onClose();
+  }
+
+  /** Flag the current entry as unreadable (keeps the field open). */
+  showError() {
+    if (this.container) this.container.classList.add('error');
+  }
+
+  _onDocKeyDown(e) {
+    if (this.isOpen || e.ctrlKey || e.metaKey || e.altKey) return;
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+    let text;
+    if (e.key === OPEN_KEY && !e.shiftKey) {
+      text = '';
+    } else if (START_KEYS.test(e.key) && (!this.canType || this.canType())) {
+      text = e.key;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    this.open(text);
+  }
+
+  _onFieldKeyDown(e) {
+    // Keep drawing-mode and app shortcuts out of the field
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const text = this.field.value;
+      const keep = this.onSubmit ? this.onSubmit(text) === false : false;
+      if (keep) {
+        this.showError();
+      } else {
+        this.close();
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    }
+  }
+}
@@ -27,7 +27,8 @@ export class CurveBuilder {
     if (!curve) return 0;
     // Default 200 divisions is too few for curves with many control points.
     // Use at least 10 divisions per cubic segment for sub-mm accuracy.
-    const needed = curve.points.length * 10;
+    // (Curves without control points, e.g. sub-sections, keep the default.)
+    const needed = (curve.points ? curve.points.length : 0) * 10;
     if (needed > curve.arcLengthDivisions) {
       curve.arcLengthDivisions = needed;
       curve.needsUpdate = true;
@@ -2,9 +2,13 @@ import * as THREE from 'three';
 import { ClickPlaceMode } from './ClickPlaceMode.js';
 import { FreehandMode } from './FreehandMode.js';
 import { ShapeMode } from './ShapeMode.js';
+import { BezierPenMode } from './BezierPenMode.js';
 import { PointEditor } from './PointEditor.js';
+import { ObjectSnap } from './ObjectSnap.js';
 import { CurveBuilder } from './CurveBuilder.js';
 import { autoSegment } from '../tube/AutoSegmenter.js';
+import { presetTubeOptions } from '../tube/FixturePresets.js';
+import { cutRules } from '../tube/CutRules.js';
 
 /**
  * Coordinates drawing modes and input.
@@ -26,8 +30,16 @@ export class DrawingManager {
     this.freehandMode = new FreehandMode(sceneManager);
     this.rectangleMode = new ShapeMode(sceneManager, 'rectangle');
     this.circleMode = new ShapeMode(sceneManager, 'circle');
+    this.bezierPenMode = new BezierPenMode(sceneManager);
     this.pointEditor = new PointEditor(sceneManager);
 
+    // Object snap, shared by every tool that places or drags points
+    this.objectSnap = new ObjectSnap(sceneManager, tubeManager);
+    for (const mode of [this.clickPlaceMode, this.rectangleMode, this.circleMode,
+      this.bezierPenMode, this.pointEditor]) {
+      mode.objectSnap = this.objectSnap;
+    }
+
     this.onDrawingComplete = null;   // () => {} — called after final tube is finished
     this.onSegmentCreated = null;    // (tube, segNum) => {} — called when mid-draw segment completes
     this.onBeforeMutate = null;      // () => {} — called before any tube creation (for undo capture)
@@ -53,6 +65,10 @@ export class DrawingManager {
       this._completeDraw(points, options);
     };
 
+    this.bezierPenMode.onComplete = (points, options) => {
+      this._completeDraw(points, options);
+    };
+
     this.pointEditor.onPointMoved = () => {};
     this.pointEditor.onPointDeleted = () => {};
   }
@@ -70,11 +86,7 @@ export class DrawingManager {
 
     const presetOptions = {};
     if (preset) {
-      if (preset.profile != null) presetOptions.profile = preset.profile;
-      if (preset.diameterMm != null) presetOptions.diameterMm = preset.diameterMm;
-      if (preset.pixelsPerMeter != null) presetOptions.pixelsPerMeter = preset.pixelsPerMeter;
-      if (preset.dmxChannelsPerPixel != null) presetOptions.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-      if (preset.materialPreset != null) presetOptions.materialPreset = preset.materialPreset;
+      Object.assign(presetOptions, presetTubeOptions(preset));
       presetOptions.fixturePreset = presetId;
     }
 
@@ -125,11 +137,7 @@ export class DrawingManager {
     // Build base tube options from preset (non-null values only)
     const presetOptions = {};
     if (preset) {
-      if (preset.profile != null) presetOptions.profile = preset.profile;
-      if (preset.diameterMm != null) presetOptions.diameterMm = preset.diameterMm;
-      if (preset.pixelsPerMeter != null) presetOptions.pixelsPerMeter = preset.pixelsPerMeter;
-      if (preset.dmxChannelsPerPixel != null) presetOptions.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-      if (preset.materialPreset != null) presetOptions.materialPreset = preset.materialPreset;
+      Object.assign(presetOptions, presetTubeOptions(preset));
       presetOptions.fixturePreset = presetId;
     }
 
@@ -162,12 +170,14 @@ export class DrawingManager {
         segmentPoints = [...points, points[0].clone()];
       }
 
-      const result = autoSegment(segmentPoints, preset.maxLengthM, connectorHeightM, tension);
+      const cutIncrementM = cutRules(preset)?.incrementM || 0;
+      const result = autoSegment(segmentPoints, preset.maxLengthM, connectorHeightM, tension, cutIncrementM);
 
       if (result.segments.length > 1) {
         // Create multiple open tubes + connectors
         const segOptions = { ...tubeOptions };
         if (isClosed) delete segOptions.closed; // segments are open
+        delete segOptions.bezierNodes; // segments are plain samples of the path
 
         const createdTubes = [];
         for (let i = 0; i < result.segments.length; i++) {
@@ -236,6 +246,11 @@ export class DrawingManager {
         controls.mouseButtons.LEFT = null;
         this.circleMode.activate();
         break;
+      case 'bezier':
+        // Left is for placing points and dragging handles, middle for orbit
+        controls.mouseButtons.LEFT = null;
+        this.bezierPenMode.activate();
+        break;
       case 'cut':
         // Disable left-click orbit — cut is handled by TubeCutter in UIManager
         controls.mouseButtons.LEFT = null;
@@ -248,6 +263,12 @@ export class DrawingManager {
     this.freehandMode.snapEnabled = enabled;
     this.rectangleMode.snapEnabled = enabled;
     this.circleMode.snapEnabled = enabled;
+    this.bezierPenMode.snapEnabled = enabled;
+  }
+
+  setObjectSnap(enabled) {
+    this.objectSnap.enabled = enabled;
+    if (!enabled) this.objectSnap.hide();
   }
 
   /**
@@ -257,6 +278,8 @@ export class DrawingManager {
   onPlaneChanged() {
     if (this.currentMode === 'click-place') {
       this.clickPlaceMode.onPlaneChanged();
+    } else if (this.currentMode === 'bezier') {
+      this.bezierPenMode.onPlaneChanged();
     }
     // Freehand doesn't support mid-draw plane switch (mouse is held down)
   }
@@ -266,7 +289,9 @@ export class DrawingManager {
     this.freehandMode.deactivate();
     this.rectangleMode.deactivate();
     this.circleMode.deactivate();
+    this.bezierPenMode.deactivate();
     this.pointEditor.deactivate();
+    this.objectSnap.hide();
   }
 
   dispose() {
@@ -0,0 +1,499 @@
+import * as THREE from 'three';
+import { CurveBuilder } from './CurveBuilder.js';
+
+/**
+ * Snap targets, in the order they're listed in the toolbar menu. Point
+ * snaps (endpoint … ref vertex) beat the "along" snaps (nearest, ref edge)
+ * when both are under the cursor.
+ */
+export const SNAP_TYPES = [
+  { id: 'endpoint',     label: 'Endpoint',          on: true },
+  { id: 'controlPoint', label: 'Control point',     on: true },
+  { id: 'midpoint',     label: 'Midpoint',          on: true },
+  { id: 'intersection', label: 'Intersection',      on: true },
+  { id: 'pixel',        label: 'Pixel',             on: false },
+  { id: 'refVertex',    label: 'Ref model vertex',  on: true },
+  { id: 'nearest',      label: 'Nearest on curve',  on: false },
+  { id: 'refEdge',      label: 'Ref model edge',    on: false },
+];
+
+const ALONG_TYPES = new Set(['nearest', 'refEdge']);
+
+/** localStorage key of the snap toggles. */
+const STORAGE_KEY = 'neonflexer.objectSnap';
+
+// Screen distance (px) within which a target captures the cursor
+const TOLERANCE_PX = 12;
+// Curve sampling for nearest / intersection (meters between samples)
+const SAMPLE_SPACING = 0.01;
+const MIN_SAMPLES = 16;
+const MAX_SAMPLES = 400;
+// Curve segments per bounding box when culling intersection tests
+const CHUNK_SEGMENTS = 16;
+
+const GLYPHS = {
+  endpoint: '<rect x="3" y="3" width="10" height="10"/>',
+  controlPoint: '<circle cx="8" cy="8" r="5"/>',
+  midpoint: '<path d="M8 2.5L13.5 12.5H2.5Z"/>',
+  intersection: '<path d="M3 3L13 13M13 3L3 13"/>',
+  pixel: '<path d="M8 2L14 8L8 14L2 8Z"/>',
+  refVertex: '<rect x="3" y="3" width="10" height="10"/><path d="M3 3L13 13M13 3L3 13"/>',
+  nearest: '<path d="M3 3H13L3 13H13Z"/>',
+  refEdge: '<path d="M2 13L14 3"/><circle cx="8" cy="8" r="2.5"/>',
+};
+
+/**
+ * Object snap for the drawing tools: pulls the cursor onto tube endpoints,
+ * control points, curve midpoints, pixels, tube intersections, the nearest
+ * point on a curve, and vertices / edges of reference models.
+ *
+ * Targets are matched in screen space, so snapped points can sit off the
+ * drawing plane — callers anchor the plane at them to keep drawing there.
+ * A glyph (#snap-glyph) marks the active snap in the viewport.
+ */
+export class ObjectSnap {
+  constructor(sceneManager, tubeManager) {
+    this.sceneManager = sceneManager;
+    this.tubeManager = tubeManager;
+    this.refModelManager = null; // set by UIManager
+    this.enabled = true;
+    this.types = ObjectSnap._loadTypes();
+
+    this._curves = new Map();      // tubeId → { key, curve, samples }
+    this._pairHits = new Map();    // tube pair + shapes → Map(chunk pair → raw crossings)
+
+    this.glyph = document.getElementById('snap-glyph');
+  }
+
+  /** Turn one snap type on or off (remembered across sessions). */
+  setType(id, on) {
+    if (!(id in this.types)) return;
+    this.types[id] = !!on;
+    try {
+      if (globalThis.localStorage) localStorage.setItem(STORAGE_KEY, JSON.stringify(this.types));
+    } catch (err) {
+      console.warn('Object snap: could not save settings', err);
+    }
+  }
+
+  /**
+   * Find the snap target under the pointer and show its glyph.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @param {object} [options]
+   * @param {{ tubeId: number, index: number }} [options.exclude] - point being
+   *   dragged: its own point and its tube's curve are ignored
+   * @returns {{ point: THREE.Vector3, type: string, label: string }|null}
+   */
+  snap(clientX, clientY, options = {}) {
+    const hit = this.find(clientX, clientY, options);
+    if (hit) this.show(hit);
+    else this.hide();
+    return hit;
+  }
+
+  /** Same as snap() without touching the glyph. */
+  find(clientX, clientY, options = {}) {
+    if (!this.enabled || !Object.values(this.types).some(Boolean)) return null;
+
+    const rect = this.sceneManager.canvas.getBoundingClientRect();
+    const cursor = new THREE.Vector2(clientX - rect.left, clientY - rect.top);
+    const camera = this.sceneManager.camera;
+    camera.updateMatrixWorld();
+    const toScreen = (p) => {
+      const v = p.clone().project(camera);
+      if (v.z > 1 || v.z < -1) return null; // behind the camera / clipped
+      return new THREE.Vector2((v.x + 1) / 2 * rect.width, (1 - v.y) / 2 * rect.height);
+    };
+
+    let best = null;
+    const consider = (type, point, screen) => {
+      if (!screen) return;
+      const dist = screen.distanceTo(cursor);
+      if (dist > TOLERANCE_PX) return;
+      const along = ALONG_TYPES.has(type);
+      if (best) {
+        if (along && !best.along) return;
+        if (along === best.along && dist >= best.dist) return;
+      }
+      best = { type, point, dist, along };
+    };
+    const considerPoint = (type, point) => {
+      if (this.types[type]) consider(type, point, toScreen(point));
+    };
+
+    const exclude = options.exclude || null;
+    const tubes = this._snapTubes();
+    this._pruneCache(tubes);
+
+    for (const tube of tubes) {
+      const own = exclude && exclude.tubeId === tube.id;
+      const anchors = tube.isBezier ? tube.bezierNodes.map(n => n.point) : tube.controlPoints;
+      const skip = (i) => own && i === exclude.index;
+
+      if (!tube.closed) {
+        if (!skip(0)) considerPoint('endpoint', anchors[0]);
+        if (!skip(anchors.length - 1)) considerPoint('endpoint', anchors[anchors.length - 1]);
+      }
+      if (this.types.controlPoint) {
+        anchors.forEach((p, i) => {
+          if (skip(i)) return;
+          if (!tube.closed && (i === 0 || i === anchors.length - 1)) return;
+          considerPoint('controlPoint', p);
+        });
+      }
+
+      // The dragged tube's curve is moving with the cursor — leave it out
+      if (own) continue;
+
+      const entry = this._curveFor(tube);
+      if (!entry) continue;
+      if (this.types.midpoint) considerPoint('midpoint', entry.curve.getPointAt(0.5));
+      if (this.types.pixel) {
+        for (const p of this._pixelPositions(tube)) considerPoint('pixel', p);
+      }
+      if (this.types.nearest) {
+        const near = this._nearestOnPolyline(entry.samples, cursor, toScreen);
+        if (near) consider('nearest', near.point, near.screen);
+      }
+    }
+
+    if (this.types.intersection) {
+      const others = exclude ? tubes.filter(t => t.id !== exclude.tubeId) : tubes;
+      const nearCursor = (box) => boxNearScreenPoint(box, cursor, camera, rect);
+      for (const x of this._getIntersections(others, nearCursor)) considerPoint('intersection', x.point);
+    }
+
+    if ((this.types.refVertex || this.types.refEdge) && this.refModelManager) {
+      this._considerRefFace(clientX, clientY, cursor, toScreen, considerPoint, consider);
+    }
+
+    if (!best) return null;
+    const label = SNAP_TYPES.find(t => t.id === best.type).label;
+    return { point: best.point.clone(), type: best.type, label };
+  }
+
+  /** Place the glyph over a snap target. */
+  show(hit) {
+    if (!this.glyph) return;
+    const rect = this.sceneManager.canvas.getBoundingClientRect();
+    const v = hit.point.clone().project(this.sceneManager.camera);
+    this.glyph.style.left = `${(v.x + 1) / 2 * rect.width}px`;
+    this.glyph.style.top = `${(1 - v.y) / 2 * rect.height}px`;
+    this.glyph.innerHTML = `<svg viewBox="0 0 16 16">${GLYPHS[hit.type]}</svg><span>${hit.label}</span>`;
+    this.glyph.classList.add('visible');
+  }
+
+  hide() {
+    if (this.glyph) this.glyph.classList.remove('visible');
+  }
+
+  // ── Tubes ──────────────────────────────────────────
+
+  _snapTubes() {
+    if (!this.tubeManager) return [];
+    return this.tubeManager.tubes.filter(t => t.visible && t.isValid);
+  }
+
+  /** Cached curve + samples, rebuilt when the tube's shape changes. */
+  _curveFor(tube) {
+    const key = ObjectSnap._shapeKey(tube);
+    const cached = this._curves.get(tube.id);
+    if (cached && cached.key === key) return cached;
+
+    const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+    if (!curve) return null;
+    const n = Math.min(MAX_SAMPLES, Math.max(MIN_SAMPLES,
+      Math.ceil(curve.getLength() / SAMPLE_SPACING)));
+    const samples = curve.getSpacedPoints(n);
+    const entry = { key, curve, samples, box: new THREE.Box3().setFromPoints(samples), chunks: null };
+    this._curves.set(tube.id, entry);
+    return entry;
+  }
+
+  /** Runs of CHUNK_SEGMENTS segments with their bounding boxes (built on first use). */
+  static _chunks(entry) {
+    if (entry.chunks) return entry.chunks;
+    const { samples } = entry;
+    entry.chunks = [];
+    for (let start = 0; start < samples.length - 1; start += CHUNK_SEGMENTS) {
+      const end = Math.min(start + CHUNK_SEGMENTS, samples.length - 1);
+      const box = new THREE.Box3();
+      for (let i = start; i <= end; i++) box.expandByPoint(samples[i]);
+      entry.chunks.push({ start, end, box });
+    }
+    return entry.chunks;
+  }
+
+  _pruneCache(tubes) {
+    const ids = new Set(tubes.map(t => t.id));
+    for (const id of this._curves.keys()) {
+      if (!ids.has(id)) this._curves.delete(id);
+    }
+  }
+
+  /** Cheap fingerprint of a tube's shape (points, tension, closed). */
+  static _shapeKey(tube) {
+    let h = 0;
+    tube.controlPoints.forEach((p, i) => {
+      h += (p.x * 1.31 + p.y * 7.17 + p.z * 13.73) * (i + 1);
+    });
+    return `${tube.controlPoints.length}|${tube.tension}|${tube.closed}|${h}`;
+  }
+
+  /** World positions of the tube's pixel instances. */
+  _pixelPositions(tube) {
+    const positions = [];
+    if (!tube.pixelGroup) return positions;
+    const m = new THREE.Matrix4();
+    tube.pixelGroup.traverse(child => {
+      if (!child.isInstancedMesh) return;
+      child.updateWorldMatrix(true, false);
+      for (let i = 0; i < child.count; i++) {
+        child.getMatrixAt(i, m);
+        positions.push(new THREE.Vector3().setFromMatrixPosition(m).applyMatrix4(child.matrixWorld));
+      }
+    });
+    return positions;
+  }
+
+  /** Closest point of a sampled curve to the cursor, measured on screen. */
+  _nearestOnPolyline(samples, cursor, toScreen) {
+    let best = null;
+    let prev = toScreen(samples[0]);
+    for (let i = 1; i < samples.length; i++) {
+      const cur = toScreen(samples[i]);
+      if (prev && cur) {
+        const seg = cur.clone().sub(prev);
+        const lenSq = seg.lengthSq();
+        const t = lenSq > 0 ? THREE.MathUtils.clamp(cursor.clone().sub(prev).dot(seg) / lenSq, 0, 1) : 0;
+        const screen = prev.clone().addScaledVector(seg, t);
+        const dist = screen.distanceTo(cursor);
+        if (!best || dist < best.dist) {
+          best = {
+            dist,
+            screen,
+            point: new THREE.Vector3().lerpVectors(samples[i - 1], samples[i], t),
+          };
+        }
+      }
+      prev = cur;
+    }
+    return best;
+  }
+
+  /**
+   * Points where two tubes cross: closest approach of their centerlines
+   * within the sum of their radii. Tubes running alongside each other don't
+   * count. Only curve chunks whose boxes reach the cursor are tested; their
+   * results are cached per tube pair until one of the two changes.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @param {(box: THREE.Box3) => boolean} nearCursor - box could hold a point under the cursor
+   * @returns {{ point: THREE.Vector3, dist: number }[]}
+   */
+  _getIntersections(tubes, nearCursor) {
+    const entries = tubes.map(t => ({ tube: t, entry: this._curveFor(t) })).filter(e => e.entry);
+    const near = new Map(); // chunk → nearCursor(), once per call
+    const isNear = (chunk) => {
+      if (!near.has(chunk)) near.set(chunk, nearCursor(chunk.box));
+      return near.get(chunk);
+    };
+
+    const all = [];
+    const pairHits = new Map();
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = entries[i];
+        const b = entries[j];
+        const tol = Math.max(0.002, a.tube.outerRadius + b.tube.outerRadius);
+        if (!boxesWithin(a.entry.box, b.entry.box, tol)) continue;
+
+        const pairKey = `${a.tube.id}:${a.entry.key}|${b.tube.id}:${b.entry.key}|${tol}`;
+        const chunkHits = this._pairHits.get(pairKey) || new Map();
+        pairHits.set(pairKey, chunkHits);
+
+        const chunksA = ObjectSnap._chunks(a.entry).filter(c => boxesWithin(c.box, b.entry.box, tol) && isNear(c));
+        if (chunksA.length === 0) continue;
+        const chunksB = ObjectSnap._chunks(b.entry).filter(c => boxesWithin(c.box, a.entry.box, tol) && isNear(c));
+        for (const ca of chunksA) {
+          for (const cb of chunksB) {
+            if (!boxesWithin(ca.box, cb.box, tol)) continue;
+            const k = `${ca.start}:${cb.start}`;
+            let hits = chunkHits.get(k);
+            if (!hits) {
+              hits = chunkCrossings(a.entry.samples, ca, b.entry.samples, cb, tol);
+              chunkHits.set(k, hits);
+            }
+            for (const hit of hits) all.push({ ...hit, tol });
+          }
+        }
+      }
+    }
+    this._pairHits = pairHits;
+
+    // Neighbouring segment pairs (and three tubes through one point) report
+    // the same crossing — keep the closest
+    all.sort((p, q) => p.dist - q.dist);
+    const found = [];
+    for (const hit of all) {
+      if (!found.some(f => f.point.distanceTo(hit.point) < hit.tol * 2)) {
+        found.push({ point: hit.point, dist: hit.dist });
+      }
+    }
+    return found;
+  }
+
+  // ── Reference models ───────────────────────────────
+
+  /** Vertices and edges of the ref model face under the cursor. */
+  _considerRefFace(clientX, clientY, cursor, toScreen, considerPoint, consider) {
+    const meshes = this.refModelManager.getRefModelMeshes();
+    if (meshes.length === 0) return;
+    const hit = this.sceneManager.raycastObjects(clientX, clientY, meshes)
+      .find(h => h.face && h.object.geometry?.attributes?.position);
+    if (!hit) return;
+
+    const pos = hit.object.geometry.attributes.position;
+    const corners = [hit.face.a, hit.face.b, hit.face.c].map(i =>
+      new THREE.Vector3().fromBufferAttribute(pos, i).applyMatrix4(hit.object.matrixWorld));
+
+    for (const c of corners) considerPoint('refVertex', c);
+
+    if (this.types.refEdge) {
+      for (let k = 0; k < 3; k++) {
+        const near = this._nearestOnPolyline([corners[k], corners[(k + 1) % 3]], cursor, toScreen);
+        if (near) consider('refEdge', near.point, near.screen);
+      }
+    }
+  }
+
+  static _loadTypes() {
+    const types = {};
+    for (const t of SNAP_TYPES) types[t.id] = t.on;
+    try {
+      const raw = globalThis.localStorage && localStorage.getItem(STORAGE_KEY);
+      if (raw) {
+        const saved = JSON.parse(raw);
+        for (const id of Object.keys(types)) {
+          if (typeof saved[id] === 'boolean') types[id] = saved[id];
+        }
+      }
+    } catch (err) {
+      console.warn('Object snap: could not read settings', err);
+    }
+    return types;
+  }
+}
+
+/**
+ * Closest approaches within tol between the segments of two curve chunks,
+ * checked by segment box before the closest-point test.
+ * @returns {{ point: THREE.Vector3, dist: number }[]}
+ */
+function chunkCrossings(sa, ca, sb, cb, tol) {
+  const hits = [];
+  const pA = new THREE.Vector3();
+  const pB = new THREE.Vector3();
+  for (let m = ca.start + 1; m <= ca.end; m++) {
+    for (let n = cb.start + 1; n <= cb.end; n++) {
+      if (!segmentsWithin(sa[m - 1], sa[m], sb[n - 1], sb[n], tol)) continue;
+      if (isParallel(sa[m - 1], sa[m], sb[n - 1], sb[n])) continue;
+      const d = closestPointsOnSegments(sa[m - 1], sa[m], sb[n - 1], sb[n], pA, pB);
+      if (d <= tol) hits.push({ point: pA.clone().add(pB).multiplyScalar(0.5), dist: d });
+    }
+  }
+  return hits;
+}
+
+/**
+ * Whether a world box projects within TOLERANCE_PX of a screen point.
+ * Boxes reaching behind the camera count as near.
+ */
+function boxNearScreenPoint(box, cursor, camera, rect) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let c = 0; c < 8; c++) {
+    _corner.set(
+      c & 1 ? box.max.x : box.min.x,
+      c & 2 ? box.max.y : box.min.y,
+      c & 4 ? box.max.z : box.min.z
+    ).project(camera);
+    if (_corner.z > 1 || _corner.z < -1) return true;
+    const x = (_corner.x + 1) / 2 * rect.width;
+    const y = (1 - _corner.y) / 2 * rect.height;
+    minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+  }
+  return cursor.x >= minX - TOLERANCE_PX && cursor.x <= maxX + TOLERANCE_PX
+    && cursor.y >= minY - TOLERANCE_PX && cursor.y <= maxY + TOLERANCE_PX;
+}
+
+/** Whether two boxes come within tol of each other. */
+function boxesWithin(a, b, tol) {
+  return a.min.x - tol <= b.max.x && b.min.x - tol <= a.max.x
+    && a.min.y - tol <= b.max.y && b.min.y - tol <= a.max.y
+    && a.min.z - tol <= b.max.z && b.min.z - tol <= a.max.z;
+}
+
+/** Whether the bounding boxes of segments p1-q1 and p2-q2 come within tol. */
+function segmentsWithin(p1, q1, p2, q2, tol) {
+  return Math.min(p1.x, q1.x) - tol <= Math.max(p2.x, q2.x) && Math.min(p2.x, q2.x) - tol <= Math.max(p1.x, q1.x)
+    && Math.min(p1.y, q1.y) - tol <= Math.max(p2.y, q2.y) && Math.min(p2.y, q2.y) - tol <= Math.max(p1.y, q1.y)
+    && Math.min(p1.z, q1.z) - tol <= Math.max(p2.z, q2.z) && Math.min(p2.z, q2.z) - tol <= Math.max(p1.z, q1.z);
+}
+
+// Scratch vectors for the box / segment tests (hot loops — no allocation)
+const _corner = new THREE.Vector3();
+const _d1 = new THREE.Vector3();
+const _d2 = new THREE.Vector3();
+const _r = new THREE.Vector3();
+
+/** Whether two segments run (nearly) the same direction. */
+function isParallel(p1, q1, p2, q2) {
+  _d1.subVectors(q1, p1).normalize();
+  _d2.subVectors(q2, p2).normalize();
+  return Math.abs(_d1.dot(_d2)) > 0.995;
+}
+
+/**
+ * Closest points between segments p1-q1 and p2-q2 (written to c1, c2).
+ * @returns {number} distance between them
+ */
+function closestPointsOnSegments(p1, q1, p2, q2, c1, c2) {
+  const d1 = _d1.subVectors(q1, p1);
+  const d2 = _d2.subVectors(q2, p2);
+  const r = _r.subVectors(p1, p2);
+  const a = d1.dot(d1);
+  const e = d2.dot(d2);
+  const f = d2.dot(r);
+  let s;
+  let t;
+
+  if (a < 1e-12 && e < 1e-12) {
+    s = 0; t = 0;
+  } else if (a < 1e-12) {
+    s = 0;
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = d1.dot(r);
+    if (e < 1e-12) {
+      t = 0;
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom > 1e-12 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+
+  c1.copy(p1).addScaledVector(d1, s);
+  c2.copy(p2).addScaledVector(d2, t);
+  return c1.distanceTo(c2);
+}
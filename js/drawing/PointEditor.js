@@ -1,13 +1,21 @@
 import * as THREE from 'three';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { CurveBuilder } from './CurveBuilder.js';
+import { BezierPath } from './BezierPath.js';
+
+// Rotation gizmo steps (exact angles: Rotate / Mirror dialog)
+const ROTATION_SNAP_DEG = 15;
 
 /**
  * Select and move individual control points or entire tubes.
  *
  * Modes:
  *   - Click a control point helper → move that single point
- *   - Click a tube body           → move the whole tube
+ *   - Click a tube body           → move the whole tube (R: rotate it instead)
+ *
+ * Bezier tubes (pen tool) show their anchors and handles instead: moving an
+ * anchor carries its handles, moving a handle of a smooth anchor swings the
+ * opposite one. S toggles smooth / corner, Delete on a handle retracts it.
  */
 export class PointEditor {
   constructor(sceneManager) {
@@ -17,11 +25,15 @@ export class PointEditor {
 
     this.selectedHelper = null;
     this.transformControls = null;
+    this._bezierPreview = null;    // exact path line while dragging a bezier helper
+    this.objectSnap = null;        // ObjectSnap — set by DrawingManager
+    this._pointer = null;          // last pointer position (object snap while dragging)
 
     // Whole-tube move state
     this._movingTube = null;       // TubeModel being moved
     this._tubePivot = null;        // invisible Object3D that TransformControls attaches to
     this._tubeMoveStart = null;    // position at drag start
+    this._rotateMode = false;      // R: the whole-tube gizmo rotates instead of moving
 
     // Reference model selection
     this.refModelManager = null;   // set by UIManager
@@ -35,11 +47,13 @@ export class PointEditor {
     this.onTubeMoved = null;     // (tubeModel) => {}
     this.onTubeExtended = null;  // (tubeModel) => {}
     this.onGroupMoveLive = null; // (tubeIds, delta) => {} — live preview for connectors
+    this.onGroupTransformLive = null; // (tubeIds, matrix) => {} — live rotation preview for connectors
     this.onBeforeMutate = null;  // () => {} — for undo capture before drag/delete
 
     this._onPointerDown = this._onMouseDown.bind(this);
     this._onDblClick = this._onDblClick.bind(this);
     this._onKeyDown = this._onKeyDown.bind(this);
+    this._onPointerMove = (e) => { this._pointer = { x: e.clientX, y: e.clientY }; };
 
     // Create transform controls
     this.transformControls = new TransformControls(
@@ -48,6 +62,7 @@ export class PointEditor {
     );
     this.transformControls.setMode('translate');
     this.transformControls.setSize(0.5);
+    this.transformControls.setRotationSnap(THREE.MathUtils.degToRad(ROTATION_SNAP_DEG));
     this.transformControls.visible = false;
     this.transformControls.enabled = false;
     sceneManager.scene.add(this.transformControls.getHelper());
@@ -92,6 +107,7 @@ export class PointEditor {
     this.tubeManager = tubeManager;
     const canvas = this.sceneManager.canvas;
     canvas.addEventListener('pointerdown', this._onPointerDown);
+    canvas.addEventListener('pointermove', this._onPointerMove);
     canvas.addEventListener('dblclick', this._onDblClick);
     document.addEventListener('keydown', this._onKeyDown);
   }
@@ -101,6 +117,7 @@ export class PointEditor {
     this._deselectAll();
     const canvas = this.sceneManager.canvas;
     canvas.removeEventListener('pointerdown', this._onPointerDown);
+    canvas.removeEventListener('pointermove', this._onPointerMove);
     canvas.removeEventListener('dblclick', this._onDblClick);
     document.removeEventListener('keydown', this._onKeyDown);
   }
@@ -166,6 +183,7 @@ export class PointEditor {
   _selectPoint(helper) {
     this._clearTubeMove();
     this.selectedHelper = helper;
+    this.transformControls.setMode('translate');
     this.transformControls.attach(helper);
     this.transformControls.visible = true;
     this.transformControls.enabled = true;
@@ -173,6 +191,7 @@ export class PointEditor {
   }
 
   _deselectPoint() {
+    this._clearBezierPreview();
     if (this.selectedHelper) {
       this.transformControls.detach();
       this.transformControls.visible = false;
@@ -190,12 +209,25 @@ export class PointEditor {
     const tube = this.tubeManager.getTubeById(tubeId);
     if (!tube) return;
 
+    // Object snap overrides the gizmo's axis constraint
+    if (this.objectSnap && this._pointer) {
+      const index = this.selectedHelper.userData.bezierIndex ?? pointIndex;
+      const hit = this.objectSnap.snap(this._pointer.x, this._pointer.y, { exclude: { tubeId, index } });
+      if (hit) this.selectedHelper.position.copy(hit.point);
+    }
+
+    if (this.selectedHelper.userData.bezierIndex != null) {
+      this._onBezierChangeLive(tube);
+      return;
+    }
+
     // Just update the data model point (no geometry rebuild during drag)
     tube.controlPoints[pointIndex].copy(this.selectedHelper.position);
   }
 
   /** Full rebuild when drag ends */
   _onTransformEnd() {
+    if (this.objectSnap) this.objectSnap.hide();
     if (!this.selectedHelper || !this.tubeManager) return;
 
     const tubeId = this.selectedHelper.userData.tubeId;
@@ -203,6 +235,15 @@ export class PointEditor {
     const tube = this.tubeManager.getTubeById(tubeId);
     if (!tube) return;
 
+    if (this.selectedHelper.userData.bezierIndex != null) {
+      const { bezierIndex, handle } = this.selectedHelper.userData;
+      this._clearBezierPreview();
+      this.tubeManager.updateTube(tube);
+      this._reselectBezier(tube, bezierIndex, handle);
+      if (this.onPointMoved) this.onPointMoved(tube);
+      return;
+    }
+
     // Update point and fully rebuild geometry
     tube.updatePoint(pointIndex, this.selectedHelper.position);
     this.tubeManager.updateTube(tube);
@@ -217,6 +258,101 @@ export class PointEditor {
     if (this.onPointMoved) this.onPointMoved(tube);
   }
 
+  // ── Bezier anchors & handles ──────────────────────────
+
+  /** Live drag: edit the path, move the node's other helpers, preview the curve */
+  _onBezierChangeLive(tube) {
+    const { bezierIndex, handle } = this.selectedHelper.userData;
+    const node = tube.bezierNodes[bezierIndex];
+    if (!node) return;
+
+    if (handle) {
+      BezierPath.moveHandle(node, handle, this.selectedHelper.position);
+    } else {
+      BezierPath.moveNode(node, this.selectedHelper.position);
+    }
+
+    // Keep the sibling helpers and handle lines on the node
+    const linePts = [];
+    for (const h of tube.controlPointHelpers) {
+      const n = tube.bezierNodes[h.userData.bezierIndex];
+      if (h.userData.handle) {
+        const pos = h.userData.handle === 'in' ? n.handleIn : n.handleOut;
+        if (h !== this.selectedHelper) h.position.copy(pos);
+        linePts.push(n.point, pos);
+      } else if (h !== this.selectedHelper) {
+        h.position.copy(n.point);
+      }
+    }
+    const lines = tube.group?.getObjectByName(`__bezier_handles_${tube.id}`);
+    if (lines) lines.geometry.setFromPoints(linePts);
+
+    this._clearBezierPreview();
+    const curve = BezierPath.buildCurve(tube.bezierNodes, tube.closed);
+    this._bezierPreview = CurveBuilder.createPreviewLine(curve, 0xffaa44);
+    if (this._bezierPreview) this.sceneManager.scene.add(this._bezierPreview);
+  }
+
+  _clearBezierPreview() {
+    if (this._bezierPreview) {
+      this.sceneManager.scene.remove(this._bezierPreview);
+      this._bezierPreview.geometry.dispose();
+      this._bezierPreview.material.dispose();
+      this._bezierPreview = null;
+    }
+  }
+
+  /** Helper for a bezier anchor (handle = null) or one of its handles. */
+  _findBezierHelper(tube, bezierIndex, handle = null) {
+    return tube.controlPointHelpers.find(h =>
+      h.userData.bezierIndex === bezierIndex && h.userData.handle === handle) || null;
+  }
+
+  /** After a rebuild: select the same anchor/handle (or its anchor if the handle is gone). */
+  _reselectBezier(tube, bezierIndex, handle = null) {
+    const helper = this._findBezierHelper(tube, bezierIndex, handle)
+      || this._findBezierHelper(tube, bezierIndex, null);
+    if (helper) this._selectPoint(helper);
+    else this._deselectPoint();
+  }
+
+  /** Delete on a bezier helper: retract a handle, or remove an anchor. */
+  _deleteBezierHelper(tube) {
+    const { bezierIndex, handle } = this.selectedHelper.userData;
+    const node = tube.bezierNodes[bezierIndex];
+    if (!node) return;
+    if (!handle && tube.bezierNodes.length <= 2) return;
+
+    if (this.onBeforeMutate) this.onBeforeMutate();
+    this._deselectAll();
+    if (handle) {
+      (handle === 'in' ? node.handleIn : node.handleOut).copy(node.point);
+    } else {
+      tube.bezierNodes.splice(bezierIndex, 1);
+    }
+    this.tubeManager.updateTube(tube);
+    if (handle) this._reselectBezier(tube, bezierIndex);
+
+    if (this.onPointDeleted) this.onPointDeleted(tube);
+  }
+
+  /** S key: toggle the selected anchor between smooth and corner. */
+  _toggleBezierType(tube) {
+    const { bezierIndex } = this.selectedHelper.userData;
+    const node = tube.bezierNodes[bezierIndex];
+    if (!node) return;
+
+    if (this.onBeforeMutate) this.onBeforeMutate();
+    const type = node.type === 'smooth' ? 'corner' : 'smooth';
+    BezierPath.setType(tube.bezierNodes, bezierIndex, type, tube.closed);
+    this.tubeManager.updateTube(tube);
+    this._reselectBezier(tube, bezierIndex);
+
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) statusEl.textContent = `Point ${bezierIndex + 1}: ${type}`;
+    if (this.onPointMoved) this.onPointMoved(tube);
+  }
+
   // ── Whole tube move ───────────────────────────────────
 
   _selectTubeForMove(tube) {
@@ -226,8 +362,10 @@ export class PointEditor {
     // Place pivot at the tube's centroid
     const center = this._getTubeCentroid(tube);
     this._tubePivot.position.copy(center);
+    this._tubePivot.quaternion.identity();
     this._tubeMoveStart = center.clone();
 
+    this.transformControls.setMode(this._rotateMode ? 'rotate' : 'translate');
     this.transformControls.attach(this._tubePivot);
     this.transformControls.visible = true;
     this.transformControls.enabled = true;
@@ -246,6 +384,10 @@ export class PointEditor {
   /** Live preview: move the tube group in the scene (cheap) */
   _onTubeMoveLive() {
     if (!this._movingTube || !this._movingTube.group) return;
+    if (this._rotateMode) {
+      this._onTubeRotateLive();
+      return;
+    }
     const delta = this._tubePivot.position.clone().sub(this._tubeMoveStart);
     // Move all group members visually
     const members = this.tubeManager.getGroupMembers(this._movingTube);
@@ -263,6 +405,10 @@ export class PointEditor {
   _onTubeMoveEnd() {
     const tube = this._movingTube;
     if (!tube) return;
+    if (this._rotateMode) {
+      this._onTubeRotateEnd();
+      return;
+    }
 
     const delta = this._tubePivot.position.clone().sub(this._tubeMoveStart);
 
@@ -289,13 +435,86 @@ export class PointEditor {
       // Reset any partial group offset on all members
       const members = this.tubeManager ? this.tubeManager.getGroupMembers(this._movingTube) : [this._movingTube];
       for (const member of members) {
-        if (member.group) member.group.position.set(0, 0, 0);
+        if (member.group) {
+          member.group.position.set(0, 0, 0);
+          member.group.quaternion.identity();
+        }
       }
+      this._tubePivot.quaternion.identity();
       this._movingTube = null;
       this._tubeMoveStart = null;
     }
   }
 
+  // ── Whole tube rotate (R) ─────────────────────────────
+
+  /** Rotation of the gizmo so far, around the pivot */
+  _pivotRotation() {
+    const p = this._tubeMoveStart;
+    return new THREE.Matrix4().makeTranslation(p.x, p.y, p.z)
+      .multiply(new THREE.Matrix4().makeRotationFromQuaternion(this._tubePivot.quaternion))
+      .multiply(new THREE.Matrix4().makeTranslation(-p.x, -p.y, -p.z));
+  }
+
+  /** Live preview: turn the tube groups in the scene around the pivot */
+  _onTubeRotateLive() {
+    const m = this._pivotRotation();
+    const members = this.tubeManager.getGroupMembers(this._movingTube);
+    for (const member of members) {
+      if (!member.group) continue;
+      member.group.position.setFromMatrixPosition(m);
+      member.group.quaternion.copy(this._tubePivot.quaternion);
+    }
+    if (this.onGroupTransformLive) {
+      this.onGroupTransformLive(members.map(t => t.id), m);
+    }
+  }
+
+  /** On drag end: rotate the control points of the tube (and its group) */
+  _onTubeRotateEnd() {
+    const tube = this._movingTube;
+    const m = this._pivotRotation();
+    const angle = 2 * Math.acos(Math.min(1, Math.abs(this._tubePivot.quaternion.w)));
+
+    const members = this.tubeManager.getGroupMembers(tube);
+    for (const member of members) {
+      if (member.group) {
+        member.group.position.set(0, 0, 0);
+        member.group.quaternion.identity();
+      }
+    }
+
+    if (angle > 1e-4) {
+      this.tubeManager.transformGroup(tube, m);
+      const statusEl = document.getElementById('status-text');
+      const deg = Math.round(THREE.MathUtils.radToDeg(angle) * 10) / 10;
+      if (statusEl) statusEl.textContent = `Rotated "${tube.name}" ${deg}° — R: back to move`;
+    } else if (this.onGroupTransformLive) {
+      this.onGroupTransformLive(members.map(t => t.id), new THREE.Matrix4());
+    }
+
+    // Fresh pivot at the new centroid for further turns
+    const newCenter = this._getTubeCentroid(tube);
+    this._tubePivot.position.copy(newCenter);
+    this._tubePivot.quaternion.identity();
+    this._tubeMoveStart = newCenter.clone();
+
+    if (this.onTubeMoved) this.onTubeMoved(tube);
+  }
+
+  /** R: switch the whole-tube gizmo between move and rotate */
+  _toggleRotateMode() {
+    this._rotateMode = !this._rotateMode;
+    this.transformControls.setMode(this._rotateMode ? 'rotate' : 'translate');
+    this.sceneManager.requestRender();
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) {
+      statusEl.textContent = this._rotateMode
+        ? `Rotate: drag a ring (${ROTATION_SNAP_DEG}° steps) · R: move`
+        : 'Move: drag an arrow · R: rotate';
+    }
+  }
+
   // ── Double-click to insert point on tube body ────────
 
   _onDblClick(e) {
@@ -320,7 +539,9 @@ export class PointEditor {
     const newIndex = this.tubeManager.insertPointOnCurve(tube, t);
     if (newIndex >= 0) {
       // Select the newly inserted point
-      const helper = tube.controlPointHelpers[newIndex];
+      const helper = tube.isBezier
+        ? this._findBezierHelper(tube, newIndex)
+        : tube.controlPointHelpers[newIndex];
       if (helper) this._selectPoint(helper);
       if (this.onPointInserted) this.onPointInserted(tube);
     }
@@ -350,6 +571,11 @@ export class PointEditor {
       const tube = this.tubeManager.getTubeById(tubeId);
       if (!tube) return;
 
+      if (this.selectedHelper.userData.bezierIndex != null) {
+        this._deleteBezierHelper(tube);
+        return;
+      }
+
       // Don't allow deleting below 2 points
       if (tube.controlPoints.length <= 2) return;
 
@@ -361,6 +587,15 @@ export class PointEditor {
       if (this.onPointDeleted) this.onPointDeleted(tube);
     }
 
+    // Move / rotate gizmo with R key (whole tube selected; Ctrl+R is redo)
+    if ((e.key === 'r' || e.key === 'R') && !e.ctrlKey && !e.metaKey
+        && this._movingTube && !this._isDragging
+        && !['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+      e.preventDefault();
+      this._toggleRotateMode();
+      return;
+    }
+
     // Toggle height mode with H key
     if (e.key === 'h' || e.key === 'H') {
       if (this.transformControls.visible) {
@@ -368,15 +603,27 @@ export class PointEditor {
       }
     }
 
+    // Smooth / corner toggle with S key (bezier anchors)
+    if ((e.key === 's' || e.key === 'S') && !e.ctrlKey && !e.metaKey
+        && this.selectedHelper && this.selectedHelper.userData.bezierIndex != null) {
+      const tube = this.tubeManager.getTubeById(this.selectedHelper.userData.tubeId);
+      if (tube && tube.isBezier) this._toggleBezierType(tube);
+      return;
+    }
+
     // Extend tube with E key (only at first or last control point)
     if ((e.key === 'e' || e.key === 'E') && this.selectedHelper) {
       const tubeId = this.selectedHelper.userData.tubeId;
-      const pointIndex = this.selectedHelper.userData.pointIndex;
+      const { bezierIndex, handle } = this.selectedHelper.userData;
       const tube = this.tubeManager.getTubeById(tubeId);
       if (!tube || tube.closed) return;
 
+      const isBezier = bezierIndex != null;
+      if (isBezier && handle) return;
+      const pointIndex = isBezier ? bezierIndex : this.selectedHelper.userData.pointIndex;
+      const count = isBezier ? tube.bezierNodes.length : tube.controlPoints.length;
       const isFirst = pointIndex === 0;
-      const isLast = pointIndex === tube.controlPoints.length - 1;
+      const isLast = pointIndex === count - 1;
       if (!isFirst && !isLast) return;
 
       e.preventDefault();
@@ -385,7 +632,9 @@ export class PointEditor {
       const end = isFirst ? 'start' : 'end';
       const newIndex = this.tubeManager.extendTube(tube, end, 0.1);
       if (newIndex >= 0) {
-        const helper = tube.controlPointHelpers[newIndex];
+        const helper = isBezier
+          ? this._findBezierHelper(tube, newIndex)
+          : tube.controlPointHelpers[newIndex];
         if (helper) this._selectPoint(helper);
         if (this.onTubeExtended) this.onTubeExtended(tube);
       }
@@ -11,6 +11,8 @@ export class ShapeMode {
     this.active = false;
     this.snapEnabled = true;
     this.gridSize = 0.01;
+    this.objectSnap = null;    // ObjectSnap — set by DrawingManager
+    this._objectSnapped = false;
 
     this._anchor = null;       // first click point
     this._previewLine = null;
@@ -40,6 +42,7 @@ export class ShapeMode {
     this.active = false;
     this._anchor = null;
     this._clearVisuals();
+    if (this.objectSnap) this.objectSnap.hide();
     const canvas = this.sceneManager.canvas;
     canvas.removeEventListener('pointermove', this._onPointerMove);
     canvas.removeEventListener('pointerdown', this._onPointerDown);
@@ -57,7 +60,8 @@ export class ShapeMode {
     if (!point) return;
 
     if (!this._anchor) {
-      // First click — set anchor
+      // First click — set anchor (a snapped point may sit off the plane: draw there)
+      if (this._objectSnapped) this.sceneManager.anchorPlaneAt(point);
       this._anchor = point.clone();
       this._showAnchorMarker(point);
       this._updateStatus('first');
@@ -206,6 +210,14 @@ export class ShapeMode {
   // ── Helpers ────────────────────────────────────────
 
   _getPlanePoint(e) {
+    // Object snap first; the second point is flattened onto the shape's plane
+    const hit = this.objectSnap ? this.objectSnap.snap(e.clientX, e.clientY) : null;
+    this._objectSnapped = !!hit;
+    if (hit) {
+      if (this._anchor) this.sceneManager.constrainToPlane(hit.point);
+      return this.sceneManager.clampToGrid(hit.point);
+    }
+
     let point = this.sceneManager.raycastDrawingPlane(e.clientX, e.clientY);
     if (!point) return null;
     this.sceneManager.constrainToPlane(point);
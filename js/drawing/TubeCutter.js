@@ -1,9 +1,12 @@
 import * as THREE from 'three';
 import { CurveBuilder } from './CurveBuilder.js';
+import { tubeCutRules, checkLength } from '../tube/CutRules.js';
 
 /**
  * Interactive cut tool — click on any tube body to split it.
  * Hover shows a red cut marker ring along the tube; click performs the cut.
+ * On tubes whose preset has a cut increment, the cut snaps to the cut marks
+ * (measured from the tube start).
  */
 export class TubeCutter {
   constructor(sceneManager, tubeManager) {
@@ -125,7 +128,12 @@ export class TubeCutter {
       return;
     }
 
-    const t = CurveBuilder.findNearestT(curve, hit.point);
+    const totalLength = CurveBuilder.getLength(curve);
+    let t = CurveBuilder.findNearestT(curve, hit.point);
+    const rules = tube.closed ? null : tubeCutRules(tube);
+    if (rules && rules.incrementM > 0 && totalLength > rules.incrementM) {
+      t = this._snapToCutMark(t, totalLength, rules.incrementM);
+    }
     const curvePoint = curve.getPointAt(t);
     const tangent = curve.getTangentAt(t);
 
@@ -165,11 +173,20 @@ export class TubeCutter {
       label = `Cut (open) ${pct}%`;
       statusText = `Cut Tool — Click to open the tube at ${pct}% | Esc to exit`;
     } else {
-      const totalLength = CurveBuilder.getLength(curve);
       const lengthA = Math.round(totalLength * t * 1000);
       const lengthB = Math.round(totalLength * (1 - t) * 1000);
       label = `Cut ${pct}% — ${lengthA}mm | ${lengthB}mm`;
       statusText = `Cut Tool — Click to split: ${lengthA}mm | ${lengthB}mm (${pct}%) | Esc to exit`;
+      if (rules) {
+        const problems = [
+          ...checkLength(totalLength * t, rules),
+          ...checkLength(totalLength * (1 - t), rules),
+        ];
+        if (problems.length > 0) {
+          label += ' (!)';
+          statusText += ` — can't be built: ${problems.join('; ')}`;
+        }
+      }
     }
     this._updateLabel(label);
     this._labelSprite.position.copy(curvePoint);
@@ -213,6 +230,17 @@ export class TubeCutter {
     }
   }
 
+  /**
+   * Move t to the nearest cut mark strictly inside the tube (first piece at
+   * least one increment). t is an arc-length fraction (getPointAt).
+   */
+  _snapToCutMark(t, totalLength, incrementM) {
+    const marks = Math.floor((totalLength - 1e-6) / incrementM);
+    if (marks < 1) return t;
+    const mark = Math.min(marks, Math.max(1, Math.round((t * totalLength) / incrementM)));
+    return (mark * incrementM) / totalLength;
+  }
+
   _hideMarker() {
     this._marker.visible = false;
     this._cutLine.visible = false;
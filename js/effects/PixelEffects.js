@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { getPixelMesh, beginPixelColors, clearPixelColors } from '../dmx/PixelColors.js';
+
+/** Length of the scrubbable timeline in seconds (effects loop seamlessly). */
+export const TIMELINE_LENGTH_S = 10;
+
+const _c1 = new THREE.Color();
+const _c2 = new THREE.Color();
+
+function fract(x) {
+  return x - Math.floor(x);
+}
+
+/** Deterministic 0..1 hash of an integer pair (for the noise effect). */
+function hash2(a, b) {
+  let h = (a * 374761393 + b * 668265263) | 0;
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+}
+
+/** Smooth 1D value noise over time for one pixel, repeating every `period`. */
+function valueNoise(pixel, t, period) {
+  const i = Math.floor(t);
+  const f = t - i;
+  const s = f * f * (3 - 2 * f);
+  const a = ((i % period) + period) % period;
+  return hash2(pixel, a) * (1 - s) + hash2(pixel, (a + 1) % period) * s;
+}
+
+/**
+ * Effect generators. Each writes one pixel color into `out`.
+ *   pos   - pixel position along the tube in display order, 0 → 1
+ *   index - pixel number in display order (0-based)
+ *   t     - effect time in cycles (1 cycle per second at speed 1) incl. offset
+ *   p     - shared params { color1, color2, size }
+ */
+export const EFFECTS = {
+  chase: {
+    label: 'Chase',
+    render(pos, index, t, p, out) {
+      // Band of width `size` travelling start → end with a soft tail
+      const d = fract(pos - t);
+      const k = d > 1 - p.size ? (d - (1 - p.size)) / p.size : 0;
+      out.copy(_c2.set(p.color2)).lerp(_c1.set(p.color1), k);
+    },
+  },
+  rainbow: {
+    label: 'Rainbow',
+    render(pos, index, t, p, out) {
+      out.setHSL(fract(pos / Math.max(0.05, p.size) - t), 1, 0.5);
+    },
+  },
+  gradient: {
+    label: 'Gradient Sweep',
+    render(pos, index, t, p, out) {
+      const k = 0.5 + 0.5 * Math.sin(2 * Math.PI * (pos / Math.max(0.05, p.size) - t));
+      out.copy(_c2.set(p.color2)).lerp(_c1.set(p.color1), k);
+    },
+  },
+  strobe: {
+    label: 'Strobe',
+    render(pos, index, t, p, out) {
+      // `size` is the duty cycle (flash length per cycle)
+      out.set(fract(t * 4) < p.size ? p.color1 : p.color2);
+    },
+  },
+  noise: {
+    label: 'Noise',
+    render(pos, index, t, p, out) {
+      // Neighbouring pixels share noise cells — `size` = cell width along the tube
+      const cell = Math.floor(index * Math.max(0.02, 1 - p.size));
+      const k = valueNoise(cell, t * 2, TIMELINE_LENGTH_S * 2);
+      out.copy(_c2.set(p.color2)).lerp(_c1.set(p.color1), k * k);
+    },
+  },
+};
+
+/** How the phase offset is spread across tubes. */
+export const OFFSET_MODES = {
+  none:  'None',
+  tube:  'Per Tube',
+  group: 'Per Group',
+};
+
+/**
+ * Local pixel effects generator.
+ * Writes colors into every tube's pixel InstancedMesh in TubeModel.orderedPixelIndices
+ * order (instance i = pixel i), so start pixel and direction are visible.
+ * Runs its own requestAnimationFrame loop while playing.
+ */
+export class PixelEffectsEngine {
+  /**
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {import('../scene/SceneManager.js').SceneManager} sceneManager
+   */
+  constructor(tubeManager, sceneManager) {
+    this.tubeManager = tubeManager;
+    this.sceneManager = sceneManager;
+
+    this.effect = 'chase';
+    this.params = {
+      color1: '#00d4ff',
+      color2: '#000000',
+      size: 0.25,
+    };
+    this.offsetMode = 'none';
+    this.offset = 0.1;   // cycles of phase shift per tube / group
+    this.speed = 1;      // time multiplier
+    this.time = 0;       // seconds on the timeline
+    this.playing = false;
+    this.active = false; // colors currently overridden (playing or paused)
+
+    this.onTimeUpdate = null; // (timeSeconds) => {}
+
+    this._lastTick = 0;
+    this._rafId = null;
+    this._tick = this._tick.bind(this);
+  }
+
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this.active = true;
+    this._lastTick = performance.now();
+    this._rafId = requestAnimationFrame(this._tick);
+  }
+
+  pause() {
+    this.playing = false;
+    if (this._rafId) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+  }
+
+  /** Stop playback, rewind and restore static pixel colors. */
+  stop() {
+    this.pause();
+    this.active = false;
+    this.time = 0;
+    clearPixelColors(this.tubeManager.tubes);
+    this.sceneManager.requestRender();
+    if (this.onTimeUpdate) this.onTimeUpdate(this.time);
+  }
+
+  /** Jump to a timeline position and show that frame (also while paused). */
+  seek(timeSeconds) {
+    this.time = ((timeSeconds % TIMELINE_LENGTH_S) + TIMELINE_LENGTH_S) % TIMELINE_LENGTH_S;
+    this.active = true;
+    this.renderFrame();
+    if (this.onTimeUpdate) this.onTimeUpdate(this.time);
+  }
+
+  /** Redraw the current frame (call after changing effect or params). */
+  refresh() {
+    if (this.active) this.renderFrame();
+  }
+
+  _tick(now) {
+    if (!this.playing) return;
+    const dt = Math.min(0.1, (now - this._lastTick) / 1000);
+    this._lastTick = now;
+    this.time = (this.time + dt * this.speed) % TIMELINE_LENGTH_S;
+    this.renderFrame();
+    if (this.onTimeUpdate) this.onTimeUpdate(this.time);
+    this._rafId = requestAnimationFrame(this._tick);
+  }
+
+  renderFrame() {
+    const fx = EFFECTS[this.effect] || EFFECTS.chase;
+    const tubes = this.tubeManager.tubes;
+    const color = new THREE.Color();
+
+    // Phase index per tube: position in list, or per distinct group
+    const groupIndex = new Map();
+    let tubeIndex = 0;
+
+    for (const tube of tubes) {
+      let phaseIdx = 0;
+      if (this.offsetMode === 'tube') {
+        phaseIdx = tubeIndex;
+      } else if (this.offsetMode === 'group') {
+        const key = tube.groupId || `tube-${tube.id}`;
+        if (!groupIndex.has(key)) groupIndex.set(key, groupIndex.size);
+        phaseIdx = groupIndex.get(key);
+      }
+      tubeIndex++;
+
+      const mesh = getPixelMesh(tube);
+      if (!mesh) continue;
+      beginPixelColors(mesh);
+
+      const t = this.time + phaseIdx * this.offset;
+      const count = mesh.count;
+      for (let i = 0; i < count; i++) {
+        const pos = count > 1 ? i / (count - 1) : 0;
+        fx.render(pos, i, t, this.params, color);
+        mesh.setColorAt(i, color);
+      }
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    }
+    this.sceneManager.requestRender();
+  }
+}
@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { TubeGeometryBuilder } from '../tube/TubeGeometryBuilder.js';
+
+/** Preview mapping modes. */
+export const TEXTURE_MODES = {
+  tube:       'Per Tube (along path)',
+  projection: '2D Projection',
+};
+
+const _v = new THREE.Vector3();
+
+/**
+ * Image / video preview on UV-mapped tubes.
+ *
+ * Per tube: the tube is split into the same parts the MVR export gives Capture
+ * (TubeGeometryBuilder.buildUVParts: up to 512 channels each, open tubes begin
+ * at startPixel) and the image's horizontal axis runs 0 → 1 along each part.
+ * The vertical centre line is used; the unmapped lead-in is drawn dark.
+ *
+ * Projection: one image is projected flat across all target tubes, on the plane
+ * of their two largest bounding-box extents.
+ *
+ * The tube body is hidden and an unlit copy with preview UVs is added to the
+ * tube's group, so the model itself (and the export) is never modified.
+ */
+export class TexturePreview {
+  /**
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {import('../scene/SceneManager.js').SceneManager} sceneManager
+   */
+  constructor(tubeManager, sceneManager) {
+    this.tubeManager = tubeManager;
+    this.sceneManager = sceneManager;
+
+    this.mode = 'tube';
+    this.fileName = null;
+    this.active = false;
+
+    this._texture = null;
+    this._video = null;
+    this._objectUrl = null;
+    this._tubeIds = new Set();
+    this._rafId = null;
+    this._tick = this._tick.bind(this);
+  }
+
+  /** Whether the loaded media is a video. */
+  get isVideo() {
+    return this._video != null;
+  }
+
+  /**
+   * Load an image or video file as the preview texture.
+   * @param {File} file
+   * @returns {Promise<void>}
+   */
+  async loadFile(file) {
+    this._releaseMedia();
+    this._objectUrl = URL.createObjectURL(file);
+    this.fileName = file.name;
+
+    if (file.type.startsWith('video/')) {
+      const video = document.createElement('video');
+      video.src = this._objectUrl;
+      video.loop = true;
+      video.muted = true;
+      video.playsInline = true;
+      await new Promise((resolve, reject) => {
+        video.onloadeddata = resolve;
+        video.onerror = () => reject(new Error('Unsupported video file'));
+      });
+      this._video = video;
+      this._texture = new THREE.VideoTexture(video);
+    } else {
+      this._texture = await new THREE.TextureLoader().loadAsync(this._objectUrl)
+        .catch(() => { throw new Error('Unsupported image file'); });
+    }
+    this._texture.colorSpace = THREE.SRGBColorSpace;
+  }
+
+  /**
+   * Show the loaded media on the given tubes (non UV-mapped tubes are skipped).
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @param {string} mode - key of TEXTURE_MODES
+   * @returns {number} number of tubes previewed
+   */
+  apply(tubes, mode) {
+    if (!this._texture) return 0;
+    this._removeMeshes();
+    this.mode = TEXTURE_MODES[mode] ? mode : 'tube';
+    this._tubeIds = new Set(tubes.filter(t => t.pixelMode === 'uv-mapped' && !t.isPlaceholder).map(t => t.id));
+    this.active = this._tubeIds.size > 0;
+    if (!this.active) return 0;
+
+    this._buildMeshes();
+    if (this._video) {
+      this._video.play();
+      if (!this._rafId) this._rafId = requestAnimationFrame(this._tick);
+    }
+    this.sceneManager.requestRender();
+    return this._tubeIds.size;
+  }
+
+  /** Rebuild preview meshes after tubes were rebuilt, moved or deleted. */
+  refresh() {
+    if (!this.active) return;
+    this._removeMeshes();
+    const alive = new Set(this.tubeManager.tubes.map(t => t.id));
+    for (const id of this._tubeIds) {
+      if (!alive.has(id)) this._tubeIds.delete(id);
+    }
+    this._buildMeshes();
+    this.sceneManager.requestRender();
+  }
+
+  /** Remove the preview and release the loaded media. */
+  clear() {
+    this._removeMeshes();
+    this._releaseMedia();
+    this._tubeIds.clear();
+    this.active = false;
+    this.sceneManager.requestRender();
+  }
+
+  // ─── Preview Meshes ─────────────────────────────────────
+
+  _targetTubes() {
+    return this.tubeManager.tubes.filter(t =>
+      this._tubeIds.has(t.id) && t.bodyMesh && t.pixelMode === 'uv-mapped');
+  }
+
+  _buildMeshes() {
+    const tubes = this._targetTubes();
+    const projection = this.mode === 'projection' ? this._projectionFrame(tubes) : null;
+
+    for (const tube of tubes) {
+      const preview = projection ? this._projectedMesh(tube, projection) : this._pathGroup(tube);
+      if (!preview) continue;
+      preview.name = `Tube_${tube.id}_TexturePreview`;
+      tube.group.add(preview);
+      tube.bodyMesh.visible = false;
+    }
+  }
+
+  _removeMeshes() {
+    for (const tube of this.tubeManager.tubes) {
+      if (!tube.group) continue;
+      const preview = tube.group.getObjectByName(`Tube_${tube.id}_TexturePreview`);
+      if (preview) {
+        tube.group.remove(preview);
+        preview.traverse((obj) => {
+          if (!obj.isMesh) return;
+          obj.geometry.dispose();
+          obj.material.dispose();
+        });
+      }
+      if (tube.bodyMesh) tube.bodyMesh.visible = true;
+    }
+  }
+
+  _previewMesh(geo, material) {
+    const mesh = new THREE.Mesh(geo, material);
+    mesh.raycast = () => {}; // selection keeps hitting the (hidden) body
+    return mesh;
+  }
+
+  _textureMaterial() {
+    const mat = new THREE.MeshBasicMaterial({ map: this._texture, side: THREE.DoubleSide });
+    mat.name = 'NeonFlex_TexturePreview';
+    return mat;
+  }
+
+  _projectedMesh(tube, projection) {
+    const geo = tube.bodyMesh.geometry.clone();
+    this._projectUVs(geo, projection);
+    return this._previewMesh(geo, this._textureMaterial());
+  }
+
+  /**
+   * One mesh per MVR part with u = the ring's position along that part, v = 0.5,
+   * plus a dark mesh over the lead-in open tubes skip before startPixel.
+   */
+  _pathGroup(tube) {
+    const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+    if (!curve) return null;
+
+    const group = new THREE.Group();
+    for (const { geometry } of TubeGeometryBuilder.buildUVParts(curve, tube)) {
+      const params = TubeGeometryBuilder.curveParams(geometry);
+      if (!params) {
+        geometry.dispose();
+        continue;
+      }
+      const uv = new Float32Array(params.length * 2);
+      for (let i = 0; i < params.length; i++) {
+        uv[i * 2] = params[i];
+        uv[i * 2 + 1] = 0.5;
+      }
+      geometry.setAttribute('uv', new THREE.BufferAttribute(uv, 2));
+      group.add(this._previewMesh(geometry, this._textureMaterial()));
+    }
+    if (group.children.length === 0) return null;
+
+    const totalPixels = Math.max(1, Math.round(CurveBuilder.getLength(curve) * tube.pixelsPerMeter));
+    const startPixel = tube.closed ? 0 : (tube.startPixel || 0);
+    if (startPixel > 0) {
+      const leadIn = TubeGeometryBuilder.buildSection(curve, tube, 0, Math.min(startPixel / totalPixels, 1));
+      if (leadIn) {
+        const mat = new THREE.MeshBasicMaterial({ color: 0x0d0d0d, side: THREE.DoubleSide });
+        group.add(this._previewMesh(leadIn, mat));
+      }
+    }
+    return group;
+  }
+
+  /**
+   * Projection plane from the combined bounds of all target tubes: the thinnest
+   * axis is the view direction, image right / up follow the matching camera view.
+   */
+  _projectionFrame(tubes) {
+    const box = new THREE.Box3();
+    for (const tube of tubes) {
+      tube.bodyMesh.geometry.computeBoundingBox();
+      box.union(tube.bodyMesh.geometry.boundingBox);
+    }
+    const size = box.getSize(new THREE.Vector3());
+    let uAxis, vAxis, uSign = 1, vSign = 1;
+    if (size.y <= size.x && size.y <= size.z) {
+      // Ground layout — seen from the top: right = +X, up = -Z
+      uAxis = 'x'; vAxis = 'z'; vSign = -1;
+    } else if (size.z <= size.x) {
+      // Front layout — right = +X, up = +Y
+      uAxis = 'x'; vAxis = 'y';
+    } else {
+      // Side layout — seen from the right: right = -Z, up = +Y
+      uAxis = 'z'; vAxis = 'y'; uSign = -1;
+    }
+    return { min: box.min, size, uAxis, vAxis, uSign, vSign };
+  }
+
+  _projectUVs(geo, f) {
+    const pos = geo.attributes.position;
+    const uv = new Float32Array(pos.count * 2);
+    const su = Math.max(1e-6, f.size[f.uAxis]);
+    const sv = Math.max(1e-6, f.size[f.vAxis]);
+    for (let vi = 0; vi < pos.count; vi++) {
+      _v.fromBufferAttribute(pos, vi);
+      let u = (_v[f.uAxis] - f.min[f.uAxis]) / su;
+      let v = (_v[f.vAxis] - f.min[f.vAxis]) / sv;
+      if (f.uSign < 0) u = 1 - u;
+      if (f.vSign < 0) v = 1 - v;
+      uv[vi * 2] = u;
+      uv[vi * 2 + 1] = v;
+    }
+    geo.setAttribute('uv', new THREE.BufferAttribute(uv, 2));
+  }
+
+  // ─── Media ──────────────────────────────────────────────
+
+  _tick() {
+    this._rafId = null;
+    if (!this.active || !this._video) return;
+    // Render-on-demand: keep requesting frames while the video plays
+    this.sceneManager.requestRender();
+    this._rafId = requestAnimationFrame(this._tick);
+  }
+
+  _releaseMedia() {
+    if (this._rafId) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    if (this._video) {
+      this._video.pause();
+      this._video.removeAttribute('src');
+      this._video.load();
+      this._video = null;
+    }
+    if (this._texture) {
+      this._texture.dispose();
+      this._texture = null;
+    }
+    if (this._objectUrl) {
+      URL.revokeObjectURL(this._objectUrl);
+      this._objectUrl = null;
+    }
+    this.fileName = null;
+  }
+}
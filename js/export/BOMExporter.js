@@ -0,0 +1,287 @@
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { autoSegment } from '../tube/AutoSegmenter.js';
+import { cutRules } from '../tube/CutRules.js';
+import { getPresetById } from '../tube/FixturePresets.js';
+
+/** Connector types (ConnectorModel.type), in sheet column order. */
+const CONNECTOR_TYPES = ['inline', 'angle', 'sphere'];
+
+/**
+ * Export the bill of materials — cut list per tube piece, meters per
+ * product, connectors by type and end caps, with a spare percentage —
+ * as CSV or a printable HTML sheet.
+ *
+ * Tubes longer than their preset's max length are listed as the pieces
+ * autoSegment() would cut them into, with an inline connector per joint.
+ * A connector is counted on the piece it follows (tubeBeforeId), so the
+ * per-row counts add up to the totals.
+ */
+export class BOMExporter {
+  static COLUMNS = [
+    { key: 'tube', label: 'Tube' },
+    { key: 'piece', label: 'Piece' },
+    { key: 'product', label: 'Product' },
+    { key: 'size', label: 'Size' },
+    { key: 'lengthMm', label: 'Cut Length (mm)' },
+    { key: 'pixels', label: 'Pixels' },
+    { key: 'inline', label: 'Inline' },
+    { key: 'angle', label: 'Angle' },
+    { key: 'sphere', label: 'Sphere' },
+    { key: 'endCaps', label: 'End Caps' },
+  ];
+
+  /**
+   * Export the BOM as CSV.
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {import('../tube/ConnectorManager.js').ConnectorManager} connectorManager
+   * @param {string} filename - export filename (without extension)
+   * @param {number} [sparePct=10]
+   */
+  static exportCSV(tubeManager, connectorManager, filename = 'NeonFlexDesign', sparePct = 10) {
+    const bom = this.buildBOM(tubeManager.tubes, connectorManager.connectors, sparePct);
+    if (bom.rows.length === 0) throw new Error('No tubes to export');
+
+    const cell = (v) => {
+      const s = String(v ?? '');
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const line = (values) => values.map(cell).join(',');
+    const lines = [line(this.COLUMNS.map(c => c.label))];
+    for (const row of bom.rows) lines.push(line(this.COLUMNS.map(c => row[c.key])));
+
+    lines.push('');
+    lines.push(line(['Product', 'SKU', 'Pieces', 'Meters', `Order (+${bom.sparePct}%)`]));
+    for (const p of bom.products) {
+      lines.push(line([p.label, p.sku, p.pieces, p.meters.toFixed(2), p.orderMeters.toFixed(1)]));
+    }
+
+    lines.push('');
+    lines.push(line(['Part', 'Count', `Order (+${bom.sparePct}%)`]));
+    for (const part of bom.parts) lines.push(line([part.label, part.count, part.order]));
+
+    // BOM so Excel opens UTF-8 names correctly
+    const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    this._download(blob, `${filename}_bom.csv`);
+  }
+
+  /**
+   * Export the BOM as a print-ready HTML page (print to PDF from the browser).
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {import('../tube/ConnectorManager.js').ConnectorManager} connectorManager
+   * @param {string} filename - export filename (without extension)
+   * @param {number} [sparePct=10]
+   */
+  static exportHTML(tubeManager, connectorManager, filename = 'NeonFlexDesign', sparePct = 10) {
+    const bom = this.buildBOM(tubeManager.tubes, connectorManager.connectors, sparePct);
+    if (bom.rows.length === 0) throw new Error('No tubes to export');
+
+    const td = (v) => `<td>${this._esc(String(v ?? ''))}</td>`;
+    const head = this.COLUMNS.map(c => `<th>${this._esc(c.label)}</th>`).join('');
+    const body = bom.rows.map(r => `<tr>${this.COLUMNS.map(c => td(r[c.key])).join('')}</tr>`).join('\n');
+    const products = bom.products.map(p =>
+      `<tr>${td(p.label)}${td(p.sku)}${td(p.pieces)}${td(p.meters.toFixed(2))}${td(p.orderMeters.toFixed(1))}</tr>`
+    ).join('\n');
+    const parts = bom.parts.map(part => `<tr>${td(part.label)}${td(part.count)}${td(part.order)}</tr>`).join('\n');
+    const totalMeters = bom.products.reduce((sum, p) => sum + p.meters, 0);
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this._esc(filename)} — Bill of Materials</title>
+<style>
+  body { font: 12px/1.4 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 20px 0 6px; }
+  .meta { color: #555; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  table.summary { width: auto; min-width: 50%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; white-space: nowrap; }
+  th { background: #e8e8e8; }
+  tr:nth-child(even) td { background: #f6f6f6; }
+  td:nth-child(n+5) { font-family: 'SF Mono', Consolas, monospace; }
+  table.summary td:nth-child(n+3) { font-family: 'SF Mono', Consolas, monospace; }
+  @media print {
+    body { margin: 0; }
+    @page { size: A4 landscape; margin: 12mm; }
+    tr { page-break-inside: avoid; }
+    thead { display: table-header-group; }
+  }
+</style>
+</head>
+<body>
+<h1>${this._esc(filename)} — Bill of Materials</h1>
+<div class="meta">${bom.rows.length} piece(s) · ${totalMeters.toFixed(2)} m · ${bom.sparePct}% spare · ${new Date().toLocaleString()}</div>
+<h2>Products</h2>
+<table class="summary">
+<thead><tr><th>Product</th><th>SKU</th><th>Pieces</th><th>Meters</th><th>Order (+${bom.sparePct}%)</th></tr></thead>
+<tbody>
+${products}
+</tbody>
+</table>
+<h2>Connectors &amp; Caps</h2>
+<table class="summary">
+<thead><tr><th>Part</th><th>Count</th><th>Order (+${bom.sparePct}%)</th></tr></thead>
+<tbody>
+${parts}
+</tbody>
+</table>
+<h2>Cut List</h2>
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    this._download(new Blob([html], { type: 'text/html;charset=utf-8' }), `${filename}_bom.html`);
+  }
+
+  /**
+   * Build the BOM for the given tubes and connectors.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @param {import('../tube/ConnectorModel.js').ConnectorModel[]} connectors
+   * @param {number} [sparePct=10]
+   * @returns {{ sparePct: number, rows: object[], products: object[], parts: object[] }}
+   */
+  static buildBOM(tubes, connectors, sparePct = 10) {
+    const spare = 1 + Math.max(0, sparePct) / 100;
+    const rows = [];
+    const products = new Map();
+    const connectorTotals = Object.fromEntries(CONNECTOR_TYPES.map(t => [t, 0]));
+    let splitJoints = 0;
+    let endCaps = 0;
+
+    // Connectors at each tube's end / start
+    const atEnd = new Map();   // tubeId → connectors following it
+    const startCovered = new Set();
+    for (const c of connectors) {
+      const type = CONNECTOR_TYPES.includes(c.type) ? c.type : 'inline';
+      connectorTotals[type]++;
+      const ownerId = c.tubeBeforeId ?? c.tubeAfterId;
+      if (ownerId != null) {
+        if (!atEnd.has(ownerId)) atEnd.set(ownerId, []);
+        atEnd.get(ownerId).push(type);
+      }
+      if (c.tubeAfterId != null) startCovered.add(c.tubeAfterId);
+    }
+    const endCovered = new Set(connectors.filter(c => c.tubeBeforeId != null).map(c => c.tubeBeforeId));
+
+    for (const tube of tubes) {
+      if (!tube.isValid || tube.isPlaceholder) continue;
+      const preset = getPresetById(tube.fixturePreset);
+      const product = this._product(tube, preset);
+      const lengths = this._pieceLengths(tube, preset);
+      const n = lengths.length;
+      // Closed tubes cut into pieces also need a joint where the loop closes
+      const joints = tube.closed ? (n > 1 ? n : 0) : n - 1;
+      splitJoints += joints;
+
+      lengths.forEach((lengthM, i) => {
+        const first = i === 0;
+        const last = i === n - 1;
+        const counts = Object.fromEntries(CONNECTOR_TYPES.map(t => [t, 0]));
+        if (last) {
+          for (const type of atEnd.get(tube.id) || []) counts[type]++;
+        }
+        if (!last || (tube.closed && n > 1)) counts.inline++; // joint to the next piece
+
+        let caps = 0;
+        if (!tube.closed) {
+          if (first && !startCovered.has(tube.id)) caps++;
+          if (last && !endCovered.has(tube.id)) caps++;
+        }
+        endCaps += caps;
+
+        rows.push({
+          tube: tube.name,
+          piece: n > 1 ? `${i + 1}/${n}` : '',
+          product: product.label,
+          size: product.size,
+          lengthMm: Math.round(lengthM * 1000),
+          pixels: tube.pixelsPerMeter > 0 ? Math.max(1, Math.round(lengthM * tube.pixelsPerMeter)) : '',
+          inline: counts.inline || '',
+          angle: counts.angle || '',
+          sphere: counts.sphere || '',
+          endCaps: caps || '',
+        });
+
+        const p = products.get(product.key) || { ...product, pieces: 0, meters: 0 };
+        p.pieces++;
+        p.meters += lengthM;
+        products.set(product.key, p);
+      });
+    }
+
+    for (const p of products.values()) {
+      p.orderMeters = Math.ceil(p.meters * spare * 10) / 10;
+    }
+
+    const order = (count) => Math.ceil(count * spare);
+    const parts = [
+      { label: 'Inline connector', count: connectorTotals.inline + splitJoints },
+      { label: 'Angle connector', count: connectorTotals.angle },
+      { label: 'Sphere connector', count: connectorTotals.sphere },
+      { label: 'End cap', count: endCaps },
+    ].filter(part => part.count > 0).map(part => ({ ...part, order: order(part.count) }));
+
+    return { sparePct: Math.max(0, sparePct), rows, products: [...products.values()], parts };
+  }
+
+  /**
+   * Cut lengths of a tube: one piece, or the autoSegment pieces when it is
+   * longer than the preset's max length.
+   */
+  static _pieceLengths(tube, preset) {
+    const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+    if (!curve) return [];
+    const length = CurveBuilder.getLength(curve);
+    const maxLengthM = preset && preset.maxLengthM ? preset.maxLengthM : 0;
+    if (!maxLengthM || length <= maxLengthM) return [length];
+
+    // Same input the drawing tools use (closed loops start and end at point 0)
+    const points = tube.closed ? [...tube.controlPoints, tube.controlPoints[0].clone()] : tube.controlPoints;
+    const cutIncrementM = cutRules(preset, tube.pixelsPerMeter)?.incrementM || 0;
+    const { segments } = autoSegment(points, maxLengthM, 0, tube.tension, cutIncrementM);
+    return segments.map(seg => {
+      const c = CurveBuilder.build(seg, tube.tension, false);
+      return c ? CurveBuilder.getLength(c) : 0;
+    });
+  }
+
+  /** Product grouping key, label, SKU and cross-section of a tube. */
+  static _product(tube, preset) {
+    const size = tube.profile === 'rect'
+      ? `${tube.widthMm}x${tube.heightMm}mm`
+      : tube.profile === 'square' ? `${tube.diameterMm}x${tube.diameterMm}mm` : `Ø${tube.diameterMm}mm`;
+    if (preset && tube.fixturePreset !== 'custom') {
+      return {
+        key: tube.fixturePreset,
+        label: preset.label,
+        sku: [preset.manufacturer, preset.sku].filter(Boolean).join(' '),
+        size,
+      };
+    }
+    // Custom tubes: one product per cross-section and pitch
+    const pitch = tube.pixelsPerMeter > 0 ? ` ${tube.pixelsPerMeter}px/m` : '';
+    return { key: `custom|${tube.profile}|${size}|${tube.pixelsPerMeter}`, label: `Custom ${size}${pitch}`, sku: '', size };
+  }
+
+  static _esc(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+              .replace(/"/g, '&quot;');
+  }
+
+  static _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
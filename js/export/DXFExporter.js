@@ -0,0 +1,250 @@
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { getPresetById } from '../tube/FixturePresets.js';
+
+/** Drawing projections: '3d' keeps all three axes, the planes flatten to 2D. */
+export const DXF_PROJECTIONS = {
+  '3d': '3D (model space)',
+  XZ: 'Top — Ground (XZ)',
+  XY: 'Front (XY)',
+  YZ: 'Side (YZ)',
+};
+
+/** How tube centerlines are split onto layers. */
+export const DXF_LAYER_MODES = {
+  tube: 'Per tube',
+  group: 'Per group',
+  preset: 'Per preset',
+};
+
+/** Centerline samples per meter (5mm chords — well below tube bend radii). */
+const SAMPLES_PER_METER = 200;
+const MAX_SAMPLES = 4000;
+
+/** AutoCAD color index cycle for tube layers (red, yellow, green, cyan, blue, magenta). */
+const LAYER_COLORS = [1, 2, 3, 4, 5, 6];
+
+/**
+ * Export tube centerlines as an ASCII DXF (R12) for fabrication and CAD handoff.
+ *
+ * Units are millimeters. Scene Y-up is converted to CAD Z-up for 3D; the 2D
+ * projections match the app's Top / Front / Right camera views. Centerlines
+ * are sampled polylines on per-tube, per-group or per-preset layers;
+ * connectors and pixel start points are inserted as blocks on their own
+ * layers, scaled to the connector / tube size.
+ */
+export class DXFExporter {
+  /**
+   * Export all tubes as a DXF file.
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {import('../tube/ConnectorManager.js').ConnectorManager} connectorManager
+   * @param {string} filename - export filename (without extension)
+   * @param {object} [options] - see build()
+   */
+  static export(tubeManager, connectorManager, filename = 'NeonFlexDesign', options = {}) {
+    const connectors = connectorManager ? connectorManager.connectors : [];
+    const dxf = this.build(tubeManager.tubes, connectors, options);
+    this._download(new Blob([dxf], { type: 'application/dxf' }), `${filename}.dxf`);
+  }
+
+  /**
+   * Build the DXF text.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @param {import('../tube/ConnectorModel.js').ConnectorModel[]} connectors
+   * @param {object} [options]
+   * @param {'3d'|'XZ'|'XY'|'YZ'} [options.projection='3d']
+   * @param {'tube'|'group'|'preset'} [options.layerBy='tube']
+   * @param {boolean} [options.connectors=true] - insert connector blocks
+   * @param {boolean} [options.pixelStart=true] - insert pixel start markers
+   * @returns {string}
+   */
+  static build(tubes, connectors, options = {}) {
+    const projection = DXF_PROJECTIONS[options.projection] ? options.projection : '3d';
+    const layerBy = DXF_LAYER_MODES[options.layerBy] ? options.layerBy : 'tube';
+    const project = this._projector(projection);
+    const is3D = projection === '3d';
+
+    const layers = new Map(); // name → ACI color
+    const addLayer = (name, color) => {
+      if (!layers.has(name)) layers.set(name, color ?? LAYER_COLORS[layers.size % LAYER_COLORS.length]);
+      return name;
+    };
+    const entities = [];
+
+    for (const tube of tubes) {
+      if (!tube.isValid) continue;
+      const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+      if (!curve) continue;
+
+      const layer = addLayer(this._tubeLayer(tube, layerBy));
+      const length = CurveBuilder.getLength(curve);
+      const n = Math.min(MAX_SAMPLES, Math.max(16, Math.ceil(length * SAMPLES_PER_METER)));
+      const points = [];
+      // Closed curves end where they start — the closed flag draws the last chord
+      const count = tube.closed ? n : n + 1;
+      for (let i = 0; i < count; i++) points.push(project(curve.getPointAt(i / n)));
+      entities.push(this._polyline(layer, points, tube.closed, is3D));
+
+      if (options.pixelStart !== false && !tube.isPlaceholder) {
+        const marker = this._pixelStart(curve, tube);
+        if (marker) {
+          const a = project(marker.position);
+          const b = project(marker.position.clone().add(marker.direction));
+          const rotation = Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI;
+          const size = Math.max(10, tube.profile === 'rect' ? tube.widthMm : tube.diameterMm);
+          entities.push(this._insert(addLayer('PIXEL_START', 7), 'PIXEL_START', a, size, rotation));
+        }
+      }
+    }
+
+    if (options.connectors !== false) {
+      for (const c of connectors) {
+        const layer = addLayer('CONNECTORS', 8);
+        const block = c.type === 'angle' ? 'CONN_ANGLE' : c.type === 'sphere' ? 'CONN_SPHERE' : 'CONN_INLINE';
+        entities.push(this._insert(layer, block, project(c.position), c.diameterMm || 30, 0));
+      }
+    }
+
+    if (entities.length === 0) throw new Error('No tubes to export');
+
+    return [
+      this._header(),
+      this._tables(layers),
+      this._blocks(),
+      '0\nSECTION\n2\nENTITIES',
+      ...entities,
+      '0\nENDSEC\n0\nEOF\n',
+    ].join('\n');
+  }
+
+  /**
+   * Map a scene point (meters, Y-up) to DXF coordinates (mm).
+   * @returns {(p: import('three').Vector3) => number[]}
+   */
+  static _projector(projection) {
+    const mm = (v) => v * 1000;
+    switch (projection) {
+      case 'XZ': return (p) => [mm(p.x), mm(-p.z), 0];  // top view: -Z is up on paper
+      case 'XY': return (p) => [mm(p.x), mm(p.y), 0];   // front view
+      case 'YZ': return (p) => [mm(-p.z), mm(p.y), 0];  // right view
+      default: return (p) => [mm(p.x), mm(-p.z), mm(p.y)]; // Z-up model space
+    }
+  }
+
+  /** Layer name for a tube's centerline. */
+  static _tubeLayer(tube, layerBy) {
+    if (layerBy === 'group') {
+      return tube.groupId ? `GROUP_${tube.groupId}` : 'UNGROUPED';
+    }
+    if (layerBy === 'preset') {
+      const preset = getPresetById(tube.fixturePreset);
+      return this._layerName(preset ? preset.label : tube.fixturePreset);
+    }
+    return this._layerName(`TUBE_${tube.id}_${tube.name}`);
+  }
+
+  /** DXF R12 layer names: letters, digits, $ - _ only. */
+  static _layerName(str) {
+    return String(str).toUpperCase().replace(/[^A-Z0-9$_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 31) || 'TUBES';
+  }
+
+  /**
+   * First active pixel and the direction the pixel count runs.
+   * @returns {{ position: import('three').Vector3, direction: import('three').Vector3 }|null}
+   */
+  static _pixelStart(curve, tube) {
+    const { points, count } = CurveBuilder.getPixelPoints(curve, tube.pixelsPerMeter);
+    const order = tube.orderedPixelIndices(count);
+    if (order.length === 0) return null;
+    const position = points[order[0]];
+    const t = count === 1 ? 0.5 : (order[0] + 0.5) / count;
+    const direction = curve.getTangentAt(Math.min(t, 1));
+    if (tube.closed && tube.reversePixels) direction.negate();
+    return { position, direction };
+  }
+
+  static _num(v) {
+    return String(Math.round(v * 10000) / 10000);
+  }
+
+  static _polyline(layer, points, closed, is3D) {
+    const out = ['0\nPOLYLINE', `8\n${layer}`, '66\n1', '10\n0\n20\n0\n30\n0', `70\n${(closed ? 1 : 0) | (is3D ? 8 : 0)}`];
+    for (const [x, y, z] of points) {
+      out.push('0\nVERTEX', `8\n${layer}`, `10\n${this._num(x)}\n20\n${this._num(y)}\n30\n${this._num(z)}`);
+      if (is3D) out.push('70\n32');
+    }
+    out.push('0\nSEQEND', `8\n${layer}`);
+    return out.join('\n');
+  }
+
+  static _insert(layer, block, [x, y, z], scale, rotation) {
+    const s = this._num(scale);
+    return [
+      '0\nINSERT', `8\n${layer}`, `2\n${block}`,
+      `10\n${this._num(x)}\n20\n${this._num(y)}\n30\n${this._num(z)}`,
+      `41\n${s}\n42\n${s}\n43\n${s}`, `50\n${this._num(rotation)}`,
+    ].join('\n');
+  }
+
+  static _header() {
+    return [
+      '0\nSECTION\n2\nHEADER',
+      '9\n$ACADVER\n1\nAC1009',
+      '9\n$INSBASE\n10\n0\n20\n0\n30\n0',
+      '9\n$MEASUREMENT\n70\n1', // metric
+      '0\nENDSEC',
+    ].join('\n');
+  }
+
+  static _tables(layers) {
+    const out = [
+      '0\nSECTION\n2\nTABLES',
+      '0\nTABLE\n2\nLTYPE\n70\n1',
+      '0\nLTYPE\n2\nCONTINUOUS\n70\n0\n3\nSolid line\n72\n65\n73\n0\n40\n0',
+      '0\nENDTAB',
+      `0\nTABLE\n2\nLAYER\n70\n${layers.size + 1}`,
+      '0\nLAYER\n2\n0\n70\n0\n62\n7\n6\nCONTINUOUS',
+    ];
+    for (const [name, color] of layers) {
+      out.push(`0\nLAYER\n2\n${name}\n70\n0\n62\n${color}\n6\nCONTINUOUS`);
+    }
+    out.push('0\nENDTAB', '0\nENDSEC');
+    return out.join('\n');
+  }
+
+  /**
+   * Unit-size marker blocks (scaled on insert):
+   * connectors are a circle of diameter 1 (inline), with a cross (angle) or
+   * an inner ring (sphere); the pixel start is an arrow along +X.
+   */
+  static _blocks() {
+    const circle = (r) => `0\nCIRCLE\n8\n0\n10\n0\n20\n0\n30\n0\n40\n${r}`;
+    const line = (x1, y1, x2, y2) => `0\nLINE\n8\n0\n10\n${x1}\n20\n${y1}\n30\n0\n11\n${x2}\n21\n${y2}\n31\n0`;
+    const block = (name, ...entities) => [
+      `0\nBLOCK\n8\n0\n2\n${name}\n70\n0\n10\n0\n20\n0\n30\n0\n3\n${name}`,
+      ...entities,
+      '0\nENDBLK\n8\n0',
+    ].join('\n');
+    return [
+      '0\nSECTION\n2\nBLOCKS',
+      block('CONN_INLINE', circle(0.5)),
+      block('CONN_ANGLE', circle(0.5), line(-0.5, 0, 0.5, 0), line(0, -0.5, 0, 0.5)),
+      block('CONN_SPHERE', circle(0.5), circle(0.25)),
+      block('PIXEL_START', circle(0.25), line(0, 0, 1, 0), line(1, 0, 0.7, 0.2), line(1, 0, 0.7, -0.2)),
+      '0\nENDSEC',
+    ].join('\n');
+  }
+
+  /**
+   * Trigger browser download of a blob.
+   */
+  static _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
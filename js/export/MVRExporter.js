@@ -3,23 +3,11 @@ import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
 import { CurveBuilder } from '../drawing/CurveBuilder.js';
 import { TubeGeometryBuilder } from '../tube/TubeGeometryBuilder.js';
 import { ZipBuilder } from '../utils/ZipBuilder.js';
+import { pixelAddresses } from '../dmx/DMXPatch.js';
+import { pixelOrder } from '../tube/TubeModel.js';
 
-/**
- * Helper: extracts a sub-section of a curve using arc-length parameterization.
- * TubeGeometry built on a SubCurve automatically gets UVs going 0→1 for that section.
- */
-class SubCurve extends THREE.Curve {
-  constructor(originalCurve, tStart, tEnd) {
-    super();
-    this.original = originalCurve;
-    this.tStart = tStart;
-    this.tEnd = tEnd;
-  }
-  getPoint(t, optionalTarget = new THREE.Vector3()) {
-    const mapped = this.tStart + t * (this.tEnd - this.tStart);
-    return this.original.getPointAt(mapped, optionalTarget);
-  }
-}
+/** UserData provider name for the tube settings embedded in exported MVRs. */
+export const MVR_USERDATA_PROVIDER = 'NEONFLEXER';
 
 /**
  * Export the design as an MVR (My Virtual Rig) file.
@@ -28,12 +16,17 @@ class SubCurve extends THREE.Curve {
  *   MVR archive (.mvr = ZIP)
  *   ├── GeneralSceneDescription.xml
  *   ├── GenericLED.gdtf          (embedded GDTF fixture for pixels)
+ *   ├── <Imported>.gdtf          (library fixtures assigned to tubes, as imported)
  *   └── models/
  *       └── TubeModel.glb        (all tube bodies in one GLB)
  *
  * Layers:
  *   - "Model"  → tube body meshes as SceneObjects
- *   - "Pixels" → each pixel as a GDTF Fixture (GenericLED, RGB mode)
+ *   - "Pixels" → each pixel as a GDTF Fixture (GenericLED, RGB mode, or the
+ *                tube's library fixture type + DMX mode)
+ *
+ * UserData carries each tube's settings (NEONFLEXER provider) so MVRImporter
+ * can bring the design back as editable tubes.
  */
 export class MVRExporter {
 
@@ -42,8 +35,9 @@ export class MVRExporter {
    * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
    * @param {import('../tube/ConnectorManager.js').ConnectorManager} [connectorManager]
    * @param {string} filename
+   * @param {import('../dmx/GDTFLibrary.js').GDTFLibrary} [gdtfLibrary] - imported fixture types
    */
-  static async export(tubeManager, connectorManager = null, filename = 'NeonFlexDesign') {
+  static async export(tubeManager, connectorManager = null, filename = 'NeonFlexDesign', gdtfLibrary = null) {
     const tubes = tubeManager.tubes.filter(t => t.isValid && t.group);
     if (tubes.length === 0) throw new Error('No tubes to export');
 
@@ -51,8 +45,13 @@ export class MVRExporter {
     const connectors = connectorManager ? connectorManager.connectors : [];
     const glbData = await this._exportBodiesGLB(tubes, connectors);
 
-    // 2. Check if any tube needs discrete pixel fixtures
-    const hasDiscretePixels = tubes.some(t => !t.isPlaceholder && t.pixelMode !== 'uv-mapped');
+    // 2. Resolve library fixture types; tubes without one use the built-in GDTFs
+    // Map: tube → { fixture, mode, filename }
+    const librarySpecs = this._resolveLibrarySpecs(tubes, gdtfLibrary);
+
+    // Check if any tube needs Generic LED pixel fixtures
+    const hasDiscretePixels = tubes.some(t =>
+      !t.isPlaceholder && t.pixelMode !== 'uv-mapped' && !librarySpecs.has(t));
 
     // 3. Build GDTF fixtures (only if needed)
     const gdtfData = hasDiscretePixels ? this._buildGenericLEDGdtf() : null;
@@ -61,7 +60,7 @@ export class MVRExporter {
     // Map: placeholderName → gdtf filename
     const placeholderGdtfs = new Map();
     for (const tube of tubes) {
-      if (!tube.isPlaceholder) continue;
+      if (!tube.isPlaceholder || librarySpecs.has(tube)) continue;
       const name = tube.placeholderName || 'Generic Placeholder';
       if (!placeholderGdtfs.has(name)) {
         // Sanitize filename: replace non-alphanumeric with underscore
@@ -78,7 +77,7 @@ export class MVRExporter {
     const tubePixels = this._collectPixelData(tubes);
 
     // 5. Build GeneralSceneDescription.xml
-    const xml = this._buildMVRXml(tubes, tubePixels, placeholderGdtfs);
+    const xml = this._buildMVRXml(tubes, tubePixels, placeholderGdtfs, librarySpecs);
 
     // 6. Package into MVR (ZIP)
     const mvr = new ZipBuilder();
@@ -87,6 +86,12 @@ export class MVRExporter {
     for (const { filename, data } of placeholderGdtfs.values()) {
       mvr.addFile(filename, data);
     }
+    const addedSpecs = new Set();
+    for (const { fixture, filename } of librarySpecs.values()) {
+      if (addedSpecs.has(filename)) continue;
+      addedSpecs.add(filename);
+      mvr.addFile(filename, fixture.data);
+    }
     mvr.addFile('models/TubeModel.glb', new Uint8Array(glbData));
 
     const mvrData = mvr.build();
@@ -184,39 +189,16 @@ export class MVRExporter {
     const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
     if (!curve) return;
 
-    const length = CurveBuilder.getLength(curve);
-    const totalPixels = Math.max(1, Math.round(length * tube.pixelsPerMeter));
-    // Closed tubes cover the whole loop (start pixel is a rotation of numbering,
-    // not a skip), so UV geometry spans all pixels from the curve seam. Open
-    // tubes skip the first startPixel.
-    const startPixel = tube.closed ? 0 : (tube.startPixel || 0);
-    const activePx = Math.max(1, totalPixels - startPixel);
-    const tOffset = startPixel / totalPixels; // curve position where active pixels begin
-
-    const chPerPixel = Number(tube.dmxChannelsPerPixel) || 3;
-    const maxPxPerPart = Math.floor(512 / chPerPixel);
-    const numParts = Math.ceil(activePx / maxPxPerPart);
-
     // Check if this tube has split geometry (square/rect with housing + diffuser)
     const hasSplit = tube.baseMesh != null;
 
-    for (let p = 0; p < numParts; p++) {
-      const partStartPx = p * maxPxPerPart;
-      const partEndPx = Math.min(partStartPx + maxPxPerPart, activePx);
-      const partPx = partEndPx - partStartPx;
-
-      const tStart = tOffset + (partStartPx / totalPixels);
-      const tEnd = tOffset + (partEndPx / totalPixels);
-
-      // Create sub-curve — geometry on this will have UVs 0→1 for this section
-      const subCurve = new SubCurve(curve, tStart, tEnd);
-
-      // For split profiles: UV-map only the diffuser shape, not the full profile
-      const partGeo = hasSplit
-        ? TubeGeometryBuilder.buildDiffuserOnly(subCurve, tube)
-        : TubeGeometryBuilder.build(subCurve, tube);
+    const parts = TubeGeometryBuilder.buildUVParts(curve, tube);
+    const activePx = parts.reduce((sum, part) => sum + part.pixels, 0);
+    const numParts = parts.length;
 
-      if (!partGeo) continue;
+    for (let p = 0; p < numParts; p++) {
+      const partGeo = parts[p].geometry;
+      const partPx = parts[p].pixels;
 
       const mat = tube.bodyMesh.material.clone();
       // Frosted material — high roughness so Capture shows frost 100%
@@ -253,7 +235,6 @@ export class MVRExporter {
       if (tube.isPlaceholder || tube.pixelMode === 'uv-mapped') { result.push([]); continue; }
       const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
       if (!curve) { result.push([]); continue; }
-      const { points, count } = CurveBuilder.getPixelPoints(curve, tube.pixelsPerMeter);
 
       // For square/rect: offset pixels to inner bottom of housing (same as viewport)
       let offsetDist = 0;
@@ -262,37 +243,90 @@ export class MVRExporter {
       } else if (tube.profile === 'rect') {
         offsetDist = tube.heightM / 2 - tube.wallThicknessMm * 0.001;
       }
+      result.push(this._curvePixelData(curve, tube.pixelsPerMeter, offsetDist, tube));
+    }
+    return result;
+  }
+
+  /**
+   * Pixel positions and beam frames along a curve, in DMX order.
+   * @param {THREE.Curve} curve
+   * @param {number} pixelsPerMeter
+   * @param {number} offsetDist - drop toward the housing floor (square/rect)
+   * @param {{ startPixel?: number, closed?: boolean, reversePixels?: boolean }} numbering - see pixelOrder
+   * @returns {{ pos: THREE.Vector3, normal: THREE.Vector3, tangent: THREE.Vector3 }[]}
+   */
+  static _curvePixelData(curve, pixelsPerMeter, offsetDist, numbering) {
+    const { points, count } = CurveBuilder.getPixelPoints(curve, pixelsPerMeter);
+
+    // Pixel order: open tubes skip the first startPixel; closed tubes use all
+    // pixels rotated to begin at startPixel (forward or reverse). DMX channels
+    // are assigned in this order. Geometry is never modified.
+    const order = pixelOrder(count, numbering);
+    const pixelData = [];
+    for (const i of order) {
+      // t matches CurveBuilder formula: centered pixels at (i + 0.5) / count
+      const t = count === 1 ? 0.5 : (i + 0.5) / count;
+      const tClamped = Math.min(Math.max(t, 0.001), 0.999);
+      // Compute beam direction: normal of cross-section (toward diffuser = "up")
+      const tangent = curve.getTangentAt(tClamped).normalize();
+      // Reference up — use world Y unless tangent is nearly parallel
+      const refUp = new THREE.Vector3(0, 1, 0);
+      if (Math.abs(tangent.dot(refUp)) > 0.99) refUp.set(1, 0, 0);
+      // Normal = component of refUp perpendicular to tangent
+      const normal = refUp.clone().sub(tangent.clone().multiplyScalar(refUp.dot(tangent))).normalize();
+
+      // Offset position to housing floor (in -normal direction = away from diffuser)
+      const pos = points[i].clone();
+      if (offsetDist > 0) {
+        pos.x -= normal.x * offsetDist;
+        pos.y -= normal.y * offsetDist;
+        pos.z -= normal.z * offsetDist;
+      }
 
-      // Pixel order: open tubes skip the first startPixel; closed tubes use all
-      // pixels rotated to begin at startPixel (forward or reverse). DMX channels
-      // are assigned in this order. Geometry is never modified.
-      const order = tube.orderedPixelIndices(count);
-      const pixelData = [];
-      for (const i of order) {
-        // t matches CurveBuilder formula: centered pixels at (i + 0.5) / count
-        const t = count === 1 ? 0.5 : (i + 0.5) / count;
-        const tClamped = Math.min(Math.max(t, 0.001), 0.999);
-        // Compute beam direction: normal of cross-section (toward diffuser = "up")
-        const tangent = curve.getTangentAt(tClamped).normalize();
-        // Reference up — use world Y unless tangent is nearly parallel
-        const refUp = new THREE.Vector3(0, 1, 0);
-        if (Math.abs(tangent.dot(refUp)) > 0.99) refUp.set(1, 0, 0);
-        // Normal = component of refUp perpendicular to tangent
-        const normal = refUp.clone().sub(tangent.clone().multiplyScalar(refUp.dot(tangent))).normalize();
-
-        // Offset position to housing floor (in -normal direction = away from diffuser)
-        const pos = points[i].clone();
-        if (offsetDist > 0) {
-          pos.x -= normal.x * offsetDist;
-          pos.y -= normal.y * offsetDist;
-          pos.z -= normal.z * offsetDist;
-        }
+      pixelData.push({ pos, normal, tangent: tangent.clone() });
+    }
+    return pixelData;
+  }
+
+  // ─── Library GDTFs ──────────────────────────────────────────
+
+  /**
+   * Resolve each tube's imported fixture type + mode and give every fixture
+   * type a unique file name inside the MVR (kept as imported where possible).
+   * UV-mapped tubes have no fixtures and are skipped.
+   * @returns {Map<import('../tube/TubeModel.js').TubeModel, { fixture: object, mode: { name: string, footprint: number }, filename: string }>}
+   */
+  static _resolveLibrarySpecs(tubes, gdtfLibrary) {
+    const specs = new Map();
+    if (!gdtfLibrary) return specs;
+
+    // Names already used by the built-in GDTFs
+    const used = new Set(['genericled.gdtf']);
+    for (const t of tubes) {
+      if (t.isPlaceholder) {
+        const safe = (t.placeholderName || 'Generic Placeholder').replace(/[^a-zA-Z0-9_\- ]/g, '_');
+        used.add(`${safe}.gdtf`.toLowerCase());
+      }
+    }
 
-        pixelData.push({ pos, normal, tangent: tangent.clone() });
+    const filenames = new Map(); // fixture id → filename
+    for (const tube of tubes) {
+      if (!tube.isPlaceholder && tube.pixelMode === 'uv-mapped') continue;
+      const resolved = gdtfLibrary.resolve(tube);
+      if (!resolved) continue;
+
+      let filename = filenames.get(resolved.fixture.id);
+      if (!filename) {
+        const base = resolved.fixture.fileName.replace(/\.gdtf$/i, '').replace(/[^a-zA-Z0-9_\-@. ]/g, '_');
+        filename = `${base}.gdtf`;
+        for (let n = 2; used.has(filename.toLowerCase()); n++) filename = `${base}_${n}.gdtf`;
+        used.add(filename.toLowerCase());
+        filenames.set(resolved.fixture.id, filename);
       }
-      result.push(pixelData);
+      specs.set(tube, { ...resolved, filename });
     }
-    return result;
+    return specs;
   }
 
   // ─── Generic LED GDTF ──────────────────────────────────────
@@ -547,9 +581,11 @@ export class MVRExporter {
 
   // ─── MVR XML ────────────────────────────────────────────────
 
-  static _buildMVRXml(tubes, tubePixels, placeholderGdtfs = new Map()) {
+  static _buildMVRXml(tubes, tubePixels, placeholderGdtfs = new Map(), librarySpecs = new Map()) {
     // One layer per tube, with a GroupObject containing model + pixels together
     let allLayers = '';
+    // Tube settings keyed by GroupObject uuid, so MVRImporter can restore tubes
+    const tubeData = [];
 
     for (let ti = 0; ti < tubes.length; ti++) {
       const tube = tubes[ti];
@@ -559,17 +595,20 @@ export class MVRExporter {
       const layerUuid = this._uuid();
       const groupUuid = this._uuid();
       const sceneObjUuid = this._uuid();
+      tubeData.push({ group: groupUuid, tube: tube.toJSON() });
 
       // DMX settings
       const chPerPixel = Number(tube.dmxChannelsPerPixel) || 3;
-      const gdtfMode = chPerPixel === 4 ? 'RGBW' : 'RGB';
+      const librarySpec = librarySpecs.get(tube);
+      const gdtfSpec = librarySpec ? librarySpec.filename : 'GenericLED.gdtf';
+      const gdtfMode = librarySpec ? librarySpec.mode.name : (chPerPixel === 4 ? 'RGBW' : 'RGB');
       const startUniverse = Number(tube.dmxUniverse) || 1;
       const startAddress = Number(tube.dmxAddress) || 1;
       let fixtureId = Number(tube.fixtureId) || 1;
 
       // Absolute DMX address: Universe 1 Addr 1 = 1, Universe 2 Addr 1 = 513, etc.
       // In MVR, break=0 (fixture DMX input), address = absolute across universes
-      let absoluteAddr = (startUniverse - 1) * 512 + startAddress;
+      const absoluteAddr = (startUniverse - 1) * 512 + startAddress;
 
       let pixelFixtures = '';
 
@@ -583,14 +622,19 @@ export class MVRExporter {
           const uuid = this._uuid();
           const phDisplayName = tube.placeholderName || tube.name;
           const phKey = tube.placeholderName || 'Generic Placeholder';
-          const gdtfFile = placeholderGdtfs.has(phKey)
-            ? placeholderGdtfs.get(phKey).filename
-            : 'Generic Placeholder.gdtf';
+          let gdtfFile = 'Generic Placeholder.gdtf';
+          let phMode = 'RGBW';
+          if (librarySpec) {
+            gdtfFile = librarySpec.filename;
+            phMode = librarySpec.mode.name;
+          } else if (placeholderGdtfs.has(phKey)) {
+            gdtfFile = placeholderGdtfs.get(phKey).filename;
+          }
           pixelFixtures = `
             <Fixture name="${this._esc(phDisplayName)}" uuid="${uuid}">
               <Matrix>${result.matrix}</Matrix>
               <GDTFSpec>${this._esc(gdtfFile)}</GDTFSpec>
-              <GDTFMode>RGBW</GDTFMode>
+              <GDTFMode>${this._esc(phMode)}</GDTFMode>
               <Addresses>
                 <Address break="0">${absoluteAddr}</Address>
               </Addresses>
@@ -603,7 +647,9 @@ export class MVRExporter {
         // already ordered so element 0 is the start pixel → number from 1. Open
         // tubes keep absolute numbering (first active pixel = startPixel + 1).
         const pixelNameOffset = tube.closed ? 0 : (tube.startPixel || 0);
-        for (let pi = 0; pi < (tube.pixelMode === 'uv-mapped' ? 0 : pixels.length); pi++) {
+        // Per-pixel addresses incl. universe jumps (shared with patch sheet / live input)
+        const addresses = tube.pixelMode === 'uv-mapped' ? [] : pixelAddresses(tube, pixels.length);
+        for (let pi = 0; pi < addresses.length; pi++) {
           const px = pixels[pi];
           const pos = px.pos;
           const uuid = this._uuid();
@@ -630,25 +676,22 @@ export class MVRExporter {
           const f = (n) => n.toFixed(6);
           const matrix = `{${f(row1.x)},${f(row1.y)},${f(row1.z)}}{${f(row2.x)},${f(row2.y)},${f(row2.z)}}{${f(row3.x)},${f(row3.y)},${f(row3.z)}}{${tx.toFixed(1)},${ty.toFixed(1)},${tz.toFixed(1)}}`;
 
-          // If this fixture won't fit in current universe, jump to next
-          const addrInUni = ((absoluteAddr - 1) % 512) + 1;
-          if (addrInUni + chPerPixel - 1 > 512) {
-            absoluteAddr = (Math.floor((absoluteAddr - 1) / 512) + 1) * 512 + 1;
-          }
+          // A fixture that won't fit in the current universe starts the next one
+          const { universe, address } = addresses[pi];
+          const pixelAddr = (universe - 1) * 512 + address;
 
           pixelFixtures += `
             <Fixture name="${tubeName}_Pixel_${pi + pixelNameOffset + 1}" uuid="${uuid}">
               <Matrix>${matrix}</Matrix>
-              <GDTFSpec>GenericLED.gdtf</GDTFSpec>
-              <GDTFMode>${gdtfMode}</GDTFMode>
+              <GDTFSpec>${this._esc(gdtfSpec)}</GDTFSpec>
+              <GDTFMode>${this._esc(gdtfMode)}</GDTFMode>
               <Addresses>
-                <Address break="0">${absoluteAddr}</Address>
+                <Address break="0">${pixelAddr}</Address>
               </Addresses>
               <FixtureID>${fixtureId}</FixtureID>
               <CustomId>${ti + 1}</CustomId>
             </Fixture>`;
 
-          absoluteAddr += chPerPixel;
           fixtureId++;
         }
       }
@@ -674,7 +717,9 @@ export class MVRExporter {
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <GeneralSceneDescription verMajor="1" verMinor="6">
-  <UserData/>
+  <UserData>
+    <Data provider="${MVR_USERDATA_PROVIDER}" ver="1">${this._esc(JSON.stringify(tubeData))}</Data>
+  </UserData>
   <Scene>
     <Layers>${allLayers}
     </Layers>
@@ -0,0 +1,203 @@
+import { pixelAddresses, tubePixelCounts } from '../dmx/DMXPatch.js';
+
+/**
+ * Export the DMX patch as a crew patch sheet — CSV or printable HTML.
+ *
+ * One row per tube; UV-mapped tubes get one row per split part (same
+ * floor(512 / ch) split as the MVR export). Addresses come from the same
+ * pixelAddresses() wrapping the MVR writer uses, so the sheet can't drift.
+ */
+export class PatchSheetExporter {
+  static COLUMNS = [
+    { key: 'tube', label: 'Tube' },
+    { key: 'part', label: 'Part' },
+    { key: 'fixtureIds', label: 'Fixture ID' },
+    { key: 'universe', label: 'Universe' },
+    { key: 'startAddress', label: 'Start Addr' },
+    { key: 'endUniverse', label: 'End Universe' },
+    { key: 'endAddress', label: 'End Addr' },
+    { key: 'pixels', label: 'Pixels' },
+    { key: 'mode', label: 'Mode' },
+    { key: 'channels', label: 'Channels' },
+    { key: 'lengthMm', label: 'Length (mm)' },
+    { key: 'startPixel', label: 'Start Pixel' },
+    { key: 'direction', label: 'Direction' },
+  ];
+
+  /**
+   * Export the patch sheet as CSV.
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {string} filename - export filename (without extension)
+   */
+  static exportCSV(tubeManager, filename = 'NeonFlexDesign') {
+    const rows = this.buildRows(tubeManager.tubes);
+    if (rows.length === 0) throw new Error('No tubes to export');
+
+    const cell = (v) => {
+      const s = String(v ?? '');
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const lines = [this.COLUMNS.map(c => cell(c.label)).join(',')];
+    for (const row of rows) {
+      lines.push(this.COLUMNS.map(c => cell(row[c.key])).join(','));
+    }
+    // BOM so Excel opens UTF-8 names correctly
+    const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    this._download(blob, `${filename}_patch.csv`);
+  }
+
+  /**
+   * Export the patch sheet as a print-ready HTML page (print to PDF from the browser).
+   * @param {import('../tube/TubeManager.js').TubeManager} tubeManager
+   * @param {string} filename - export filename (without extension)
+   */
+  static exportHTML(tubeManager, filename = 'NeonFlexDesign') {
+    const rows = this.buildRows(tubeManager.tubes);
+    if (rows.length === 0) throw new Error('No tubes to export');
+
+    const totalPixels = rows.reduce((sum, r) => sum + (Number(r.pixels) || 0), 0);
+    const universes = new Set();
+    for (const r of rows) {
+      for (let u = r.universe; u <= r.endUniverse; u++) universes.add(u);
+    }
+
+    const head = this.COLUMNS.map(c => `<th>${this._esc(c.label)}</th>`).join('');
+    const body = rows.map(r =>
+      `<tr>${this.COLUMNS.map(c => `<td>${this._esc(String(r[c.key] ?? ''))}</td>`).join('')}</tr>`
+    ).join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this._esc(filename)} — Patch Sheet</title>
+<style>
+  body { font: 12px/1.4 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  .meta { color: #555; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; white-space: nowrap; }
+  th { background: #e8e8e8; }
+  tr:nth-child(even) td { background: #f6f6f6; }
+  td:nth-child(n+3) { font-family: 'SF Mono', Consolas, monospace; }
+  @media print {
+    body { margin: 0; }
+    @page { size: A4 landscape; margin: 12mm; }
+    tr { page-break-inside: avoid; }
+    thead { display: table-header-group; }
+  }
+</style>
+</head>
+<body>
+<h1>${this._esc(filename)} — Patch Sheet</h1>
+<div class="meta">${rows.length} rows · ${totalPixels} pixels · ${universes.size} universe(s) · ${new Date().toLocaleString()}</div>
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    this._download(new Blob([html], { type: 'text/html;charset=utf-8' }), `${filename}_patch.html`);
+  }
+
+  /**
+   * Build patch sheet rows for the given tubes.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @returns {object[]} rows keyed by COLUMNS keys
+   */
+  static buildRows(tubes) {
+    const rows = [];
+    for (const tube of tubes) {
+      if (!tube.isValid) continue;
+      const counts = tubePixelCounts(tube);
+      if (!counts) continue;
+
+      const ch = Number(tube.dmxChannelsPerPixel) || 3;
+      const lengthMm = Math.round(counts.lengthM * 1000);
+      const fixtureId = Number(tube.fixtureId) || 1;
+
+      if (tube.isPlaceholder) {
+        // Placeholder: single RGBW fixture (matches MVR export)
+        const uni = Number(tube.dmxUniverse) || 1;
+        const addr = Number(tube.dmxAddress) || 1;
+        rows.push({
+          tube: tube.placeholderName || tube.name,
+          part: '',
+          fixtureIds: fixtureId,
+          universe: uni,
+          startAddress: addr,
+          endUniverse: uni,
+          endAddress: addr + ch - 1,
+          pixels: '',
+          mode: (tube.gdtfFixture && tube.gdtfMode) || 'RGBW',
+          channels: ch,
+          lengthMm,
+          startPixel: '',
+          direction: '',
+        });
+        continue;
+      }
+
+      const addresses = pixelAddresses(tube, counts.activePixels);
+      if (addresses.length === 0) continue;
+
+      const isUV = tube.pixelMode === 'uv-mapped';
+      // Imported GDTF mode name, else the built-in Generic LED mode
+      const mode = (!isUV && tube.gdtfFixture && tube.gdtfMode) || (ch === 4 ? 'RGBW' : 'RGB');
+      // Displayed number of the first active pixel (see MVR fixture names)
+      const startPixel = (tube.startPixel || 0) + 1;
+      const direction = tube.closed && tube.reversePixels ? 'Reverse' : 'Forward';
+
+      // UV-mapped tubes are split into Capture-sized parts; discrete tubes are one row
+      const partSize = isUV ? Math.floor(512 / ch) : addresses.length;
+      const numParts = Math.ceil(addresses.length / partSize);
+
+      for (let p = 0; p < numParts; p++) {
+        const from = p * partSize;
+        const to = Math.min(from + partSize, addresses.length);
+        const first = addresses[from];
+        const last = addresses[to - 1];
+        const partLengthMm = numParts > 1
+          ? Math.round(lengthMm * (to - from) / counts.totalPixels)
+          : lengthMm;
+        rows.push({
+          tube: tube.name,
+          part: numParts > 1 ? `PT${p + 1}` : '',
+          // UV-mapped parts are SceneObjects in the MVR — no fixture IDs
+          fixtureIds: isUV ? ''
+            : (to - from > 1 ? `${fixtureId + from}–${fixtureId + to - 1}` : fixtureId + from),
+          universe: first.universe,
+          startAddress: first.address,
+          endUniverse: last.universe,
+          endAddress: last.address + ch - 1,
+          pixels: to - from,
+          mode: isUV ? `${mode} (UV)` : mode,
+          channels: (to - from) * ch,
+          lengthMm: partLengthMm,
+          startPixel: p === 0 ? startPixel : '',
+          direction,
+        });
+      }
+    }
+    return rows;
+  }
+
+  static _esc(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+              .replace(/"/g, '&quot;');
+  }
+
+  static _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
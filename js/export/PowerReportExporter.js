@@ -0,0 +1,182 @@
+/**
+ * Export the power budget (see PowerBudget.buildPowerReport) — CSV or
+ * printable HTML with the per-tube loads, injection points and PSU groups.
+ */
+export class PowerReportExporter {
+  static TUBE_COLUMNS = [
+    { key: 'name', label: 'Tube' },
+    { key: 'lengthMm', label: 'Length (mm)' },
+    { key: 'voltage', label: 'Voltage (V)' },
+    { key: 'wattsPerMeter', label: 'W/m' },
+    { key: 'watts', label: 'Watts' },
+    { key: 'amps', label: 'Amps' },
+    { key: 'dropSingle', label: 'Drop 1 Feed (%)' },
+    { key: 'feeds', label: 'Feeds' },
+    { key: 'injections', label: 'Inject At (mm from start)' },
+    { key: 'drop', label: 'Drop (%)' },
+    { key: 'psus', label: 'PSU' },
+  ];
+
+  /**
+   * Export the per-tube power table as CSV (one PSU summary block below it).
+   * @param {import('../power/PowerBudget.js').PowerReport} report
+   * @param {string} filename - export filename (without extension)
+   */
+  static exportCSV(report, filename = 'NeonFlexDesign') {
+    const rows = this.buildRows(report);
+    if (rows.length === 0) throw new Error('No tubes with power data');
+
+    const cell = (v) => {
+      const s = String(v ?? '');
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const lines = [this.TUBE_COLUMNS.map(c => cell(c.label)).join(',')];
+    for (const row of rows) {
+      lines.push(this.TUBE_COLUMNS.map(c => cell(row[c.key])).join(','));
+    }
+    lines.push('');
+    lines.push(['PSU', 'Voltage (V)', 'Rated (W)', 'Load (W)', 'Load (%)', 'Amps', 'Feeds'].map(cell).join(','));
+    for (const psu of report.psus) {
+      lines.push([
+        `PSU ${psu.index}`, psu.voltage, psu.ratedW, psu.loadW.toFixed(1),
+        psu.loadPct.toFixed(0), psu.amps.toFixed(2), this._feedList(psu),
+      ].map(cell).join(','));
+    }
+    if (report.unpowered.length > 0) {
+      lines.push('');
+      lines.push(cell('Unknown Power (not in totals)'));
+      for (const u of report.unpowered) lines.push(cell(u.name));
+    }
+    // BOM so Excel opens UTF-8 names correctly
+    const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    this._download(blob, `${filename}_power.csv`);
+  }
+
+  /**
+   * Export the power report as a print-ready HTML page.
+   * @param {import('../power/PowerBudget.js').PowerReport} report
+   * @param {string} filename - export filename (without extension)
+   */
+  static exportHTML(report, filename = 'NeonFlexDesign') {
+    const rows = this.buildRows(report);
+    if (rows.length === 0) throw new Error('No tubes with power data');
+    const s = report.settings;
+
+    const head = this.TUBE_COLUMNS.map(c => `<th>${this._esc(c.label)}</th>`).join('');
+    const body = rows.map(r =>
+      `<tr>${this.TUBE_COLUMNS.map(c => `<td>${this._esc(String(r[c.key] ?? ''))}</td>`).join('')}</tr>`
+    ).join('\n');
+
+    const psuRows = report.psus.map(psu => `<tr>
+<td>PSU ${psu.index}</td><td>${psu.voltage}</td><td>${psu.ratedW}</td><td>${psu.loadW.toFixed(1)}</td>
+<td>${psu.loadPct.toFixed(0)}%</td><td>${psu.amps.toFixed(2)}</td><td>${this._esc(this._feedList(psu))}</td>
+</tr>`).join('\n');
+
+    const totals = report.totals.byVoltage.map(v =>
+      `${v.voltage} V: ${v.watts.toFixed(0)} W · ${v.amps.toFixed(1)} A · ${v.psus} PSU(s)`
+    ).join('<br>');
+
+    const unpowered = report.unpowered.length > 0
+      ? `<p class="meta">Unknown power, not in the totals (set W/m on the fixture preset): ${this._esc(report.unpowered.map(u => u.name).join(', '))}</p>`
+      : '';
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this._esc(filename)} — Power Report</title>
+<style>
+  body { font: 12px/1.4 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 20px 0 6px; }
+  .meta { color: #555; margin-bottom: 12px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; white-space: nowrap; }
+  th { background: #e8e8e8; }
+  tr:nth-child(even) td { background: #f6f6f6; }
+  td:nth-child(n+2) { font-family: 'SF Mono', Consolas, monospace; }
+  @media print {
+    body { margin: 0; }
+    @page { size: A4 landscape; margin: 12mm; }
+    tr { page-break-inside: avoid; }
+    thead { display: table-header-group; }
+  }
+</style>
+</head>
+<body>
+<h1>${this._esc(filename)} — Power Report</h1>
+<div class="meta">${report.tubes.length} tube(s) · ${report.totals.watts.toFixed(0)} W total · ${report.psus.length} PSU(s) · ${report.totals.injections} injection point(s) · ${new Date().toLocaleString()}</div>
+<div class="meta">${totals}</div>
+<div class="meta">PSU ${s.psuWatts} W with ${s.headroomPct}% headroom · max drop ${s.maxDropPct}% · bus ${s.busOhmsPerM} Ω/m round trip</div>
+<h2>Tubes</h2>
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+${unpowered}
+<h2>Power Supplies</h2>
+<table>
+<thead><tr><th>PSU</th><th>Voltage (V)</th><th>Rated (W)</th><th>Load (W)</th><th>Load</th><th>Amps</th><th>Feeds</th></tr></thead>
+<tbody>
+${psuRows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    this._download(new Blob([html], { type: 'text/html;charset=utf-8' }), `${filename}_power.html`);
+  }
+
+  /**
+   * Per-tube rows keyed by TUBE_COLUMNS keys.
+   * @param {import('../power/PowerBudget.js').PowerReport} report
+   * @returns {object[]}
+   */
+  static buildRows(report) {
+    const psusByTube = new Map();
+    for (const psu of report.psus) {
+      for (const f of psu.feeds) {
+        const list = psusByTube.get(f.tubeId) || [];
+        if (!list.includes(psu.index)) list.push(psu.index);
+        psusByTube.set(f.tubeId, list);
+      }
+    }
+    return report.tubes.map(tp => ({
+      name: tp.name,
+      lengthMm: Math.round(tp.lengthM * 1000),
+      voltage: tp.voltage,
+      wattsPerMeter: tp.wattsPerMeter,
+      watts: tp.watts.toFixed(1),
+      amps: tp.amps.toFixed(2),
+      dropSingle: tp.dropPctSingleFeed.toFixed(1),
+      feeds: tp.feeds,
+      injections: tp.injections.map(i => Math.round(i.distM * 1000)).join(' / '),
+      drop: tp.dropPct.toFixed(1),
+      psus: (psusByTube.get(tp.tubeId) || []).map(i => `PSU ${i}`).join(', '),
+    }));
+  }
+
+  static _feedList(psu) {
+    return psu.feeds
+      .map(f => (f.feeds > 1 ? `${f.name} (feed ${f.feed}/${f.feeds})` : f.name))
+      .join(', ');
+  }
+
+  static _esc(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+              .replace(/"/g, '&quot;');
+  }
+
+  static _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
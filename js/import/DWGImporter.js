@@ -17,11 +17,20 @@ export class DWGImporter {
    * @param {object} options
    * @param {number} options.scale - Scale factor (default auto-detect)
    * @param {Set<string>|null} options.layers - Layer filter (null = all)
-   * @returns {{ tubes: Array, stats: object, layers: Map, entityCounts: object }}
+   * @returns {Promise<{ tubes: Array, stats: object, layers: Map, entityCounts: object, scale: number }>}
    */
   async parse(buffer, options = {}) {
-    const layerFilter = options.layers ?? null;
+    const { entities, blockMap, scale } = await this._readDatabase(buffer);
+    return this._buildResult(entities, blockMap, { scale, ...options });
+  }
 
+  /**
+   * Read a DWG buffer into model-space entities and a block lookup map.
+   * Subclasses reading other formats override this and reuse the rest.
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<{ entities: Array, blockMap: Map<string, object>, scale?: number }>}
+   */
+  async _readDatabase(buffer) {
     // Init WASM library (singleton)
     if (!this._lib) {
       this._lib = await LibreDwg.create();
@@ -49,6 +58,18 @@ export class DWGImporter {
       }
     }
 
+    return { entities, blockMap };
+  }
+
+  /**
+   * Flatten, scale and convert read entities into tube data.
+   * @param {Array} entities - model-space entities
+   * @param {Map<string, object>} blockMap - block name → { entities }
+   * @param {object} options - see parse(); options.scale null = auto-detect
+   */
+  _buildResult(entities, blockMap, options) {
+    const layerFilter = options.layers ?? null;
+
     // Flatten all entities: resolve INSERTs recursively into geometry
     const flatEntities = [];
     for (const ent of entities) {
@@ -70,7 +91,7 @@ export class DWGImporter {
       entityCounts[fe.type] = (entityCounts[fe.type] || 0) + 1;
     }
 
-    // Auto-detect or use provided scale
+    // Use provided scale, else auto-detect
     let scale = options.scale;
     if (scale == null) {
       scale = this._autoDetectScale(flatEntities);
@@ -115,6 +136,7 @@ export class DWGImporter {
       },
       layers: layerSet,
       entityCounts,
+      scale,
     };
   }
 
@@ -146,7 +168,7 @@ export class DWGImporter {
     }
 
     // Skip non-geometry types
-    const geoTypes = ['LINE', 'LWPOLYLINE', 'POLYLINE2D', 'POLYLINE3D', 'ARC', 'CIRCLE', 'SPLINE'];
+    const geoTypes = ['LINE', 'LWPOLYLINE', 'POLYLINE2D', 'POLYLINE3D', 'ARC', 'CIRCLE', 'ELLIPSE', 'SPLINE'];
     if (!geoTypes.includes(ent.type)) return;
 
     output.push({
@@ -210,6 +232,8 @@ export class DWGImporter {
         return this._convertArc(ent, scale, transform);
       case 'CIRCLE':
         return this._convertCircle(ent, scale, transform);
+      case 'ELLIPSE':
+        return this._convertEllipse(ent, scale, transform);
       case 'SPLINE':
         return this._convertSpline(ent, scale, transform);
       default:
@@ -361,12 +385,66 @@ export class DWGImporter {
     return { points, closed: true };
   }
 
+  _convertEllipse(ent, scale, transform) {
+    const c = ent.center;
+    const major = ent.majorAxisEndPoint;
+    if (!c || !major) return null;
+    const ratio = ent.axisRatio || 1;
+    const mx = major.x, my = major.y, mz = major.z || 0;
+    const majorLen = Math.sqrt(mx * mx + my * my + mz * mz);
+    if (majorLen < 1e-10) return null;
+
+    // Minor axis = extrusion × major, scaled by the axis ratio
+    const n = ent.extrusionDirection || { x: 0, y: 0, z: 1 };
+    const nz = n.z ?? 1;
+    const nx = n.x || 0, ny = n.y || 0;
+    const minX = (ny * mz - nz * my) * ratio;
+    const minY = (nz * mx - nx * mz) * ratio;
+    const minZ = (nx * my - ny * mx) * ratio;
+
+    const startAngle = ent.startAngle || 0;
+    let sweep = (ent.endAngle ?? Math.PI * 2) - startAngle;
+    if (sweep <= 0) sweep += Math.PI * 2;
+    const full = Math.abs(sweep - Math.PI * 2) < 1e-6;
+
+    const numSegs = Math.max(8, Math.round(sweep / (Math.PI / 18)));
+    const points = [];
+    const count = full ? numSegs : numSegs + 1;
+    for (let i = 0; i < count; i++) {
+      const t = startAngle + (i / numSegs) * sweep;
+      const cos = Math.cos(t), sin = Math.sin(t);
+      points.push(this._toThreeJS(
+        c.x + mx * cos + minX * sin,
+        c.y + my * cos + minY * sin,
+        (c.z || 0) + mz * cos + minZ * sin,
+        scale, transform
+      ));
+    }
+
+    return { points, closed: full };
+  }
+
   _convertSpline(ent, scale, transform) {
+    const ctrl = ent.controlPoints || [];
+    const knots = ent.knots || [];
+    const degree = ent.degree || 3;
+    const closed = !!(ent.flag & 1);
+
+    // Evaluate the real curve when the knot vector is usable
+    if (ctrl.length > degree && knots.length === ctrl.length + degree + 1) {
+      const raw = this._sampleBSpline(ctrl, knots, degree, ent.weights);
+      const points = raw.map(p => this._toThreeJS(p.x, p.y, p.z, scale, transform));
+      if (closed && points.length > 2 && points[0].distanceTo(points[points.length - 1]) < 1e-9) {
+        points.pop();
+      }
+      return { points, closed };
+    }
+
     let pts;
     if (ent.fitPoints && ent.fitPoints.length >= 2) {
       pts = ent.fitPoints;
-    } else if (ent.controlPoints && ent.controlPoints.length >= 2) {
-      pts = ent.controlPoints;
+    } else if (ctrl.length >= 2) {
+      pts = ctrl;
     } else {
       return null;
     }
@@ -374,10 +452,49 @@ export class DWGImporter {
     const points = pts.map(p =>
       this._toThreeJS(p.x, p.y, p.z || 0, scale, transform)
     );
-    const closed = !!(ent.flag & 1);
     return { points, closed };
   }
 
+  /**
+   * Sample a (rational) B-spline with de Boor's algorithm.
+   * Weights come from the weights array or a per-point `w`, default 1.
+   * @returns {{x: number, y: number, z: number}[]} points in DWG space
+   */
+  _sampleBSpline(ctrl, knots, degree, weights) {
+    const n = ctrl.length;
+    const t0 = knots[degree];
+    const t1 = knots[n];
+    if (!(t1 > t0)) return [];
+
+    const numSegs = Math.max(16, (n - degree) * 8);
+    const out = [];
+    for (let s = 0; s <= numSegs; s++) {
+      const t = s === numSegs ? t1 : t0 + (s / numSegs) * (t1 - t0);
+
+      // Knot span k with knots[k] <= t < knots[k + 1]
+      let k = degree;
+      while (k < n - 1 && t >= knots[k + 1]) k++;
+
+      const d = [];
+      for (let j = 0; j <= degree; j++) {
+        const p = ctrl[k - degree + j];
+        const w = weights?.[k - degree + j] ?? p.w ?? 1;
+        d.push([p.x * w, p.y * w, (p.z || 0) * w, w]);
+      }
+      for (let r = 1; r <= degree; r++) {
+        for (let j = degree; j >= r; j--) {
+          const i = k - degree + j;
+          const denom = knots[i + degree - r + 1] - knots[i];
+          const a = denom === 0 ? 0 : (t - knots[i]) / denom;
+          for (let c = 0; c < 4; c++) d[j][c] = (1 - a) * d[j - 1][c] + a * d[j][c];
+        }
+      }
+      const [x, y, z, w] = d[degree];
+      out.push({ x: x / w, y: y / w, z: z / w });
+    }
+    return out;
+  }
+
   /**
    * Compute arc points from DWG bulge factor between two vertices.
    */
@@ -462,6 +579,7 @@ export class DWGImporter {
         return ent.vertices || [];
       case 'ARC':
       case 'CIRCLE':
+      case 'ELLIPSE':
         return ent.center ? [ent.center] : [];
       case 'SPLINE':
         return ent.fitPoints || ent.controlPoints || [];
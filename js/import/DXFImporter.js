@@ -0,0 +1,363 @@
+import * as THREE from 'three';
+import { DWGImporter } from './DWGImporter.js';
+
+// $INSUNITS → meters per drawing unit (unitless/unknown → auto-detect)
+const INSUNITS_SCALE = { 1: 0.0254, 2: 0.3048, 4: 0.001, 5: 0.01, 6: 1 };
+
+// Entities whose coordinates are stored in their Object Coordinate System
+const OCS_TYPES = new Set(['ARC', 'CIRCLE', 'LWPOLYLINE', 'POLYLINE2D', 'INSERT']);
+
+const DEG = Math.PI / 180;
+
+/**
+ * Imports ASCII DXF files in pure JS — no WASM needed.
+ *
+ * Reads the HEADER, BLOCKS and ENTITIES sections into the same entity shape
+ * libredwg produces (radians, startPoint/vertices/center…), then hands them to
+ * DWGImporter's flatten/convert pipeline, so layers, block resolution, scale
+ * detection and the DWGImportDialog work the same for both formats.
+ *
+ * Supported: LINE, LWPOLYLINE (with bulges), POLYLINE (2D/3D), ARC, CIRCLE,
+ * ELLIPSE, SPLINE and INSERT (incl. nested blocks and arrays). Mirrored
+ * geometry (extrusion 0,0,-1) is resolved through the OCS. $INSUNITS, when
+ * set, picks the scale instead of auto-detection.
+ */
+export class DXFImporter extends DWGImporter {
+  /**
+   * Read a DXF buffer into model-space entities and a block lookup map.
+   * @param {ArrayBuffer} buffer - Raw DXF file content
+   * @returns {Promise<{ entities: Array, blockMap: Map<string, object>, scale: number|null }>}
+   */
+  async _readDatabase(buffer) {
+    const head = new Uint8Array(buffer, 0, Math.min(22, buffer.byteLength));
+    if (String.fromCharCode(...head).startsWith('AutoCAD Binary DXF')) {
+      throw new Error('Binary DXF is not supported — save the drawing as ASCII DXF');
+    }
+
+    const records = this._readRecords(this._decode(buffer));
+    if (!records.length) {
+      throw new Error('Failed to parse DXF file — no sections found');
+    }
+
+    let scale = null;
+    const entities = [];
+    const blockMap = new Map();
+    let section = null;
+    let block = null;
+    let polyline = null;
+
+    for (const rec of records) {
+      if (rec.type === 'SECTION') {
+        section = this._value(rec, 2);
+        // HEADER variables are all pairs of the SECTION record itself
+        if (section === 'HEADER') {
+          const units = this._headerVar(rec, '$INSUNITS');
+          if (units != null) scale = INSUNITS_SCALE[parseInt(units, 10)] ?? null;
+        }
+        continue;
+      }
+      if (rec.type === 'ENDSEC') {
+        section = null;
+        continue;
+      }
+
+      if (section !== 'BLOCKS' && section !== 'ENTITIES') continue;
+
+      if (rec.type === 'BLOCK') {
+        const name = this._value(rec, 2) || '';
+        block = { name, entities: [], basePoint: this._point(rec, 10) };
+        if (!/^\*(model|paper)_space/i.test(name)) blockMap.set(name, block);
+        continue;
+      }
+      if (rec.type === 'ENDBLK') {
+        block = null;
+        continue;
+      }
+
+      const target = block ? block.entities : entities;
+
+      // Old-style POLYLINE: vertices follow as VERTEX records up to SEQEND
+      if (polyline) {
+        if (rec.type === 'VERTEX') {
+          const flag = parseInt(this._value(rec, 70) || '0', 10);
+          if (polyline.vertices && !(flag & 16)) { // skip meshes and spline frame points
+            const v = this._point(rec, 10);
+            v.bulge = parseFloat(this._value(rec, 42) || '0');
+            if (polyline.type === 'POLYLINE2D') v.z = polyline.elevation;
+            polyline.vertices.push(v);
+          }
+          continue;
+        }
+        polyline = null;
+      }
+      // Block attributes are text, not geometry
+      if (rec.type === 'SEQEND' || rec.type === 'ATTRIB') continue;
+
+      // Paper-space entities never reach the model
+      if (!block && this._value(rec, 67) === '1') continue;
+
+      const ent = this._readEntity(rec);
+      if (!ent) continue;
+      if (rec.type === 'POLYLINE') polyline = ent;
+      if (ent.type === 'INSERT') {
+        target.push(...this._expandInsertArray(ent, rec));
+      } else {
+        target.push(ent);
+      }
+    }
+
+    // INSERT transforms need the referenced block's base point
+    const attachBase = (ents) => {
+      for (const ent of ents) {
+        if (ent.type === 'INSERT') ent.basePoint = blockMap.get(ent.name)?.basePoint || null;
+      }
+    };
+    attachBase(entities);
+    for (const b of blockMap.values()) attachBase(b.entities);
+
+    return { entities, blockMap, scale };
+  }
+
+  /**
+   * Apply the entity's OCS before its parent transform, so mirrored arcs and
+   * polylines land where they were drawn.
+   */
+  _flattenEntity(ent, blockMap, parentTransform, output, depth) {
+    const ocs = ent.type !== 'INSERT' && this._ocsMatrix(ent);
+    if (!ocs) {
+      super._flattenEntity(ent, blockMap, parentTransform, output, depth);
+      return;
+    }
+    const start = output.length;
+    const combined = parentTransform ? parentTransform.clone().multiply(ocs) : ocs;
+    super._flattenEntity(ent, blockMap, combined, output, depth);
+    if (!parentTransform) {
+      for (let i = start; i < output.length; i++) output[i].sourceBlock = null;
+    }
+  }
+
+  /**
+   * INSERT transform: OCS · T · R · S · T(-block base point).
+   */
+  _buildInsertTransform(ins) {
+    const mat = super._buildInsertTransform(ins);
+    const base = ins.basePoint;
+    if (base && (base.x || base.y || base.z)) {
+      mat.multiply(new THREE.Matrix4().makeTranslation(-base.x, -base.y, -(base.z || 0)));
+    }
+    const ocs = this._ocsMatrix(ins);
+    return ocs ? ocs.multiply(mat) : mat;
+  }
+
+  /**
+   * Arbitrary axis algorithm: OCS → WCS matrix for the entity's extrusion
+   * direction, or null when it is the default +Z.
+   */
+  _ocsMatrix(ent) {
+    const n = ent.extrusionDirection;
+    if (!n || !OCS_TYPES.has(ent.type)) return null;
+    const N = new THREE.Vector3(n.x, n.y, n.z);
+    if (N.lengthSq() < 1e-20) return null;
+    N.normalize();
+    if (Math.abs(N.x) < 1e-9 && Math.abs(N.y) < 1e-9 && N.z > 0) return null;
+
+    const ax = (Math.abs(N.x) < 1 / 64 && Math.abs(N.y) < 1 / 64)
+      ? new THREE.Vector3(0, 1, 0).cross(N)
+      : new THREE.Vector3(0, 0, 1).cross(N);
+    ax.normalize();
+    const ay = new THREE.Vector3().crossVectors(N, ax).normalize();
+    return new THREE.Matrix4().makeBasis(ax, ay, N);
+  }
+
+  // ── Group code reading ─────────────────────────────────
+
+  /** Decode as UTF-8, falling back to Windows-1252 for pre-2007 files. */
+  _decode(buffer) {
+    const text = new TextDecoder('utf-8').decode(buffer);
+    if (!text.includes('\uFFFD')) return text;
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+
+  /**
+   * Split DXF text into records: each starts at a group code 0 and holds
+   * the [code, value] pairs up to the next one.
+   * @returns {{ type: string, pairs: Array<[number, string]> }[]}
+   */
+  _readRecords(text) {
+    const lines = text.split(/\r?\n/);
+    const records = [];
+    let current = null;
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+      const code = parseInt(lines[i].trim(), 10);
+      if (Number.isNaN(code)) continue;
+      const value = lines[i + 1].trim();
+      if (code === 0) {
+        if (value === 'EOF') break;
+        current = { type: value, pairs: [] };
+        records.push(current);
+      } else if (current) {
+        current.pairs.push([code, value]);
+      }
+    }
+    return records;
+  }
+
+  /** First value for a group code, or null. */
+  _value(rec, code) {
+    const pair = rec.pairs.find(p => p[0] === code);
+    return pair ? pair[1] : null;
+  }
+
+  _num(rec, code, fallback = 0) {
+    const v = this._value(rec, code);
+    return v == null ? fallback : parseFloat(v);
+  }
+
+  /** Point from codes (c, c+10, c+20), e.g. 10/20/30. */
+  _point(rec, code) {
+    return {
+      x: this._num(rec, code),
+      y: this._num(rec, code + 10),
+      z: this._num(rec, code + 20),
+    };
+  }
+
+  /** All points for a repeated code group, in file order. */
+  _points(rec, code) {
+    const pts = [];
+    for (const [c, v] of rec.pairs) {
+      if (c === code) pts.push({ x: parseFloat(v), y: 0, z: 0 });
+      else if (c === code + 10 && pts.length) pts[pts.length - 1].y = parseFloat(v);
+      else if (c === code + 20 && pts.length) pts[pts.length - 1].z = parseFloat(v);
+    }
+    return pts;
+  }
+
+  /** All numeric values of a repeated code. */
+  _nums(rec, code) {
+    return rec.pairs.filter(p => p[0] === code).map(p => parseFloat(p[1]));
+  }
+
+  /** Value of a HEADER variable ($NAME) in a header record, or null. */
+  _headerVar(rec, name) {
+    const idx = rec.pairs.findIndex(p => p[0] === 9 && p[1] === name);
+    if (idx < 0 || idx + 1 >= rec.pairs.length) return null;
+    return rec.pairs[idx + 1][1];
+  }
+
+  // ── Entities ───────────────────────────────────────────
+
+  /**
+   * Convert a record to a libredwg-shaped entity. Unsupported types are kept
+   * as { type, layer } so they still show up in the raw counts.
+   */
+  _readEntity(rec) {
+    const ent = { type: rec.type, layer: this._value(rec, 8) || '0' };
+    if (rec.pairs.some(p => p[0] === 210 || p[0] === 220 || p[0] === 230)) {
+      ent.extrusionDirection = { x: this._num(rec, 210), y: this._num(rec, 220), z: this._num(rec, 230, 1) };
+    }
+
+    switch (rec.type) {
+      case 'LINE':
+        ent.startPoint = this._point(rec, 10);
+        ent.endPoint = this._point(rec, 11);
+        break;
+
+      case 'LWPOLYLINE': {
+        ent.flag = parseInt(this._value(rec, 70) || '0', 10);
+        ent.elevation = this._num(rec, 38);
+        ent.vertices = [];
+        for (const [c, v] of rec.pairs) {
+          if (c === 10) ent.vertices.push({ x: parseFloat(v), y: 0, bulge: 0 });
+          const last = ent.vertices[ent.vertices.length - 1];
+          if (!last) continue;
+          if (c === 20) last.y = parseFloat(v);
+          else if (c === 42) last.bulge = parseFloat(v);
+        }
+        break;
+      }
+
+      case 'POLYLINE': {
+        const flag = parseInt(this._value(rec, 70) || '0', 10);
+        if (flag & (16 | 64)) return { type: 'POLYMESH', layer: ent.layer }; // no vertices kept
+        ent.type = (flag & 8) ? 'POLYLINE3D' : 'POLYLINE2D';
+        ent.flag = flag;
+        ent.elevation = this._num(rec, 30);
+        ent.vertices = [];
+        break;
+      }
+
+      case 'ARC':
+        ent.center = this._point(rec, 10);
+        ent.radius = this._num(rec, 40);
+        ent.startAngle = this._num(rec, 50) * DEG;
+        ent.endAngle = this._num(rec, 51) * DEG;
+        break;
+
+      case 'CIRCLE':
+        ent.center = this._point(rec, 10);
+        ent.radius = this._num(rec, 40);
+        break;
+
+      case 'ELLIPSE':
+        ent.center = this._point(rec, 10);
+        ent.majorAxisEndPoint = this._point(rec, 11);
+        ent.axisRatio = this._num(rec, 40, 1);
+        ent.startAngle = this._num(rec, 41);
+        ent.endAngle = this._num(rec, 42, Math.PI * 2);
+        break;
+
+      case 'SPLINE': {
+        ent.flag = parseInt(this._value(rec, 70) || '0', 10);
+        ent.degree = parseInt(this._value(rec, 71) || '3', 10);
+        ent.knots = this._nums(rec, 40);
+        ent.controlPoints = this._points(rec, 10);
+        ent.fitPoints = this._points(rec, 11);
+        const weights = this._nums(rec, 41);
+        if (weights.length === ent.controlPoints.length) ent.weights = weights;
+        break;
+      }
+
+      case 'INSERT':
+        ent.name = this._value(rec, 2) || '';
+        ent.insertionPoint = this._point(rec, 10);
+        ent.xScale = this._num(rec, 41, 1);
+        ent.yScale = this._num(rec, 42, 1);
+        ent.zScale = this._num(rec, 43, 1);
+        ent.rotation = this._num(rec, 50) * DEG;
+        break;
+    }
+    return ent;
+  }
+
+  /**
+   * Expand a MINSERT-style array (column/row counts 70/71) into one INSERT
+   * per cell, offset along the rotated block axes.
+   */
+  _expandInsertArray(ins, rec) {
+    const cols = Math.max(1, parseInt(this._value(rec, 70) || '1', 10));
+    const rows = Math.max(1, parseInt(this._value(rec, 71) || '1', 10));
+    if (cols === 1 && rows === 1) return [ins];
+
+    const colSpacing = this._num(rec, 44);
+    const rowSpacing = this._num(rec, 45);
+    const cos = Math.cos(ins.rotation);
+    const sin = Math.sin(ins.rotation);
+    const out = [];
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const dx = c * colSpacing;
+        const dy = r * rowSpacing;
+        out.push({
+          ...ins,
+          insertionPoint: {
+            x: ins.insertionPoint.x + dx * cos - dy * sin,
+            y: ins.insertionPoint.y + dx * sin + dy * cos,
+            z: ins.insertionPoint.z,
+          },
+        });
+      }
+    }
+    return out;
+  }
+}
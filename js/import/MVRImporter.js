@@ -0,0 +1,394 @@
+import * as THREE from 'three';
+import { ZipReader } from '../utils/ZipReader.js';
+import { simplifyPath } from '../utils/SimplifyPath.js';
+import { MVRExporter, MVR_USERDATA_PROVIDER } from '../export/MVRExporter.js';
+import { parseGDTFDescription } from '../dmx/GDTFLibrary.js';
+import { BezierPath } from '../drawing/BezierPath.js';
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+
+const PIXEL_NAME_RE = /^(.*)_Pixel_(\d+)$/;
+
+// Exported positions are rounded to 0.1 mm — anything further moved in Capture
+const MOVED_TOLERANCE_M = 0.002;
+
+/**
+ * Imports MVR files back into editable tubes — the reverse of MVRExporter.
+ *
+ * Pixel fixtures are grouped into chains by their GroupObject and
+ * "<tube>_Pixel_<n>" names. Each chain becomes a tube: the fixture matrices
+ * give the path, the first fixture gives universe, address and fixture ID.
+ *
+ * MVRs written by this tool also carry each tube's settings in UserData. Those
+ * restore profile, material, control points etc.; the fixtures still win for
+ * addressing, and if they were moved (e.g. in Capture) the path is rebuilt
+ * from them. Placeholder and UV-mapped tubes have no pixel chain and can only
+ * come back from UserData.
+ */
+export class MVRImporter {
+  /**
+   * Parse an MVR file buffer.
+   * @param {ArrayBuffer} buffer - raw MVR file content
+   * @param {object} [options]
+   * @param {import('../dmx/GDTFLibrary.js').GDTFLibrary} [options.gdtfLibrary] - manufacturer GDTFs
+   *   referenced by fixtures are imported here and assigned to the tubes
+   * @returns {Promise<{ tubes: { points: THREE.Vector3[], options: object, groupKey: number|null }[],
+   *   stats: { restored: number, rebuilt: number, skipped: number } }>}
+   */
+  async parse(buffer, options = {}) {
+    const zip = new ZipReader(buffer);
+    const xmlName = zip.names.find(n => n.toLowerCase() === 'generalscenedescription.xml')
+      || zip.names.find(n => n.toLowerCase().endsWith('.xml'));
+    if (!xmlName) throw new Error('No GeneralSceneDescription.xml in MVR');
+
+    const doc = new DOMParser().parseFromString(await zip.readText(xmlName), 'text/xml');
+    if (doc.querySelector('parsererror')) throw new Error('MVR scene description is not valid XML');
+
+    const meta = this._readUserData(doc);
+    const specs = await this._importSpecs(zip, doc, options.gdtfLibrary);
+
+    const chains = this._collectChains(doc);
+    const tubes = [];
+    const stats = { restored: 0, rebuilt: 0, skipped: 0 };
+    const usedMeta = new Set();
+
+    for (const chain of chains) {
+      const entry = meta.byGroup.get(chain.groupUuid)
+        || (chain.name && meta.byName.get(chain.name)) || null;
+      if (entry) usedMeta.add(entry);
+
+      const result = entry
+        ? this._fromUserData(entry.tube, chain, specs, options.gdtfLibrary)
+        : this._fromFixtures(chain, specs, options.gdtfLibrary);
+      if (!result) { stats.skipped++; continue; }
+
+      tubes.push(result);
+      if (result.rebuilt) stats.rebuilt++; else stats.restored++;
+    }
+
+    // Tubes without fixtures (UV-mapped) — settings only
+    for (const entry of meta.entries) {
+      if (usedMeta.has(entry)) continue;
+      if (!meta.groupsInScene.has(entry.group)) continue; // deleted in Capture
+      const result = this._fromUserData(entry.tube, null, specs, options.gdtfLibrary);
+      if (result) { tubes.push(result); stats.restored++; }
+    }
+
+    return { tubes, stats };
+  }
+
+  // ─── Scene reading ──────────────────────────────────────────
+
+  _readUserData(doc) {
+    const meta = { entries: [], byGroup: new Map(), byName: new Map(), groupsInScene: new Set() };
+    for (const el of doc.querySelectorAll('GroupObject')) {
+      const uuid = el.getAttribute('uuid');
+      if (uuid) meta.groupsInScene.add(uuid);
+    }
+
+    const dataEl = [...doc.querySelectorAll('UserData > Data')]
+      .find(el => el.getAttribute('provider') === MVR_USERDATA_PROVIDER);
+    if (!dataEl) return meta;
+
+    let entries;
+    try {
+      entries = JSON.parse(dataEl.textContent);
+    } catch (err) {
+      console.warn('[MVRImport] Ignoring unreadable UserData:', err);
+      return meta;
+    }
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      if (!entry || !entry.tube) continue;
+      meta.entries.push(entry);
+      if (entry.group) meta.byGroup.set(entry.group, entry);
+      if (entry.tube.name && !meta.byName.has(entry.tube.name)) meta.byName.set(entry.tube.name, entry);
+    }
+    return meta;
+  }
+
+  /**
+   * Import manufacturer GDTFs referenced by fixtures. Our own generated
+   * Generic LED / placeholder GDTFs are skipped.
+   * @returns {Promise<Map<string, string>>} GDTFSpec file name → library fixture id
+   */
+  async _importSpecs(zip, doc, gdtfLibrary) {
+    const specs = new Map();
+    if (!gdtfLibrary) return specs;
+
+    const names = new Set();
+    for (const el of doc.querySelectorAll('Fixture > GDTFSpec')) {
+      const name = el.textContent.trim();
+      if (name) names.add(name);
+    }
+    for (const name of names) {
+      const file = zip.has(name) ? name : (zip.has(`${name}.gdtf`) ? `${name}.gdtf` : null);
+      if (!file) continue;
+      try {
+        const data = await zip.read(file);
+        const inner = new ZipReader(data);
+        const info = parseGDTFDescription(await inner.readText('description.xml'), file);
+        if (info.manufacturer === 'MAGICTOOLBOX') continue;
+        const fixture = await gdtfLibrary.importBytes(data, file);
+        specs.set(name, fixture.id);
+      } catch (err) {
+        console.warn(`[MVRImport] Skipping GDTF ${name}:`, err);
+      }
+    }
+    return specs;
+  }
+
+  /**
+   * Group fixtures into chains: one per GroupObject and tube name prefix.
+   * Non-pixel fixtures (placeholders) form single-fixture chains.
+   */
+  _collectChains(doc) {
+    const chains = new Map();
+    for (const el of doc.querySelectorAll('Fixture')) {
+      const container = el.parentElement?.closest('GroupObject') || el.closest('Layer');
+      const groupUuid = container?.getAttribute('uuid') || '';
+      const fixtureName = el.getAttribute('name') || '';
+      const match = fixtureName.match(PIXEL_NAME_RE);
+
+      const fixture = this._readFixture(el);
+      if (!fixture) continue;
+      fixture.number = match ? parseInt(match[2], 10) : null;
+
+      const key = match ? `${groupUuid}|${match[1]}` : `${groupUuid}|#${el.getAttribute('uuid')}`;
+      if (!chains.has(key)) {
+        chains.set(key, {
+          groupUuid,
+          name: match ? match[1] : (container?.getAttribute('name') || fixtureName),
+          isPixelChain: !!match,
+          fixtures: [],
+        });
+      }
+      chains.get(key).fixtures.push(fixture);
+    }
+
+    for (const chain of chains.values()) {
+      // Pixel numbers give DMX order; fall back to address order
+      chain.fixtures.sort((a, b) =>
+        (a.number != null && b.number != null) ? a.number - b.number : a.absAddress - b.absAddress);
+    }
+    return [...chains.values()];
+  }
+
+  /**
+   * Read a fixture's world transform and patch.
+   * Position is converted MVR Z-up mm → Three.js Y-up meters.
+   */
+  _readFixture(el) {
+    const world = this._worldMatrix(el);
+    if (!world) return null;
+
+    const e = world.elements;
+    const toThree = (x, y, z) => new THREE.Vector3(x, z, -y);
+    const position = toThree(e[12], e[13], e[14]).multiplyScalar(0.001);
+    const tangent = toThree(e[0], e[1], e[2]).normalize();
+    // Fixture +Z is opposite the beam; the beam points toward the diffuser
+    const beam = toThree(e[8], e[9], e[10]).normalize().negate();
+
+    const addrEl = el.querySelector(':scope > Addresses > Address');
+    const absAddress = this._parseAddress(addrEl?.textContent || '');
+    const fixtureId = parseInt(el.querySelector(':scope > FixtureID')?.textContent, 10);
+
+    return {
+      position,
+      tangent,
+      beam,
+      absAddress,
+      fixtureId: Number.isFinite(fixtureId) ? fixtureId : null,
+      spec: el.querySelector(':scope > GDTFSpec')?.textContent.trim() || '',
+      mode: el.querySelector(':scope > GDTFMode')?.textContent.trim() || '',
+    };
+  }
+
+  /** Absolute DMX address (1-based) from "513" or "2.1" (universe.address). */
+  _parseAddress(text) {
+    const t = text.trim();
+    if (!t) return 1;
+    if (t.includes('.')) {
+      const [u, a] = t.split('.').map(n => parseInt(n, 10) || 1);
+      return (u - 1) * 512 + a;
+    }
+    return Math.max(1, parseInt(t, 10) || 1);
+  }
+
+  /** Fixture matrix composed with its GroupObject / Layer parents (MVR space, mm). */
+  _worldMatrix(el) {
+    const own = this._parseMatrix(el.querySelector(':scope > Matrix')?.textContent);
+    const world = own || new THREE.Matrix4();
+    for (let p = el.parentElement; p; p = p.parentElement) {
+      if (p.tagName !== 'GroupObject' && p.tagName !== 'Layer') continue;
+      const pm = this._parseMatrix(p.querySelector(':scope > Matrix')?.textContent);
+      if (pm) world.premultiply(pm);
+    }
+    return world;
+  }
+
+  /** Parse "{ux,uy,uz}{vx,vy,vz}{wx,wy,wz}{ox,oy,oz}" — u/v/w are the local axes. */
+  _parseMatrix(text) {
+    if (!text) return null;
+    const n = (text.match(/-?[\d.]+(?:e[-+]?\d+)?/gi) || []).map(Number);
+    if (n.length < 12) return null;
+    return new THREE.Matrix4().set(
+      n[0], n[3], n[6], n[9],
+      n[1], n[4], n[7], n[10],
+      n[2], n[5], n[8], n[11],
+      0, 0, 0, 1,
+    );
+  }
+
+  // ─── Tube building ──────────────────────────────────────────
+
+  /**
+   * Restore a tube from its UserData settings; fixtures (if any) update the
+   * patch and, if moved, the path.
+   */
+  _fromUserData(data, chain, specs, gdtfLibrary) {
+    const options = { ...data };
+    delete options.id;
+    delete options.controlPoints;
+    delete options.bezierNodes;
+    delete options.groupId;
+    delete options.visible;
+    let points = (data.controlPoints || []).map(p => new THREE.Vector3(p.x, p.y, p.z));
+    let rebuilt = false;
+
+    if (chain && chain.fixtures.length > 0) {
+      this._applyPatch(options, chain, specs, gdtfLibrary);
+
+      if (chain.isPixelChain && !data.isPlaceholder && data.pixelMode !== 'uv-mapped'
+          && this._chainMoved(data, chain, points)) {
+        const path = this._pathFromChain(chain, {
+          closed: !!data.closed,
+          pixelsPerMeter: data.pixelsPerMeter,
+          offsetDist: this._pixelOffset(data),
+        });
+        if (path) {
+          points = path.points;
+          options.startPixel = path.startPixel;
+          options.reversePixels = false;
+          rebuilt = true;
+        }
+      }
+    }
+
+    // Keep the pen tool path unless the fixtures moved the tube
+    if (data.bezierNodes && !rebuilt) options.bezierNodes = BezierPath.fromJSON(data.bezierNodes);
+
+    if (points.length < 2) return null;
+    return { points, options, groupKey: data.groupId || null, rebuilt };
+  }
+
+  /** Build a tube from a pixel chain alone (MVRs without our UserData). */
+  _fromFixtures(chain, specs, gdtfLibrary) {
+    if (!chain.isPixelChain || chain.fixtures.length === 0) return null;
+
+    const first = chain.fixtures[0];
+    const last = chain.fixtures[chain.fixtures.length - 1];
+    const spacing = this._spacing(chain);
+    const closed = chain.fixtures.length >= 3 && last.position.distanceTo(first.position) < spacing * 1.5;
+
+    const path = this._pathFromChain(chain, { closed, offsetDist: 0 });
+    if (!path) return null;
+
+    const options = {
+      name: chain.name || undefined,
+      closed,
+      pixelsPerMeter: Math.max(1, Math.round(1 / spacing)),
+      startPixel: path.startPixel,
+    };
+    this._applyPatch(options, chain, specs, gdtfLibrary);
+    return { points: path.points, options, groupKey: null, rebuilt: true };
+  }
+
+  /** Universe, address, fixture ID and channels per pixel from the first fixture. */
+  _applyPatch(options, chain, specs, gdtfLibrary) {
+    const first = chain.fixtures[0];
+    options.dmxUniverse = Math.floor((first.absAddress - 1) / 512) + 1;
+    options.dmxAddress = ((first.absAddress - 1) % 512) + 1;
+    if (first.fixtureId != null) options.fixtureId = first.fixtureId;
+
+    const fixture = gdtfLibrary && specs.has(first.spec) ? gdtfLibrary.get(specs.get(first.spec)) : null;
+    const mode = fixture?.modes.find(m => m.name === first.mode) || fixture?.modes[0];
+    if (fixture && mode) {
+      options.gdtfFixture = fixture.id;
+      options.gdtfMode = mode.name;
+      options.dmxChannelsPerPixel = mode.footprint;
+    } else {
+      options.gdtfFixture = '';
+      options.gdtfMode = '';
+      if (first.mode === 'RGBW') options.dmxChannelsPerPixel = 4;
+      else if (first.mode === 'RGB') options.dmxChannelsPerPixel = 3;
+    }
+  }
+
+  /** Did the pixel fixtures move away from where the saved tube (points = its control points) puts them? */
+  _chainMoved(data, chain, points) {
+    const curve = CurveBuilder.build(points, data.tension, data.closed);
+    if (!curve) return true;
+    const expected = MVRExporter._curvePixelData(curve, data.pixelsPerMeter, this._pixelOffset(data), data);
+    if (expected.length !== chain.fixtures.length) return true;
+    return expected.some((px, i) => px.pos.distanceTo(chain.fixtures[i].position) > MOVED_TOLERANCE_M);
+  }
+
+  /** Pixels on square/rect profiles sit on the housing floor, below the centerline. */
+  _pixelOffset(data) {
+    const wallM = (data.wallThicknessMm || 1.5) * 0.001;
+    if (data.profile === 'square') return (data.diameterMm || 16) / 2 * 0.001 - wallM;
+    if (data.profile === 'rect') return (data.heightMm || 16) / 2 * 0.001 - wallM;
+    return 0;
+  }
+
+  /** Median distance between neighbouring pixels (meters). */
+  _spacing(chain) {
+    const d = [];
+    for (let i = 1; i < chain.fixtures.length; i++) {
+      d.push(chain.fixtures[i].position.distanceTo(chain.fixtures[i - 1].position));
+    }
+    if (d.length === 0) return 1 / 60;
+    d.sort((a, b) => a - b);
+    return Math.max(0.001, d[Math.floor(d.length / 2)]);
+  }
+
+  /**
+   * Control points through the pixel centers. Pixels sit at (i + 0.5) / count
+   * along the curve, so open tubes are extended by half a pitch at both ends
+   * (plus any skipped start pixels); closed tubes start half a pitch before
+   * the first pixel.
+   * @returns {{ points: THREE.Vector3[], startPixel: number }|null}
+   */
+  _pathFromChain(chain, { closed, pixelsPerMeter, offsetDist }) {
+    const fixtures = chain.fixtures;
+    const centers = fixtures.map(f => f.position.clone().addScaledVector(f.beam, offsetDist));
+    const spacing = pixelsPerMeter ? 1 / pixelsPerMeter : this._spacing(chain);
+
+    if (closed) {
+      if (centers.length < 3) return null;
+      const seam = centers[centers.length - 1].clone().lerp(centers[0], 0.5);
+      // Simplify as two open halves — a path that ends where it starts has no baseline
+      const ring = [seam, ...centers];
+      let far = 1;
+      for (let i = 2; i < ring.length; i++) {
+        if (ring[i].distanceToSquared(seam) > ring[far].distanceToSquared(seam)) far = i;
+      }
+      const first = simplifyPath(ring.slice(0, far + 1), 0.002);
+      const second = simplifyPath([...ring.slice(far), seam], 0.002);
+      return { points: [...first, ...second.slice(1, -1)], startPixel: 0 };
+    }
+
+    // Numbers are absolute: the first exported pixel is startPixel + 1
+    const startPixel = fixtures[0].number != null ? Math.max(0, fixtures[0].number - 1) : 0;
+    const n = centers.length;
+    const headDir = n > 1
+      ? centers[0].clone().sub(centers[1]).normalize()
+      : fixtures[0].tangent.clone().negate();
+    const tailDir = n > 1
+      ? centers[n - 1].clone().sub(centers[n - 2]).normalize()
+      : fixtures[0].tangent.clone();
+    const head = centers[0].clone().addScaledVector(headDir, (startPixel + 0.5) * spacing);
+    const tail = centers[n - 1].clone().addScaledVector(tailDir, 0.5 * spacing);
+
+    return { points: simplifyPath([head, ...centers, tail], 0.002), startPixel };
+  }
+}
@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { simplifyPath, simplifyClosedPath } from '../utils/SimplifyPath.js';
+import { toVector3 } from '../text/TextMapper.js';
+
+/**
+ * Imports SVG artwork (logos, line drawings) as tube-ready polyline chains.
+ *
+ * Parsing is done by three's SVGLoader, which resolves paths (lines, cubic
+ * and quadratic beziers, arcs), polylines/polygons, rects, circles, ellipses
+ * and nested group transforms. Every sub-path becomes one chain; sub-paths
+ * ending in Z (and rects/circles) are closed.
+ *
+ * The drawing is centered on the origin and scaled so its longest side is
+ * `size` meters, then laid onto the chosen drawing plane — the same chain
+ * shape textToChains() produces, so tubes are built by the shared chain flow.
+ */
+export class SVGImporter {
+  /**
+   * Parse SVG markup into chains.
+   * @param {string} text - SVG file content
+   * @param {object} [options]
+   * @param {number} [options.size=1] - longest side of the artwork in meters
+   * @param {string} [options.plane='XZ'] - drawing plane ('XZ', 'XY', 'YZ')
+   * @param {number} [options.divisions=12] - points per curve segment
+   * @param {number} [options.simplifyEpsilon] - tolerance in meters, auto from size if omitted
+   * @returns {{ chains: { points: THREE.Vector3[], closed: boolean }[],
+   *   stats: { paths: number, chains: number, skipped: number } }}
+   */
+  parse(text, options = {}) {
+    const {
+      size = 1,
+      plane = 'XZ',
+      divisions = 12,
+    } = options;
+    const epsilon = options.simplifyEpsilon != null
+      ? options.simplifyEpsilon
+      : size * 0.002;
+
+    let data;
+    try {
+      data = new SVGLoader().parse(text);
+    } catch (err) {
+      throw new Error(`Failed to parse SVG — ${err.message}`);
+    }
+
+    // Flatten every sub-path to 2D points in SVG user units
+    const raw = [];
+    for (const shapePath of data.paths) {
+      for (const subPath of shapePath.subPaths) {
+        const pts = subPath.getPoints(divisions);
+        if (pts.length >= 2) raw.push({ pts, autoClose: !!subPath.autoClose });
+      }
+    }
+
+    const bbox = new THREE.Box2();
+    for (const r of raw) {
+      for (const p of r.pts) bbox.expandByPoint(p);
+    }
+    const extent = bbox.isEmpty() ? 0 : Math.max(bbox.max.x - bbox.min.x, bbox.max.y - bbox.min.y);
+    if (extent <= 0) {
+      return { chains: [], stats: { paths: data.paths.length, chains: 0, skipped: raw.length } };
+    }
+
+    const center = new THREE.Vector2();
+    bbox.getCenter(center);
+    const scale = size / extent;
+    const closeTol = extent * 1e-6;
+
+    const chains = [];
+    let skipped = 0;
+
+    for (const r of raw) {
+      let pts = r.pts;
+      const first = pts[0];
+      const last = pts[pts.length - 1];
+      const endsMeet = first.distanceTo(last) <= closeTol;
+      const closed = r.autoClose || endsMeet;
+      if (closed && endsMeet) pts = pts.slice(0, -1);
+
+      // SVG y points down — flip so the artwork reads upright on the plane
+      const points3D = pts.map(p => toVector3(
+        new THREE.Vector2((p.x - center.x) * scale, -(p.y - center.y) * scale),
+        plane
+      ));
+
+      const simplified = closed
+        ? simplifyClosedPath(points3D, epsilon)
+        : simplifyPath(points3D, epsilon);
+
+      const tooShort = simplified.length < (closed ? 3 : 2);
+      const collapsed = !closed && simplified[0].distanceTo(simplified[simplified.length - 1]) < 1e-9;
+      if (tooShort || collapsed) {
+        skipped++;
+        continue;
+      }
+      chains.push({ points: simplified, closed });
+    }
+
+    return {
+      chains,
+      stats: { paths: data.paths.length, chains: chains.length, skipped },
+    };
+  }
+}
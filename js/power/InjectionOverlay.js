@@ -0,0 +1,49 @@
+import * as THREE from 'three';
+
+/**
+ * Viewport markers for recommended power injection points (amber rings
+ * around the tube). Drawn on top of the tubes like the bend overlay.
+ */
+export class InjectionOverlay {
+  /**
+   * @param {import('../scene/SceneManager.js').SceneManager} sceneManager
+   */
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this._group = new THREE.Group();
+    this._group.name = '__injectionOverlay';
+    this._group.visible = false;
+    this.sceneManager.scene.add(this._group);
+    this._markerGeo = new THREE.SphereGeometry(1, 12, 12);
+    this._material = new THREE.MeshBasicMaterial({
+      color: 0xffaa22, depthTest: false, transparent: true, opacity: 0.85,
+    });
+  }
+
+  /**
+   * Rebuild the markers.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @param {import('./PowerBudget.js').PowerReport} report
+   */
+  update(tubes, report) {
+    this._group.clear();
+    const byId = new Map(tubes.map(t => [t.id, t]));
+    for (const tp of report.tubes) {
+      const tube = byId.get(tp.tubeId);
+      if (!tube || !tube.visible) continue;
+      for (const inj of tp.injections) {
+        const marker = new THREE.Mesh(this._markerGeo, this._material);
+        marker.position.copy(inj.position);
+        marker.scale.setScalar(Math.max(0.006, tube.outerRadius * 1.8));
+        marker.renderOrder = 998;
+        this._group.add(marker);
+      }
+    }
+    this.sceneManager.requestRender();
+  }
+
+  setVisible(visible) {
+    this._group.visible = visible;
+    this.sceneManager.requestRender();
+  }
+}
@@ -0,0 +1,226 @@
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { getPresetById } from '../tube/FixturePresets.js';
+
+/** Default power planning settings (saved with the project). */
+export const POWER_DEFAULTS = {
+  psuWatts: 320,       // rated output of one PSU
+  headroomPct: 20,     // keep this much of each PSU unused
+  maxDropPct: 10,      // allowed voltage drop at the far end of a feed
+  busOhmsPerM: 0.05,   // round-trip resistance of the flex's power bus (both conductors)
+  defaultVoltage: 24,  // used when a preset has W/m but no voltage
+};
+
+/** Common LED supply voltages (custom fixture dialog). */
+export const SUPPLY_VOLTAGES = [5, 12, 24, 48];
+
+/**
+ * Power data of a tube's fixture preset.
+ * @param {import('../tube/TubeModel.js').TubeModel} tube
+ * @param {object} [settings=POWER_DEFAULTS]
+ * @returns {{ wattsPerMeter: number, voltage: number }|null} null = no W/m known
+ */
+export function tubePowerSpec(tube, settings = POWER_DEFAULTS) {
+  if (tube.isPlaceholder) return null;
+  const preset = getPresetById(tube.fixturePreset);
+  if (!preset || !(preset.wattsPerMeter > 0)) return null;
+  const voltage = preset.voltage > 0 ? preset.voltage : settings.defaultVoltage;
+  return { wattsPerMeter: preset.wattsPerMeter, voltage };
+}
+
+/**
+ * Longest run one feed can supply.
+ *
+ * A run fed from one end with its load spread evenly along it drops
+ * ΔV = j·R·L²/2 at the far end (j = A/m, R = Ω/m round trip), so the
+ * drop limit gives L = √(2·ΔVmax / (j·R)). A feed also can't draw more
+ * than one PSU's usable output.
+ *
+ * @param {{ wattsPerMeter: number, voltage: number }} spec
+ * @param {object} settings
+ * @returns {number} meters (Infinity = unlimited)
+ */
+export function maxFeedLength(spec, settings) {
+  const ampsPerM = spec.wattsPerMeter / spec.voltage;
+  const maxDropV = spec.voltage * settings.maxDropPct / 100;
+  const byDrop = settings.busOhmsPerM > 0 && maxDropV > 0
+    ? Math.sqrt(2 * maxDropV / (ampsPerM * settings.busOhmsPerM))
+    : Infinity;
+  const usableW = usablePsuWatts(settings);
+  const byPsu = usableW > 0 ? usableW / spec.wattsPerMeter : Infinity;
+  return Math.min(byDrop, byPsu);
+}
+
+/**
+ * Output of one PSU after the headroom.
+ * @param {object} settings
+ * @returns {number}
+ */
+export function usablePsuWatts(settings) {
+  return settings.psuWatts * (1 - Math.min(95, Math.max(0, settings.headroomPct)) / 100);
+}
+
+/**
+ * Power, voltage drop and injection points of one tube.
+ * The tube is split into equal feeds; the first is fed at the start and each
+ * injection point feeds the next one.
+ * @param {import('../tube/TubeModel.js').TubeModel} tube
+ * @param {{ wattsPerMeter: number, voltage: number }} spec
+ * @param {object} settings
+ * @returns {TubePower|null}
+ */
+export function analyzeTubePower(tube, spec, settings) {
+  const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+  if (!curve) return null;
+  const lengthM = CurveBuilder.getLength(curve);
+  const watts = spec.wattsPerMeter * lengthM;
+  const amps = watts / spec.voltage;
+  const ampsPerM = spec.wattsPerMeter / spec.voltage;
+  const drop = (len) => ampsPerM * settings.busOhmsPerM * len * len / 2;
+
+  const feedMax = maxFeedLength(spec, settings);
+  // Small tolerance so a run exactly at the limit isn't split in two
+  const feeds = Number.isFinite(feedMax) && feedMax > 0
+    ? Math.max(1, Math.ceil(lengthM / feedMax - 1e-6))
+    : 1;
+  const feedLengthM = lengthM / feeds;
+  const injections = [];
+  for (let k = 1; k < feeds; k++) {
+    const distM = k * feedLengthM;
+    injections.push({ distM, position: curve.getPointAt(distM / lengthM) });
+  }
+
+  return {
+    tubeId: tube.id,
+    name: tube.name,
+    lengthM,
+    wattsPerMeter: spec.wattsPerMeter,
+    voltage: spec.voltage,
+    watts,
+    amps,
+    // Drop if the whole tube were fed from the start
+    dropPctSingleFeed: drop(lengthM) / spec.voltage * 100,
+    // Drop with the recommended injections
+    dropPct: drop(feedLengthM) / spec.voltage * 100,
+    feeds,
+    feedLengthM,
+    feedWatts: watts / feeds,
+    injections,
+  };
+}
+
+/**
+ * Assign feeds to PSUs: first fit in tube order, one pool per voltage.
+ * Every feed fits one PSU because maxFeedLength() caps feeds at the usable output.
+ * @param {TubePower[]} tubePowers
+ * @param {object} settings
+ * @returns {Psu[]}
+ */
+export function groupOntoPSUs(tubePowers, settings) {
+  const usableW = usablePsuWatts(settings);
+  const psus = [];
+  for (const tp of tubePowers) {
+    for (let f = 0; f < tp.feeds; f++) {
+      let psu = psus.find(p => p.voltage === tp.voltage && p.loadW + tp.feedWatts <= usableW + 1e-6);
+      if (!psu) {
+        psu = { index: psus.length + 1, voltage: tp.voltage, ratedW: settings.psuWatts, usableW, loadW: 0, feeds: [] };
+        psus.push(psu);
+      }
+      psu.loadW += tp.feedWatts;
+      psu.feeds.push({
+        tubeId: tp.tubeId,
+        name: tp.name,
+        feed: f + 1,
+        feeds: tp.feeds,
+        startM: f * tp.feedLengthM,
+        watts: tp.feedWatts,
+      });
+    }
+  }
+  for (const psu of psus) {
+    psu.amps = psu.loadW / psu.voltage;
+    psu.loadPct = psu.loadW / psu.ratedW * 100;
+  }
+  return psus;
+}
+
+/**
+ * Full power budget of a design.
+ * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+ * @param {object} [settings=POWER_DEFAULTS]
+ * @returns {PowerReport}
+ */
+export function buildPowerReport(tubes, settings = POWER_DEFAULTS) {
+  const s = { ...POWER_DEFAULTS, ...settings };
+  const tubePowers = [];
+  const unpowered = [];
+  for (const tube of tubes) {
+    if (!tube.isValid) continue;
+    const spec = tubePowerSpec(tube, s);
+    if (!spec) {
+      if (!tube.isPlaceholder) unpowered.push({ tubeId: tube.id, name: tube.name });
+      continue;
+    }
+    const tp = analyzeTubePower(tube, spec, s);
+    if (tp) tubePowers.push(tp);
+  }
+
+  const psus = groupOntoPSUs(tubePowers, s);
+  const byVoltage = new Map();
+  for (const tp of tubePowers) {
+    const v = byVoltage.get(tp.voltage) || { voltage: tp.voltage, watts: 0, amps: 0, psus: 0 };
+    v.watts += tp.watts;
+    v.amps += tp.amps;
+    byVoltage.set(tp.voltage, v);
+  }
+  for (const psu of psus) byVoltage.get(psu.voltage).psus++;
+
+  return {
+    settings: s,
+    tubes: tubePowers,
+    unpowered,
+    psus,
+    totals: {
+      watts: tubePowers.reduce((sum, tp) => sum + tp.watts, 0),
+      injections: tubePowers.reduce((sum, tp) => sum + tp.injections.length, 0),
+      byVoltage: [...byVoltage.values()].sort((a, b) => a.voltage - b.voltage),
+    },
+  };
+}
+
+/**
+ * @typedef {object} TubePower
+ * @property {number} tubeId
+ * @property {string} name
+ * @property {number} lengthM
+ * @property {number} wattsPerMeter
+ * @property {number} voltage
+ * @property {number} watts
+ * @property {number} amps
+ * @property {number} dropPctSingleFeed - drop at the far end when fed only at the start
+ * @property {number} dropPct - drop at the end of each feed with the injections
+ * @property {number} feeds - number of feeds (1 + injections)
+ * @property {number} feedLengthM
+ * @property {number} feedWatts
+ * @property {{ distM: number, position: import('three').Vector3 }[]} injections - distance from the tube start
+ */
+
+/**
+ * @typedef {object} Psu
+ * @property {number} index - 1-based
+ * @property {number} voltage
+ * @property {number} ratedW
+ * @property {number} usableW - rated minus headroom
+ * @property {number} loadW
+ * @property {number} loadPct - of the rated output
+ * @property {number} amps
+ * @property {{ tubeId: number, name: string, feed: number, feeds: number, startM: number, watts: number }[]} feeds
+ */
+
+/**
+ * @typedef {object} PowerReport
+ * @property {object} settings
+ * @property {TubePower[]} tubes
+ * @property {{ tubeId: number, name: string }[]} unpowered - tubes whose preset has no W/m
+ * @property {Psu[]} psus
+ * @property {{ watts: number, injections: number, byVoltage: { voltage: number, watts: number, amps: number, psus: number }[] }} totals
+ */
@@ -3,6 +3,7 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { TDSLoader } from 'three/addons/loaders/TDSLoader.js';
 import { ReferenceModel } from './ReferenceModel.js';
+import { ZipReader } from '../utils/ZipReader.js';
 
 /**
  * Manages reference 3D models (load, add, remove, select).
@@ -1345,66 +1346,31 @@ export class ReferenceModelManager {
   }
 
   /**
-   * Robust ZIP parser — uses central directory for reliable offsets/sizes.
-   * Extracts all 3D model files (.glb, .3ds) and the XML scene description.
+   * Extract all 3D model files (.glb, .3ds) and the XML scene description from a ZIP.
    * Returns { modelFiles: [{name, data}], xmlText: string|null, entries: string[] }
    */
   async _extractModelsFromZip(zipBytes) {
-    const view = new DataView(zipBytes.buffer, zipBytes.byteOffset, zipBytes.byteLength);
     const entries = [];
     const modelFiles = [];
     let xmlText = null;
     const modelExts = ['.glb', '.gltf', '.3ds'];
 
-    // Find End of Central Directory record (scan backwards)
-    let eocdOffset = -1;
-    for (let i = zipBytes.length - 22; i >= 0; i--) {
-      if (view.getUint32(i, true) === 0x06054b50) {
-        eocdOffset = i;
-        break;
-      }
-    }
-    if (eocdOffset === -1) {
-      console.error('[RefModel] No EOCD record found in ZIP');
+    let zip;
+    try {
+      zip = new ZipReader(zipBytes);
+    } catch (err) {
+      console.error(`[RefModel] ${err.message}`);
       return { modelFiles, entries };
     }
 
-    const cdEntryCount = view.getUint16(eocdOffset + 10, true);
-    let cdOffset = view.getUint32(eocdOffset + 16, true);
-
-    for (let i = 0; i < cdEntryCount; i++) {
-      if (cdOffset + 46 > zipBytes.length) break;
-      if (view.getUint32(cdOffset, true) !== 0x02014b50) break;
-
-      const method = view.getUint16(cdOffset + 10, true);
-      const compressedSize = view.getUint32(cdOffset + 20, true);
-      const nameLen = view.getUint16(cdOffset + 28, true);
-      const extraLen = view.getUint16(cdOffset + 30, true);
-      const commentLen = view.getUint16(cdOffset + 32, true);
-      const localHeaderOffset = view.getUint32(cdOffset + 42, true);
-
-      const nameBytes = zipBytes.slice(cdOffset + 46, cdOffset + 46 + nameLen);
-      const fileName = new TextDecoder().decode(nameBytes);
+    for (const { name: fileName, method, compressedSize } of zip.entries) {
       const nameLower = fileName.toLowerCase();
-
       entries.push(`${fileName} (${compressedSize}b, method=${method})`);
 
-      // Extract file data helper
-      const extractData = async () => {
-        const localNameLen = view.getUint16(localHeaderOffset + 26, true);
-        const localExtraLen = view.getUint16(localHeaderOffset + 28, true);
-        const dataStart = localHeaderOffset + 30 + localNameLen + localExtraLen;
-        const rawData = zipBytes.slice(dataStart, dataStart + compressedSize);
-
-        if (method === 0) return rawData;
-        if (method === 8) return await this._inflateRaw(rawData);
-        return null;
-      };
-
       // Check if this is a 3D model file
       const isModel = modelExts.some(ext => nameLower.endsWith(ext));
       if (isModel && compressedSize > 0) {
-        const fileData = await extractData();
+        const fileData = await zip.read(fileName);
         if (fileData) {
           modelFiles.push({ name: fileName, data: fileData });
         }
@@ -1412,47 +1378,13 @@ export class ReferenceModelManager {
 
       // Check if this is the scene description XML
       if (nameLower.endsWith('.xml') && !xmlText && compressedSize > 0) {
-        const fileData = await extractData();
-        if (fileData) {
-          xmlText = new TextDecoder().decode(fileData);
-        }
+        xmlText = await zip.readText(fileName);
       }
-
-      cdOffset += 46 + nameLen + extraLen + commentLen;
     }
 
     return { modelFiles, xmlText, entries };
   }
 
-  /**
-   * Inflate deflate-raw compressed data using browser DecompressionStream API.
-   */
-  async _inflateRaw(compressedData) {
-    const ds = new DecompressionStream('deflate-raw');
-    const writer = ds.writable.getWriter();
-    const reader = ds.readable.getReader();
-
-    writer.write(compressedData);
-    writer.close();
-
-    const chunks = [];
-    let totalLen = 0;
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      chunks.push(value);
-      totalLen += value.byteLength;
-    }
-
-    const result = new Uint8Array(totalLen);
-    let pos = 0;
-    for (const chunk of chunks) {
-      result.set(new Uint8Array(chunk.buffer || chunk), pos);
-      pos += chunk.byteLength;
-    }
-    return result;
-  }
-
   /**
    * Dispose of a model's 3D objects.
    */
@@ -554,7 +554,14 @@ export class SceneManager {
    * @param {THREE.Object3D} object3D
    */
   focusOnObject(object3D) {
-    const box = new THREE.Box3().setFromObject(object3D);
+    this.focusOnBox(new THREE.Box3().setFromObject(object3D));
+  }
+
+  /**
+   * Focus camera on a world-space box so it fills ~70% of the viewport.
+   * @param {THREE.Box3} box
+   */
+  focusOnBox(box) {
     if (box.isEmpty()) return;
 
     const center = new THREE.Vector3();
@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+
+/**
+ * Centerline (skeleton) extraction for filled 2D shapes, used to turn outline
+ * font glyphs into single-stroke neon paths.
+ *
+ * The shape is rasterized (even-odd, holes included), thinned with
+ * Zhang-Suen, and the one-pixel skeleton is traced into a graph. Short spurs
+ * left by corners are pruned, then at each junction the branches that
+ * continue most straight are joined — so a "T" becomes a bar and a stem
+ * rather than three pieces meeting in the middle.
+ */
+
+// 8-neighborhood in ring order: N, NE, E, SE, S, SW, W, NW (y up)
+const RING = [[0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1]];
+
+/**
+ * Compute centerline chains for a THREE.Shape (with holes).
+ * @param {THREE.Shape} shape
+ * @param {object} options
+ * @param {number} options.resolution - raster pixels per unit
+ * @param {number} [options.divisions=12] - curve sampling for the outline
+ * @param {number} [options.spurLength=8] - spurs shorter than this (px) are pruned
+ * @param {number} [options.dotSize=0] - shapes smaller than this (units) become a short dash
+ * @returns {{ points: THREE.Vector2[], closed: boolean }[]}
+ */
+export function shapeCenterlines(shape, options) {
+  const { resolution, divisions = 12, spurLength = 8, dotSize = 0 } = options;
+
+  const contours = [shape.getPoints(divisions), ...shape.holes.map(h => h.getPoints(divisions))];
+  const box = new THREE.Box2();
+  for (const c of contours) for (const p of c) box.expandByPoint(p);
+  if (box.isEmpty()) return [];
+
+  // Dots (i, j, period…) have no meaningful skeleton — use a dash across them
+  const w = box.max.x - box.min.x;
+  const h = box.max.y - box.min.y;
+  if (Math.max(w, h) < dotSize) {
+    const c = new THREE.Vector2();
+    box.getCenter(c);
+    const half = Math.max(w, h) * 0.3;
+    const axis = h >= w ? new THREE.Vector2(0, half) : new THREE.Vector2(half, 0);
+    return [{ points: [c.clone().sub(axis), c.clone().add(axis)], closed: false }];
+  }
+
+  const margin = 2;
+  const W = Math.ceil(w * resolution) + margin * 2;
+  const H = Math.ceil(h * resolution) + margin * 2;
+  const ox = box.min.x - margin / resolution;
+  const oy = box.min.y - margin / resolution;
+
+  const grid = rasterize(contours, W, H, ox, oy, resolution);
+  thin(grid, W, H);
+  removeStaircases(grid, W, H);
+
+  const { edges, clusters } = traceGraph(grid, W, H);
+  pruneSpurs(edges, spurLength);
+  collapseBridges(edges, clusters, spurLength);
+  const pixelChains = joinEdges(edges, clusters);
+
+  return pixelChains.map(chain => ({
+    points: chain.points.map(p => new THREE.Vector2(
+      ox + (p.x + 0.5) / resolution,
+      oy + (p.y + 0.5) / resolution
+    )),
+    closed: chain.closed,
+  }));
+}
+
+// ── Raster + thinning ──────────────────────────────────
+
+/** Scanline fill with the even-odd rule. Row r is at y = oy + (r + 0.5) / res. */
+function rasterize(contours, W, H, ox, oy, res) {
+  const grid = new Uint8Array(W * H);
+  const xs = [];
+  for (let r = 0; r < H; r++) {
+    const y = oy + (r + 0.5) / res;
+    xs.length = 0;
+    for (const c of contours) {
+      for (let i = 0, n = c.length; i < n; i++) {
+        const a = c[i];
+        const b = c[(i + 1) % n];
+        if ((a.y <= y) !== (b.y <= y)) {
+          xs.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+        }
+      }
+    }
+    xs.sort((p, q) => p - q);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const c0 = Math.max(0, Math.ceil((xs[k] - ox) * res - 0.5));
+      const c1 = Math.min(W - 1, Math.floor((xs[k + 1] - ox) * res - 0.5));
+      for (let col = c0; col <= c1; col++) grid[r * W + col] = 1;
+    }
+  }
+  return grid;
+}
+
+function ring(grid, W, x, y) {
+  return RING.map(([dx, dy]) => grid[(y + dy) * W + (x + dx)]);
+}
+
+/** Zhang-Suen thinning, in place. The margin keeps neighbors in bounds. */
+function thin(grid, W, H) {
+  const remove = [];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let step = 0; step < 2; step++) {
+      remove.length = 0;
+      for (let y = 1; y < H - 1; y++) {
+        for (let x = 1; x < W - 1; x++) {
+          if (!grid[y * W + x]) continue;
+          const p = ring(grid, W, x, y); // p[0]=N … p[7]=NW
+          const b = p.reduce((s, v) => s + v, 0);
+          if (b < 2 || b > 6) continue;
+          let a = 0;
+          for (let i = 0; i < 8; i++) if (!p[i] && p[(i + 1) % 8]) a++;
+          if (a !== 1) continue;
+          const [n, , e, , s, , w] = p;
+          if (step === 0 ? (n && e && s) || (e && s && w) : (n && e && w) || (n && s && w)) continue;
+          remove.push(y * W + x);
+        }
+      }
+      for (const i of remove) grid[i] = 0;
+      if (remove.length) changed = true;
+    }
+  }
+}
+
+/**
+ * Remove corner pixels of 4-connected staircases (pixel with two adjacent
+ * orthogonal neighbors) when that keeps the skeleton 8-connected, so only
+ * real junctions have three or more neighbors.
+ */
+function removeStaircases(grid, W, H) {
+  for (let y = 1; y < H - 1; y++) {
+    for (let x = 1; x < W - 1; x++) {
+      if (!grid[y * W + x]) continue;
+      const p = ring(grid, W, x, y);
+      const corner = (p[0] && p[2]) || (p[2] && p[4]) || (p[4] && p[6]) || (p[6] && p[0]);
+      if (!corner) continue;
+      if (neighborComponents(p) === 1) grid[y * W + x] = 0;
+    }
+  }
+}
+
+/** Number of 8-connected groups among the set ring neighbors. */
+function neighborComponents(p) {
+  const label = new Array(8).fill(-1);
+  let count = 0;
+  for (let i = 0; i < 8; i++) {
+    if (!p[i] || label[i] >= 0) continue;
+    const stack = [i];
+    label[i] = count;
+    while (stack.length) {
+      const j = stack.pop();
+      for (let k = 0; k < 8; k++) {
+        if (!p[k] || label[k] >= 0) continue;
+        const dx = Math.abs(RING[j][0] - RING[k][0]);
+        const dy = Math.abs(RING[j][1] - RING[k][1]);
+        if (dx <= 1 && dy <= 1) {
+          label[k] = count;
+          stack.push(k);
+        }
+      }
+    }
+    count++;
+  }
+  return count;
+}
+
+// ── Skeleton graph ─────────────────────────────────────
+
+/**
+ * Trace the skeleton into edges between junction clusters (pixels with 3+
+ * neighbors, merged when touching) and free ends.
+ * @returns {{ edges: { points: {x,y}[], a: number, b: number, closed: boolean }[],
+ *   clusters: { x: number, y: number }[] }}
+ */
+function traceGraph(grid, W, H) {
+  const neighbors = (i) => {
+    const x = i % W;
+    const y = (i - x) / W;
+    const out = [];
+    for (const [dx, dy] of RING) {
+      const j = (y + dy) * W + (x + dx);
+      if (grid[j]) out.push(j);
+    }
+    return out;
+  };
+  const pt = (i) => ({ x: i % W, y: Math.floor(i / W) });
+
+  const pixels = [];
+  for (let i = 0; i < W * H; i++) if (grid[i]) pixels.push(i);
+
+  // Junction clusters
+  const cluster = new Int32Array(W * H).fill(-1);
+  const clusters = [];
+  for (const i of pixels) {
+    if (cluster[i] >= 0 || neighbors(i).length < 3) continue;
+    const id = clusters.length;
+    let sx = 0, sy = 0, n = 0;
+    const stack = [i];
+    cluster[i] = id;
+    while (stack.length) {
+      const j = stack.pop();
+      const p = pt(j);
+      sx += p.x; sy += p.y; n++;
+      for (const k of neighbors(j)) {
+        if (cluster[k] < 0 && neighbors(k).length >= 3) {
+          cluster[k] = id;
+          stack.push(k);
+        }
+      }
+    }
+    clusters.push({ x: sx / n, y: sy / n });
+  }
+
+  const visited = new Uint8Array(W * H);
+  const edges = [];
+
+  // Walk from `first` until a free end or a junction cluster
+  const walk = (first) => {
+    const path = [first];
+    visited[first] = 1;
+    let cur = first;
+    for (;;) {
+      const nbrs = neighbors(cur);
+      const next = nbrs.find(k => cluster[k] < 0 && !visited[k]);
+      if (next != null) {
+        visited[next] = 1;
+        path.push(next);
+        cur = next;
+        continue;
+      }
+      const junction = nbrs.find(k => cluster[k] >= 0);
+      return { path, end: junction != null ? cluster[junction] : -1 };
+    }
+  };
+
+  // 1. Edges leaving junction clusters
+  for (const i of pixels) {
+    const c = cluster[i];
+    if (c < 0) continue;
+    for (const n of neighbors(i)) {
+      if (cluster[n] >= 0 || visited[n]) continue;
+      const { path, end } = walk(n);
+      if (end === c && path.length <= 2) continue; // bump on the cluster itself
+      const points = [clusters[c], ...path.map(pt)];
+      if (end >= 0) points.push(clusters[end]);
+      edges.push({ points, a: c, b: end, closed: false });
+    }
+  }
+
+  // 2. Free-standing strokes (end to end)
+  for (const i of pixels) {
+    if (visited[i] || cluster[i] >= 0 || neighbors(i).length !== 1) continue;
+    const { path } = walk(i);
+    if (path.length >= 2) edges.push({ points: path.map(pt), a: -1, b: -1, closed: false });
+  }
+
+  // 3. Pure loops (O, 0 …)
+  for (const i of pixels) {
+    if (visited[i] || cluster[i] >= 0) continue;
+    const { path } = walk(i);
+    if (path.length >= 3) edges.push({ points: path.map(pt), a: -1, b: -1, closed: true });
+  }
+
+  return { edges, clusters };
+}
+
+/** Drop short branches that end freely at one side of a junction. */
+function pruneSpurs(edges, spurLength) {
+  for (let i = edges.length - 1; i >= 0; i--) {
+    const e = edges[i];
+    const dangling = (e.a >= 0) !== (e.b >= 0);
+    if (dangling && pathLength(e.points) < spurLength) edges.splice(i, 1);
+  }
+}
+
+/**
+ * Merge junctions joined by a short bridge (thinning splits an X crossing
+ * into two T junctions), so the crossing strokes can pair straight through.
+ */
+function collapseBridges(edges, clusters, maxLength) {
+  const parent = clusters.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  for (let i = edges.length - 1; i >= 0; i--) {
+    const e = edges[i];
+    if (e.a < 0 || e.b < 0) continue;
+    const ra = root(e.a);
+    const rb = root(e.b);
+    if (pathLength(e.points) >= maxLength) continue;
+    if (ra !== rb) parent[rb] = ra;
+    edges.splice(i, 1);
+  }
+
+  // Merged junction sits at the mean of its members
+  const merged = new Map();
+  clusters.forEach((c, i) => {
+    const r = root(i);
+    if (!merged.has(r)) merged.set(r, { x: 0, y: 0, n: 0 });
+    const m = merged.get(r);
+    m.x += c.x; m.y += c.y; m.n++;
+  });
+  for (const [r, m] of merged) clusters[r] = { x: m.x / m.n, y: m.y / m.n };
+
+  for (const e of edges) {
+    if (e.a >= 0) {
+      e.a = root(e.a);
+      e.points[0] = clusters[e.a];
+    }
+    if (e.b >= 0) {
+      e.b = root(e.b);
+      e.points[e.points.length - 1] = clusters[e.b];
+    }
+  }
+}
+
+function pathLength(points) {
+  let len = 0;
+  for (let i = 1; i < points.length; i++) {
+    len += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return len;
+}
+
+/**
+ * Join edges through junctions: pair the branches at each cluster that are
+ * closest to opposite (a cluster with two branches always joins them), then
+ * follow the pairings into chains.
+ */
+function joinEdges(edges, clusters) {
+  const link = new Map(); // "edge:end" → { edge, end }
+  const key = (edge, end) => `${edge}:${end}`;
+
+  const ends = clusters.map(() => []);
+  edges.forEach((e, idx) => {
+    if (e.closed) return;
+    if (e.a >= 0) ends[e.a].push({ edge: idx, end: 'a', dir: branchDir(e.points, false) });
+    if (e.b >= 0) ends[e.b].push({ edge: idx, end: 'b', dir: branchDir(e.points, true) });
+  });
+
+  for (const list of ends) {
+    const pairs = [];
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const score = list[i].dir.x * list[j].dir.x + list[i].dir.y * list[j].dir.y;
+        pairs.push({ i, j, score });
+      }
+    }
+    pairs.sort((p, q) => p.score - q.score);
+    const used = new Set();
+    for (const { i, j, score } of pairs) {
+      if (used.has(i) || used.has(j)) continue;
+      if (list.length > 2 && score > -0.3) break; // no straight continuation left
+      used.add(i);
+      used.add(j);
+      link.set(key(list[i].edge, list[i].end), list[j]);
+      link.set(key(list[j].edge, list[j].end), list[i]);
+    }
+  }
+
+  const done = new Set();
+  const chains = [];
+
+  const follow = (startEdge, startEnd) => {
+    const points = [];
+    let edge = startEdge;
+    let entry = startEnd;
+    for (;;) {
+      done.add(edge);
+      const pts = entry === 'a' ? edges[edge].points : [...edges[edge].points].reverse();
+      points.push(...(points.length ? pts.slice(1) : pts));
+      const exit = entry === 'a' ? 'b' : 'a';
+      const next = link.get(key(edge, exit));
+      if (!next || done.has(next.edge)) {
+        return { points, closed: !!next && next.edge === startEdge && next.end === startEnd };
+      }
+      edge = next.edge;
+      entry = next.end;
+    }
+  };
+
+  // Open chains start at an unlinked end
+  edges.forEach((e, idx) => {
+    if (done.has(idx) || e.closed) return;
+    if (!link.has(key(idx, 'a'))) chains.push(follow(idx, 'a'));
+    else if (!link.has(key(idx, 'b'))) chains.push(follow(idx, 'b'));
+  });
+  // Whatever is left is linked all round — loops through junctions
+  edges.forEach((e, idx) => {
+    if (done.has(idx)) return;
+    if (e.closed) {
+      done.add(idx);
+      chains.push({ points: e.points, closed: true });
+      return;
+    }
+    const chain = follow(idx, 'a');
+    if (chain.closed && chain.points.length > 1) chain.points.pop(); // shared junction point
+    chains.push(chain);
+  });
+
+  return chains.filter(c => c.points.length >= 2);
+}
+
+/** Unit direction of a branch leaving its junction (a few pixels in). */
+function branchDir(points, fromEnd) {
+  const pts = fromEnd ? [...points].reverse() : points;
+  const k = Math.min(6, pts.length - 1);
+  const dx = pts[k].x - pts[0].x;
+  const dy = pts[k].y - pts[0].y;
+  const len = Math.hypot(dx, dy) || 1;
+  return { x: dx / len, y: dy / len };
+}
@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+import { simplifyPath, simplifyClosedPath } from '../utils/SimplifyPath.js';
+import { toVector3 } from './TextMapper.js';
+
+/**
+ * Bundled single-stroke (Hershey-style) fonts for neon lettering.
+ *
+ * Each glyph is a centerline, not an outline, so a letter becomes one or a
+ * few tubes that follow the stroke the way neon is bent.
+ *
+ * Glyphs are drawn on a grid with the baseline at y = 0, cap height 10,
+ * x-height 6 and descenders to -3. `w` is the glyph width; the advance adds
+ * SIDE_BEARING. Path data is a small SVG subset in absolute coordinates:
+ *   M x y | L x y | Q cx cy x y | C c1x c1y c2x c2y x y | Z
+ *   A cx cy rx ry startDeg endDeg — elliptical arc, CCW when end > start
+ */
+
+const CAP_HEIGHT = 10;
+const SIDE_BEARING = 2.5;
+const SPACE_WIDTH = 4;
+const LINE_HEIGHT = 16;
+
+// Cap height as a fraction of the em size, matching the bundled outline fonts
+const CAP_PER_EM = 0.7;
+
+const SANS_GLYPHS = {
+  'A': { w: 8, d: 'M0 0 L4 10 L8 0 M1.6 4 L6.4 4' },
+  'B': { w: 7.3, d: 'M0 0 L0 10 L4.5 10 A4.5 7.5 2.5 2.5 90 -90 L4.8 5 A4.8 2.5 2.5 2.5 90 -90 L0 0 M0 5 L4.5 5' },
+  'C': { w: 8, d: 'A4.5 5 4.5 5 40 320' },
+  'D': { w: 7, d: 'M0 0 L0 10 L2.5 10 A2.5 5 4.5 5 90 -90 Z' },
+  'E': { w: 6, d: 'M6 10 L0 10 L0 0 L6 0 M0 5 L4.5 5' },
+  'F': { w: 6, d: 'M6 10 L0 10 L0 0 M0 5 L4.5 5' },
+  'G': { w: 9, d: 'A4.5 5 4.5 5 40 360 L5 5' },
+  'H': { w: 7, d: 'M0 0 L0 10 M7 0 L7 10 M0 5 L7 5' },
+  'I': { w: 0, d: 'M0 0 L0 10' },
+  'J': { w: 5, d: 'M5 10 L5 2.5 A2.5 2.5 2.5 2.5 0 -180' },
+  'K': { w: 7, d: 'M0 0 L0 10 M7 10 L0 3 M2.4 5.4 L7 0' },
+  'L': { w: 6, d: 'M0 10 L0 0 L6 0' },
+  'M': { w: 9, d: 'M0 0 L0 10 L4.5 3 L9 10 L9 0' },
+  'N': { w: 7.5, d: 'M0 0 L0 10 L7.5 0 L7.5 10' },
+  'O': { w: 9, d: 'A4.5 5 4.5 5 90 450' },
+  'P': { w: 7, d: 'M0 0 L0 10 L4.5 10 A4.5 7.5 2.5 2.5 90 -90 L0 5' },
+  'Q': { w: 9, d: 'A4.5 5 4.5 5 90 450 M5.5 2.5 L9 -0.5' },
+  'R': { w: 7, d: 'M0 0 L0 10 L4.5 10 A4.5 7.5 2.5 2.5 90 -90 L0 5 M3.5 5 L7 0' },
+  'S': { w: 7, d: 'M7 8.5 C6 10.5 0 10.8 0 7.6 C0 4.8 7 5.6 7 2.4 C7 -0.8 1 -0.5 0 1.5' },
+  'T': { w: 8, d: 'M0 10 L8 10 M4 10 L4 0' },
+  'U': { w: 7, d: 'M0 10 L0 3.5 A3.5 3.5 3.5 3.5 180 360 L7 10' },
+  'V': { w: 8, d: 'M0 10 L4 0 L8 10' },
+  'W': { w: 11, d: 'M0 10 L2.75 0 L5.5 8 L8.25 0 L11 10' },
+  'X': { w: 7, d: 'M0 10 L7 0 M0 0 L7 10' },
+  'Y': { w: 8, d: 'M0 10 L4 5 L8 10 M4 5 L4 0' },
+  'Z': { w: 7, d: 'M0 10 L7 10 L0 0 L7 0' },
+
+  'a': { w: 5.5, d: 'M5.5 6 L5.5 3 A2.75 3 2.75 3 0 360 L5.5 0' },
+  'b': { w: 5.5, d: 'M0 10 L0 0 M0 3 A2.75 3 2.75 3 180 540' },
+  'c': { w: 5.2, d: 'A3 3 3 3 45 315' },
+  'd': { w: 5.5, d: 'M5.5 10 L5.5 0 M5.5 3 A2.75 3 2.75 3 0 360' },
+  'e': { w: 5.5, d: 'M0 3 L5.5 3 A2.75 3 2.75 3 0 315' },
+  'f': { w: 4, d: 'M4 9.5 C2.5 10.5 1.5 10 1.5 8 L1.5 0 M0 6 L3.5 6' },
+  'g': { w: 5.5, d: 'M5.5 3 A2.75 3 2.75 3 0 360 M5.5 6 L5.5 -1 C5.5 -3.5 1.5 -3.5 0.5 -2' },
+  'h': { w: 5.5, d: 'M0 10 L0 0 M0 4 C0.5 6.5 5.5 7.5 5.5 3.5 L5.5 0' },
+  'i': { w: 0, d: 'M0 0 L0 6 M0 8.5 L0 9' },
+  'j': { w: 2.5, d: 'M2.5 6 L2.5 -1.5 C2.5 -3.2 0.8 -3.3 0 -2.5 M2.5 8.5 L2.5 9' },
+  'k': { w: 5, d: 'M0 0 L0 10 M5 6 L0 2 M1.7 3.4 L5 0' },
+  'l': { w: 0, d: 'M0 10 L0 0' },
+  'm': { w: 8, d: 'M0 0 L0 6 M0 4 C0.3 6.5 4 7 4 4 L4 0 M4 4 C4.3 6.5 8 7 8 4 L8 0' },
+  'n': { w: 5.5, d: 'M0 0 L0 6 M0 4 C0.5 6.5 5.5 7.5 5.5 3.5 L5.5 0' },
+  'o': { w: 6, d: 'A3 3 3 3 90 450' },
+  'p': { w: 5.5, d: 'M0 6 L0 -3 M0 3 A2.75 3 2.75 3 180 540' },
+  'q': { w: 5.5, d: 'M5.5 6 L5.5 -3 M5.5 3 A2.75 3 2.75 3 0 360' },
+  'r': { w: 4, d: 'M0 0 L0 6 M0 3.5 C0.5 5.8 2.5 6.4 4 5.8' },
+  's': { w: 5, d: 'M5 5 C4.3 6.3 0.2 6.5 0.2 4.6 C0.2 2.6 5 3.5 5 1.5 C5 -0.5 0.8 -0.3 0 1' },
+  't': { w: 4, d: 'M1.5 9 L1.5 1.2 C1.5 -0.2 3 -0.3 4 0.3 M0 6 L3.5 6' },
+  'u': { w: 5.5, d: 'M0 6 L0 2.5 C0 -1 5.5 -0.5 5.5 2.5 M5.5 6 L5.5 0' },
+  'v': { w: 6, d: 'M0 6 L3 0 L6 6' },
+  'w': { w: 8, d: 'M0 6 L2 0 L4 5 L6 0 L8 6' },
+  'x': { w: 5.5, d: 'M0 6 L5.5 0 M0 0 L5.5 6' },
+  'y': { w: 6, d: 'M0 6 L3 0 M6 6 L1.5 -3' },
+  'z': { w: 5.5, d: 'M0 6 L5.5 6 L0 0 L5.5 0' },
+
+  '0': { w: 6.5, d: 'A3.25 5 3.25 5 90 450' },
+  '1': { w: 3, d: 'M0.5 8 L3 10 L3 0' },
+  '2': { w: 6.5, d: 'A3.25 7 3.25 3 165 -35 L0 0 L6.5 0' },
+  '3': { w: 6.5, d: 'A3.25 7.5 3 2.5 150 -90 A3.25 2.5 3.25 2.5 90 -150' },
+  '4': { w: 6.5, d: 'M5 0 L5 10 L0 3 L6.5 3' },
+  '5': { w: 6.5, d: 'M6 10 L0.8 10 L0.3 5.6 C1.5 6.6 6.5 7 6.5 3.2 C6.5 -0.8 1 -0.8 0 1.2' },
+  '6': { w: 6.5, d: 'M5.8 9.3 C4 10.8 0 10.5 0 3.25 A3.25 3.25 3.25 3.25 180 540' },
+  '7': { w: 6.5, d: 'M0 10 L6.5 10 L2 0' },
+  '8': { w: 6.5, d: 'A3.25 7.6 2.7 2.4 -90 270 A3.25 2.6 3.25 2.6 90 450' },
+  '9': { w: 6.5, d: 'A3.25 6.75 3.25 3.25 0 360 C6.5 1 3.5 -0.8 0.7 0.7' },
+
+  '.': { w: 0, d: 'M0 0 L0 0.5' },
+  ',': { w: 1, d: 'M1 0.5 L0 -1.5' },
+  '!': { w: 0, d: 'M0 10 L0 3 M0 0.5 L0 0' },
+  '?': { w: 5.5, d: 'M0 7.5 C0 10.8 5.5 10.8 5.5 7.5 C5.5 5.5 2.75 5 2.75 3 M2.75 0.5 L2.75 0' },
+  ':': { w: 0, d: 'M0 6 L0 5.5 M0 0.5 L0 0' },
+  '\'': { w: 0, d: 'M0 10 L0 7.5' },
+  '"': { w: 2, d: 'M0 10 L0 7.5 M2 10 L2 7.5' },
+  '-': { w: 4, d: 'M0 4 L4 4' },
+  '+': { w: 6, d: 'M3 1.5 L3 7.5 M0 4.5 L6 4.5' },
+  '=': { w: 6, d: 'M0 3 L6 3 M0 6 L6 6' },
+  '*': { w: 5, d: 'M2.5 10 L2.5 5 M0 8.7 L5 6.3 M0 6.3 L5 8.7' },
+  '/': { w: 5, d: 'M0 -1 L5 11' },
+  '#': { w: 7.5, d: 'M2 0 L3 10 M5 0 L6 10 M0 3.5 L7 3.5 M0.5 6.5 L7.5 6.5' },
+  '(': { w: 2.5, d: 'M2.5 11 C-0.8 7.5 -0.8 2.5 2.5 -1' },
+  ')': { w: 2.5, d: 'M0 11 C3.3 7.5 3.3 2.5 0 -1' },
+};
+
+const STROKE_FONTS = {
+  'stroke_sans': { label: 'Neon Sans (single line)', glyphs: SANS_GLYPHS, slant: 0 },
+  'stroke_sans_oblique': { label: 'Neon Sans Oblique (single line)', glyphs: SANS_GLYPHS, slant: 0.2 },
+};
+
+/**
+ * Get list of bundled single-stroke fonts for UI display.
+ * @returns {{ id: string, label: string }[]}
+ */
+export function getStrokeFontList() {
+  return Object.entries(STROKE_FONTS).map(([id, f]) => ({ id, label: f.label }));
+}
+
+/**
+ * @param {string} fontId
+ * @returns {boolean} true if fontId names a bundled single-stroke font
+ */
+export function isStrokeFont(fontId) {
+  return Object.prototype.hasOwnProperty.call(STROKE_FONTS, fontId);
+}
+
+/**
+ * Convert text into centerline chains using a bundled single-stroke font.
+ * Options mirror textToChains(). Characters the font has no glyph for
+ * (not even via their unaccented base letter) take a space's width and are
+ * returned in `missing` so the caller can report them.
+ * @param {string} fontId - key from getStrokeFontList()
+ * @param {string} text - text to convert ('\n' starts a new line)
+ * @param {object} [options]
+ * @param {number} [options.size=0.5] - em size in meters (cap height ≈ 0.7 × size)
+ * @param {number} [options.letterSpacing=1.0] - advance multiplier (1.0 = normal)
+ * @param {number} [options.divisions=12] - curve resolution (points per curve)
+ * @param {string} [options.plane='XZ'] - drawing plane ('XZ', 'XY', 'YZ')
+ * @param {number} [options.simplifyEpsilon] - auto-computed if omitted
+ * @param {'left'|'center'|'right'} [options.align='left'] - alignment of multi-line text
+ * @param {number} [options.lineSpacing=1.0] - line pitch multiplier
+ * @param {import('./TextPath.js').TextPath} [options.path] - lay the text along a curve
+ * @returns {{ chains: { points: THREE.Vector3[], closed: boolean }[], missing: string[] }}
+ */
+export function strokeTextToChains(fontId, text, options = {}) {
+  const font = STROKE_FONTS[fontId];
+  if (!font) throw new Error(`Unknown stroke font: ${fontId}`);
+
+  const {
+    size = 0.5,
+    letterSpacing = 1.0,
+    divisions = 12,
+    plane = 'XZ',
+    align = 'left',
+    lineSpacing = 1.0,
+    path = null,
+  } = options;
+  const epsilon = options.simplifyEpsilon != null
+    ? options.simplifyEpsilon
+    : size * 0.002;
+
+  const unit = size * CAP_PER_EM / CAP_HEIGHT;
+  const chains = [];
+  const missing = new Set();
+
+  text.split('\n').forEach((line, row) => {
+    const glyphs = Array.from(line, ch => {
+      const glyph = lookupGlyph(font.glyphs, ch);
+      if (!glyph && !/\s/.test(ch)) missing.add(ch);
+      return glyph;
+    });
+    // Line width up to the last glyph's right edge (no trailing bearing)
+    let width = 0;
+    glyphs.forEach((glyph, i) => {
+      const last = i === glyphs.length - 1;
+      if (!glyph) width += last ? 0 : SPACE_WIDTH * letterSpacing;
+      else width += last ? glyph.w : (glyph.w + SIDE_BEARING) * letterSpacing;
+    });
+
+    let penX = 0;
+    if (align === 'center') penX = -width / 2;
+    else if (align === 'right') penX = -width;
+    const penY = -row * LINE_HEIGHT * lineSpacing;
+
+    for (const glyph of glyphs) {
+      if (!glyph) {
+        penX += SPACE_WIDTH * letterSpacing;
+        continue;
+      }
+
+      const anchorX = (penX + glyph.w / 2) * unit;
+      for (const stroke of parseGlyph(glyph.d, divisions)) {
+        const pts = stroke.points.map(p => {
+          const x = penX + p.x + p.y * font.slant;
+          const v = new THREE.Vector2(x * unit, (penY + p.y) * unit);
+          return path ? path.place(v, anchorX) : toVector3(v, plane);
+        });
+        const simplified = stroke.closed ? simplifyClosedPath(pts, epsilon) : simplifyPath(pts, epsilon);
+        if (simplified.length >= 2) chains.push({ points: simplified, closed: stroke.closed });
+      }
+
+      penX += (glyph.w + SIDE_BEARING) * letterSpacing;
+    }
+  });
+
+  return { chains, missing: [...missing] };
+}
+
+/** Glyph for a character, falling back to its unaccented base letter (null = none). */
+function lookupGlyph(glyphs, ch) {
+  if (glyphs[ch]) return glyphs[ch];
+  const base = ch.normalize('NFD')[0];
+  return glyphs[base] || null;
+}
+
+/**
+ * Turn glyph path data into sampled strokes.
+ * @returns {{ points: THREE.Vector2[], closed: boolean }[]}
+ */
+function parseGlyph(d, divisions) {
+  const tokens = d.match(/[MLQCAZ]|-?\d*\.?\d+/g) || [];
+  const paths = [];
+  const closedPaths = new Set();
+  let path = null;
+  let i = 0;
+  const num = () => parseFloat(tokens[i++]);
+
+  while (i < tokens.length) {
+    const cmd = tokens[i++];
+    switch (cmd) {
+      case 'M':
+        path = new THREE.Path();
+        path.moveTo(num(), num());
+        paths.push(path);
+        break;
+      case 'L':
+        path.lineTo(num(), num());
+        break;
+      case 'Q':
+        path.quadraticCurveTo(num(), num(), num(), num());
+        break;
+      case 'C':
+        path.bezierCurveTo(num(), num(), num(), num(), num(), num());
+        break;
+      case 'A': {
+        if (!path) {
+          path = new THREE.Path();
+          paths.push(path);
+        }
+        const cx = num(), cy = num(), rx = num(), ry = num();
+        const a0 = num() * Math.PI / 180;
+        const a1 = num() * Math.PI / 180;
+        path.absellipse(cx, cy, rx, ry, a0, a1, a1 < a0, 0);
+        break;
+      }
+      case 'Z':
+        path.closePath();
+        closedPaths.add(path);
+        path = null;
+        break;
+    }
+  }
+
+  const strokes = [];
+  for (const p of paths) {
+    let points = p.getPoints(divisions);
+    if (points.length < 2) continue;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const closed = closedPaths.has(p) || first.distanceTo(last) < 1e-6;
+    if (closed && first.distanceTo(last) < 1e-6) points = points.slice(0, -1);
+    if (points.length < 2) continue;
+    strokes.push({ points, closed: closed && points.length >= 3 });
+  }
+  return strokes;
+}
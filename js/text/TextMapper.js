@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
-import { simplifyPath } from '../utils/SimplifyPath.js';
+import { simplifyPath, simplifyClosedPath } from '../utils/SimplifyPath.js';
+import { shapeCenterlines } from './Centerline.js';
 
 /**
  * Convert text strings into tube-ready polyline chains using Three.js fonts.
@@ -9,14 +10,15 @@ import { simplifyPath } from '../utils/SimplifyPath.js';
 // Font cache to avoid re-fetching
 const fontCache = new Map();
 
-// Bundled font URLs (Three.js CDN)
+// Bundled typeface fonts, shipped in fonts/ so text works without internet
+const fontUrl = (file) => new URL(`../../fonts/${file}.typeface.json`, import.meta.url).href;
 const BUNDLED_FONTS = {
-  'helvetiker': 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/fonts/helvetiker_regular.typeface.json',
-  'helvetiker_bold': 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/fonts/helvetiker_bold.typeface.json',
-  'optimer': 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/fonts/optimer_regular.typeface.json',
-  'optimer_bold': 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/fonts/optimer_bold.typeface.json',
-  'gentilis': 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/fonts/gentilis_regular.typeface.json',
-  'gentilis_bold': 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/fonts/gentilis_bold.typeface.json',
+  'helvetiker': fontUrl('helvetiker_regular'),
+  'helvetiker_bold': fontUrl('helvetiker_bold'),
+  'optimer': fontUrl('optimer_regular'),
+  'optimer_bold': fontUrl('optimer_bold'),
+  'gentilis': fontUrl('gentilis_regular'),
+  'gentilis_bold': fontUrl('gentilis_bold'),
 };
 
 /**
@@ -62,10 +64,10 @@ export function loadBundledFont(fontName) {
 }
 
 /**
- * Parse a custom .ttf/.otf font file using opentype.js and convert
- * to a Three.js Font-compatible object.
+ * Parse a custom .ttf/.otf/.woff font file using opentype.js. The opentype
+ * font is used as-is, so glyph outlines and kerning come straight from it.
  * @param {ArrayBuffer} arrayBuffer - file contents
- * @returns {Promise<THREE.Font>}
+ * @returns {Promise<opentype.Font>}
  */
 export function parseCustomFont(arrayBuffer) {
   return new Promise((resolve, reject) => {
@@ -75,72 +77,7 @@ export function parseCustomFont(arrayBuffer) {
     }
 
     try {
-      const otFont = opentype.parse(arrayBuffer);
-
-      // Convert opentype font to Three.js typeface.json format
-      const fontData = {
-        glyphs: {},
-        familyName: otFont.names.fontFamily?.en || 'Custom',
-        ascender: otFont.ascender,
-        descender: otFont.descender,
-        underlinePosition: otFont.tables.post?.underlinePosition || -100,
-        underlineThickness: otFont.tables.post?.underlineThickness || 50,
-        boundingBox: {
-          xMin: otFont.tables.head.xMin,
-          xMax: otFont.tables.head.xMax,
-          yMin: otFont.tables.head.yMin,
-          yMax: otFont.tables.head.yMax,
-        },
-        resolution: otFont.unitsPerEm || 1000,
-        original_font_information: { format: 0, copyright: '', fontFamily: otFont.names.fontFamily?.en || '' },
-      };
-
-      // Convert each glyph
-      for (let i = 0; i < otFont.glyphs.length; i++) {
-        const glyph = otFont.glyphs.get(i);
-        if (!glyph.unicode) continue;
-
-        const char = String.fromCharCode(glyph.unicode);
-        const glyphData = {
-          ha: glyph.advanceWidth,
-          x_min: glyph.xMin || 0,
-          x_max: glyph.xMax || 0,
-          o: '',
-        };
-
-        // Convert glyph path commands to Three.js font format
-        if (glyph.path && glyph.path.commands) {
-          const cmds = [];
-          for (const cmd of glyph.path.commands) {
-            switch (cmd.type) {
-              case 'M':
-                cmds.push(`m ${cmd.x} ${cmd.y}`);
-                break;
-              case 'L':
-                cmds.push(`l ${cmd.x} ${cmd.y}`);
-                break;
-              case 'Q':
-                cmds.push(`q ${cmd.x1} ${cmd.y1} ${cmd.x} ${cmd.y}`);
-                break;
-              case 'C':
-                cmds.push(`b ${cmd.x1} ${cmd.y1} ${cmd.x2} ${cmd.y2} ${cmd.x} ${cmd.y}`);
-                break;
-              case 'Z':
-                // Close path — no command needed in Three.js font format
-                break;
-            }
-          }
-          glyphData.o = cmds.join(' ');
-        }
-
-        fontData.glyphs[char] = glyphData;
-      }
-
-      // Create Three.js Font from the converted data
-      const loader = new FontLoader();
-      const font = loader.parse(fontData);
-      fontCache.set('custom_' + Date.now(), font);
-      resolve(font);
+      resolve(opentype.parse(arrayBuffer));
     } catch (err) {
       reject(err);
     }
@@ -149,14 +86,19 @@ export function parseCustomFont(arrayBuffer) {
 
 /**
  * Convert text into polyline chains ready for tube creation.
- * @param {THREE.Font} font - loaded Three.js font
- * @param {string} text - text to convert
+ * @param {THREE.Font|opentype.Font} font - bundled Three.js font, or a custom font from parseCustomFont()
+ * @param {string} text - text to convert ('\n' starts a new line)
  * @param {object} [options]
  * @param {number} [options.size=0.5] - text size in meters
  * @param {number} [options.letterSpacing=1.0] - letter spacing multiplier (1.0 = normal)
  * @param {number} [options.divisions=12] - curve resolution (points per bezier)
  * @param {string} [options.plane='XZ'] - drawing plane ('XZ', 'XY', 'YZ')
  * @param {number} [options.simplifyEpsilon] - auto-computed if omitted
+ * @param {'outline'|'centerline'} [options.mode='outline'] - trace glyph outlines,
+ *   or their centerline skeleton for single-line neon lettering
+ * @param {'left'|'center'|'right'} [options.align='left'] - alignment of multi-line text
+ * @param {number} [options.lineSpacing=1.0] - line pitch multiplier (1.0 = the font's line height)
+ * @param {import('./TextPath.js').TextPath} [options.path] - lay the text along a curve instead of a straight line
  * @returns {{ points: THREE.Vector3[], closed: boolean }[]}
  */
 export function textToChains(font, text, options = {}) {
@@ -165,12 +107,20 @@ export function textToChains(font, text, options = {}) {
     letterSpacing = 1.0,
     divisions = 12,
     plane = 'XZ',
+    mode = 'outline',
+    align = 'left',
+    lineSpacing = 1.0,
+    path = null,
   } = options;
 
-  // Generate shapes from font
-  const shapes = font.generateShapes(text, size);
+  const glyphs = layoutGlyphs(font, text, size, { letterSpacing, align, lineSpacing });
+
+  if (!glyphs.some(g => g.shapes.length > 0)) return [];
 
-  if (!shapes || shapes.length === 0) return [];
+  // Flat layout goes onto the drawing plane, or glyph by glyph onto the path
+  const project = path
+    ? (v, glyph) => path.place(v, glyph.anchorX)
+    : (v) => toVector3(v, plane);
 
   // Auto-compute epsilon from text size
   const epsilon = options.simplifyEpsilon != null
@@ -179,61 +129,194 @@ export function textToChains(font, text, options = {}) {
 
   const chains = [];
 
-  // Apply letter spacing by adjusting the shapes' positions
-  // The font already positions glyphs correctly; we just scale the spacing
-  if (letterSpacing !== 1.0) {
-    // Find center of all shapes to apply spacing from center
-    const allPoints = [];
-    for (const shape of shapes) {
-      const pts = shape.getPoints(divisions);
-      allPoints.push(...pts);
+  if (mode === 'centerline') {
+    return centerlineChains(glyphs, { size, divisions, project, epsilon });
+  }
+
+  const addContour = (pts2D, glyph) => {
+    if (pts2D.length < 3) return;
+    const openPts = stripClosingDuplicate(pts2D);
+    const points3D = openPts.map(v => project(v, glyph));
+    const simplified = simplifyClosedPath(points3D, epsilon);
+    if (simplified.length >= 3) {
+      chains.push({ points: simplified, closed: true });
     }
-    if (allPoints.length > 0) {
-      let minX = Infinity, maxX = -Infinity;
-      for (const p of allPoints) {
-        if (p.x < minX) minX = p.x;
-        if (p.x > maxX) maxX = p.x;
-      }
-      const centerX = (minX + maxX) / 2;
-
-      // Scale x-coordinates around center
-      for (const shape of shapes) {
-        if (shape.curves) {
-          for (const curve of shape.curves) {
-            if (curve.v1) { curve.v1.x = centerX + (curve.v1.x - centerX) * letterSpacing; }
-            if (curve.v2) { curve.v2.x = centerX + (curve.v2.x - centerX) * letterSpacing; }
-            if (curve.v0) { curve.v0.x = centerX + (curve.v0.x - centerX) * letterSpacing; }
-            if (curve.aX !== undefined) { curve.aX = centerX + (curve.aX - centerX) * letterSpacing; }
-          }
-        }
+  };
+
+  for (const glyph of glyphs) {
+    for (const shape of glyph.shapes) {
+      // Outer contour
+      addContour(shape.getPoints(divisions), glyph);
+
+      // Holes (inner contours — e.g., inside of O, A, D, B)
+      for (const hole of shape.holes) {
+        addContour(hole.getPoints(divisions), glyph);
       }
     }
   }
 
-  for (let si = 0; si < shapes.length; si++) {
-    const shape = shapes[si];
-    // Outer contour
-    const outerPts2D = shape.getPoints(divisions);
-    if (outerPts2D.length >= 3) {
-      const openPts = stripClosingDuplicate(outerPts2D);
-      const points3D = openPts.map(v => toVector3(v, plane));
-      const simplified = simplifyClosedPath(points3D, epsilon);
-      if (simplified.length >= 3) {
-        chains.push({ points: simplified, closed: true });
-      }
+  return chains;
+}
+
+/**
+ * Glyph shapes for (multi-line) text, placed glyph by glyph so letter
+ * spacing opens up the gaps without stretching letters. Kerning is applied
+ * for custom (opentype.js) fonts; Three.js typeface fonts carry none.
+ * The first baseline is at y = 0; lines step down by the font's line height.
+ * @returns {{ shapes: THREE.Shape[], anchorX: number }[]} per glyph, with the
+ *   x of the middle of its advance (where a text path attaches it)
+ */
+function layoutGlyphs(font, text, size, { letterSpacing, align, lineSpacing }) {
+  const lineHeight = size * lineSpacing * (isOpentypeFont(font) ? opentypeLineHeight(font) : typefaceLineHeight(font));
+  const placed = [];
+
+  text.split('\n').forEach((line, row) => {
+    const glyphs = lineGlyphs(font, line, size);
+    const positions = [];
+    let penX = 0;
+    glyphs.forEach((g, i) => {
+      penX += g.kern * letterSpacing;
+      positions.push(penX);
+      penX += g.advance * (i < glyphs.length - 1 ? letterSpacing : 1);
+    });
+
+    let startX = 0;
+    if (align === 'center') startX = -penX / 2;
+    else if (align === 'right') startX = -penX;
+    const y = -row * lineHeight;
+
+    glyphs.forEach((g, i) => {
+      const x = startX + positions[i];
+      const shapes = g.shapes();
+      for (const shape of shapes) translateShape(shape, x, y);
+      placed.push({ shapes, anchorX: x + g.advance / 2 });
+    });
+  });
+
+  return placed;
+}
+
+/**
+ * Per-glyph metrics for one line, in scene units. `kern` is the adjustment
+ * before the glyph; `shapes()` builds the glyph at the origin.
+ * @returns {{ advance: number, kern: number, shapes: () => THREE.Shape[] }[]}
+ */
+function lineGlyphs(font, line, size) {
+  if (isOpentypeFont(font)) {
+    const scale = size / font.unitsPerEm;
+    return font.stringToGlyphs(line).map((glyph, i, glyphs) => ({
+      advance: glyph.advanceWidth * scale,
+      kern: i > 0 ? font.getKerningValue(glyphs[i - 1], glyph) * scale : 0,
+      shapes: () => opentypeGlyphShapes(glyph, scale),
+    }));
+  }
+
+  const data = font.data;
+  const scale = size / data.resolution;
+  return Array.from(line, (ch) => {
+    const glyph = data.glyphs[ch] || data.glyphs['?'];
+    return {
+      advance: glyph ? glyph.ha * scale : 0,
+      kern: 0,
+      shapes: () => (glyph ? font.generateShapes(ch, size) : []),
+    };
+  });
+}
+
+/** A font from parseCustomFont() rather than a Three.js typeface font. */
+function isOpentypeFont(font) {
+  return typeof font.stringToGlyphs === 'function';
+}
+
+/** Baseline-to-baseline distance of an opentype.js font, in ems. */
+function opentypeLineHeight(font) {
+  const units = font.ascender - font.descender + (font.tables.hhea?.lineGap || 0);
+  return units > 0 ? units / font.unitsPerEm : 1.2;
+}
+
+/**
+ * Shapes of an opentype.js glyph at the origin, y up.
+ * @param {opentype.Glyph} glyph
+ * @param {number} scale - scene units per font unit
+ * @returns {THREE.Shape[]}
+ */
+function opentypeGlyphShapes(glyph, scale) {
+  const path = new THREE.ShapePath();
+  for (const c of glyph.path.commands) {
+    switch (c.type) {
+      case 'M': path.moveTo(c.x * scale, c.y * scale); break;
+      case 'L': path.lineTo(c.x * scale, c.y * scale); break;
+      case 'Q': path.quadraticCurveTo(c.x1 * scale, c.y1 * scale, c.x * scale, c.y * scale); break;
+      case 'C':
+        path.bezierCurveTo(c.x1 * scale, c.y1 * scale, c.x2 * scale, c.y2 * scale, c.x * scale, c.y * scale);
+        break;
+      // 'Z' — ShapePath sub-paths are closed implicitly by toShapes()
     }
+  }
+  if (path.subPaths.length === 0) return [];
+
+  // TrueType outers wind clockwise, CFF outers counter-clockwise — go by
+  // the winding of the largest contour rather than trusting the format.
+  let largest = 0;
+  for (const sub of path.subPaths) {
+    const area = THREE.ShapeUtils.area(sub.getPoints());
+    if (Math.abs(area) > Math.abs(largest)) largest = area;
+  }
+  return path.toShapes(largest > 0);
+}
 
-    // Holes (inner contours — e.g., inside of O, A, D, B)
-    if (shape.holes) {
-      for (const hole of shape.holes) {
-        const holePts2D = hole.getPoints(divisions);
-        if (holePts2D.length >= 3) {
-          const openPts = stripClosingDuplicate(holePts2D);
-          const points3D = openPts.map(v => toVector3(v, plane));
-          const simplified = simplifyClosedPath(points3D, epsilon);
-          if (simplified.length >= 3) {
-            chains.push({ points: simplified, closed: true });
-          }
+/** Baseline-to-baseline distance of a Three.js typeface font, in ems. */
+function typefaceLineHeight(font) {
+  const { ascender, descender, resolution } = font.data;
+  if (ascender != null && descender != null && resolution) {
+    return (ascender - descender) / resolution;
+  }
+  return 1.2;
+}
+
+/** Move a shape (and its holes) by (dx, dy) in place. */
+function translateShape(shape, dx, dy) {
+  if (dx === 0 && dy === 0) return;
+  const moved = new Set();
+  const move = (v) => {
+    if (v && !moved.has(v)) {
+      v.x += dx;
+      v.y += dy;
+      moved.add(v);
+    }
+  };
+  for (const path of [shape, ...shape.holes]) {
+    for (const curve of path.curves) {
+      move(curve.v0); move(curve.v1); move(curve.v2); move(curve.v3);
+      if (curve.aX !== undefined) { curve.aX += dx; curve.aY += dy; }
+    }
+    move(path.currentPoint);
+  }
+}
+
+/**
+ * Single-line chains from the glyph shapes' centerline skeletons.
+ * Raster resolution scales with the text size (~110 px per em).
+ */
+function centerlineChains(glyphs, { size, divisions, project, epsilon }) {
+  const resolution = 110 / size;
+  const chains = [];
+
+  for (const glyph of glyphs) {
+    for (const shape of glyph.shapes) {
+      const lines = shapeCenterlines(shape, {
+        resolution,
+        divisions,
+        spurLength: 0.08 * size * resolution,
+        dotSize: 0.2 * size,
+      });
+      for (const line of lines) {
+        const points3D = line.points.map(v => project(v, glyph));
+        const simplified = line.closed
+          ? simplifyClosedPath(points3D, Math.max(epsilon, 0.8 / resolution))
+          : simplifyPath(points3D, Math.max(epsilon, 0.8 / resolution));
+        if (simplified.length >= (line.closed ? 3 : 2)) {
+          chains.push({ points: simplified, closed: line.closed });
         }
       }
     }
@@ -259,33 +342,10 @@ function stripClosingDuplicate(pts) {
   return pts;
 }
 
-/**
- * Simplify a closed path by splitting it in half, simplifying each half
- * independently, then rejoining. This avoids the degenerate case where
- * simplifyPath collapses a closed contour (start == end) to 2 points.
- */
-function simplifyClosedPath(points3D, epsilon) {
-  if (points3D.length <= 4) return points3D;
-
-  const mid = Math.floor(points3D.length / 2);
-
-  // First half: [0 .. mid]
-  const firstHalf = points3D.slice(0, mid + 1);
-  const simplifiedFirst = simplifyPath(firstHalf, epsilon);
-
-  // Second half: [mid .. end]
-  const secondHalf = points3D.slice(mid);
-  const simplifiedSecond = simplifyPath(secondHalf, epsilon);
-
-  // Join: drop duplicate midpoint from second half
-  const combined = simplifiedFirst.concat(simplifiedSecond.slice(1));
-  return combined;
-}
-
 /**
  * Convert a 2D point to 3D on the specified drawing plane.
  */
-function toVector3(v, plane) {
+export function toVector3(v, plane) {
   switch (plane) {
     case 'XZ': return new THREE.Vector3(v.x, 0, -v.y);
     case 'XY': return new THREE.Vector3(v.x, v.y, 0);
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+
+/**
+ * Lays text out along a curve — an existing tube or a circular arc — for
+ * signage on arches and rings.
+ *
+ * Glyphs stay rigid: each one is positioned by the arc length of its
+ * anchor (the middle of its advance) and either rotated to the path
+ * tangent or kept upright on the drawing plane. Text coordinates are the
+ * flat layout from textToChains(): x along the line, y up from the first
+ * baseline.
+ */
+
+// Plane normals chosen so that normal × (2D x axis) = (2D y axis) under toVector3()
+const PLANE_NORMALS = {
+  XZ: new THREE.Vector3(0, 1, 0),
+  XY: new THREE.Vector3(0, 0, 1),
+  YZ: new THREE.Vector3(-1, 0, 0),
+};
+
+const PLANE_AXES = {
+  XZ: { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 0, -1) },
+  XY: { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0) },
+  YZ: { x: new THREE.Vector3(0, 0, 1), y: new THREE.Vector3(0, 1, 0) },
+};
+
+const ARC_SAMPLES = 72;
+
+export class TextPath {
+  /**
+   * @param {THREE.Curve} curve - path the baseline follows
+   * @param {object} options
+   * @param {string} [options.plane='XZ'] - drawing plane ('XZ', 'XY', 'YZ') for upright glyphs
+   * @param {THREE.Vector3} [options.normal] - normal of the path's plane; "up" is normal × tangent.
+   *   Defaults to the drawing plane's normal.
+   * @param {boolean} [options.closed=false] - wrap text around a closed path
+   * @param {'left'|'center'|'right'} [options.align='center'] - anchor at the start, middle or end of the path
+   * @param {number} [options.offset=0] - baseline distance from the path in meters (+ = up side)
+   * @param {'tangent'|'upright'} [options.orientation='tangent'] - rotate glyphs with the path, or keep them upright
+   */
+  constructor(curve, options = {}) {
+    const {
+      plane = 'XZ',
+      closed = false,
+      align = 'center',
+      offset = 0,
+      orientation = 'tangent',
+    } = options;
+
+    this.curve = curve;
+    this.length = CurveBuilder.getLength(curve);
+    this.closed = closed;
+    this.offset = offset;
+    this.orientation = orientation;
+    this.normal = (options.normal || PLANE_NORMALS[plane] || PLANE_NORMALS.XZ).clone().normalize();
+    this.axes = PLANE_AXES[plane] || PLANE_AXES.XZ;
+
+    this._frameAnchor = null;
+    this._frame = null;
+
+    if (align === 'left') this.anchor = 0;
+    else if (align === 'right') this.anchor = this.length;
+    else this.anchor = this.length / 2;
+  }
+
+  /**
+   * Circular arc of `radius` on the drawing plane, centered on the origin.
+   * 'top' runs clockwise over the top so text reads along the outside of an
+   * arch; 'bottom' runs counter-clockwise under it (text on the inside).
+   * Text is anchored at the apex; its own alignment decides which way it runs.
+   * @param {number} radius - meters
+   * @param {object} [options] - as the constructor, plus side ('top' | 'bottom')
+   * @returns {TextPath}
+   */
+  static arc(radius, options = {}) {
+    const { side = 'top', plane = 'XZ' } = options;
+    const axes = PLANE_AXES[plane] || PLANE_AXES.XZ;
+
+    // Start opposite the text so the middle of the path is the apex
+    const points = [];
+    for (let i = 0; i < ARC_SAMPLES; i++) {
+      const a = side === 'bottom'
+        ? Math.PI / 2 + (i / ARC_SAMPLES) * Math.PI * 2
+        : Math.PI * 1.5 - (i / ARC_SAMPLES) * Math.PI * 2;
+      points.push(new THREE.Vector3()
+        .addScaledVector(axes.x, Math.cos(a) * radius)
+        .addScaledVector(axes.y, Math.sin(a) * radius));
+    }
+    const curve = CurveBuilder.build(points, 0.5, true);
+    return new TextPath(curve, { ...options, plane, closed: true, align: 'center' });
+  }
+
+  /**
+   * Path along an existing tube's centerline. The tube's own plane sets
+   * which side is up, oriented to agree with the closest drawing plane.
+   * @param {import('../tube/TubeModel.js').TubeModel} tube
+   * @param {object} [options] - as the constructor, plus reverse (run from the tube's end)
+   * @returns {TextPath}
+   */
+  static alongTube(tube, options = {}) {
+    const points = options.reverse ? [...tube.controlPoints].reverse() : tube.controlPoints;
+    const curve = CurveBuilder.build(points, tube.tension, tube.closed);
+    if (!curve) throw new Error('Tube has too few points to lay text along');
+
+    // Newell's method on the sampled curve gives the plane a bent tube lies in
+    const samples = curve.getPoints(64);
+    const normal = new THREE.Vector3();
+    for (let i = 0; i < samples.length; i++) {
+      const a = samples[i];
+      const b = samples[(i + 1) % samples.length];
+      normal.x += (a.y - b.y) * (a.z + b.z);
+      normal.y += (a.z - b.z) * (a.x + b.x);
+      normal.z += (a.x - b.x) * (a.y + b.y);
+    }
+
+    let plane = options.plane || 'XZ';
+    if (normal.lengthSq() > 1e-12) {
+      normal.normalize();
+      // Upright glyphs use the standard plane nearest to the tube's plane
+      let best = -1;
+      for (const [name, n] of Object.entries(PLANE_NORMALS)) {
+        const d = Math.abs(normal.dot(n));
+        if (d > best + 1e-6) { best = d; plane = name; }
+      }
+      if (normal.dot(PLANE_NORMALS[plane]) < 0) normal.negate();
+    } else {
+      // Straight tube — any plane containing it works, prefer the drawing plane
+      normal.copy(PLANE_NORMALS[plane]);
+    }
+
+    return new TextPath(curve, { ...options, plane, normal, closed: tube.closed });
+  }
+
+  /**
+   * Map a point of the flat text layout onto the path.
+   * @param {THREE.Vector2} v - layout point (meters)
+   * @param {number} anchorX - layout x of the glyph's anchor
+   * @returns {THREE.Vector3}
+   */
+  place(v, anchorX) {
+    // All points of a glyph share its anchor — evaluate the frame once
+    if (anchorX !== this._frameAnchor) {
+      const { point, tangent } = this._frameAt(this.anchor + anchorX);
+      const up = new THREE.Vector3().crossVectors(this.normal, tangent).normalize();
+      this._frame = { origin: point.addScaledVector(up, this.offset), tangent, up };
+      this._frameAnchor = anchorX;
+    }
+
+    const { origin, tangent, up } = this._frame;
+    const dx = v.x - anchorX;
+    const out = origin.clone();
+    if (this.orientation === 'upright') {
+      return out.addScaledVector(this.axes.x, dx).addScaledVector(this.axes.y, v.y);
+    }
+    return out.addScaledVector(tangent, dx).addScaledVector(up, v.y);
+  }
+
+  /**
+   * Point and unit tangent at arc length s. Closed paths wrap; open paths
+   * continue straight past their ends.
+   */
+  _frameAt(s) {
+    const L = this.length;
+    if (L <= 0) {
+      return { point: this.curve.getPoint(0), tangent: this.axes.x.clone() };
+    }
+    if (this.closed) {
+      const u = ((s % L) + L) % L / L;
+      return { point: this.curve.getPointAt(u), tangent: this.curve.getTangentAt(u) };
+    }
+    const u = Math.min(1, Math.max(0, s / L));
+    const point = this.curve.getPointAt(u);
+    const tangent = this.curve.getTangentAt(u);
+    const overshoot = s < 0 ? s : Math.max(0, s - L);
+    return { point: point.addScaledVector(tangent, overshoot), tangent };
+  }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { segmentLength } from './CutRules.js';
 
 /**
  * Control points per meter of arc length for segment reconstruction.
@@ -26,17 +27,25 @@ const MAX_CORRECTIONS = 24;
  * when rebuilt as a CatmullRom curve. Uses direct arc-length parameterization
  * with iterative correction for sub-mm precision.
  *
+ * With a cut increment, full segments are the longest multiple of the
+ * increment that fits in maxLengthM, so every junction falls on a cut mark.
+ * The last segment keeps the remainder (flagged by CutRules if off-mark).
+ *
  * @param {THREE.Vector3[]} controlPoints - Original control points
  * @param {number} maxLengthM - Maximum length per segment in meters
  * @param {number} connectorHeightM - Height of connector in meters (visual only, not deducted from segments)
  * @param {number} tension - CatmullRom tension (default 0.5)
+ * @param {number} [cutIncrementM=0] - product cut increment in meters (0 = cut anywhere)
  * @returns {{ segments: THREE.Vector3[][], connectors: { position: THREE.Vector3, tangent: THREE.Vector3 }[] }}
  */
-export function autoSegment(controlPoints, maxLengthM, connectorHeightM = 0.03, tension = 0.5) {
+export function autoSegment(controlPoints, maxLengthM, connectorHeightM = 0.03, tension = 0.5, cutIncrementM = 0) {
   if (!controlPoints || controlPoints.length < 2 || !maxLengthM || maxLengthM <= 0) {
     return { segments: [controlPoints], connectors: [] };
   }
 
+  // Full segments are cut at the last cut mark within maxLength (same as the Click Place preview)
+  const segLengthM = segmentLength(maxLengthM, cutIncrementM > 0 ? { incrementM: cutIncrementM, minLengthM: 0 } : null);
+
   const curve = CurveBuilder.build(controlPoints, tension, false);
   if (!curve) {
     return { segments: [controlPoints], connectors: [] };
@@ -50,7 +59,7 @@ export function autoSegment(controlPoints, maxLengthM, connectorHeightM = 0.03,
   }
 
   // Pre-compute numPts for the target length — used consistently everywhere
-  const numPts = Math.max(15, Math.ceil(maxLengthM * POINTS_PER_METER));
+  const numPts = Math.max(15, Math.ceil(segLengthM * POINTS_PER_METER));
 
   const segments = [];
   const connectors = [];
@@ -69,8 +78,8 @@ export function autoSegment(controlPoints, maxLengthM, connectorHeightM = 0.03,
       segEndT = 1.0;
       segNumPts = Math.max(15, Math.ceil(remainingArc * POINTS_PER_METER));
     } else {
-      // Find the exact endT that produces a segment of maxLengthM
-      segEndT = _findExactEndT(curve, totalLength, currentT, maxLengthM, tension, numPts);
+      // Find the exact endT that produces a segment of segLengthM
+      segEndT = _findExactEndT(curve, totalLength, currentT, segLengthM, tension, numPts);
       segNumPts = numPts; // same as used during correction
     }
 
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { getPresetById } from './FixturePresets.js';
+
+/** Product bend directions (preset `bendDirection`). */
+export const BEND_DIRECTIONS = {
+  any:  'Any direction',
+  top:  'Top-bend',
+  side: 'Side-bend',
+};
+
+/** Sample spacing along the tube for curvature (meters). */
+const SAMPLE_SPACING_M = 0.005;
+const MAX_SAMPLES = 1500;
+
+/**
+ * Top-bend flex can't be bent sideways (and vice versa) beyond a gentle
+ * sweep: bends in the stiff direction are flagged below this multiple of
+ * the product's minimum radius.
+ */
+const STIFF_RADIUS_FACTOR = 10;
+
+/**
+ * Bend rules of a tube's fixture preset.
+ * Round profiles bend the same in every direction, so the direction only
+ * matters for square / rect flex.
+ * @param {import('./TubeModel.js').TubeModel} tube
+ * @returns {{ minRadiusM: number, direction: 'any'|'top'|'side' }|null}
+ */
+export function tubeBendRules(tube) {
+  if (tube.isPlaceholder) return null;
+  const preset = getPresetById(tube.fixturePreset);
+  if (!preset || !(preset.bendRadiusMm > 0)) return null;
+  const direction = tube.profile !== 'round' && BEND_DIRECTIONS[preset.bendDirection]
+    ? preset.bendDirection
+    : 'any';
+  return { minRadiusM: preset.bendRadiusMm / 1000, direction };
+}
+
+/**
+ * Sample curvature along a tube and find bends tighter than allowed.
+ *
+ * Curvature is split against the tube's cross-section frame (the same
+ * Frenet frames ExtrudeGeometry uses for flat profiles): the component along
+ * the frame normal bends over the diffuser face (top-bend), the component
+ * along the binormal bends sideways (side-bend).
+ *
+ * @param {import('./TubeModel.js').TubeModel} tube
+ * @param {{ minRadiusM: number, direction: string }} rules
+ * @returns {{ minRadiusM: number, violations: BendViolation[] }}
+ *   minRadiusM = tightest radius found (Infinity for straight tubes)
+ */
+export function analyzeBends(tube, rules) {
+  const result = { minRadiusM: Infinity, violations: [] };
+  const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+  if (!curve) return result;
+  const length = CurveBuilder.getLength(curve);
+  if (length < SAMPLE_SPACING_M * 2) return result;
+
+  const n = Math.min(MAX_SAMPLES, Math.max(16, Math.ceil(length / SAMPLE_SPACING_M)));
+  const frames = curve.computeFrenetFrames(n, tube.closed);
+  const du = 1 / n;
+  const stiffLimit = rules.minRadiusM * STIFF_RADIUS_FACTOR;
+
+  const tPrev = new THREE.Vector3();
+  const tNext = new THREE.Vector3();
+  const k = new THREE.Vector3();
+  let current = null; // open violation range
+
+  for (let i = 0; i <= n; i++) {
+    const u = i * du;
+    // Central difference of the unit tangent (one-sided at open ends)
+    let u0 = u - du;
+    let u1 = u + du;
+    if (!tube.closed) {
+      u0 = Math.max(0, u0);
+      u1 = Math.min(1, u1);
+    }
+    const wrap = (x) => (tube.closed ? ((x % 1) + 1) % 1 : x);
+    curve.getTangentAt(wrap(u0), tPrev);
+    curve.getTangentAt(wrap(u1), tNext);
+    const ds = (u1 - u0) * length;
+    k.subVectors(tNext, tPrev).divideScalar(ds); // curvature vector dT/ds
+
+    const curvature = k.length();
+    const radius = curvature > 1e-9 ? 1 / curvature : Infinity;
+    if (radius < result.minRadiusM) result.minRadiusM = radius;
+
+    let kind = null;
+    let limit = rules.minRadiusM;
+    let bendRadius = radius;
+    if (rules.direction === 'any') {
+      if (radius < rules.minRadiusM) kind = 'radius';
+    } else {
+      const kTop = Math.abs(k.dot(frames.normals[i]));
+      const kSide = Math.abs(k.dot(frames.binormals[i]));
+      const rAllowed = 1 / Math.max(rules.direction === 'top' ? kTop : kSide, 1e-9);
+      const rStiff = 1 / Math.max(rules.direction === 'top' ? kSide : kTop, 1e-9);
+      if (rAllowed < rules.minRadiusM) {
+        kind = 'radius';
+        bendRadius = rAllowed;
+      } else if (rStiff < stiffLimit) {
+        kind = 'direction';
+        bendRadius = rStiff;
+        limit = stiffLimit;
+      }
+    }
+
+    if (kind && current && current.kind === kind && current.endT >= u - du * 1.5) {
+      current.endT = u;
+      if (bendRadius < current.radiusM) {
+        current.radiusM = bendRadius;
+        current.t = u;
+      }
+    } else if (kind) {
+      current = { kind, startT: u, endT: u, t: u, radiusM: bendRadius, limitM: limit };
+      result.violations.push(current);
+    } else {
+      current = null;
+    }
+  }
+
+  for (const v of result.violations) {
+    v.position = curve.getPointAt(v.t);
+  }
+  return result;
+}
+
+/**
+ * @typedef {object} BendViolation
+ * @property {'radius'|'direction'} kind - too tight, or bent in the product's stiff direction
+ * @property {number} startT - arc-length fraction where the range starts
+ * @property {number} endT
+ * @property {number} t - tightest point
+ * @property {number} radiusM - tightest radius in the range
+ * @property {number} limitM - allowed radius for this kind
+ * @property {THREE.Vector3} position - tightest point in world space
+ */
+
+/** tube → { key, result } so unchanged tubes aren't re-sampled on every refresh */
+const cache = new WeakMap();
+
+/**
+ * Bend violations of all tubes whose preset has a minimum bend radius.
+ * @param {import('./TubeModel.js').TubeModel[]} tubes
+ * @returns {Map<number, { minRadiusM: number, violations: BendViolation[] }>}
+ *   tubeId → analysis, only tubes with violations
+ */
+export function findBendViolations(tubes) {
+  const out = new Map();
+  for (const tube of tubes) {
+    if (!tube.isValid) continue;
+    const rules = tubeBendRules(tube);
+    if (!rules) continue;
+
+    const key = `${rules.minRadiusM}|${rules.direction}|${tube.tension}|${tube.closed}|`
+      + tube.controlPoints.map(p => `${p.x},${p.y},${p.z}`).join(';');
+    let entry = cache.get(tube);
+    if (!entry || entry.key !== key) {
+      entry = { key, result: analyzeBends(tube, rules) };
+      cache.set(tube, entry);
+    }
+    if (entry.result.violations.length > 0) out.set(tube.id, entry.result);
+  }
+  return out;
+}
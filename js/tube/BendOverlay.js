@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+
+const COLORS = {
+  radius: 0xff2222,    // tighter than the minimum bend radius
+  direction: 0xffaa22, // bent in the product's stiff direction
+};
+
+/**
+ * Viewport overlay for bend violations: a colored line along each violating
+ * range of a tube plus a marker at its tightest point. Drawn on top of the
+ * tubes so violations stay visible through the diffuser.
+ */
+export class BendOverlay {
+  /**
+   * @param {import('../scene/SceneManager.js').SceneManager} sceneManager
+   */
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.visible = true;
+    this._group = new THREE.Group();
+    this._group.name = '__bendOverlay';
+    this.sceneManager.scene.add(this._group);
+    this._markerGeo = new THREE.SphereGeometry(1, 12, 12);
+    this._materials = {};
+    for (const [kind, color] of Object.entries(COLORS)) {
+      this._materials[kind] = {
+        line: new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.95 }),
+        marker: new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.8 }),
+      };
+    }
+  }
+
+  /**
+   * Rebuild the overlay.
+   * @param {import('./TubeModel.js').TubeModel[]} tubes
+   * @param {Map<number, { violations: import('./BendAnalyzer.js').BendViolation[] }>} bendViolations
+   */
+  update(tubes, bendViolations) {
+    this._clear();
+    for (const tube of tubes) {
+      const analysis = bendViolations.get(tube.id);
+      if (!analysis || !tube.visible) continue;
+      const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+      if (!curve) continue;
+      const length = CurveBuilder.getLength(curve);
+
+      for (const v of analysis.violations) {
+        const mats = this._materials[v.kind];
+        // Widen single-sample ranges so they are visible
+        const pad = Math.max(0, (0.01 / length - (v.endT - v.startT)) / 2);
+        const t0 = Math.max(0, v.startT - pad);
+        const t1 = Math.min(1, v.endT + pad);
+        const steps = Math.max(2, Math.ceil((t1 - t0) * length / 0.005));
+        const pts = [];
+        for (let i = 0; i <= steps; i++) pts.push(curve.getPointAt(t0 + (t1 - t0) * (i / steps)));
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), mats.line);
+        line.renderOrder = 998;
+        this._group.add(line);
+
+        const marker = new THREE.Mesh(this._markerGeo, mats.marker);
+        marker.position.copy(v.position);
+        marker.scale.setScalar(Math.max(0.004, tube.outerRadius * 1.4));
+        marker.renderOrder = 998;
+        this._group.add(marker);
+      }
+    }
+    this._group.visible = this.visible;
+    this.sceneManager.requestRender();
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this._group.visible = visible;
+    this.sceneManager.requestRender();
+  }
+
+  _clear() {
+    for (const child of [...this._group.children]) {
+      this._group.remove(child);
+      if (child.isLine) child.geometry.dispose();
+    }
+  }
+}
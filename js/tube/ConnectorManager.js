@@ -57,6 +57,102 @@ export class ConnectorManager {
     }
   }
 
+  /**
+   * After tubes were joined into one: delete the connectors on the welds (or
+   * between two of the joined tubes) and relink the rest to the joined tube.
+   * @param {number[]} tubeIds - the tubes that were joined
+   * @param {number} joinedId - id of the joined tube
+   * @param {THREE.Vector3[]} welds - where tube ends were welded
+   * @param {number} tolerance - meters
+   * @returns {number} count of removed connectors
+   */
+  joinConnectors(tubeIds, joinedId, welds, tolerance) {
+    const idSet = new Set(tubeIds);
+    const linked = this.connectors.filter(
+      c => idSet.has(c.tubeBeforeId) || idSet.has(c.tubeAfterId)
+    );
+    let removed = 0;
+    for (const connector of linked) {
+      const internal = idSet.has(connector.tubeBeforeId) && idSet.has(connector.tubeAfterId);
+      const onWeld = welds.some(w => w.distanceTo(connector.position) <= tolerance);
+      if (internal || onWeld) {
+        this.deleteConnector(connector);
+        removed++;
+        continue;
+      }
+      if (idSet.has(connector.tubeBeforeId)) connector.tubeBeforeId = joinedId;
+      if (idSet.has(connector.tubeAfterId)) connector.tubeAfterId = joinedId;
+    }
+    return removed;
+  }
+
+  /**
+   * Copy the connectors between duplicated tubes onto the copies (arrays).
+   * Only connectors whose every linked tube was duplicated are copied.
+   * @param {Map<number, number>} idMap - source tube id → copy tube id
+   * @param {THREE.Matrix4} matrix - transform from source to copy
+   * @returns {ConnectorModel[]} the new connectors
+   */
+  copyConnectorsForTubes(idMap, matrix) {
+    const linked = this.connectors.filter(c =>
+      (c.tubeBeforeId || c.tubeAfterId)
+      && (!c.tubeBeforeId || idMap.has(c.tubeBeforeId))
+      && (!c.tubeAfterId || idMap.has(c.tubeAfterId))
+    );
+    return linked.map(c => {
+      const copy = new ConnectorModel({
+        position: c.position,
+        tangent: c.tangent,
+        diameterMm: c.diameterMm,
+        heightMm: c.heightMm,
+        tubeBeforeId: c.tubeBeforeId ? idMap.get(c.tubeBeforeId) : null,
+        tubeAfterId: c.tubeAfterId ? idMap.get(c.tubeAfterId) : null,
+        fixturePreset: c.fixturePreset,
+        color: c.color,
+        type: c.type,
+        angle: c.angle,
+        normal: c.normal,
+        bisector: c.bisector,
+      });
+      this._applyMatrix(copy, matrix);
+      this.connectors.push(copy);
+      this._buildMesh(copy);
+      return copy;
+    });
+  }
+
+  /**
+   * Rotate / mirror all connectors linked to any of the given tube IDs.
+   * @param {number[]} tubeIds
+   * @param {THREE.Matrix4} matrix
+   */
+  transformConnectorsForTubes(tubeIds, matrix) {
+    const idSet = new Set(tubeIds);
+    for (const connector of this.connectors) {
+      if (idSet.has(connector.tubeBeforeId) || idSet.has(connector.tubeAfterId)) {
+        this._applyMatrix(connector, matrix);
+        this._disposeMesh(connector);
+        this._buildMesh(connector);
+      }
+    }
+  }
+
+  /**
+   * After the given tubes were reversed: a tube that ended at a connector now
+   * starts there and the other way round, so swap before / after of every
+   * connector linked to one of them — end connectors with a single link too
+   * (keeps the BOM's start / end coverage right).
+   * @param {number[]} tubeIds
+   */
+  reverseConnectorsForTubes(tubeIds) {
+    const idSet = new Set(tubeIds);
+    for (const connector of this.connectors) {
+      if (idSet.has(connector.tubeBeforeId) || idSet.has(connector.tubeAfterId)) {
+        [connector.tubeBeforeId, connector.tubeAfterId] = [connector.tubeAfterId, connector.tubeBeforeId];
+      }
+    }
+  }
+
   /**
    * Move all connectors linked to any of the given tube IDs by delta.
    * @param {number[]} tubeIds
@@ -94,6 +190,25 @@ export class ConnectorManager {
     }
   }
 
+  /**
+   * Visually rotate connector meshes for the live rotation gizmo (no data change).
+   * @param {number[]} tubeIds
+   * @param {THREE.Matrix4} matrix - rotation from the original placement
+   */
+  setVisualTransformForTubes(tubeIds, matrix) {
+    const idSet = new Set(tubeIds);
+    const rotation = new THREE.Quaternion().setFromRotationMatrix(matrix);
+    for (const connector of this.connectors) {
+      if (idSet.has(connector.tubeBeforeId) || idSet.has(connector.tubeAfterId)) {
+        const mesh = connector.mesh;
+        if (!mesh) continue;
+        if (!mesh.userData.restQuaternion) mesh.userData.restQuaternion = mesh.quaternion.clone();
+        mesh.position.copy(connector.position).applyMatrix4(matrix);
+        mesh.quaternion.copy(rotation).multiply(mesh.userData.restQuaternion);
+      }
+    }
+  }
+
   /**
    * Reset visual offset on connector meshes (restore to data position).
    * @param {number[]} tubeIds
@@ -104,6 +219,10 @@ export class ConnectorManager {
       if (idSet.has(connector.tubeBeforeId) || idSet.has(connector.tubeAfterId)) {
         if (connector.mesh) {
           connector.mesh.position.copy(connector.position);
+          if (connector.mesh.userData.restQuaternion) {
+            connector.mesh.quaternion.copy(connector.mesh.userData.restQuaternion);
+            delete connector.mesh.userData.restQuaternion;
+          }
         }
       }
     }
@@ -143,6 +262,21 @@ export class ConnectorManager {
     ConnectorModel.resetIdCounter(maxId);
   }
 
+  /**
+   * Transform a connector's placement. The angle-connector normal is a
+   * cross product, so a mirror flips it back to keep the mesh a true mirror
+   * image (and its basis right-handed).
+   */
+  _applyMatrix(connector, matrix) {
+    connector.position.applyMatrix4(matrix);
+    connector.tangent.transformDirection(matrix);
+    if (connector.bisector) connector.bisector.transformDirection(matrix);
+    if (connector.normal) {
+      connector.normal.transformDirection(matrix);
+      if (matrix.determinant() < 0) connector.normal.negate();
+    }
+  }
+
   _buildMesh(connector) {
     const mesh = ConnectorGeometryBuilder.build(connector);
     connector.mesh = mesh;
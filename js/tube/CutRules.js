@@ -0,0 +1,141 @@
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { getPresetById } from './FixturePresets.js';
+
+/**
+ * Lengths within this distance of a cut mark count as on the mark.
+ * Rebuilt CatmullRom pieces drift by a fraction of a mm after splits.
+ */
+export const CUT_TOLERANCE_M = 0.002;
+
+/**
+ * Cut rules of a fixture preset. Real flex can only be cut at fixed marks:
+ * every `cutIncrementMm`, or every `cutEveryPixels` pixels (converted with
+ * the pixel pitch).
+ * @param {object|null} preset
+ * @param {number} [pixelsPerMeter] - pitch to use for pixel-based increments (default: preset's)
+ * @returns {{ incrementM: number, minLengthM: number }|null} null = cut anywhere
+ */
+export function cutRules(preset, pixelsPerMeter) {
+  if (!preset) return null;
+  let incrementM = 0;
+  if (preset.cutIncrementMm > 0) {
+    incrementM = preset.cutIncrementMm / 1000;
+  } else if (preset.cutEveryPixels > 0) {
+    const ppm = pixelsPerMeter || preset.pixelsPerMeter;
+    if (ppm > 0) incrementM = preset.cutEveryPixels / ppm;
+  }
+  const minLengthM = preset.minCutLengthMm > 0 ? preset.minCutLengthMm / 1000 : 0;
+  if (incrementM === 0 && minLengthM === 0) return null;
+  return { incrementM, minLengthM };
+}
+
+/**
+ * Cut rules of a tube's fixture preset (null for placeholders).
+ * @param {import('./TubeModel.js').TubeModel} tube
+ */
+export function tubeCutRules(tube) {
+  if (tube.isPlaceholder) return null;
+  return cutRules(getPresetById(tube.fixturePreset), tube.pixelsPerMeter);
+}
+
+/**
+ * Longest valid length <= lengthM (the cut mark at or below it).
+ * @param {number} lengthM
+ * @param {{ incrementM: number, minLengthM: number }|null} rules
+ * @returns {number} lengthM unchanged when there is no increment
+ */
+export function snapLengthDown(lengthM, rules) {
+  if (!rules || !(rules.incrementM > 0)) return lengthM;
+  return Math.floor((lengthM + CUT_TOLERANCE_M) / rules.incrementM) * rules.incrementM;
+}
+
+/**
+ * Nearest valid length: on a cut mark and at least the minimum length.
+ * @param {number} lengthM
+ * @param {{ incrementM: number, minLengthM: number }|null} rules
+ * @returns {number}
+ */
+export function snapLengthNearest(lengthM, rules) {
+  if (!rules) return lengthM;
+  let length = lengthM;
+  if (rules.incrementM > 0) {
+    length = Math.max(1, Math.round(length / rules.incrementM)) * rules.incrementM;
+  }
+  if (length < rules.minLengthM) {
+    length = rules.incrementM > 0
+      ? Math.ceil((rules.minLengthM - CUT_TOLERANCE_M) / rules.incrementM) * rules.incrementM
+      : rules.minLengthM;
+  }
+  return length;
+}
+
+/**
+ * Segment length for auto-segmenting: the max length rounded down to a cut mark.
+ * Never longer than maxLengthM — a mark that only fits within CUT_TOLERANCE_M
+ * steps down to the one before it.
+ * @param {number} maxLengthM
+ * @param {{ incrementM: number, minLengthM: number }|null} rules
+ * @returns {number}
+ */
+export function segmentLength(maxLengthM, rules) {
+  let snapped = snapLengthDown(maxLengthM, rules);
+  if (snapped > maxLengthM + 1e-9) snapped -= rules.incrementM;
+  return snapped > 0 ? snapped : maxLengthM;
+}
+
+/**
+ * Why a length can't be built (empty = OK).
+ * @param {number} lengthM
+ * @param {{ incrementM: number, minLengthM: number }|null} rules
+ * @param {number} [maxLengthM=0] - max piece length of the product (0 = unlimited)
+ * @returns {string[]}
+ */
+export function checkLength(lengthM, rules, maxLengthM = 0) {
+  const problems = [];
+  const mm = (m) => Math.round(m * 1000);
+  if (maxLengthM > 0 && lengthM > maxLengthM + CUT_TOLERANCE_M) {
+    problems.push(`${mm(lengthM)}mm is longer than the ${mm(maxLengthM)}mm max piece`);
+  }
+  if (rules && rules.minLengthM > 0 && lengthM < rules.minLengthM - CUT_TOLERANCE_M) {
+    problems.push(`${mm(lengthM)}mm is shorter than the ${mm(rules.minLengthM)}mm minimum`);
+  }
+  if (rules && rules.incrementM > 0) {
+    const below = snapLengthDown(lengthM, rules);
+    if (lengthM - below > CUT_TOLERANCE_M) {
+      const incMm = Math.round(rules.incrementM * 10000) / 10;
+      problems.push(`${mm(lengthM)}mm is not on a ${incMm}mm cut mark `
+        + `(nearest ${mm(below)} / ${mm(below + rules.incrementM)}mm)`);
+    }
+  }
+  return problems;
+}
+
+/** tube → { key, problems } so unchanged tubes aren't re-measured on every refresh */
+const cache = new WeakMap();
+
+/**
+ * Tubes whose length can't be ordered with their fixture preset's cut rules.
+ * @param {import('./TubeModel.js').TubeModel[]} tubes
+ * @returns {Map<number, string[]>} tubeId → problems
+ */
+export function findCutWarnings(tubes) {
+  const warnings = new Map();
+  for (const tube of tubes) {
+    if (tube.isPlaceholder || !tube.isValid) continue;
+    const preset = getPresetById(tube.fixturePreset);
+    const rules = cutRules(preset, tube.pixelsPerMeter);
+    const maxLengthM = preset && preset.maxLengthM ? preset.maxLengthM : 0;
+    if (!rules && !maxLengthM) continue;
+
+    const key = `${rules?.incrementM}|${rules?.minLengthM}|${maxLengthM}|${tube.tension}|${tube.closed}|`
+      + tube.controlPoints.map(p => `${p.x},${p.y},${p.z}`).join(';');
+    let entry = cache.get(tube);
+    if (!entry || entry.key !== key) {
+      const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
+      entry = { key, problems: curve ? checkLength(CurveBuilder.getLength(curve), rules, maxLengthM) : [] };
+      cache.set(tube, entry);
+    }
+    if (entry.problems.length > 0) warnings.set(tube.id, entry.problems);
+  }
+  return warnings;
+}
@@ -1,6 +1,13 @@
 /**
  * Fixture preset definitions for real-world NeonFlex products.
- * Each preset defines physical and DMX properties that auto-fill when selected.
+ * Each preset defines physical and DMX properties that auto-fill when selected,
+ * plus product data (manufacturer, SKU, bend radius, cut rules, power / voltage) used
+ * for planning. Null or missing = unknown / not applicable; built-ins only list
+ * product data that is sourced. Cut marks are either every
+ * `cutIncrementMm` or every `cutEveryPixels` pixels (see CutRules.js).
+ *
+ * The built-in presets below are read-only. User presets live in a library
+ * persisted in localStorage and can be shared as JSON (see importPresetLibrary).
  */
 
 export const FIXTURE_PRESETS = {
@@ -25,6 +32,8 @@ export const FIXTURE_PRESETS = {
     materialPreset: 'milky',
     connectorDiameterMm: 30,
     connectorHeightMm: 30,
+    manufacturer: 'LEDStructures',
+    sku: 'LS360FLEX',
   },
   'generic-60-16': {
     label: 'Generic 60px/m 16mm',
@@ -61,22 +70,252 @@ export const FIXTURE_PRESETS = {
   },
 };
 
+
+/** localStorage key of the user preset library. */
+const LIBRARY_STORAGE_KEY = 'neonflexer.fixtureLibrary';
+
+/** Format tag written into exported library JSON files. */
+export const PRESET_LIBRARY_FORMAT = 'neonflexer-fixture-library';
+
+/** Preset fields that are stored / exported, with their value type. */
+const PRESET_FIELDS = {
+  label: 'string',
+  manufacturer: 'string',
+  sku: 'string',
+  profile: 'string',
+  diameterMm: 'number',
+  widthMm: 'number',
+  heightMm: 'number',
+  diffuserShape: 'string',
+  pixelsPerMeter: 'number',
+  dmxChannelsPerPixel: 'number',
+  materialPreset: 'string',
+  maxLengthM: 'number',
+  connectorDiameterMm: 'number',
+  connectorHeightMm: 'number',
+  bendRadiusMm: 'number',
+  bendDirection: 'string',
+  minCutLengthMm: 'number',
+  cutIncrementMm: 'number',
+  cutEveryPixels: 'number',
+  wattsPerMeter: 'number',
+  voltage: 'number',
+};
+
+/** @type {Map<string, object>} user presets by id, in insertion order */
+const userPresets = new Map();
+const libraryListeners = new Set();
+loadUserLibrary();
+
 /**
- * Get a preset by its ID.
+ * Get a preset by its ID (built-in or user library).
  * @param {string} id
  * @returns {object|null}
  */
 export function getPresetById(id) {
-  return FIXTURE_PRESETS[id] || null;
+  return FIXTURE_PRESETS[id] || userPresets.get(id) || null;
 }
 
 /**
- * Get all presets as an array of { id, label } for dropdown population.
- * @returns {{ id: string, label: string }[]}
+ * Get all presets as an array of { id, label, user } for dropdown population.
+ * Built-ins come first, then the user library.
+ * @returns {{ id: string, label: string, user: boolean }[]}
  */
 export function getPresetList() {
-  return Object.entries(FIXTURE_PRESETS).map(([id, preset]) => ({
+  const builtIn = Object.entries(FIXTURE_PRESETS).map(([id, preset]) => ({
+    id,
+    label: preset.label,
+    user: false,
+  }));
+  const user = [...userPresets].map(([id, preset]) => ({
     id,
     label: preset.label,
+    user: true,
   }));
+  return [...builtIn, ...user];
+}
+
+/**
+ * Tube options for a preset: every non-null geometry / pixel / material value.
+ * Besides the built-in fields (profile, diameter, pixels, channels, material)
+ * this carries widthMm / heightMm / diffuserShape. Only library presets have
+ * them (the Custom Fixture dialog saves them), so applying a rect or square
+ * library preset restores its cross-section too; built-ins are unaffected.
+ * @param {object|null} preset
+ * @returns {object}
+ */
+export function presetTubeOptions(preset) {
+  const options = {};
+  if (!preset) return options;
+  for (const key of ['profile', 'diameterMm', 'widthMm', 'heightMm', 'diffuserShape',
+    'pixelsPerMeter', 'dmxChannelsPerPixel', 'materialPreset']) {
+    if (preset[key] != null) options[key] = preset[key];
+  }
+  return options;
+}
+
+/**
+ * Apply a preset's values to an existing tube. Tubes with an imported GDTF
+ * keep their channel footprint (the GDTF mode owns it).
+ * @param {import('./TubeModel.js').TubeModel} tube
+ * @param {object|null} preset
+ */
+export function applyPresetToTube(tube, preset) {
+  const options = presetTubeOptions(preset);
+  if (tube.gdtfFixture) delete options.dmxChannelsPerPixel;
+  Object.assign(tube, options);
+}
+
+// ── User library ──
+
+/** @returns {boolean} true if the id belongs to the user library */
+export function isUserPreset(id) {
+  return userPresets.has(id);
+}
+
+/**
+ * User presets as [{ id, ...preset }], in library order.
+ * @returns {object[]}
+ */
+export function getUserPresets() {
+  return [...userPresets].map(([id, preset]) => ({ id, ...preset }));
+}
+
+/**
+ * Add or update a user preset.
+ * @param {object} preset - preset values (unknown fields are dropped)
+ * @param {string} [id] - existing user preset to overwrite; omit to add a new one
+ * @returns {string} the preset id
+ */
+export function saveUserPreset(preset, id) {
+  const clean = sanitizePreset(preset);
+  if (!id || FIXTURE_PRESETS[id]) id = uniquePresetId(clean);
+  userPresets.set(id, clean);
+  persistUserLibrary();
+  return id;
+}
+
+/** @param {string} id */
+export function removeUserPreset(id) {
+  if (userPresets.delete(id)) persistUserLibrary();
+}
+
+/**
+ * Listen for user library changes (add / update / remove / import).
+ * @param {() => void} callback
+ * @returns {() => void} unsubscribe
+ */
+export function onPresetLibraryChange(callback) {
+  libraryListeners.add(callback);
+  return () => libraryListeners.delete(callback);
+}
+
+/**
+ * Library as a shareable JSON object.
+ * @param {string[]} [ids] - only these presets (default: whole library)
+ * @returns {{ format: string, version: number, presets: object[] }}
+ */
+export function exportPresetLibrary(ids) {
+  const presets = getUserPresets().filter(p => !ids || ids.includes(p.id));
+  return { format: PRESET_LIBRARY_FORMAT, version: 1, presets };
+}
+
+/**
+ * Merge presets from library JSON (an export object or a bare array).
+ * Entries with an id already in the library replace it, so re-importing an
+ * updated team catalog updates the existing presets instead of duplicating them.
+ * @param {object|object[]} data
+ * @param {object} [opts]
+ * @param {boolean} [opts.overwrite=true] - false = keep existing entries with the same id
+ * @returns {{ added: number, updated: number, skipped: number }}
+ */
+export function importPresetLibrary(data, { overwrite = true } = {}) {
+  const list = Array.isArray(data) ? data : data && data.presets;
+  if (!Array.isArray(list)) throw new Error('Not a fixture library file');
+
+  const result = { added: 0, updated: 0, skipped: 0 };
+  for (const entry of list) {
+    if (!entry || typeof entry !== 'object' || !entry.label) {
+      result.skipped++;
+      continue;
+    }
+    const clean = sanitizePreset(entry);
+    // Entries without an id are matched by manufacturer + SKU
+    const id = typeof entry.id === 'string' && entry.id && !FIXTURE_PRESETS[entry.id]
+      ? entry.id
+      : presetSlug(clean);
+    if (userPresets.has(id)) {
+      if (!overwrite) {
+        result.skipped++;
+        continue;
+      }
+      result.updated++;
+    } else {
+      result.added++;
+    }
+    userPresets.set(id, clean);
+  }
+  if (result.added + result.updated > 0) persistUserLibrary();
+  return result;
+}
+
+/** Copy known fields, coercing types; missing / invalid values become null. */
+function sanitizePreset(preset) {
+  const clean = {};
+  for (const [key, type] of Object.entries(PRESET_FIELDS)) {
+    let value = preset[key];
+    if (type === 'number') {
+      value = value === '' || value == null ? null : Number(value);
+      if (!Number.isFinite(value)) value = null;
+    } else {
+      value = value == null || value === '' ? null : String(value);
+    }
+    clean[key] = value;
+  }
+  if (!clean.label) {
+    clean.label = [clean.manufacturer, clean.sku].filter(Boolean).join(' ') || 'Untitled Fixture';
+  }
+  return clean;
+}
+
+/** 'user-<manufacturer>-<sku or label>' */
+function presetSlug(preset) {
+  return 'user-' + ([preset.manufacturer, preset.sku || preset.label]
+    .filter(Boolean).join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'fixture');
+}
+
+/** Preset slug with a numeric suffix if taken. */
+function uniquePresetId(preset) {
+  const base = presetSlug(preset);
+  let id = base;
+  for (let n = 2; userPresets.has(id) || FIXTURE_PRESETS[id]; n++) id = `${base}-${n}`;
+  return id;
+}
+
+function loadUserLibrary() {
+  try {
+    const raw = globalThis.localStorage && localStorage.getItem(LIBRARY_STORAGE_KEY);
+    if (!raw) return;
+    for (const entry of JSON.parse(raw)) {
+      if (entry && entry.id && !FIXTURE_PRESETS[entry.id]) {
+        userPresets.set(entry.id, sanitizePreset(entry));
+      }
+    }
+  } catch (err) {
+    console.warn('Fixture library: could not read saved presets', err);
+  }
+}
+
+function persistUserLibrary() {
+  try {
+    if (globalThis.localStorage) {
+      localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(getUserPresets()));
+    }
+  } catch (err) {
+    console.warn('Fixture library: could not save presets', err);
+  }
+  for (const callback of libraryListeners) callback();
 }
@@ -130,6 +130,8 @@ export class PixelDistributor {
       if (child.isInstancedMesh || child.isMesh) {
         child.geometry?.dispose();
         child.material?.dispose();
+        // Static material parked while a live preview material is shown
+        child.userData.staticMaterial?.dispose();
       }
     });
     group.clear();
@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { rotationMatrix } from './TubeTransform.js';
+
+/** Array layouts offered by the array dialog. */
+export const ARRAY_MODES = {
+  linear: 'Linear',
+  radial: 'Radial',
+  path:   'Along path',
+};
+
+// Tangent steps between two copies when transporting the path frame
+const PATH_SUBSTEPS = 16;
+
+/**
+ * Array transforms. Each function returns one matrix per copy — `count`
+ * includes the original (item 0, left in place), so there are count - 1.
+ * Apply a matrix to the source's points to get that copy.
+ */
+
+/**
+ * Copies stepped by a spacing vector: item i sits at i × spacing.
+ * @param {number} count
+ * @param {THREE.Vector3} spacing - meters
+ * @returns {THREE.Matrix4[]}
+ */
+export function linearArray(count, spacing) {
+  const matrices = [];
+  for (let i = 1; i < count; i++) {
+    matrices.push(new THREE.Matrix4().makeTranslation(
+      spacing.x * i, spacing.y * i, spacing.z * i
+    ));
+  }
+  return matrices;
+}
+
+/**
+ * Copies rotated around an axis through a center. A full turn spreads the
+ * items evenly (the last doesn't land on the first); a partial angle puts
+ * the last item at the end of the arc.
+ * @param {number} count
+ * @param {object} opts
+ * @param {'X'|'Y'|'Z'} [opts.axis='Y']
+ * @param {THREE.Vector3} opts.center
+ * @param {number} [opts.angle=2π] - total angle in radians (sign = direction)
+ * @returns {THREE.Matrix4[]}
+ */
+export function radialArray(count, { axis = 'Y', center, angle = Math.PI * 2 }) {
+  const fullTurn = Math.abs(angle) >= Math.PI * 2 - 1e-6;
+  const step = angle / (fullTurn ? count : Math.max(1, count - 1));
+  const matrices = [];
+  for (let i = 1; i < count; i++) {
+    matrices.push(rotationMatrix(axis, step * i, center));
+  }
+  return matrices;
+}
+
+/**
+ * Copies spread evenly along another tube's curve. Items keep their offset
+ * from the path's start point — draw (or move) the source at the start of
+ * the path. With `align`, each copy also turns with the path's tangent; the
+ * frame is carried along the curve step by step, so 3D paths don't twist.
+ * @param {number} count
+ * @param {import('./TubeModel.js').TubeModel} pathTube
+ * @param {object} [opts]
+ * @param {boolean} [opts.align=true] - rotate copies to follow the tangent
+ * @returns {THREE.Matrix4[]} empty when the path has no curve
+ */
+export function pathArray(count, pathTube, { align = true } = {}) {
+  const curve = CurveBuilder.build(pathTube.controlPoints, pathTube.tension, pathTube.closed);
+  if (!curve || count < 2) return [];
+  CurveBuilder.getLength(curve); // refines the arc-length table for getPointAt
+
+  // Closed paths wrap: the item after the last would land on the first
+  const gaps = pathTube.closed ? count : count - 1;
+  const start = curve.getPointAt(0);
+  const toStart = new THREE.Matrix4().makeTranslation(-start.x, -start.y, -start.z);
+
+  const frame = new THREE.Quaternion();
+  const step = new THREE.Quaternion();
+  let tangent = curve.getTangentAt(0);
+
+  const matrices = [];
+  for (let i = 1; i < count; i++) {
+    if (align) {
+      for (let k = 1; k <= PATH_SUBSTEPS; k++) {
+        const u = Math.min(1, (i - 1 + k / PATH_SUBSTEPS) / gaps);
+        const next = curve.getTangentAt(u);
+        frame.premultiply(step.setFromUnitVectors(tangent, next));
+        tangent = next;
+      }
+    }
+    const p = curve.getPointAt(Math.min(1, i / gaps));
+    const m = new THREE.Matrix4().makeTranslation(p.x, p.y, p.z);
+    if (align) m.multiply(new THREE.Matrix4().makeRotationFromQuaternion(frame));
+    matrices.push(m.multiply(toStart));
+  }
+  return matrices;
+}
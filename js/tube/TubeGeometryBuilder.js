@@ -1,6 +1,23 @@
 import * as THREE from 'three';
 import { CurveBuilder } from '../drawing/CurveBuilder.js';
 
+/**
+ * Helper: extracts a sub-section of a curve using arc-length parameterization.
+ * TubeGeometry built on a SubCurve automatically gets UVs going 0→1 for that section.
+ */
+class SubCurve extends THREE.Curve {
+  constructor(originalCurve, tStart, tEnd) {
+    super();
+    this.original = originalCurve;
+    this.tStart = tStart;
+    this.tEnd = tEnd;
+  }
+  getPoint(t, optionalTarget = new THREE.Vector3()) {
+    const mapped = this.tStart + t * (this.tEnd - this.tStart);
+    return this.original.getPointAt(mapped, optionalTarget);
+  }
+}
+
 /**
  * Generates tube geometry for different cross-section profiles.
  */
@@ -132,6 +149,85 @@ export class TubeGeometryBuilder {
     return this._extrudeAlongCurve(shapes.base, curve, tubeModel);
   }
 
+  /**
+   * Split a UV-mapped tube into parts that fit Capture's 512-channel limit:
+   * at most floor(512 / channels per pixel) pixels each, built on a SubCurve so
+   * each part is its own 0 → 1 section. Open tubes begin at startPixel; closed
+   * tubes cover the whole loop from the curve seam. Split profiles only get
+   * the diffuser.
+   * @param {THREE.Curve} curve
+   * @param {import('./TubeModel.js').TubeModel} tubeModel
+   * @returns {{ geometry: THREE.BufferGeometry, pixels: number }[]}
+   */
+  static buildUVParts(curve, tubeModel) {
+    const length = CurveBuilder.getLength(curve);
+    const totalPixels = Math.max(1, Math.round(length * tubeModel.pixelsPerMeter));
+    const startPixel = tubeModel.closed ? 0 : (tubeModel.startPixel || 0);
+    const activePx = Math.max(1, totalPixels - startPixel);
+    const tOffset = startPixel / totalPixels; // curve position where active pixels begin
+
+    const chPerPixel = Number(tubeModel.dmxChannelsPerPixel) || 3;
+    const maxPxPerPart = Math.floor(512 / chPerPixel);
+    const numParts = Math.ceil(activePx / maxPxPerPart);
+
+    const parts = [];
+    for (let p = 0; p < numParts; p++) {
+      const partStartPx = p * maxPxPerPart;
+      const partEndPx = Math.min(partStartPx + maxPxPerPart, activePx);
+      const geometry = this.buildSection(curve, tubeModel,
+        tOffset + partStartPx / totalPixels,
+        tOffset + partEndPx / totalPixels);
+      if (geometry) parts.push({ geometry, pixels: partEndPx - partStartPx });
+    }
+    return parts;
+  }
+
+  /**
+   * Diffuser geometry (the full profile for round tubes) over one section of
+   * the curve, with its own 0 → 1 parameter.
+   * @param {THREE.Curve} curve
+   * @param {import('./TubeModel.js').TubeModel} tubeModel
+   * @param {number} tStart - arc-length position on curve
+   * @param {number} tEnd
+   * @returns {THREE.BufferGeometry|null}
+   */
+  static buildSection(curve, tubeModel, tStart, tEnd) {
+    const subCurve = new SubCurve(curve, tStart, tEnd);
+    return tubeModel.profile === 'square' || tubeModel.profile === 'rect'
+      ? this.buildDiffuserOnly(subCurve, tubeModel)
+      : this.build(subCurve, tubeModel);
+  }
+
+  /**
+   * Position of each vertex along the curve the geometry was built on (0 → 1),
+   * read from its ring: TubeGeometry keeps it in uv.x, ExtrudeGeometry lays out
+   * its lids (start, then end) and side quads (ring s, s, s+1, s, s+1, s+1 per
+   * step) in a fixed order.
+   * @param {THREE.BufferGeometry} geometry - from build / buildDiffuserOnly
+   * @returns {Float32Array|null} null for other geometry types
+   */
+  static curveParams(geometry) {
+    const count = geometry.attributes.position.count;
+    const params = new Float32Array(count);
+    if (geometry.type === 'TubeGeometry') {
+      const uv = geometry.attributes.uv;
+      for (let i = 0; i < count; i++) params[i] = uv.getX(i);
+      return params;
+    }
+    if (geometry.type !== 'ExtrudeGeometry') return null;
+
+    const steps = geometry.parameters.options.steps;
+    const [lids, sides] = geometry.groups;
+    const half = lids.count / 2;
+    for (let i = 0; i < lids.count; i++) params[lids.start + i] = i < half ? 0 : 1;
+    const QUAD_RING = [0, 0, 1, 0, 1, 1];
+    for (let i = 0; i < sides.count; i++) {
+      const s = Math.floor(i / 6) % steps;
+      params[sides.start + i] = (s + QUAD_RING[i % 6]) / steps;
+    }
+    return params;
+  }
+
   /**
    * Get the base (housing) and diffuser shapes for a square/rect profile.
    * @returns {{ base: THREE.Shape, diffuser: THREE.Shape }} or null
@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import { BezierPath } from '../drawing/BezierPath.js';
+
+/**
+ * Default distance (meters) within which two tube ends count as touching.
+ */
+export const JOIN_TOLERANCE_M = 0.005;
+
+/**
+ * Group open tubes into chains whose ends touch (within tolerance).
+ *
+ * Chains grow greedily from each unused tube, at both ends, always taking the
+ * closest touching end — so DXF / edge-map fragments drawn in any direction
+ * line up into runs. Closed tubes are never joined.
+ *
+ * @param {TubeModel[]} tubes
+ * @param {number} [toleranceM=JOIN_TOLERANCE_M]
+ * @returns {{ runs: { tube: TubeModel, reversed: boolean }[], closesLoop: boolean }[]}
+ *   chains of two or more tubes, in path order
+ */
+export function planJoins(tubes, toleranceM = JOIN_TOLERANCE_M) {
+  const open = tubes.filter(t => !t.closed && t.isValid);
+  const used = new Set();
+  const chains = [];
+
+  const ends = (run) => {
+    const pts = run.tube.controlPoints;
+    const first = pts[0];
+    const last = pts[pts.length - 1];
+    return run.reversed ? { start: last, end: first } : { start: first, end: last };
+  };
+
+  // Closest unused tube with an end at `point`; `atStart` = it must start there
+  const closestTo = (point, atStart) => {
+    let best = null;
+    for (const tube of open) {
+      if (used.has(tube)) continue;
+      const pts = tube.controlPoints;
+      const first = pts[0].distanceTo(point);
+      const last = pts[pts.length - 1].distanceTo(point);
+      // Leaving from `point`: start there as drawn, or reversed if it ends there
+      const fwd = atStart ? first : last;
+      const rev = atStart ? last : first;
+      if (fwd <= toleranceM && (!best || fwd < best.dist)) best = { tube, reversed: false, dist: fwd };
+      if (rev <= toleranceM && (!best || rev < best.dist)) best = { tube, reversed: true, dist: rev };
+    }
+    return best;
+  };
+
+  for (const seed of open) {
+    if (used.has(seed)) continue;
+    used.add(seed);
+    const runs = [{ tube: seed, reversed: false }];
+
+    for (;;) {
+      const next = closestTo(ends(runs[runs.length - 1]).end, true);
+      if (!next) break;
+      used.add(next.tube);
+      runs.push({ tube: next.tube, reversed: next.reversed });
+    }
+    for (;;) {
+      const prev = closestTo(ends(runs[0]).start, false);
+      if (!prev) break;
+      used.add(prev.tube);
+      runs.unshift({ tube: prev.tube, reversed: prev.reversed });
+    }
+
+    if (runs.length < 2) continue;
+    // Walk the chain so its first tube keeps its own direction
+    if (runs[0].reversed) {
+      runs.reverse();
+      for (const run of runs) run.reversed = !run.reversed;
+    }
+    const closesLoop = ends(runs[0]).start.distanceTo(ends(runs[runs.length - 1]).end) <= toleranceM;
+    chains.push({ runs, closesLoop });
+  }
+  return chains;
+}
+
+/**
+ * Merge a chain into one path. Touching ends are welded at their midpoint.
+ * When every run is a pen tool tube, the bezier nodes are merged too (welded
+ * anchors become corners) so the result stays editable as a bezier.
+ *
+ * @param {{ tube: TubeModel, reversed: boolean }[]} runs
+ * @param {boolean} close - weld the last end to the first and close the loop
+ * @returns {{ controlPoints: THREE.Vector3[], bezierNodes: object[]|null,
+ *   closed: boolean, welds: THREE.Vector3[] }} welds = where ends were joined
+ */
+export function mergeRuns(runs, close) {
+  const welds = [];
+  if (runs.every(r => r.tube.isBezier)) {
+    const nodes = [];
+    for (const { tube, reversed } of runs) {
+      const part = reversed ? BezierPath.reverse(tube.bezierNodes) : BezierPath.clone(tube.bezierNodes);
+      if (nodes.length > 0) welds.push(weldNodes(nodes[nodes.length - 1], part.shift()));
+      nodes.push(...part);
+    }
+    const closed = close && nodes.length >= 3;
+    if (closed) welds.push(weldNodes(nodes.pop(), nodes[0], true));
+    return { controlPoints: BezierPath.sample(nodes, closed), bezierNodes: nodes, closed, welds };
+  }
+
+  const points = [];
+  for (const { tube, reversed } of runs) {
+    const part = tube.controlPoints.map(p => p.clone());
+    if (reversed) part.reverse();
+    if (points.length > 0) welds.push(points[points.length - 1].lerp(part.shift(), 0.5).clone());
+    points.push(...part);
+  }
+  const closed = close && points.length >= 3;
+  if (closed) welds.push(points[0].lerp(points.pop(), 0.5).clone());
+  return { controlPoints: points, bezierNodes: null, closed, welds };
+}
+
+/**
+ * Weld two touching bezier anchors into one: the point moves to their
+ * midpoint, with `a`'s incoming and `b`'s outgoing handle. The result is
+ * written into `a` — or into `b` with `intoStart` (`b` is the path's first
+ * node, `a` its last).
+ * @returns {THREE.Vector3} the weld position
+ */
+function weldNodes(a, b, intoStart = false) {
+  const keep = intoStart ? b : a;
+  const mid = new THREE.Vector3().lerpVectors(a.point, b.point, 0.5);
+  const handleIn = a.handleIn.clone().add(mid).sub(a.point);
+  const handleOut = b.handleOut.clone().add(mid).sub(b.point);
+  keep.point.copy(mid);
+  keep.handleIn.copy(handleIn);
+  keep.handleOut.copy(handleOut);
+  keep.type = 'corner';
+  return mid;
+}
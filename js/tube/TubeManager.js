@@ -4,6 +4,8 @@ import { TubeGeometryBuilder } from './TubeGeometryBuilder.js';
 import { TubeMaterialFactory } from './TubeMaterialFactory.js';
 import { PixelDistributor } from './PixelDistributor.js';
 import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { BezierPath } from '../drawing/BezierPath.js';
+import { mergeRuns } from './TubeJoiner.js';
 
 /**
  * Manages the collection of tubes: create, update, delete, selection.
@@ -29,6 +31,8 @@ export class TubeManager {
     this.onTubeDeleted = null;    // (tubeModel) => {}
     this.onSelectionChanged = null; // (tubeModel|null) => {}
     this.onGroupMoved = null;     // (tubeIds, delta) => {}
+    this.onTubesTransformed = null; // (tubeIds, matrix) => {} — rotate / mirror
+    this.onTubeReplaced = null;   // (oldId, newIds) => {} — split / join, before the old tube is deleted
   }
 
   /**
@@ -199,6 +203,7 @@ export class TubeManager {
       for (const pt of member.controlPoints) {
         pt.add(delta);
       }
+      if (member.bezierNodes) BezierPath.translate(member.bezierNodes, delta);
       this._disposeTubeMesh(member);
       this._buildTubeMesh(member);
       movedIds.push(member.id);
@@ -209,17 +214,58 @@ export class TubeManager {
     }
   }
 
+  /**
+   * Rotate or mirror tubes: apply a transform to every control point (and
+   * bezier node), then rebuild. Mirrors leave the pixel numbering as the
+   * mirror image — see restorePixelDirection() in TubeTransform.js.
+   * @param {TubeModel[]} tubes
+   * @param {THREE.Matrix4} matrix
+   */
+  transformTubes(tubes, matrix) {
+    if (tubes.length === 0) return;
+    for (const tube of tubes) {
+      for (const pt of tube.controlPoints) {
+        pt.applyMatrix4(matrix);
+      }
+      if (tube.bezierNodes) BezierPath.applyMatrix4(tube.bezierNodes, matrix);
+      this._disposeTubeMesh(tube);
+      this._buildTubeMesh(tube);
+    }
+    if (this.onTubeUpdated) this.onTubeUpdated(tubes[0]);
+    if (this.onTubesTransformed) {
+      this.onTubesTransformed(tubes.map(t => t.id), matrix);
+    }
+  }
+
+  /**
+   * Transform a tube together with its group members (rotation gizmo).
+   * @param {TubeModel} tube
+   * @param {THREE.Matrix4} matrix
+   */
+  transformGroup(tube, matrix) {
+    this.transformTubes(this.getGroupMembers(tube), matrix);
+  }
+
   /**
    * Duplicate an existing tube with a small offset.
    * @param {TubeModel} sourceTube
-   * @param {THREE.Vector3} [offset] - optional position offset (default 0.1m on X)
+   * @param {THREE.Vector3|THREE.Matrix4} [offset] - optional position offset
+   *   (default 0.1m on X), or a full transform for the copy (arrays)
    * @returns {TubeModel}
    */
   duplicateTube(sourceTube, offset) {
     const clone = sourceTube.clone();
-    const off = offset || new THREE.Vector3(0.1, 0, 0);
-    for (const pt of clone.controlPoints) {
-      pt.add(off);
+    if (offset && offset.isMatrix4) {
+      for (const pt of clone.controlPoints) {
+        pt.applyMatrix4(offset);
+      }
+      if (clone.bezierNodes) BezierPath.applyMatrix4(clone.bezierNodes, offset);
+    } else {
+      const off = offset || new THREE.Vector3(0.1, 0, 0);
+      for (const pt of clone.controlPoints) {
+        pt.add(off);
+      }
+      if (clone.bezierNodes) BezierPath.translate(clone.bezierNodes, off);
     }
     this.tubes.push(clone);
     this._buildTubeMesh(clone);
@@ -237,6 +283,7 @@ export class TubeManager {
     for (const pt of tube.controlPoints) {
       pt.add(delta);
     }
+    if (tube.bezierNodes) BezierPath.translate(tube.bezierNodes, delta);
     this._disposeTubeMesh(tube);
     this._buildTubeMesh(tube);
     if (this.onTubeUpdated) this.onTubeUpdated(tube);
@@ -244,15 +291,21 @@ export class TubeManager {
 
   /**
    * Insert a point on the curve at parameter t.
+   * Bezier tubes get a new node (the path keeps its shape).
    * @param {TubeModel} tube
    * @param {number} t - curve parameter [0, 1]
-   * @returns {number} index of the newly inserted point
+   * @returns {number} index of the newly inserted point (bezier node index for bezier tubes)
    */
   insertPointOnCurve(tube, t) {
     const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
     if (!curve) return -1;
 
     const newPoint = curve.getPointAt(t);
+    if (tube.isBezier) {
+      const index = BezierPath.insertNode(tube.bezierNodes, tube.closed, newPoint);
+      this.updateTube(tube);
+      return index;
+    }
     const segIndex = this._findSegmentIndex(curve, tube.controlPoints, t);
     const insertIndex = segIndex + 1;
     tube.insertPoint(insertIndex, newPoint);
@@ -274,6 +327,12 @@ export class TubeManager {
     for (const pt of tube.controlPoints) {
       pt.sub(center).multiplyScalar(factor).add(center);
     }
+    if (tube.bezierNodes) {
+      const m = new THREE.Matrix4().makeTranslation(center.x, center.y, center.z)
+        .multiply(new THREE.Matrix4().makeScale(factor, factor, factor))
+        .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+      BezierPath.applyMatrix4(tube.bezierNodes, m);
+    }
     this.updateTube(tube);
   }
 
@@ -282,9 +341,24 @@ export class TubeManager {
    * @param {TubeModel} tube
    * @param {'start'|'end'} end - which end to extend
    * @param {number} distance - extension distance in meters (default 0.1)
-   * @returns {number} index of the new point
+   * @returns {number} index of the new point (bezier node index for bezier tubes)
    */
   extendTube(tube, end, distance = 0.1) {
+    if (tube.isBezier) {
+      const nodes = tube.bezierNodes;
+      const path = BezierPath.buildCurve(nodes, false);
+      const atStart = end === 'start';
+      const tangent = path.getTangentAt(atStart ? 0 : 1).normalize();
+      const endNode = nodes[atStart ? 0 : nodes.length - 1];
+      const node = BezierPath.createNode(
+        endNode.point.clone().addScaledVector(tangent, atStart ? -distance : distance)
+      );
+      if (atStart) nodes.unshift(node);
+      else nodes.push(node);
+      this.updateTube(tube);
+      return atStart ? 0 : nodes.length - 1;
+    }
+
     const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
     if (!curve) return -1;
 
@@ -361,6 +435,9 @@ export class TubeManager {
       pixelColor: tube.pixelColor,
       pixelEmissive: tube.pixelEmissive,
       dmxChannelsPerPixel: tube.dmxChannelsPerPixel,
+      fixturePreset: tube.fixturePreset,
+      gdtfFixture: tube.gdtfFixture,
+      gdtfMode: tube.gdtfMode,
       isPlaceholder: tube.isPlaceholder,
       facingDirection: tube.facingDirection,
       placeholderName: tube.placeholderName,
@@ -373,9 +450,6 @@ export class TubeManager {
     const origAddr = tube.dmxAddress;
     const origUniverse = tube.dmxUniverse;
 
-    // Delete the original tube
-    this.deleteTube(tube);
-
     // Create the two new tubes
     const tubeA = this.createTube(cpA, {
       ...baseOpts,
@@ -391,9 +465,37 @@ export class TubeManager {
       dmxUniverse: 1,
     });
 
+    // Hand over the original's place (controller chain) before deleting it
+    if (this.onTubeReplaced) this.onTubeReplaced(tube.id, [tubeA.id, tubeB.id]);
+    this.deleteTube(tube);
+
     return [tubeA, tubeB];
   }
 
+  /**
+   * Join a chain of touching tubes (see planJoins) into its first tube, the
+   * inverse of splitTube. The first tube keeps its name, fixture and patch;
+   * the others are deleted.
+   * @param {{ tube: TubeModel, reversed: boolean }[]} runs - chain in path order
+   * @param {boolean} [close=false] - also weld the last end to the first
+   * @returns {{ tube: TubeModel, welds: THREE.Vector3[] }}
+   */
+  joinTubes(runs, close = false) {
+    const merged = mergeRuns(runs, close);
+    const target = runs[0].tube;
+    for (const { tube } of runs.slice(1)) {
+      if (this.onTubeReplaced) this.onTubeReplaced(tube.id, [target.id]);
+      this.deleteTube(tube);
+    }
+
+    target.controlPoints = merged.controlPoints;
+    target.bezierNodes = merged.bezierNodes;
+    target.closed = merged.closed;
+    this.updateTube(target);
+    this.selectTube(target);
+    return { tube: target, welds: merged.welds };
+  }
+
   /**
    * Open a closed tube at curve parameter t.
    * Rearranges control points so the cut becomes the new start/end.
@@ -415,6 +517,7 @@ export class TubeManager {
     }
     newCp.push(cutPoint.clone());
 
+    tube.dropBezier();
     tube.controlPoints = newCp;
     tube.closed = false;
 
@@ -479,6 +582,8 @@ export class TubeManager {
    * Build the 3D mesh for a tube.
    */
   _buildTubeMesh(tube) {
+    // Pen tool tubes: the bezier path is the source, control points follow it
+    tube.applyBezier();
     if (!tube.isValid) return;
 
     const curve = CurveBuilder.build(tube.controlPoints, tube.tension, tube.closed);
@@ -534,6 +639,10 @@ export class TubeManager {
    */
   _createControlPointHelpers(tube, group) {
     tube.controlPointHelpers = [];
+    if (tube.isBezier) {
+      this._createBezierHelpers(tube, group);
+      return;
+    }
     const helperGeo = new THREE.SphereGeometry(0.004, 8, 8);
     const helperMat = new THREE.MeshBasicMaterial({
       color: tube.color,
@@ -553,6 +662,62 @@ export class TubeManager {
     }
   }
 
+  /**
+   * Bezier tubes: helpers on the anchors and their handles (instead of one
+   * per sampled control point), plus lines from each anchor to its handles.
+   * Handle helpers carry userData.handle = 'in' | 'out'.
+   */
+  _createBezierHelpers(tube, group) {
+    const anchorGeo = new THREE.SphereGeometry(0.005, 8, 8);
+    const handleGeo = new THREE.SphereGeometry(0.0035, 8, 8);
+    const anchorMat = new THREE.MeshBasicMaterial({
+      color: tube.color,
+      transparent: true,
+      opacity: 0.7,
+    });
+    const handleMat = new THREE.MeshBasicMaterial({ color: 0xffaa44 });
+
+    const linePts = [];
+    tube.bezierNodes.forEach((node, i) => {
+      const anchor = new THREE.Mesh(anchorGeo, anchorMat);
+      anchor.position.copy(node.point);
+      anchor.name = `__cp_helper_${tube.id}_${i}`;
+      anchor.userData.isControlPoint = true;
+      anchor.userData.tubeId = tube.id;
+      anchor.userData.bezierIndex = i;
+      anchor.userData.handle = null;
+      group.add(anchor);
+      tube.controlPointHelpers.push(anchor);
+
+      for (const which of ['in', 'out']) {
+        // Ends of open paths have no segment on the outer side
+        if (!tube.closed && which === 'in' && i === 0) continue;
+        if (!tube.closed && which === 'out' && i === tube.bezierNodes.length - 1) continue;
+        if (BezierPath.isRetracted(node, which)) continue;
+        const pos = which === 'in' ? node.handleIn : node.handleOut;
+        const helper = new THREE.Mesh(handleGeo, handleMat);
+        helper.position.copy(pos);
+        helper.name = `__cp_handle_${tube.id}_${i}_${which}`;
+        helper.userData.isControlPoint = true;
+        helper.userData.tubeId = tube.id;
+        helper.userData.bezierIndex = i;
+        helper.userData.handle = which;
+        group.add(helper);
+        tube.controlPointHelpers.push(helper);
+        linePts.push(node.point, pos);
+      }
+    });
+
+    if (linePts.length > 0) {
+      const lines = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(linePts),
+        new THREE.LineBasicMaterial({ color: 0xffaa44, transparent: true, opacity: 0.6 })
+      );
+      lines.name = `__bezier_handles_${tube.id}`;
+      group.add(lines);
+    }
+  }
+
   /**
    * Dispose of a tube's 3D objects.
    */
@@ -560,7 +725,7 @@ export class TubeManager {
     if (!tube.group) return;
 
     tube.group.traverse(child => {
-      if (child.isMesh) {
+      if (child.isMesh || child.isLine) {
         child.geometry?.dispose();
         child.material?.dispose();
       }
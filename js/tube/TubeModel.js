@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { BezierPath } from '../drawing/BezierPath.js';
 
 let tubeIdCounter = 0;
 
@@ -39,6 +40,9 @@ export class TubeModel {
     // Clamp address so fixture fits within 512
     const maxAddr = 512 - this.dmxChannelsPerPixel + 1;
     this.dmxAddress = Math.min(Math.max(1, options.dmxAddress || 1), maxAddr);
+    // GDTF fixture type from the library ('' = built-in Generic LED / Placeholder)
+    this.gdtfFixture = options.gdtfFixture || ''; // FixtureTypeID
+    this.gdtfMode = options.gdtfMode || '';       // DMX mode name
 
     // Fixture preset
     this.fixturePreset = options.fixturePreset || 'custom';
@@ -55,6 +59,11 @@ export class TubeModel {
     this.tension = options.tension != null ? options.tension : 0.5;
     this.closed = options.closed || false;
 
+    // Bezier path from the pen tool (null for plain tubes). When set, the
+    // control points are samples of it — see applyBezier().
+    this.bezierNodes = options.bezierNodes || null;
+    if (this.bezierNodes) this.applyBezier();
+
     // Visual state
     this.visible = true;
     this.selected = false;
@@ -88,19 +97,42 @@ export class TubeModel {
     return this.heightMm * 0.001;
   }
 
+  /** Bezier tube drawn with the pen tool */
+  get isBezier() {
+    return !!this.bezierNodes && this.bezierNodes.length >= 2;
+  }
+
+  /** Resample the control points from the bezier path */
+  applyBezier() {
+    if (this.bezierNodes) {
+      this.controlPoints = BezierPath.sample(this.bezierNodes, this.closed);
+    }
+  }
+
+  /**
+   * Turn a bezier tube into a plain one, keeping the sampled control points.
+   * Called before any edit that works on the control points directly.
+   */
+  dropBezier() {
+    this.bezierNodes = null;
+  }
+
   /** Add a control point */
   addPoint(point) {
+    this.dropBezier();
     this.controlPoints.push(point.clone());
   }
 
   /** Remove last control point */
   removeLastPoint() {
+    this.dropBezier();
     return this.controlPoints.pop();
   }
 
   /** Update a control point at index */
   updatePoint(index, point) {
     if (index >= 0 && index < this.controlPoints.length) {
+      this.dropBezier();
       this.controlPoints[index].copy(point);
     }
   }
@@ -108,17 +140,24 @@ export class TubeModel {
   /** Delete a control point at index */
   deletePoint(index) {
     if (index >= 0 && index < this.controlPoints.length) {
+      this.dropBezier();
       this.controlPoints.splice(index, 1);
     }
   }
 
   /** Insert a control point at index */
   insertPoint(index, point) {
+    this.dropBezier();
     this.controlPoints.splice(index, 0, point.clone());
   }
 
   /** Reverse control point order (flip direction) */
   reversePoints() {
+    if (this.bezierNodes) {
+      this.bezierNodes = BezierPath.reverse(this.bezierNodes);
+      this.applyBezier();
+      return;
+    }
     this.controlPoints.reverse();
   }
 
@@ -137,20 +176,7 @@ export class TubeModel {
    * @returns {number[]} raw pixel indices in display / DMX order
    */
   orderedPixelIndices(count) {
-    if (!count || count <= 0) return [];
-    const start = Math.min(Math.max(0, this.startPixel || 0), count - 1);
-    const order = [];
-    if (this.closed) {
-      for (let i = 0; i < count; i++) {
-        const idx = this.reversePixels
-          ? ((start - i) % count + count) % count
-          : (start + i) % count;
-        order.push(idx);
-      }
-    } else {
-      for (let i = start; i < count; i++) order.push(i);
-    }
-    return order;
+    return pixelOrder(count, this);
   }
 
   /**
@@ -192,6 +218,8 @@ export class TubeModel {
       dmxUniverse: this.dmxUniverse,
       dmxAddress: this.dmxAddress,
       dmxChannelsPerPixel: this.dmxChannelsPerPixel,
+      gdtfFixture: this.gdtfFixture,
+      gdtfMode: this.gdtfMode,
       fixturePreset: this.fixturePreset,
       isPlaceholder: this.isPlaceholder,
       facingDirection: this.facingDirection,
@@ -199,6 +227,7 @@ export class TubeModel {
       // groupId deliberately omitted — clone is independent
       tension: this.tension,
       closed: this.closed,
+      bezierNodes: this.bezierNodes ? BezierPath.clone(this.bezierNodes) : null,
     });
   }
 
@@ -209,6 +238,7 @@ export class TubeModel {
       controlPoints: this.controlPoints.map(p => ({ x: p.x, y: p.y, z: p.z })),
       tension: this.tension,
       closed: this.closed,
+      bezierNodes: this.bezierNodes ? BezierPath.toJSON(this.bezierNodes) : null,
       profile: this.profile,
       diameterMm: this.diameterMm,
       widthMm: this.widthMm,
@@ -226,6 +256,8 @@ export class TubeModel {
       dmxUniverse: this.dmxUniverse,
       dmxChannelsPerPixel: this.dmxChannelsPerPixel,
       dmxAddress: this.dmxAddress,
+      gdtfFixture: this.gdtfFixture,
+      gdtfMode: this.gdtfMode,
       fixturePreset: this.fixturePreset,
       isPlaceholder: this.isPlaceholder,
       facingDirection: this.facingDirection,
@@ -242,6 +274,7 @@ export class TubeModel {
       controlPoints: (data.controlPoints || []).map(p => new THREE.Vector3(p.x, p.y, p.z)),
       tension: data.tension,
       closed: data.closed,
+      bezierNodes: data.bezierNodes ? BezierPath.fromJSON(data.bezierNodes) : null,
       profile: data.profile,
       diameterMm: data.diameterMm,
       widthMm: data.widthMm,
@@ -259,6 +292,8 @@ export class TubeModel {
       dmxUniverse: data.dmxUniverse,
       dmxChannelsPerPixel: data.dmxChannelsPerPixel,
       dmxAddress: data.dmxAddress,
+      gdtfFixture: data.gdtfFixture || '',
+      gdtfMode: data.gdtfMode || '',
       fixturePreset: data.fixturePreset || 'custom',
       isPlaceholder: data.isPlaceholder || false,
       facingDirection: data.facingDirection || 'up',
@@ -280,3 +315,27 @@ export class TubeModel {
     return colors[tubeIdCounter % colors.length];
   }
 }
+
+/**
+ * Pixel numbering of TubeModel.orderedPixelIndices for saved tube data
+ * (or any object with startPixel / closed / reversePixels).
+ * @param {number} count total pixels sampled along the curve
+ * @param {{ startPixel?: number, closed?: boolean, reversePixels?: boolean }} tube
+ * @returns {number[]} raw pixel indices in display / DMX order
+ */
+export function pixelOrder(count, { startPixel, closed, reversePixels }) {
+  if (!count || count <= 0) return [];
+  const start = Math.min(Math.max(0, startPixel || 0), count - 1);
+  const order = [];
+  if (closed) {
+    for (let i = 0; i < count; i++) {
+      const idx = reversePixels
+        ? ((start - i) % count + count) % count
+        : (start + i) % count;
+      order.push(idx);
+    }
+  } else {
+    for (let i = start; i < count; i++) order.push(i);
+  }
+  return order;
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+/** World axes tubes can be rotated around. */
+export const ROTATION_AXES = {
+  X: new THREE.Vector3(1, 0, 0),
+  Y: new THREE.Vector3(0, 1, 0),
+  Z: new THREE.Vector3(0, 0, 1),
+};
+
+/** Mirror planes, by the normal they flip. */
+export const MIRROR_PLANES = {
+  YZ: { label: 'YZ (flip X)', normal: new THREE.Vector3(1, 0, 0) },
+  XZ: { label: 'XZ (flip Y)', normal: new THREE.Vector3(0, 1, 0) },
+  XY: { label: 'XY (flip Z)', normal: new THREE.Vector3(0, 0, 1) },
+  custom: { label: 'Custom plane', normal: null },
+};
+
+/**
+ * Rotation by `angle` around an axis through a pivot.
+ * @param {'X'|'Y'|'Z'|THREE.Vector3} axis
+ * @param {number} angle - radians, counter-clockwise looking down the axis
+ * @param {THREE.Vector3} pivot
+ * @returns {THREE.Matrix4}
+ */
+export function rotationMatrix(axis, angle, pivot) {
+  const dir = axis.isVector3 ? axis.clone().normalize() : (ROTATION_AXES[axis] || ROTATION_AXES.Y);
+  return aroundPoint(new THREE.Matrix4().makeRotationAxis(dir, angle), pivot);
+}
+
+/**
+ * Reflection across the plane with the given normal through a point.
+ * @param {'XY'|'YZ'|'XZ'|THREE.Vector3} plane - a named plane or the plane's normal
+ * @param {THREE.Vector3} point - any point on the plane
+ * @returns {THREE.Matrix4}
+ */
+export function mirrorMatrix(plane, point) {
+  const n = plane.isVector3 ? plane.clone().normalize() : MIRROR_PLANES[plane].normal;
+  // Householder reflection I - 2nnᵀ
+  const reflect = new THREE.Matrix4().set(
+    1 - 2 * n.x * n.x, -2 * n.x * n.y, -2 * n.x * n.z, 0,
+    -2 * n.y * n.x, 1 - 2 * n.y * n.y, -2 * n.y * n.z, 0,
+    -2 * n.z * n.x, -2 * n.z * n.y, 1 - 2 * n.z * n.z, 0,
+    0, 0, 0, 1
+  );
+  return aroundPoint(reflect, point);
+}
+
+/** Whether a transform mirrors (flips handedness). */
+export function isMirror(matrix) {
+  return matrix.determinant() < 0;
+}
+
+/**
+ * Undo the pixel direction change a mirror causes, so the chase runs the same
+ * way as on the original. Mirroring turns a clockwise loop counter-clockwise:
+ * closed tubes flip their numbering direction (pixel #1 stays put). Open tubes
+ * are reversed, which moves pixel #1 — and the data input — to the other end.
+ * Call on the mirrored tube, then rebuild it.
+ * @param {import('./TubeModel.js').TubeModel} tube
+ */
+export function restorePixelDirection(tube) {
+  if (tube.closed) {
+    tube.reversePixels = !tube.reversePixels;
+  } else {
+    tube.reversePoints();
+  }
+}
+
+// T(p) · m · T(-p)
+function aroundPoint(m, p) {
+  return new THREE.Matrix4().makeTranslation(p.x, p.y, p.z)
+    .multiply(m)
+    .multiply(new THREE.Matrix4().makeTranslation(-p.x, -p.y, -p.z));
+}
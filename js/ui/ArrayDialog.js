@@ -0,0 +1,268 @@
+import { ARRAY_MODES } from '../tube/TubeArray.js';
+
+/**
+ * Modal dialog for arraying the selected tubes (linear, radial, along a path).
+ * Follows the same pattern as AutoPatchDialog.
+ */
+export class ArrayDialog {
+  constructor() {
+    this.onConfirm = null; // ({ mode, count, spacing, axis, center, angle, pathTubeId, align, patch, group }) => {}
+    this._overlay = null;
+    this._lastConfig = {
+      mode: 'linear',
+      count: 5,
+      spacing: { x: 500, y: 0, z: 0 },
+      axis: 'Y',
+      angle: 360,
+      pathTubeId: null,
+      align: true,
+      patch: true,
+      group: false,
+    };
+    this._build();
+  }
+
+  /**
+   * @param {object} opts
+   * @param {number} opts.sourceCount - number of tubes that will be arrayed
+   * @param {{ x: number, y: number, z: number }} opts.center - selection center (mm), radial default
+   * @param {{ id: number, name: string }[]} opts.pathTubes - tubes that can be used as a path
+   */
+  show({ sourceCount, center, pathTubes }) {
+    this._sourceCount = sourceCount;
+    this._center = center;
+    this._pathTubes = pathTubes;
+    this._populateForm(this._lastConfig);
+    this._overlay.classList.add('visible');
+    requestAnimationFrame(() => {
+      const first = this._panel.querySelector('select, input');
+      if (first) first.focus();
+    });
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this.hide();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>ARRAY</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (form)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this.hide());
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary';
+    confirmBtn.textContent = 'Create';
+    confirmBtn.addEventListener('click', () => this._confirm());
+    footer.appendChild(cancelBtn);
+    footer.appendChild(confirmBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') this._confirm();
+    });
+  }
+
+  _populateForm(cfg) {
+    this._body.innerHTML = '';
+
+    // ── Layout ──
+    const layoutSection = this._section(`Layout (${this._sourceCount} tube${this._sourceCount === 1 ? '' : 's'})`);
+    const modeSelect = this._select('ar-mode', ARRAY_MODES, cfg.mode);
+    this._formRow(layoutSection, 'Mode', modeSelect);
+    this._formRow(layoutSection, 'Count', this._numberWithUnit(cfg.count, 2, 500, 1, 'incl. original', 'ar-count'));
+    this._body.appendChild(layoutSection);
+
+    // ── Linear ──
+    const linearSection = this._section('Spacing');
+    this._formRow(linearSection, 'X', this._numberWithUnit(cfg.spacing.x, -99999, 99999, 1, 'mm', 'ar-dx'));
+    this._formRow(linearSection, 'Y', this._numberWithUnit(cfg.spacing.y, -99999, 99999, 1, 'mm', 'ar-dy'));
+    this._formRow(linearSection, 'Z', this._numberWithUnit(cfg.spacing.z, -99999, 99999, 1, 'mm', 'ar-dz'));
+    this._body.appendChild(linearSection);
+
+    // ── Radial ──
+    const radialSection = this._section('Rotation');
+    this._formRow(radialSection, 'Axis', this._select('ar-axis', { X: 'X', Y: 'Y (vertical)', Z: 'Z' }, cfg.axis));
+    this._formRow(radialSection, 'Angle', this._numberWithUnit(cfg.angle, -360, 360, 1, '° total', 'ar-angle'));
+    this._formRow(radialSection, 'Center X', this._numberWithUnit(this._center.x, -99999, 99999, 1, 'mm', 'ar-cx'));
+    this._formRow(radialSection, 'Center Y', this._numberWithUnit(this._center.y, -99999, 99999, 1, 'mm', 'ar-cy'));
+    this._formRow(radialSection, 'Center Z', this._numberWithUnit(this._center.z, -99999, 99999, 1, 'mm', 'ar-cz'));
+    this._body.appendChild(radialSection);
+
+    // ── Path ──
+    const pathSection = this._section('Path');
+    const pathOptions = {};
+    for (const t of this._pathTubes) pathOptions[t.id] = t.name;
+    const pathId = this._pathTubes.some(t => t.id === cfg.pathTubeId)
+      ? cfg.pathTubeId
+      : this._pathTubes[0]?.id;
+    this._formRow(pathSection, 'Tube', this._select('ar-path', pathOptions, String(pathId)));
+    const alignCb = document.createElement('input');
+    alignCb.type = 'checkbox';
+    alignCb.id = 'ar-align';
+    alignCb.checked = cfg.align;
+    this._formRow(pathSection, 'Align', alignCb);
+    this._body.appendChild(pathSection);
+
+    // ── Options ──
+    const optionsSection = this._section('Options');
+    const patchCb = document.createElement('input');
+    patchCb.type = 'checkbox';
+    patchCb.id = 'ar-patch';
+    patchCb.checked = cfg.patch;
+    this._formRow(optionsSection, 'Auto-patch', patchCb);
+    const groupCb = document.createElement('input');
+    groupCb.type = 'checkbox';
+    groupCb.id = 'ar-group';
+    groupCb.checked = cfg.group;
+    this._formRow(optionsSection, 'Group', groupCb);
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    optionsSection.appendChild(hint);
+    this._body.appendChild(optionsSection);
+
+    const hints = {
+      linear: 'Each copy is shifted by the spacing from the one before.',
+      radial: 'A full 360° spreads the copies evenly around the axis; a smaller angle '
+        + 'puts the last copy at the end of the arc.',
+      path: 'Copies are spread evenly along the path tube, keeping the original\'s offset '
+        + 'from the path start. Align turns each copy with the path direction.',
+    };
+    const patchHint = ' Auto-patch addresses the copies after the highest DMX channel and '
+      + 'fixture ID in use. Group puts the original and its copies in one group.';
+
+    const update = () => {
+      const mode = modeSelect.value;
+      linearSection.style.display = mode === 'linear' ? '' : 'none';
+      radialSection.style.display = mode === 'radial' ? '' : 'none';
+      pathSection.style.display = mode === 'path' ? '' : 'none';
+      hint.textContent = (mode === 'path' && this._pathTubes.length === 0
+        ? 'Draw a tube to use as the path first.'
+        : hints[mode]) + patchHint;
+    };
+    modeSelect.addEventListener('change', update);
+    update();
+  }
+
+  _confirm() {
+    const g = (id) => this._body.querySelector(`#${id}`);
+    const num = (id, fallback = 0) => {
+      const v = parseFloat(g(id)?.value);
+      return Number.isFinite(v) ? v : fallback;
+    };
+    const values = {
+      mode: g('ar-mode')?.value || 'linear',
+      count: Math.min(500, Math.max(2, parseInt(g('ar-count')?.value) || 2)),
+      spacing: { x: num('ar-dx'), y: num('ar-dy'), z: num('ar-dz') },
+      axis: g('ar-axis')?.value || 'Y',
+      center: { x: num('ar-cx'), y: num('ar-cy'), z: num('ar-cz') },
+      angle: Math.min(360, Math.max(-360, num('ar-angle', 360))),
+      pathTubeId: parseInt(g('ar-path')?.value) || null,
+      align: g('ar-align')?.checked || false,
+      patch: g('ar-patch')?.checked || false,
+      group: g('ar-group')?.checked || false,
+    };
+    const { center, ...remembered } = values;
+    this._lastConfig = remembered;
+    this.hide();
+    if (this.onConfirm) this.onConfirm(values);
+  }
+
+  // Form helpers (same pattern as CustomFixtureDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+
+  _formRow(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _select(id, options, current) {
+    const select = document.createElement('select');
+    select.className = 'prop-input';
+    select.id = id;
+    for (const [value, label] of Object.entries(options)) {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = label;
+      o.selected = value === current;
+      select.appendChild(o);
+    }
+    return select;
+  }
+
+  _numberWithUnit(value, min, max, step, unit, id) {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.flex = '1';
+    wrap.style.gap = '3px';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'prop-input';
+    input.id = id;
+    input.value = value;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    wrap.appendChild(input);
+    if (unit) {
+      const suf = document.createElement('span');
+      suf.style.fontSize = '10px';
+      suf.style.color = 'var(--text-muted)';
+      suf.textContent = unit;
+      wrap.appendChild(suf);
+    }
+    return wrap;
+  }
+}
@@ -0,0 +1,216 @@
+import { PATCH_ORDERS } from '../dmx/AutoPatcher.js';
+
+/**
+ * Modal dialog for auto-patching the selected tubes.
+ * Follows the same pattern as CustomFixtureDialog.
+ */
+export class AutoPatchDialog {
+  constructor() {
+    this.onConfirm = null; // ({ order, startUniverse, startAddress, maxPixelsPerUniverse, startFixtureId }) => {}
+    this._overlay = null;
+    this._lastConfig = {
+      order: 'list',
+      startUniverse: 1,
+      startAddress: 1,
+      maxPixelsPerUniverse: 0,
+      renumberFixtureIds: false,
+      startFixtureId: 1,
+    };
+    this._build();
+  }
+
+  /**
+   * @param {number} tubeCount - number of tubes that will be patched
+   */
+  show(tubeCount) {
+    this._tubeCount = tubeCount;
+    this._populateForm(this._lastConfig);
+    this._overlay.classList.add('visible');
+    requestAnimationFrame(() => {
+      const first = this._panel.querySelector('select, input');
+      if (first) first.focus();
+    });
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this.hide();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>AUTO-PATCH</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (form)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this.hide());
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary';
+    confirmBtn.textContent = 'Patch';
+    confirmBtn.addEventListener('click', () => this._confirm());
+    footer.appendChild(cancelBtn);
+    footer.appendChild(confirmBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') this._confirm();
+    });
+  }
+
+  _populateForm(cfg) {
+    this._body.innerHTML = '';
+
+    // ── Order ──
+    const orderSection = this._section(`Order (${this._tubeCount} tubes)`);
+    const orderSelect = document.createElement('select');
+    orderSelect.className = 'prop-input';
+    orderSelect.id = 'ap-order';
+    for (const [value, label] of Object.entries(PATCH_ORDERS)) {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = label;
+      o.selected = value === cfg.order;
+      orderSelect.appendChild(o);
+    }
+    this._formRow(orderSection, 'Order', orderSelect);
+    this._body.appendChild(orderSection);
+
+    // ── Start ──
+    const startSection = this._section('Start');
+    this._formRow(startSection, 'Universe', this._numberWithUnit(cfg.startUniverse, 1, 999, 1, '', 'ap-universe'));
+    this._formRow(startSection, 'Address', this._numberWithUnit(cfg.startAddress, 1, 512, 1, '', 'ap-address'));
+
+    // Renumber fixture IDs
+    const idRow = document.createElement('div');
+    idRow.className = 'prop-row';
+    const idLabel = document.createElement('span');
+    idLabel.className = 'prop-label';
+    idLabel.textContent = 'Fixture IDs';
+    idRow.appendChild(idLabel);
+    const idCb = document.createElement('input');
+    idCb.type = 'checkbox';
+    idCb.id = 'ap-renumber';
+    idCb.checked = cfg.renumberFixtureIds;
+    idRow.appendChild(idCb);
+    const idWrap = this._numberWithUnit(cfg.startFixtureId, 1, 99999, 1, '', 'ap-fixture-id');
+    idWrap.style.display = cfg.renumberFixtureIds ? 'flex' : 'none';
+    idCb.addEventListener('change', () => {
+      idWrap.style.display = idCb.checked ? 'flex' : 'none';
+    });
+    idRow.appendChild(idWrap);
+    startSection.appendChild(idRow);
+    this._body.appendChild(startSection);
+
+    // ── Limits ──
+    const limitSection = this._section('Limits');
+    this._formRow(limitSection, 'Px/Universe', this._numberWithUnit(cfg.maxPixelsPerUniverse, 0, 170, 1, '0 = off', 'ap-limit'));
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    hint.textContent = 'Tubes are addressed back to back. With a pixel limit, a tube that would push '
+      + 'the current universe past the limit starts in the next universe. Spatial order chains '
+      + 'each tube to the one starting closest to its end.';
+    limitSection.appendChild(hint);
+    this._body.appendChild(limitSection);
+  }
+
+  _confirm() {
+    const g = (id) => this._body.querySelector(`#${id}`);
+    const renumber = g('ap-renumber')?.checked || false;
+    const values = {
+      order: g('ap-order')?.value || 'list',
+      startUniverse: Math.max(1, parseInt(g('ap-universe')?.value) || 1),
+      startAddress: Math.min(512, Math.max(1, parseInt(g('ap-address')?.value) || 1)),
+      maxPixelsPerUniverse: Math.max(0, parseInt(g('ap-limit')?.value) || 0),
+      startFixtureId: renumber ? Math.max(1, parseInt(g('ap-fixture-id')?.value) || 1) : null,
+    };
+    this._lastConfig = {
+      ...values,
+      renumberFixtureIds: renumber,
+      startFixtureId: values.startFixtureId || this._lastConfig.startFixtureId,
+    };
+    this.hide();
+    if (this.onConfirm) this.onConfirm(values);
+  }
+
+  // Form helpers (same pattern as CustomFixtureDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+
+  _formRow(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _numberWithUnit(value, min, max, step, unit, id) {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.flex = '1';
+    wrap.style.gap = '3px';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'prop-input';
+    input.id = id;
+    input.value = value;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    wrap.appendChild(input);
+    if (unit) {
+      const suf = document.createElement('span');
+      suf.style.fontSize = '10px';
+      suf.style.color = 'var(--text-muted)';
+      suf.textContent = unit;
+      wrap.appendChild(suf);
+    }
+    return wrap;
+  }
+}
@@ -0,0 +1,307 @@
+/** DataTransfer type for tubes dragged from the tube list or a chain. */
+export const TUBE_DRAG_TYPE = 'application/x-neonflexer-tubes';
+
+/**
+ * Left-side controller panel (below the tube list).
+ * Shows each pixel controller with its output ports and data chains.
+ * Tubes are wired by dragging them from the tube list onto a port (append)
+ * or onto a chain entry (insert before it); chain entries can be dragged
+ * between ports to reorder.
+ */
+export class ControllerPanel {
+  constructor(containerEl) {
+    this.container = containerEl;
+    this._expanded = new Set(); // controller ids with settings open
+
+    this.onAddController = null;    // () => {}
+    this.onDeleteController = null; // (controllerId) => {}
+    this.onChangeController = null; // (controllerId, key, value) => {}
+    this.onMoveToSelection = null;  // (controllerId) => {}
+    this.onAssign = null;           // (tubeIds, controllerId, port, index) => {}  index -1 = append
+    this.onAssignSelected = null;   // (controllerId, port) => {}
+    this.onUnassign = null;         // (tubeId) => {}
+    this.onSelectTube = null;       // (tubeId) => {}
+  }
+
+  /**
+   * @param {import('../dmx/ControllerModel.js').ControllerModel[]} controllers
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @param {Map<string, import('../dmx/ControllerManager.js').PortStatus>} portStatus
+   * @param {number|null} selectedId
+   */
+  refresh(controllers, tubes, portStatus, selectedId) {
+    this.container.innerHTML = '';
+    const byId = new Map(tubes.map(t => [t.id, t]));
+
+    if (controllers.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty-message';
+      empty.innerHTML = 'No controllers.<br>Add one, then drag tubes onto its ports.';
+      this.container.appendChild(empty);
+    }
+
+    for (const controller of controllers) {
+      this.container.appendChild(this._buildController(controller, byId, portStatus, selectedId));
+    }
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn btn-block';
+    addBtn.style.marginTop = '6px';
+    addBtn.textContent = '+ Add Controller';
+    addBtn.addEventListener('click', () => {
+      if (this.onAddController) this.onAddController();
+    });
+    this.container.appendChild(addBtn);
+  }
+
+  _buildController(controller, byId, portStatus, selectedId) {
+    const wrap = document.createElement('div');
+    wrap.className = 'ctrl-block';
+
+    // Header: expand toggle, name, summary, delete
+    const header = document.createElement('div');
+    header.className = 'tube-item ctrl-header';
+    const expanded = this._expanded.has(controller.id);
+    const chevron = document.createElement('span');
+    chevron.className = 'ctrl-chevron';
+    chevron.textContent = expanded ? '▾' : '▸';
+    header.appendChild(chevron);
+
+    const name = document.createElement('span');
+    name.className = 'tube-name';
+    name.textContent = controller.name;
+    header.appendChild(name);
+
+    const wired = controller.ports.reduce((sum, chain) => sum + chain.length, 0);
+    const problems = [...portStatus.values()]
+      .filter(s => s.controller === controller && s.problems.length > 0).length;
+    const info = document.createElement('span');
+    info.style.fontSize = '10px';
+    info.style.color = problems > 0 ? '#ff4444' : 'var(--text-muted)';
+    info.style.flexShrink = '0';
+    info.textContent = `${wired} tube(s)`;
+    header.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'tube-actions';
+    const delBtn = document.createElement('button');
+    delBtn.className = 'tube-action-btn delete';
+    delBtn.title = 'Delete controller';
+    delBtn.innerHTML = `<svg viewBox="0 0 16 16" width="14" height="14"><path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" stroke-width="1.5"/></svg>`;
+    delBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.onDeleteController) this.onDeleteController(controller.id);
+    });
+    actions.appendChild(delBtn);
+    header.appendChild(actions);
+
+    header.addEventListener('click', () => {
+      const open = !this._expanded.has(controller.id);
+      if (open) this._expanded.add(controller.id);
+      else this._expanded.delete(controller.id);
+      chevron.textContent = open ? '▾' : '▸';
+      settings.style.display = open ? 'block' : 'none';
+    });
+    wrap.appendChild(header);
+
+    // Settings (collapsed by default)
+    const settings = document.createElement('div');
+    settings.className = 'ctrl-settings';
+    settings.style.display = expanded ? 'block' : 'none';
+    const change = (key) => (val) => {
+      if (this.onChangeController) this.onChangeController(controller.id, key, val);
+    };
+    this._row(settings, 'Name', this._textInput(controller.name, change('name')));
+    this._row(settings, 'Ports', this._numberInput(controller.portCount, 1, 64, 1, change('portCount')));
+    this._row(settings, 'Px / Port', this._numberInput(controller.maxPixelsPerPort, 0, 10000, 1, change('maxPixelsPerPort')));
+    this._row(settings, 'Univ / Port', this._numberInput(controller.universesPerPort, 1, 64, 1, change('universesPerPort')));
+    this._row(settings, 'Start Univ', this._numberInput(controller.startUniverse, 1, 999, 1, change('startUniverse')));
+    const p = controller.position;
+    const mm = (v) => Math.round(v * 1000);
+    const loc = document.createElement('div');
+    loc.className = 'ctrl-location';
+    loc.textContent = `Location ${mm(p.x)}, ${mm(p.y)}, ${mm(p.z)} mm`;
+    settings.appendChild(loc);
+    const moveBtn = document.createElement('button');
+    moveBtn.className = 'btn btn-block';
+    moveBtn.textContent = 'Move to Selected Tube';
+    moveBtn.title = 'Place the controller at the start of the selected tube';
+    moveBtn.addEventListener('click', () => {
+      if (this.onMoveToSelection) this.onMoveToSelection(controller.id);
+    });
+    settings.appendChild(moveBtn);
+    wrap.appendChild(settings);
+
+    // Ports + chains
+    for (let port = 0; port < controller.ports.length; port++) {
+      const status = portStatus.get(`${controller.id}:${port}`);
+      wrap.appendChild(this._buildPort(controller, port, status));
+      controller.ports[port].forEach((tubeId, index) => {
+        const tube = byId.get(tubeId);
+        if (tube) wrap.appendChild(this._buildChainItem(controller, port, index, tube, selectedId));
+      });
+    }
+    return wrap;
+  }
+
+  _buildPort(controller, port, status) {
+    const row = document.createElement('div');
+    row.className = 'ctrl-port';
+    const hasProblems = status && status.problems.length > 0;
+    if (hasProblems) row.classList.add('over');
+
+    const label = document.createElement('span');
+    label.className = 'ctrl-port-label';
+    label.textContent = `Port ${port + 1}`;
+    row.appendChild(label);
+
+    const info = document.createElement('span');
+    info.className = 'ctrl-port-info';
+    const first = controller.portStartUniverse(port);
+    const uniText = status && status.universes > 1 ? `U${first}–U${status.lastUniverse}` : `U${first}`;
+    const pxText = controller.maxPixelsPerPort > 0
+      ? `${status ? status.pixels : 0}/${controller.maxPixelsPerPort}px`
+      : `${status ? status.pixels : 0}px`;
+    info.textContent = `${uniText} · ${pxText}`;
+    row.appendChild(info);
+    row.title = hasProblems
+      ? status.problems.join('\n')
+      : 'Drop tubes here to append them to this port\'s data chain';
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'tube-action-btn';
+    addBtn.title = 'Append selected tube(s)';
+    addBtn.innerHTML = `<svg viewBox="0 0 16 16" width="12" height="12"><path d="M8 3v10M3 8h10" stroke="currentColor" stroke-width="1.5"/></svg>`;
+    addBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.onAssignSelected) this.onAssignSelected(controller.id, port);
+    });
+    row.appendChild(addBtn);
+
+    this._makeDropTarget(row, (ids) => {
+      if (this.onAssign) this.onAssign(ids, controller.id, port, -1);
+    });
+    return row;
+  }
+
+  _buildChainItem(controller, port, index, tube, selectedId) {
+    const item = document.createElement('div');
+    item.className = 'tube-item ctrl-chain-item';
+    if (tube.id === selectedId) item.classList.add('selected');
+    item.draggable = true;
+
+    const order = document.createElement('span');
+    order.className = 'ctrl-chain-order';
+    order.textContent = `${index + 1}`;
+    item.appendChild(order);
+
+    const dot = document.createElement('div');
+    dot.className = 'tube-color';
+    dot.style.backgroundColor = tube.color;
+    item.appendChild(dot);
+
+    const name = document.createElement('span');
+    name.className = 'tube-name';
+    name.textContent = tube.name;
+    item.appendChild(name);
+
+    const addr = document.createElement('span');
+    addr.style.fontSize = '10px';
+    addr.style.color = 'var(--text-muted)';
+    addr.style.flexShrink = '0';
+    addr.textContent = `${tube.dmxUniverse}.${tube.dmxAddress}`;
+    item.appendChild(addr);
+
+    const actions = document.createElement('div');
+    actions.className = 'tube-actions';
+    const unBtn = document.createElement('button');
+    unBtn.className = 'tube-action-btn delete';
+    unBtn.title = 'Remove from chain';
+    unBtn.innerHTML = `<svg viewBox="0 0 16 16" width="14" height="14"><path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" stroke-width="1.5"/></svg>`;
+    unBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.onUnassign) this.onUnassign(tube.id);
+    });
+    actions.appendChild(unBtn);
+    item.appendChild(actions);
+
+    item.addEventListener('click', () => {
+      if (this.onSelectTube) this.onSelectTube(tube.id);
+    });
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(TUBE_DRAG_TYPE, JSON.stringify([tube.id]));
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    this._makeDropTarget(item, (ids) => {
+      if (this.onAssign) this.onAssign(ids, controller.id, port, index);
+    });
+    return item;
+  }
+
+  _makeDropTarget(el, onDrop) {
+    el.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(TUBE_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      el.classList.add('drop-target');
+    });
+    el.addEventListener('dragleave', () => el.classList.remove('drop-target'));
+    el.addEventListener('drop', (e) => {
+      el.classList.remove('drop-target');
+      const raw = e.dataTransfer.getData(TUBE_DRAG_TYPE);
+      if (!raw) return;
+      e.preventDefault();
+      e.stopPropagation();
+      let ids;
+      try {
+        ids = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (Array.isArray(ids) && ids.length > 0) onDrop(ids);
+    });
+  }
+
+  // Form helpers (same pattern as PropertiesPanel)
+  _row(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _numberInput(value, min, max, step, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'prop-input';
+    input.value = value;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.addEventListener('change', () => {
+      let v = parseFloat(input.value);
+      if (isNaN(v)) v = value;
+      v = Math.max(min, Math.min(max, Math.round(v)));
+      input.value = v;
+      onChange(v);
+    });
+    return input;
+  }
+
+  _textInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'prop-input';
+    input.value = value;
+    input.addEventListener('change', () => {
+      const v = input.value.trim();
+      if (v) onChange(v);
+      else input.value = value;
+    });
+    return input;
+  }
+}
@@ -1,15 +1,20 @@
 import { TubeMaterialFactory } from '../tube/TubeMaterialFactory.js';
 import { PIXEL_PITCH_PRESETS, TUBE_DIAMETERS_MM, FLAT_TUBE_SIZES_MM } from '../utils/Units.js';
+import { BEND_DIRECTIONS } from '../tube/BendAnalyzer.js';
+import { SUPPLY_VOLTAGES } from '../power/PowerBudget.js';
 
 /**
  * Modal dialog for configuring custom fixture properties before drawing.
  * Remembers last confirmed values so reopening shows previous settings.
+ * Also used to create / edit presets in the user fixture library.
  */
 export class CustomFixtureDialog {
   constructor() {
     this.onConfirm = null; // (presetObj) => {}
     this.onCancel = null;  // () => {}
+    this.onSaveToLibrary = null; // (presetObj, libraryId|null) => {}
     this._overlay = null;
+    this._editId = null; // user library preset being edited
     this._lastConfig = {
       profile: 'round',
       diameterMm: 16,
@@ -23,12 +28,71 @@ export class CustomFixtureDialog {
       maxLengthMm: 6000,
       connectorDiameterMm: 30,
       connectorHeightMm: 30,
+      label: '',
+      manufacturer: '',
+      sku: '',
+      bendRadiusMm: '',
+      bendDirection: 'any',
+      minCutLengthMm: '',
+      cutIncrementMm: '',
+      cutEveryPixels: '',
+      wattsPerMeter: '',
+      voltage: '',
     };
     this._build();
   }
 
   show(defaults) {
-    const cfg = defaults || this._lastConfig;
+    this._editId = null;
+    this._open(defaults || this._lastConfig);
+  }
+
+  /**
+   * Open with a library preset's values; "Save to Library" updates that entry.
+   * @param {string|null} id - user preset id (null = save as a new entry)
+   * @param {object} preset
+   */
+  editPreset(id, preset) {
+    this._editId = id;
+    this._open(CustomFixtureDialog.configFromPreset(preset, this._lastConfig));
+  }
+
+  /**
+   * Dialog config (form state) from a preset object.
+   * @param {object} preset
+   * @param {object} fallback - values for fields the preset leaves null
+   */
+  static configFromPreset(preset, fallback) {
+    const orBlank = (v) => (v == null ? '' : v);
+    return {
+      profile: preset.profile || fallback.profile,
+      diameterMm: preset.diameterMm ?? fallback.diameterMm,
+      widthMm: preset.widthMm ?? fallback.widthMm,
+      heightMm: preset.heightMm ?? fallback.heightMm,
+      pixelsPerMeter: preset.pixelsPerMeter ?? fallback.pixelsPerMeter,
+      dmxChannelsPerPixel: preset.dmxChannelsPerPixel ?? fallback.dmxChannelsPerPixel,
+      materialPreset: preset.materialPreset || fallback.materialPreset,
+      diffuserShape: preset.diffuserShape || fallback.diffuserShape,
+      enableMaxLength: !!preset.maxLengthM,
+      maxLengthMm: preset.maxLengthM ? Math.round(preset.maxLengthM * 1000) : fallback.maxLengthMm,
+      connectorDiameterMm: preset.connectorDiameterMm ?? fallback.connectorDiameterMm,
+      connectorHeightMm: preset.connectorHeightMm ?? fallback.connectorHeightMm,
+      label: orBlank(preset.label),
+      manufacturer: orBlank(preset.manufacturer),
+      sku: orBlank(preset.sku),
+      bendRadiusMm: orBlank(preset.bendRadiusMm),
+      bendDirection: preset.bendDirection || 'any',
+      minCutLengthMm: orBlank(preset.minCutLengthMm),
+      cutIncrementMm: orBlank(preset.cutIncrementMm),
+      cutEveryPixels: orBlank(preset.cutEveryPixels),
+      wattsPerMeter: orBlank(preset.wattsPerMeter),
+      voltage: orBlank(preset.voltage),
+    };
+  }
+
+  _open(cfg) {
+    this._headerTitle.textContent = this._editId ? 'EDIT LIBRARY FIXTURE' : 'CUSTOM FIXTURE';
+    this._saveBtn.textContent = this._editId ? 'Update Library' : 'Save to Library';
     this._populateForm(cfg);
     this._overlay.classList.add('visible');
     // Focus first input after a tick
@@ -57,7 +121,9 @@ export class CustomFixtureDialog {
     // Header
     const header = document.createElement('div');
     header.className = 'custom-fixture-header';
-    header.innerHTML = `<span>CUSTOM FIXTURE</span>`;
+    this._headerTitle = document.createElement('span');
+    this._headerTitle.textContent = 'CUSTOM FIXTURE';
+    header.appendChild(this._headerTitle);
     const closeBtn = document.createElement('button');
     closeBtn.className = 'help-close';
     closeBtn.innerHTML = '&times;';
@@ -77,11 +143,16 @@ export class CustomFixtureDialog {
     cancelBtn.className = 'btn';
     cancelBtn.textContent = 'Cancel';
     cancelBtn.addEventListener('click', () => this._cancel());
+    this._saveBtn = document.createElement('button');
+    this._saveBtn.className = 'btn';
+    this._saveBtn.textContent = 'Save to Library';
+    this._saveBtn.addEventListener('click', () => this._saveToLibrary());
     const confirmBtn = document.createElement('button');
     confirmBtn.className = 'btn btn-primary';
     confirmBtn.textContent = 'Apply & Draw';
     confirmBtn.addEventListener('click', () => this._confirm());
     footer.appendChild(cancelBtn);
+    footer.appendChild(this._saveBtn);
     footer.appendChild(confirmBtn);
     this._panel.appendChild(footer);
 
@@ -264,6 +335,36 @@ export class CustomFixtureDialog {
     segSection.appendChild(segFields);
 
     this._body.appendChild(segSection);
+
+    // ── Product (library) ──
+    const prodSection = this._section('Product');
+    this._formRow(prodSection, 'Name', this._textInput(cfg.label, 'e.g. LS360 22mm RGB', 'cfg-label'));
+    this._formRow(prodSection, 'Manufacturer', this._textInput(cfg.manufacturer, '', 'cfg-manufacturer'));
+    this._formRow(prodSection, 'SKU', this._textInput(cfg.sku, '', 'cfg-sku'));
+    this._formRow(prodSection, 'Bend Radius', this._numberWithUnit(cfg.bendRadiusMm, 0, 5000, 1, 'mm', 'cfg-bend'));
+    this._formRow(prodSection, 'Bend Dir.', this._select(
+      Object.entries(BEND_DIRECTIONS).map(([value, label]) => ({ value, label })),
+      cfg.bendDirection || 'any', null, 'cfg-benddir'
+    ));
+    this._formRow(prodSection, 'Min Cut', this._numberWithUnit(cfg.minCutLengthMm, 0, 20000, 1, 'mm', 'cfg-mincut'));
+    this._formRow(prodSection, 'Cut Step', this._numberWithUnit(cfg.cutIncrementMm, 0, 5000, 0.1, 'mm', 'cfg-cutstep'));
+    this._formRow(prodSection, 'or Every', this._numberWithUnit(cfg.cutEveryPixels, 0, 500, 1, 'px', 'cfg-cutpx'));
+    this._formRow(prodSection, 'Power', this._numberWithUnit(cfg.wattsPerMeter, 0, 1000, 0.1, 'W/m', 'cfg-power'));
+    this._formRow(prodSection, 'Voltage', this._select(
+      [{ value: '', label: 'Unknown' }, ...SUPPLY_VOLTAGES.map(v => ({ value: String(v), label: `${v} V` }))],
+      String(cfg.voltage), null, 'cfg-voltage'
+    ));
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    hint.textContent = 'Optional product data. Leave blank if unknown. Cut step / min cut snap drawn, '
+      + 'cut and resized lengths to orderable cut marks. Bend radius / direction are checked in the '
+      + 'Validation panel; power and voltage feed the Power Budget. "Save to Library" stores the fixture in '
+      + 'the browser so it appears in the Fixture dropdown.';
+    prodSection.appendChild(hint);
+    this._body.appendChild(prodSection);
   }
 
   _getValues() {
@@ -283,9 +384,15 @@ export class CustomFixtureDialog {
     }
 
     const diffuserShape = g('cfg-diffuser') || this._lastConfig.diffuserShape || 'flat';
+    const text = (id) => (g(id) || '').trim();
+    // Blank = unknown (null)
+    const optNum = (id) => {
+      const v = parseFloat(g(id));
+      return Number.isFinite(v) && v > 0 ? v : null;
+    };
 
     const result = {
-      label: 'Custom',
+      label: text('cfg-label') || 'Custom',
       profile,
       diameterMm: parseFloat(g('cfg-diameter')) || this._lastConfig.diameterMm,
       widthMm: parseFloat(g('cfg-width')) || this._lastConfig.widthMm,
@@ -297,6 +404,15 @@ export class CustomFixtureDialog {
       maxLengthM: enableMax ? (parseFloat(g('cfg-maxlen')) || 6000) / 1000 : null,
       connectorDiameterMm: enableMax ? (parseFloat(g('cfg-conndia')) || 30) : null,
       connectorHeightMm: enableMax ? (parseFloat(g('cfg-connht')) || 30) : null,
+      manufacturer: text('cfg-manufacturer') || null,
+      sku: text('cfg-sku') || null,
+      bendRadiusMm: optNum('cfg-bend'),
+      bendDirection: g('cfg-benddir') && g('cfg-benddir') !== 'any' ? g('cfg-benddir') : null,
+      minCutLengthMm: optNum('cfg-mincut'),
+      cutIncrementMm: optNum('cfg-cutstep'),
+      cutEveryPixels: optNum('cfg-cutpx'),
+      wattsPerMeter: optNum('cfg-power'),
+      voltage: optNum('cfg-voltage'),
     };
 
     // Save for next open
@@ -313,6 +429,16 @@ export class CustomFixtureDialog {
       maxLengthMm: enableMax ? parseFloat(g('cfg-maxlen')) || 6000 : this._lastConfig.maxLengthMm,
       connectorDiameterMm: result.connectorDiameterMm || 30,
       connectorHeightMm: result.connectorHeightMm || 30,
+      label: text('cfg-label'),
+      manufacturer: result.manufacturer || '',
+      sku: result.sku || '',
+      bendRadiusMm: result.bendRadiusMm ?? '',
+      bendDirection: result.bendDirection || 'any',
+      minCutLengthMm: result.minCutLengthMm ?? '',
+      cutIncrementMm: result.cutIncrementMm ?? '',
+      cutEveryPixels: result.cutEveryPixels ?? '',
+      wattsPerMeter: result.wattsPerMeter ?? '',
+      voltage: result.voltage ?? '',
     };
 
     return result;
@@ -324,6 +450,16 @@ export class CustomFixtureDialog {
     if (this.onConfirm) this.onConfirm(values);
   }
 
+  _saveToLibrary() {
+    const values = this._getValues();
+    // Unnamed entries are labelled from manufacturer + SKU by the library
+    if (!this._lastConfig.label) values.label = null;
+    const id = this._editId;
+    this._editId = null;
+    this.hide();
+    if (this.onSaveToLibrary) this.onSaveToLibrary(values, id);
+  }
+
   _cancel() {
     this.hide();
     if (this.onCancel) this.onCancel();
@@ -352,6 +488,16 @@ export class CustomFixtureDialog {
     parent.appendChild(row);
   }
 
+  _textInput(value, placeholder, id) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'prop-input';
+    input.id = id;
+    input.value = value || '';
+    if (placeholder) input.placeholder = placeholder;
+    return input;
+  }
+
   _numberWithUnit(value, min, max, step, unit, id) {
     const wrap = document.createElement('div');
     wrap.style.display = 'flex';
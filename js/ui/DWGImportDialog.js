@@ -1,6 +1,6 @@
 /**
- * Floating panel for DWG entity management.
- * Shows imported DWG entities as a list, allows selection & conversion to tubes.
+ * Floating panel for DWG / DXF entity management.
+ * Shows imported entities as a list, allows selection & conversion to tubes.
  */
 export class DWGImportDialog {
   constructor() {
@@ -22,6 +22,8 @@ export class DWGImportDialog {
    * @param {string} info.fileName
    * @param {Array} info.entities - [{ name, layer, closed, pointCount }]
    * @param {object} info.entityCounts - type → count
+   * @param {string} [info.format] - 'DWG' or 'DXF' (title only)
+   * @param {number} [info.scale] - scale the entities were parsed with
    */
   show(info) {
     this.hide();
@@ -44,7 +46,7 @@ export class DWGImportDialog {
     const header = document.createElement('div');
     header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;';
     const title = document.createElement('div');
-    title.textContent = 'DWG Import';
+    title.textContent = `${info.format || 'DWG'} Import`;
     title.style.cssText = 'font-size: 14px; font-weight: 600; color: #fff;';
     const closeBtn = document.createElement('button');
     closeBtn.textContent = '\u00d7';
@@ -81,7 +83,8 @@ export class DWGImportDialog {
       o.textContent = label;
       scaleSelect.appendChild(o);
     }
-    scaleSelect.value = '0.001';
+    const initial = info.scale != null ? String(info.scale) : '0.001';
+    scaleSelect.value = [...scaleSelect.options].some(o => o.value === initial) ? initial : '0.001';
     scaleSelect.addEventListener('change', () => {
       if (this.onScaleChange) this.onScaleChange(parseFloat(scaleSelect.value));
     });
@@ -204,7 +207,7 @@ export class DWGImportDialog {
     });
 
     const clearBtn = document.createElement('button');
-    clearBtn.textContent = 'Clear DWG';
+    clearBtn.textContent = `Clear ${info.format || 'DWG'}`;
     clearBtn.style.cssText = 'flex: 1; padding: 6px 8px; background: #533; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-size: 11px;';
     clearBtn.addEventListener('click', () => {
       if (this.onClear) this.onClear();
@@ -0,0 +1,171 @@
+import { DXF_PROJECTIONS, DXF_LAYER_MODES } from '../export/DXFExporter.js';
+
+/**
+ * Modal dialog for the DXF export options (projection, layers, markers).
+ * Follows the same pattern as AutoPatchDialog.
+ */
+export class DXFExportDialog {
+  constructor() {
+    this.onConfirm = null; // ({ projection, layerBy, connectors, pixelStart }) => {}
+    this._overlay = null;
+    this._lastConfig = {
+      projection: '3d',
+      layerBy: 'tube',
+      connectors: true,
+      pixelStart: true,
+    };
+    this._build();
+  }
+
+  /**
+   * @param {number} tubeCount - number of tubes that will be exported
+   */
+  show(tubeCount) {
+    this._tubeCount = tubeCount;
+    this._populateForm(this._lastConfig);
+    this._overlay.classList.add('visible');
+    requestAnimationFrame(() => {
+      const first = this._panel.querySelector('select, input');
+      if (first) first.focus();
+    });
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this.hide();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>EXPORT DXF</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (form)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this.hide());
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary';
+    confirmBtn.textContent = 'Export';
+    confirmBtn.addEventListener('click', () => this._confirm());
+    footer.appendChild(cancelBtn);
+    footer.appendChild(confirmBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') this._confirm();
+    });
+  }
+
+  _populateForm(cfg) {
+    this._body.innerHTML = '';
+
+    // ── Drawing ──
+    const drawSection = this._section(`Drawing (${this._tubeCount} tubes)`);
+    this._formRow(drawSection, 'Projection', this._select(DXF_PROJECTIONS, cfg.projection, 'dxf-projection'));
+    this._formRow(drawSection, 'Layers', this._select(DXF_LAYER_MODES, cfg.layerBy, 'dxf-layers'));
+    this._body.appendChild(drawSection);
+
+    // ── Markers ──
+    const markerSection = this._section('Markers');
+    this._formRow(markerSection, 'Connectors', this._checkbox(cfg.connectors, 'dxf-connectors'));
+    this._formRow(markerSection, 'Pixel Start', this._checkbox(cfg.pixelStart, 'dxf-pixel-start'));
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    hint.textContent = 'Centerlines in millimeters. 3D is Z-up model space; the plane projections '
+      + 'flatten to the Top / Front / Right views. Connectors and the first pixel (arrow in the '
+      + 'data direction) are inserted as blocks on their own layers.';
+    markerSection.appendChild(hint);
+    this._body.appendChild(markerSection);
+  }
+
+  _confirm() {
+    const g = (id) => this._body.querySelector(`#${id}`);
+    const values = {
+      projection: g('dxf-projection')?.value || '3d',
+      layerBy: g('dxf-layers')?.value || 'tube',
+      connectors: g('dxf-connectors')?.checked ?? true,
+      pixelStart: g('dxf-pixel-start')?.checked ?? true,
+    };
+    this._lastConfig = { ...values };
+    this.hide();
+    if (this.onConfirm) this.onConfirm(values);
+  }
+
+  // Form helpers (same pattern as CustomFixtureDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+
+  _formRow(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _select(options, value, id) {
+    const select = document.createElement('select');
+    select.className = 'prop-input';
+    select.id = id;
+    for (const [key, label] of Object.entries(options)) {
+      const o = document.createElement('option');
+      o.value = key;
+      o.textContent = label;
+      o.selected = key === value;
+      select.appendChild(o);
+    }
+    return select;
+  }
+
+  _checkbox(checked, id) {
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.id = id;
+    cb.checked = checked;
+    return cb;
+  }
+}
@@ -0,0 +1,304 @@
+import { EFFECTS, OFFSET_MODES, TIMELINE_LENGTH_S } from '../effects/PixelEffects.js';
+
+/**
+ * Floating, draggable effects panel: effect picker, parameters and a
+ * play / pause / stop timeline for the PixelEffectsEngine.
+ * Same look as the CommandPanel.
+ */
+export class EffectsPanel {
+  /**
+   * @param {import('../effects/PixelEffects.js').PixelEffectsEngine} engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.visible = false;
+
+    this.onBeforePlay = null; // () => {} — e.g. stop live DMX input
+
+    this._createPanel();
+    this._setupDrag();
+
+    this.engine.onTimeUpdate = (t) => this._updateTime(t);
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+  }
+
+  show() {
+    this.visible = true;
+    this._panel.style.display = 'flex';
+    this._syncTransport();
+  }
+
+  hide() {
+    this.visible = false;
+    this._panel.style.display = 'none';
+  }
+
+  _createPanel() {
+    this._panel = document.createElement('div');
+    const p = this._panel;
+    p.id = 'effects-panel';
+    Object.assign(p.style, {
+      position: 'fixed',
+      bottom: '60px',
+      right: '20px',
+      width: '300px',
+      display: 'none',
+      flexDirection: 'column',
+      background: 'rgba(15, 15, 30, 0.88)',
+      border: '1px solid rgba(0, 212, 255, 0.3)',
+      borderRadius: '10px',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.5), 0 0 20px rgba(0, 212, 255, 0.1)',
+      backdropFilter: 'blur(12px)',
+      zIndex: '500',
+      fontFamily: "var(--font-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif)",
+      overflow: 'hidden',
+      userSelect: 'none',
+    });
+
+    // Header
+    this._header = document.createElement('div');
+    Object.assign(this._header.style, {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '8px 12px',
+      background: 'rgba(0, 212, 255, 0.08)',
+      borderBottom: '1px solid rgba(0, 212, 255, 0.15)',
+      cursor: 'grab',
+    });
+
+    const title = document.createElement('span');
+    Object.assign(title.style, {
+      fontSize: '12px',
+      fontWeight: '700',
+      color: '#00d4ff',
+      letterSpacing: '1px',
+      textTransform: 'uppercase',
+    });
+    title.textContent = 'Pixel Effects';
+    this._header.appendChild(title);
+
+    const closeBtn = document.createElement('button');
+    Object.assign(closeBtn.style, {
+      background: 'none',
+      border: 'none',
+      color: '#8899aa',
+      fontSize: '18px',
+      cursor: 'pointer',
+      padding: '0 4px',
+      lineHeight: '1',
+    });
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => this.hide());
+    closeBtn.addEventListener('mouseenter', () => closeBtn.style.color = '#fff');
+    closeBtn.addEventListener('mouseleave', () => closeBtn.style.color = '#8899aa');
+    this._header.appendChild(closeBtn);
+    p.appendChild(this._header);
+
+    // Body
+    const body = document.createElement('div');
+    Object.assign(body.style, { padding: '8px 12px' });
+    p.appendChild(body);
+
+    const e = this.engine;
+
+    this._row(body, 'Effect', this._select(
+      Object.entries(EFFECTS).map(([value, fx]) => ({ value, label: fx.label })),
+      e.effect,
+      (val) => { e.effect = val; e.refresh(); }
+    ));
+    this._row(body, 'Color A', this._color(e.params.color1, (val) => { e.params.color1 = val; e.refresh(); }));
+    this._row(body, 'Color B', this._color(e.params.color2, (val) => { e.params.color2 = val; e.refresh(); }));
+    this._row(body, 'Size', this._range(e.params.size, 0.02, 1, 0.01,
+      (v) => `${Math.round(v * 100)}%`,
+      (val) => { e.params.size = val; e.refresh(); }));
+    this._row(body, 'Offset', this._select(
+      Object.entries(OFFSET_MODES).map(([value, label]) => ({ value, label })),
+      e.offsetMode,
+      (val) => { e.offsetMode = val; e.refresh(); }
+    ));
+    this._row(body, 'Phase', this._range(e.offset, 0, 1, 0.01,
+      (v) => `${v.toFixed(2)}`,
+      (val) => { e.offset = val; e.refresh(); }));
+    this._row(body, 'Speed', this._range(e.speed, 0.1, 4, 0.1,
+      (v) => `${v.toFixed(1)}x`,
+      (val) => { e.speed = val; }));
+
+    // ── Timeline ──
+    const timeline = document.createElement('div');
+    Object.assign(timeline.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      padding: '8px 12px 10px',
+      borderTop: '1px solid rgba(42, 42, 78, 0.6)',
+    });
+
+    this._playBtn = document.createElement('button');
+    this._playBtn.className = 'btn btn-primary';
+    this._playBtn.style.minWidth = '54px';
+    this._playBtn.addEventListener('click', () => {
+      if (e.playing) {
+        e.pause();
+      } else {
+        if (this.onBeforePlay) this.onBeforePlay();
+        e.play();
+      }
+      this._syncTransport();
+    });
+    timeline.appendChild(this._playBtn);
+
+    const stopBtn = document.createElement('button');
+    stopBtn.className = 'btn';
+    stopBtn.textContent = 'Stop';
+    stopBtn.addEventListener('click', () => {
+      e.stop();
+      this._syncTransport();
+    });
+    timeline.appendChild(stopBtn);
+
+    this._scrubber = document.createElement('input');
+    this._scrubber.type = 'range';
+    this._scrubber.className = 'prop-range';
+    this._scrubber.min = 0;
+    this._scrubber.max = TIMELINE_LENGTH_S;
+    this._scrubber.step = 0.01;
+    this._scrubber.value = 0;
+    this._scrubber.style.flex = '1';
+    this._scrubber.addEventListener('input', () => {
+      if (!e.active && this.onBeforePlay) this.onBeforePlay();
+      e.seek(parseFloat(this._scrubber.value));
+    });
+    timeline.appendChild(this._scrubber);
+
+    this._timeLabel = document.createElement('span');
+    Object.assign(this._timeLabel.style, {
+      fontSize: '10px',
+      fontFamily: 'var(--font-mono)',
+      color: 'var(--text-secondary)',
+      minWidth: '34px',
+      textAlign: 'right',
+    });
+    timeline.appendChild(this._timeLabel);
+
+    p.appendChild(timeline);
+    document.body.appendChild(p);
+
+    this._updateTime(0);
+    this._syncTransport();
+  }
+
+  _syncTransport() {
+    this._playBtn.textContent = this.engine.playing ? 'Pause' : 'Play';
+  }
+
+  _updateTime(t) {
+    if (!this._scrubber) return;
+    this._scrubber.value = t;
+    this._timeLabel.textContent = `${t.toFixed(1)}s`;
+    this._syncTransport();
+  }
+
+  // ── Form Helpers ──
+
+  _row(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _select(options, currentValue, onChange) {
+    const select = document.createElement('select');
+    select.className = 'prop-input';
+    for (const opt of options) {
+      const o = document.createElement('option');
+      o.value = opt.value;
+      o.textContent = opt.label;
+      o.selected = opt.value === currentValue;
+      select.appendChild(o);
+    }
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  _color(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.className = 'prop-input';
+    input.value = value;
+    input.addEventListener('input', () => onChange(input.value));
+    return input;
+  }
+
+  _range(value, min, max, step, format, onChange) {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.flex = '1';
+    wrap.style.gap = '6px';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'prop-range';
+    slider.min = min;
+    slider.max = max;
+    slider.step = step;
+    slider.value = value;
+    const display = document.createElement('span');
+    display.style.fontSize = '10px';
+    display.style.fontFamily = 'var(--font-mono)';
+    display.style.color = 'var(--text-secondary)';
+    display.style.minWidth = '36px';
+    display.style.textAlign = 'right';
+    display.textContent = format(value);
+    slider.addEventListener('input', () => {
+      const v = parseFloat(slider.value);
+      display.textContent = format(v);
+      onChange(v);
+    });
+    wrap.appendChild(slider);
+    wrap.appendChild(display);
+    return wrap;
+  }
+
+  // ── Drag ───────────────────────────────────────────────
+
+  _setupDrag() {
+    let dragging = false;
+    let startX, startY, startLeft, startTop;
+
+    this._header.addEventListener('pointerdown', (e) => {
+      dragging = true;
+      this._header.style.cursor = 'grabbing';
+      startX = e.clientX;
+      startY = e.clientY;
+      const rect = this._panel.getBoundingClientRect();
+      startLeft = rect.left;
+      startTop = rect.top;
+      e.preventDefault();
+    });
+
+    document.addEventListener('pointermove', (e) => {
+      if (!dragging) return;
+      this._panel.style.left = (startLeft + e.clientX - startX) + 'px';
+      this._panel.style.top = (startTop + e.clientY - startY) + 'px';
+      this._panel.style.right = 'auto';
+      this._panel.style.bottom = 'auto';
+    });
+
+    document.addEventListener('pointerup', () => {
+      if (dragging) {
+        dragging = false;
+        this._header.style.cursor = 'grab';
+      }
+    });
+  }
+}
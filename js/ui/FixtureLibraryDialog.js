@@ -0,0 +1,206 @@
+import { getUserPresets, removeUserPreset } from '../tube/FixturePresets.js';
+
+/**
+ * Modal dialog for managing the user fixture preset library:
+ * use / edit / delete entries and import / export the library as JSON.
+ * Follows the same pattern as CustomFixtureDialog.
+ */
+export class FixtureLibraryDialog {
+  constructor() {
+    this.onUse = null;    // (presetId) => {}
+    this.onEdit = null;   // (presetId|null) => {}  null = new entry
+    this.onImport = null; // () => {}
+    this.onExport = null; // () => {}
+    this._overlay = null;
+    this._build();
+  }
+
+  show() {
+    this.refresh();
+    this._overlay.classList.add('visible');
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  get visible() {
+    return this._overlay.classList.contains('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this.hide();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>FIXTURE LIBRARY</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (list)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    const importBtn = document.createElement('button');
+    importBtn.className = 'btn';
+    importBtn.textContent = 'Import JSON';
+    importBtn.addEventListener('click', () => {
+      if (this.onImport) this.onImport();
+    });
+    this._exportBtn = document.createElement('button');
+    this._exportBtn.className = 'btn';
+    this._exportBtn.textContent = 'Export JSON';
+    this._exportBtn.addEventListener('click', () => {
+      if (this.onExport) this.onExport();
+    });
+    const newBtn = document.createElement('button');
+    newBtn.className = 'btn btn-primary';
+    newBtn.textContent = 'New Fixture';
+    newBtn.addEventListener('click', () => {
+      this.hide();
+      if (this.onEdit) this.onEdit(null);
+    });
+    footer.appendChild(importBtn);
+    footer.appendChild(this._exportBtn);
+    footer.appendChild(newBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+    });
+  }
+
+  /** Rebuild the list from the library (call after it changes). */
+  refresh() {
+    this._body.innerHTML = '';
+    const presets = getUserPresets();
+    this._exportBtn.disabled = presets.length === 0;
+
+    const section = this._section(`Library (${presets.length})`);
+    if (presets.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.fontSize = '11px';
+      empty.style.color = 'var(--text-muted)';
+      empty.style.padding = '6px 0';
+      empty.textContent = 'No fixtures yet. Create one or import a library JSON.';
+      section.appendChild(empty);
+    }
+
+    for (const preset of presets) {
+      const row = document.createElement('div');
+      row.className = 'prop-row';
+      row.style.alignItems = 'flex-start';
+
+      const info = document.createElement('div');
+      info.style.flex = '1';
+      info.style.minWidth = '0';
+      const name = document.createElement('div');
+      name.style.fontSize = '12px';
+      name.style.color = 'var(--text-primary)';
+      name.textContent = preset.label;
+      info.appendChild(name);
+      const details = document.createElement('div');
+      details.style.fontSize = '10px';
+      details.style.color = 'var(--text-muted)';
+      details.style.lineHeight = '1.4';
+      details.textContent = FixtureLibraryDialog.describe(preset);
+      info.appendChild(details);
+      row.appendChild(info);
+
+      row.appendChild(this._smallButton('Use', () => {
+        this.hide();
+        if (this.onUse) this.onUse(preset.id);
+      }));
+      row.appendChild(this._smallButton('Edit', () => {
+        this.hide();
+        if (this.onEdit) this.onEdit(preset.id);
+      }));
+      const delBtn = this._smallButton('Delete', () => {
+        if (!confirm(`Remove "${preset.label}" from the library?`)) return;
+        removeUserPreset(preset.id);
+      });
+      delBtn.classList.add('btn-danger');
+      row.appendChild(delBtn);
+
+      section.appendChild(row);
+    }
+    this._body.appendChild(section);
+
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    hint.textContent = 'The library is stored in this browser. Export it as JSON to share one '
+      + 'product catalog with the team; importing updates entries with the same ID.';
+    this._body.appendChild(hint);
+  }
+
+  /**
+   * One-line summary of a preset's product data.
+   * @param {object} preset
+   * @returns {string}
+   */
+  static describe(preset) {
+    const parts = [];
+    const product = [preset.manufacturer, preset.sku].filter(Boolean).join(' ');
+    if (product) parts.push(product);
+    if (preset.profile === 'rect' && preset.widthMm && preset.heightMm) {
+      parts.push(`${preset.widthMm}x${preset.heightMm}mm`);
+    } else if (preset.diameterMm) {
+      parts.push(`${preset.diameterMm}mm`);
+    }
+    if (preset.pixelsPerMeter) parts.push(`${preset.pixelsPerMeter}px/m`);
+    if (preset.bendRadiusMm) {
+      const dir = preset.bendDirection && preset.bendDirection !== 'any' ? ` ${preset.bendDirection}-bend` : '';
+      parts.push(`R${preset.bendRadiusMm}mm${dir}`);
+    }
+    if (preset.cutIncrementMm) parts.push(`cut ${preset.cutIncrementMm}mm`);
+    else if (preset.cutEveryPixels) parts.push(`cut every ${preset.cutEveryPixels}px`);
+    if (preset.wattsPerMeter) parts.push(`${preset.wattsPerMeter}W/m`);
+    if (preset.voltage) parts.push(`${preset.voltage}V`);
+    return parts.join(' · ');
+  }
+
+  _smallButton(text, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'btn cfd-quick-btn';
+    btn.style.marginLeft = '4px';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // Form helpers (same pattern as CustomFixtureDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+}
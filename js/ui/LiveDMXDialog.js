@@ -0,0 +1,176 @@
+import { LIVE_PROTOCOLS } from '../dmx/LiveDMXInput.js';
+
+/**
+ * Modal dialog for connecting the live DMX preview to a WebSocket bridge.
+ * Follows the same pattern as CustomFixtureDialog.
+ */
+export class LiveDMXDialog {
+  constructor() {
+    this.onConnect = null;    // ({ url, protocol }) => {}
+    this.onDisconnect = null; // () => {}
+    this._overlay = null;
+    this._lastConfig = {
+      url: 'ws://localhost:9000',
+      protocol: 'artnet',
+    };
+    this._build();
+  }
+
+  /**
+   * @param {boolean} active - whether live input is currently running
+   */
+  show(active) {
+    this._active = active;
+    this._populateForm(this._lastConfig);
+    this._confirmBtn.textContent = active ? 'Reconnect' : 'Connect';
+    this._disconnectBtn.style.display = active ? '' : 'none';
+    this._overlay.classList.add('visible');
+    requestAnimationFrame(() => {
+      const urlInput = this._panel.querySelector('#ldmx-url');
+      if (urlInput) urlInput.focus();
+    });
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this.hide();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>LIVE DMX INPUT</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (form)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    this._disconnectBtn = document.createElement('button');
+    this._disconnectBtn.className = 'btn';
+    this._disconnectBtn.textContent = 'Disconnect';
+    this._disconnectBtn.addEventListener('click', () => {
+      this.hide();
+      if (this.onDisconnect) this.onDisconnect();
+    });
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this.hide());
+    this._confirmBtn = document.createElement('button');
+    this._confirmBtn.className = 'btn btn-primary';
+    this._confirmBtn.textContent = 'Connect';
+    this._confirmBtn.addEventListener('click', () => this._confirm());
+    footer.appendChild(this._disconnectBtn);
+    footer.appendChild(cancelBtn);
+    footer.appendChild(this._confirmBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') this._confirm();
+    });
+  }
+
+  _populateForm(cfg) {
+    this._body.innerHTML = '';
+
+    const bridgeSection = this._section('Bridge');
+
+    const urlInput = document.createElement('input');
+    urlInput.type = 'text';
+    urlInput.className = 'prop-input';
+    urlInput.id = 'ldmx-url';
+    urlInput.value = cfg.url;
+    urlInput.placeholder = 'ws://localhost:9000';
+    urlInput.style.flex = '1';
+    this._formRow(bridgeSection, 'URL', urlInput);
+
+    const protoSelect = document.createElement('select');
+    protoSelect.className = 'prop-input';
+    protoSelect.id = 'ldmx-protocol';
+    for (const [value, p] of Object.entries(LIVE_PROTOCOLS)) {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = p.label;
+      o.selected = value === cfg.protocol;
+      protoSelect.appendChild(o);
+    }
+    this._formRow(bridgeSection, 'Protocol', protoSelect);
+
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    hint.textContent = 'Browsers cannot receive UDP directly. Run a local bridge that forwards '
+      + 'each universe as a WebSocket message: binary [uint16 universe][512 channels] '
+      + 'or JSON {"universe": n, "data": [...]}. Pixels follow each tube\'s DMX patch.';
+    bridgeSection.appendChild(hint);
+
+    this._body.appendChild(bridgeSection);
+  }
+
+  _confirm() {
+    const urlInput = this._body.querySelector('#ldmx-url');
+    const url = (urlInput?.value || '').trim();
+    if (!/^wss?:\/\//i.test(url)) {
+      if (urlInput) {
+        urlInput.style.borderColor = '#ff4444';
+        urlInput.focus();
+        setTimeout(() => { urlInput.style.borderColor = ''; }, 1500);
+      }
+      return;
+    }
+    const protocol = this._body.querySelector('#ldmx-protocol')?.value || 'artnet';
+    this._lastConfig = { url, protocol };
+    this.hide();
+    if (this.onConnect) this.onConnect({ url, protocol });
+  }
+
+  // Form helpers (same pattern as CustomFixtureDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+
+  _formRow(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+}
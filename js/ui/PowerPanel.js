@@ -0,0 +1,390 @@
+import { POWER_DEFAULTS } from '../power/PowerBudget.js';
+
+/**
+ * Floating, draggable power budget panel: PSU / voltage-drop settings,
+ * totals, per-tube feeds with injection points and the PSU grouping.
+ * Same look as the EffectsPanel.
+ */
+export class PowerPanel {
+  constructor() {
+    this.visible = false;
+    this.settings = { ...POWER_DEFAULTS };
+
+    this.onChange = null;           // (settings) => {} — recompute the report
+    this.onVisibilityChange = null; // (visible) => {}
+    this.onSelectTube = null;       // (tubeId) => {}
+    this.onExport = null;           // (format: 'html'|'csv') => {}
+
+    this._report = null;
+    this._inputs = {};
+
+    this._createPanel();
+    this._setupDrag();
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+  }
+
+  show() {
+    this.visible = true;
+    this._panel.style.display = 'flex';
+    if (this.onVisibilityChange) this.onVisibilityChange(true);
+  }
+
+  hide() {
+    this.visible = false;
+    this._panel.style.display = 'none';
+    if (this.onVisibilityChange) this.onVisibilityChange(false);
+  }
+
+  /**
+   * Replace the settings (e.g. from a loaded project). Missing keys use the defaults.
+   * @param {object} [settings]
+   */
+  setSettings(settings) {
+    this.settings = { ...POWER_DEFAULTS, ...(settings || {}) };
+    for (const [key, input] of Object.entries(this._inputs)) {
+      input.value = this.settings[key];
+    }
+  }
+
+  /**
+   * @param {import('../power/PowerBudget.js').PowerReport} report
+   */
+  update(report) {
+    this._report = report;
+    this._render();
+  }
+
+  _createPanel() {
+    this._panel = document.createElement('div');
+    const p = this._panel;
+    p.id = 'power-panel';
+    Object.assign(p.style, {
+      position: 'fixed',
+      top: '120px',
+      right: '300px',
+      width: '340px',
+      maxHeight: '70vh',
+      display: 'none',
+      flexDirection: 'column',
+      background: 'rgba(15, 15, 30, 0.88)',
+      border: '1px solid rgba(0, 212, 255, 0.3)',
+      borderRadius: '10px',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.5), 0 0 20px rgba(0, 212, 255, 0.1)',
+      backdropFilter: 'blur(12px)',
+      zIndex: '500',
+      fontFamily: "var(--font-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif)",
+      overflow: 'hidden',
+      userSelect: 'none',
+    });
+
+    // Header
+    this._header = document.createElement('div');
+    Object.assign(this._header.style, {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '8px 12px',
+      background: 'rgba(0, 212, 255, 0.08)',
+      borderBottom: '1px solid rgba(0, 212, 255, 0.15)',
+      cursor: 'grab',
+    });
+
+    const title = document.createElement('span');
+    Object.assign(title.style, {
+      fontSize: '12px',
+      fontWeight: '700',
+      color: '#00d4ff',
+      letterSpacing: '1px',
+      textTransform: 'uppercase',
+    });
+    title.textContent = 'Power Budget';
+    this._header.appendChild(title);
+
+    const closeBtn = document.createElement('button');
+    Object.assign(closeBtn.style, {
+      background: 'none',
+      border: 'none',
+      color: '#8899aa',
+      fontSize: '18px',
+      cursor: 'pointer',
+      padding: '0 4px',
+      lineHeight: '1',
+    });
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => this.hide());
+    closeBtn.addEventListener('mouseenter', () => closeBtn.style.color = '#fff');
+    closeBtn.addEventListener('mouseleave', () => closeBtn.style.color = '#8899aa');
+    this._header.appendChild(closeBtn);
+    p.appendChild(this._header);
+
+    // Settings
+    const settings = document.createElement('div');
+    Object.assign(settings.style, {
+      padding: '8px 12px',
+      borderBottom: '1px solid rgba(42, 42, 78, 0.6)',
+    });
+    this._row(settings, 'PSU Size', this._number('psuWatts', 10, 5000, 10, 'W'));
+    this._row(settings, 'Headroom', this._number('headroomPct', 0, 90, 5, '%'));
+    this._row(settings, 'Max Drop', this._number('maxDropPct', 1, 50, 1, '%'));
+    this._row(settings, 'Bus Resist.', this._number('busOhmsPerM', 0.001, 1, 0.005, 'Ω/m'));
+    this._row(settings, 'Default V', this._number('defaultVoltage', 5, 48, 1, 'V'));
+    p.appendChild(settings);
+
+    // Body (results)
+    this._body = document.createElement('div');
+    Object.assign(this._body.style, {
+      padding: '6px 12px 10px',
+      overflowY: 'auto',
+      scrollbarWidth: 'thin',
+      flex: '1',
+    });
+    p.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    Object.assign(footer.style, {
+      display: 'flex',
+      gap: '6px',
+      justifyContent: 'flex-end',
+      padding: '8px 12px',
+      borderTop: '1px solid rgba(42, 42, 78, 0.6)',
+    });
+    const csvBtn = document.createElement('button');
+    csvBtn.className = 'btn';
+    csvBtn.textContent = 'Export CSV';
+    csvBtn.addEventListener('click', () => {
+      if (this.onExport) this.onExport('csv');
+    });
+    const htmlBtn = document.createElement('button');
+    htmlBtn.className = 'btn btn-primary';
+    htmlBtn.textContent = 'Export Report';
+    htmlBtn.addEventListener('click', () => {
+      if (this.onExport) this.onExport('html');
+    });
+    footer.appendChild(csvBtn);
+    footer.appendChild(htmlBtn);
+    p.appendChild(footer);
+
+    document.body.appendChild(p);
+  }
+
+  _render() {
+    this._body.innerHTML = '';
+    const report = this._report;
+    if (!report) return;
+
+    if (report.tubes.length === 0) {
+      if (report.unpowered.length === 0) {
+        this._note('No tubes yet.', 'var(--text-muted)');
+        return;
+      }
+      this._note('No tube has power data. Set Power (W/m) and Voltage on the fixture preset in the Fixture Library.',
+        'var(--text-muted)');
+      this._renderUnpowered(report);
+      return;
+    }
+
+    // Totals per voltage
+    const excluded = report.unpowered.length > 0 ? ` · ${report.unpowered.length} unknown` : '';
+    const totals = this._section(`Total ${report.totals.watts.toFixed(0)} W · ${report.psus.length} PSU(s)${excluded}`);
+    for (const v of report.totals.byVoltage) {
+      this._line(totals, `${v.voltage} V`, `${v.watts.toFixed(0)} W · ${v.amps.toFixed(1)} A · ${v.psus} PSU(s)`);
+    }
+    if (report.totals.injections > 0) {
+      this._line(totals, 'Injection', `${report.totals.injections} point(s)`, '#ffaa44');
+    }
+
+    // Tubes
+    const tubes = this._section(`Tubes (${report.tubes.length})`);
+    for (const tp of report.tubes) {
+      const inject = tp.injections.length > 0
+        ? ` · inject at ${tp.injections.map(i => i.distM.toFixed(2)).join(' / ')} m`
+        : '';
+      const text = `${tp.watts.toFixed(0)} W · ${tp.amps.toFixed(1)} A · drop ${tp.dropPct.toFixed(1)}%${inject}`;
+      const row = this._line(tubes, tp.name, text, tp.injections.length > 0 ? '#ffaa44' : null);
+      row.style.cursor = 'pointer';
+      row.title = `Fed from the start only: ${tp.dropPctSingleFeed.toFixed(1)}% drop`;
+      row.addEventListener('click', () => {
+        if (this.onSelectTube) this.onSelectTube(tp.tubeId);
+      });
+    }
+    this._renderUnpowered(report);
+
+    // PSUs
+    const psus = this._section('Power Supplies');
+    for (const psu of report.psus) {
+      const feeds = psu.feeds
+        .map(f => (f.feeds > 1 ? `${f.name} ${f.feed}/${f.feeds}` : f.name))
+        .join(', ');
+      const row = this._line(psus, `PSU ${psu.index}`,
+        `${psu.voltage} V · ${psu.loadW.toFixed(0)}/${psu.ratedW} W (${psu.loadPct.toFixed(0)}%)`);
+      row.title = feeds;
+      const list = document.createElement('div');
+      Object.assign(list.style, {
+        fontSize: '10px',
+        color: 'var(--text-muted)',
+        lineHeight: '1.4',
+        margin: '0 0 4px 4px',
+      });
+      list.textContent = feeds;
+      psus.appendChild(list);
+    }
+
+    const hint = document.createElement('div');
+    Object.assign(hint.style, {
+      fontSize: '10px',
+      color: 'var(--text-muted)',
+      lineHeight: '1.4',
+      marginTop: '6px',
+    });
+    hint.textContent = 'Each tube is fed at its start; injection points (marked in the viewport) '
+      + 'keep the drop under the limit and each feed within one PSU after headroom.';
+    this._body.appendChild(hint);
+  }
+
+  /**
+   * Tubes left out of every total because their preset has no W/m.
+   * @param {import('../power/PowerBudget.js').PowerReport} report
+   */
+  _renderUnpowered(report) {
+    if (report.unpowered.length === 0) return;
+    const list = this._section(`Unknown Power (${report.unpowered.length})`);
+    for (const u of report.unpowered) {
+      const row = this._line(list, u.name, 'no W/m · not in totals', '#ffaa44');
+      row.style.cursor = 'pointer';
+      row.addEventListener('click', () => {
+        if (this.onSelectTube) this.onSelectTube(u.tubeId);
+      });
+    }
+  }
+
+  // ── Helpers ──
+
+  _section(title) {
+    const div = document.createElement('div');
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.style.marginTop = '6px';
+    t.textContent = title;
+    div.appendChild(t);
+    this._body.appendChild(div);
+    return div;
+  }
+
+  _line(parent, label, text, color = null) {
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      gap: '6px',
+      padding: '2px 4px',
+      fontSize: '11px',
+      borderRadius: '4px',
+    });
+    const name = document.createElement('span');
+    Object.assign(name.style, {
+      color: 'var(--text-primary)',
+      flexShrink: '0',
+      maxWidth: '110px',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+    });
+    name.textContent = label;
+    row.appendChild(name);
+    const value = document.createElement('span');
+    value.style.color = color || 'var(--text-secondary)';
+    value.style.fontFamily = 'var(--font-mono)';
+    value.textContent = text;
+    row.appendChild(value);
+    parent.appendChild(row);
+    return row;
+  }
+
+  _note(text, color) {
+    const div = document.createElement('div');
+    Object.assign(div.style, { fontSize: '11px', color, padding: '6px 0', lineHeight: '1.4' });
+    div.textContent = text;
+    this._body.appendChild(div);
+  }
+
+  _row(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _number(key, min, max, step, unit) {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.flex = '1';
+    wrap.style.gap = '3px';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'prop-input';
+    input.value = this.settings[key];
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.addEventListener('change', () => {
+      const v = parseFloat(input.value);
+      if (!Number.isFinite(v)) {
+        input.value = this.settings[key];
+        return;
+      }
+      this.settings[key] = Math.min(max, Math.max(min, v));
+      input.value = this.settings[key];
+      if (this.onChange) this.onChange(this.settings);
+    });
+    this._inputs[key] = input;
+    wrap.appendChild(input);
+    const suf = document.createElement('span');
+    suf.style.fontSize = '10px';
+    suf.style.color = 'var(--text-muted)';
+    suf.textContent = unit;
+    wrap.appendChild(suf);
+    return wrap;
+  }
+
+  // ── Drag ───────────────────────────────────────────────
+
+  _setupDrag() {
+    let dragging = false;
+    let startX, startY, startLeft, startTop;
+
+    this._header.addEventListener('pointerdown', (e) => {
+      dragging = true;
+      this._header.style.cursor = 'grabbing';
+      startX = e.clientX;
+      startY = e.clientY;
+      const rect = this._panel.getBoundingClientRect();
+      startLeft = rect.left;
+      startTop = rect.top;
+      e.preventDefault();
+    });
+
+    document.addEventListener('pointermove', (e) => {
+      if (!dragging) return;
+      this._panel.style.left = (startLeft + e.clientX - startX) + 'px';
+      this._panel.style.top = (startTop + e.clientY - startY) + 'px';
+      this._panel.style.right = 'auto';
+      this._panel.style.bottom = 'auto';
+    });
+
+    document.addEventListener('pointerup', () => {
+      if (dragging) {
+        dragging = false;
+        this._header.style.cursor = 'grab';
+      }
+    });
+  }
+}
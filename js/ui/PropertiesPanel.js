@@ -2,7 +2,9 @@ import { TubeMaterialFactory } from '../tube/TubeMaterialFactory.js';
 import { PIXEL_PITCH_PRESETS, TUBE_DIAMETERS_MM, FLAT_TUBE_SIZES_MM } from '../utils/Units.js';
 import { CurveBuilder } from '../drawing/CurveBuilder.js';
 import { ReferenceModel } from '../ref/ReferenceModel.js';
-import { getPresetById, getPresetList } from '../tube/FixturePresets.js';
+import { getPresetById, getPresetList, applyPresetToTube } from '../tube/FixturePresets.js';
+import { tubeCutRules } from '../tube/CutRules.js';
+import { tubeBendRules, BEND_DIRECTIONS } from '../tube/BendAnalyzer.js';
 
 /**
  * Right-side properties panel for editing selected tube or ref model parameters.
@@ -24,6 +26,16 @@ export class PropertiesPanel {
     this.onResize = null;            // (tube, targetLengthMm) => {}
     this.onReverse = null;           // (tube) => {}
     this.onShapeDimensionChange = null; // (tube, shapeType, dimensions) => {}
+    this.onAutoPatch = null;         // (tubes[]) => {}
+    this.onJoinTubes = null;         // ({ toleranceM, close }) => {}
+    this.onArray = null;             // () => {} — open the array dialog for the selection
+    this.onTransform = null;         // (mode) => {} — open the rotate / mirror dialog ('rotate' | 'mirror')
+    this.onImportGdtf = null;        // (tubes[]) => {} — import a .gdtf and assign it
+    this.gdtfLibrary = null;         // GDTFLibrary, set by UIManager
+    this.patchConflicts = new Map(); // tubeId → DMX overlaps, set by UIManager
+    this.cutWarnings = new Map();    // tubeId → unbuildable length problems, set by UIManager
+    this.bendViolations = new Map(); // tubeId → bend radius analysis, set by UIManager
+    this.controllerManager = null;   // set by UIManager — wired tubes are patched by their chain
     this.hasRefModels = false;       // set by UIManager when ref models exist
 
     this._showEmpty();
@@ -92,14 +104,8 @@ export class PropertiesPanel {
       (val) => {
         tube.fixturePreset = val;
         const preset = getPresetById(val);
-        if (preset) {
-          // Apply all non-null preset values to the tube
-          if (preset.profile != null) tube.profile = preset.profile;
-          if (preset.diameterMm != null) tube.diameterMm = preset.diameterMm;
-          if (preset.pixelsPerMeter != null) tube.pixelsPerMeter = preset.pixelsPerMeter;
-          if (preset.dmxChannelsPerPixel != null) tube.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-          if (preset.materialPreset != null) tube.materialPreset = preset.materialPreset;
-        }
+        // Apply all non-null preset values to the tube
+        applyPresetToTube(tube, preset);
         this._emit('fixturePreset');
         this._build(); // Rebuild to reflect new values
       }
@@ -483,31 +489,89 @@ export class PropertiesPanel {
       tube.fixtureId = Math.round(val);
       this._emit('fixtureId');
     }));
-    this._row(dmxGroup, 'Universe', this._numberInput(tube.dmxUniverse, 1, 999, 1, '', (val) => {
+    const uniInput = this._numberInput(tube.dmxUniverse, 1, 999, 1, '', (val) => {
       tube.dmxUniverse = Math.round(val);
       this._emit('dmxUniverse');
       this._build();
-    }));
-    this._row(dmxGroup, 'Address', this._numberInput(tube.dmxAddress, 1, maxStartAddr, 1, `/ ${maxStartAddr}`, (val) => {
+    });
+    const addrInput = this._numberInput(tube.dmxAddress, 1, maxStartAddr, 1, `/ ${maxStartAddr}`, (val) => {
       tube.dmxAddress = Math.min(Math.round(val), maxStartAddr);
       this._emit('dmxAddress');
       this._build();
-    }));
-    this._row(dmxGroup, 'Ch/Pixel', this._select(
-      [
-        { value: '3', label: 'RGB (3ch)' },
-        { value: '4', label: 'RGBW (4ch)' },
-      ],
-      String(tube.dmxChannelsPerPixel),
-      (val) => {
-        tube.dmxChannelsPerPixel = parseInt(val);
-        // Clamp address to new max
-        const newMax = 512 - tube.dmxChannelsPerPixel + 1;
-        if (tube.dmxAddress > newMax) tube.dmxAddress = newMax;
-        this._emit('dmxChannelsPerPixel');
-        this._build();
+    });
+    this._row(dmxGroup, 'Universe', uniInput);
+    this._row(dmxGroup, 'Address', addrInput);
+
+    // Wired to a controller port: the chain order sets universe / address
+    const wiring = this.controllerManager ? this.controllerManager.findAssignment(tube.id) : null;
+    if (wiring) {
+      for (const wrap of [uniInput, addrInput]) {
+        const input = wrap.querySelector('input');
+        input.disabled = true;
+        input.title = 'Set by the controller data chain';
       }
-    ));
+      const wired = document.createElement('div');
+      wired.className = 'prop-row';
+      wired.innerHTML = `<span class="prop-label">Wired</span><span style="font-size:11px;font-family:var(--font-mono);color:var(--accent-dim)"></span>`;
+      wired.lastChild.textContent = `${wiring.controller.name} · Port ${wiring.port + 1} · #${wiring.index + 1}`;
+      dmxGroup.appendChild(wired);
+    }
+
+    // Fixture type: imported GDTF or built-in generic (UV-mapped tubes have no fixtures)
+    const gdtf = this.gdtfLibrary ? this.gdtfLibrary.resolve(tube) : null;
+    if (this.gdtfLibrary && (tube.isPlaceholder || tube.pixelMode !== 'uv-mapped')) {
+      this._row(dmxGroup, 'Fixture', this._select(
+        this._gdtfOptions(tube.isPlaceholder, tube.gdtfFixture),
+        tube.gdtfFixture,
+        (val) => {
+          if (val === '__import__') {
+            this._build();
+            if (this.onImportGdtf) this.onImportGdtf([tube]);
+            return;
+          }
+          this.gdtfLibrary.assign(tube, val);
+          this._emit('gdtfFixture');
+          this._build();
+        }
+      ));
+      if (gdtf) {
+        this._row(dmxGroup, 'Mode', this._select(
+          gdtf.fixture.modes.map(m => ({ value: m.name, label: `${m.name} (${m.footprint}ch)` })),
+          gdtf.mode.name,
+          (val) => {
+            this.gdtfLibrary.assign(tube, tube.gdtfFixture, val);
+            this._emit('gdtfMode');
+            this._build();
+          }
+        ));
+      }
+    }
+
+    if (gdtf) {
+      // Footprint comes from the GDTF mode
+      const chText = document.createElement('span');
+      chText.style.fontSize = '11px';
+      chText.style.fontFamily = 'var(--font-mono)';
+      chText.style.color = 'var(--text-secondary)';
+      chText.textContent = `${gdtf.mode.footprint}ch (GDTF)`;
+      this._row(dmxGroup, 'Ch/Pixel', chText);
+    } else {
+      this._row(dmxGroup, 'Ch/Pixel', this._select(
+        [
+          { value: '3', label: 'RGB (3ch)' },
+          { value: '4', label: 'RGBW (4ch)' },
+        ],
+        String(tube.dmxChannelsPerPixel),
+        (val) => {
+          tube.dmxChannelsPerPixel = parseInt(val);
+          // Clamp address to new max
+          const newMax = 512 - tube.dmxChannelsPerPixel + 1;
+          if (tube.dmxAddress > newMax) tube.dmxAddress = newMax;
+          this._emit('dmxChannelsPerPixel');
+          this._build();
+        }
+      ));
+    }
 
     // Show computed patch summary
     if (tube.isValid) {
@@ -558,14 +622,31 @@ export class PropertiesPanel {
       }
     }
 
+    // Overlaps with other tubes
+    const conflicts = this.patchConflicts.get(tube.id);
+    if (conflicts && conflicts.length > 0) {
+      const warn = document.createElement('div');
+      warn.style.fontSize = '10px';
+      warn.style.color = '#ff4444';
+      warn.style.lineHeight = '1.4';
+      warn.style.marginTop = '4px';
+      warn.textContent = conflicts
+        .map(c => `Overlaps ${c.otherName} at U${c.universe}.${c.address}`)
+        .join(' · ');
+      dmxGroup.appendChild(warn);
+    }
+
     this.container.appendChild(dmxGroup);
 
     // Curve
     const curveGroup = this._group('Curve');
-    this._row(curveGroup, 'Tension', this._numberInput(tube.tension, 0, 1, 0.05, '', (val) => {
-      tube.tension = val;
-      this._emit('tension');
-    }));
+    // Bezier tubes follow their pen path — tension has nothing to shape
+    if (!tube.isBezier) {
+      this._row(curveGroup, 'Tension', this._numberInput(tube.tension, 0, 1, 0.05, '', (val) => {
+        tube.tension = val;
+        this._emit('tension');
+      }));
+    }
 
     const closedRow = document.createElement('div');
     closedRow.className = 'toggle-row';
@@ -592,8 +673,8 @@ export class PropertiesPanel {
     this.container.appendChild(curveGroup);
 
     // Tools
+    const toolsGroup = this._group('Tools');
     if (this.hasRefModels) {
-      const toolsGroup = this._group('Tools');
       const snapBtn = document.createElement('button');
       snapBtn.className = 'btn btn-block';
       snapBtn.textContent = 'Snap to Ref';
@@ -602,8 +683,9 @@ export class PropertiesPanel {
         if (this.onSnapToRef) this.onSnapToRef(tube);
       });
       toolsGroup.appendChild(snapBtn);
-      this.container.appendChild(toolsGroup);
     }
+    toolsGroup.appendChild(this._transformButtons());
+    this.container.appendChild(toolsGroup);
 
     // Shape Dimensions (for circles and rectangles)
     if (tube.isValid && tube.closed) {
@@ -656,9 +738,54 @@ export class PropertiesPanel {
         setTimeout(() => this._build(), 50);
       }));
 
+      // Product cut marks (resize snaps to them)
+      const rules = tubeCutRules(tube);
+      if (rules) {
+        const parts = [];
+        if (rules.incrementM > 0) parts.push(`every ${Math.round(rules.incrementM * 10000) / 10}mm`);
+        if (rules.minLengthM > 0) parts.push(`min ${Math.round(rules.minLengthM * 1000)}mm`);
+        const cutInfo = document.createElement('div');
+        cutInfo.className = 'prop-row';
+        cutInfo.innerHTML = `<span class="prop-label">Cut</span><span style="font-size:11px;font-family:var(--font-mono);color:var(--accent-dim)">${parts.join(', ')}</span>`;
+        infoGroup.appendChild(cutInfo);
+      }
+      const cutProblems = this.cutWarnings.get(tube.id);
+      if (cutProblems && cutProblems.length > 0) {
+        const warn = document.createElement('div');
+        warn.style.fontSize = '10px';
+        warn.style.color = '#ffaa44';
+        warn.style.lineHeight = '1.4';
+        warn.style.marginBottom = '4px';
+        warn.textContent = `Can't be built: ${cutProblems.join(' · ')}`;
+        infoGroup.appendChild(warn);
+      }
+
+      // Product bend radius vs the tightest bend of this tube
+      const bendRules = tubeBendRules(tube);
+      if (bendRules) {
+        const dir = bendRules.direction !== 'any' ? ` (${BEND_DIRECTIONS[bendRules.direction].toLowerCase()})` : '';
+        const bendInfo = document.createElement('div');
+        bendInfo.className = 'prop-row';
+        bendInfo.innerHTML = `<span class="prop-label">Min Bend</span><span style="font-size:11px;font-family:var(--font-mono);color:var(--accent-dim)">R${Math.round(bendRules.minRadiusM * 1000)}mm${dir}</span>`;
+        infoGroup.appendChild(bendInfo);
+      }
+      const bends = this.bendViolations.get(tube.id);
+      if (bends && bends.violations.length > 0) {
+        const tightest = Math.round(bends.minRadiusM * 1000);
+        const wrongWay = bends.violations.some(v => v.kind === 'direction');
+        const warn = document.createElement('div');
+        warn.style.fontSize = '10px';
+        warn.style.color = '#ff4444';
+        warn.style.lineHeight = '1.4';
+        warn.style.marginBottom = '4px';
+        warn.textContent = `${bends.violations.length} bend(s) too tight — tightest R${tightest}mm`
+          + (wrongWay ? ', bent in the stiff direction' : '');
+        infoGroup.appendChild(warn);
+      }
+
       const ptsInfo = document.createElement('div');
       ptsInfo.className = 'prop-row';
-      ptsInfo.innerHTML = `<span class="prop-label">Points</span><span style="font-size:12px; font-family:var(--font-mono)">${tube.controlPoints.length}</span>`;
+      ptsInfo.innerHTML = `<span class="prop-label">Points</span><span style="font-size:12px; font-family:var(--font-mono)">${tube.isBezier ? `${tube.bezierNodes.length} (bezier)` : tube.controlPoints.length}</span>`;
       infoGroup.appendChild(ptsInfo);
 
       // Reverse button
@@ -727,18 +854,32 @@ export class PropertiesPanel {
         const preset = getPresetById(val);
         for (const tube of tubes) {
           tube.fixturePreset = val;
-          if (preset) {
-            if (preset.profile != null) tube.profile = preset.profile;
-            if (preset.diameterMm != null) tube.diameterMm = preset.diameterMm;
-            if (preset.pixelsPerMeter != null) tube.pixelsPerMeter = preset.pixelsPerMeter;
-            if (preset.dmxChannelsPerPixel != null) tube.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-            if (preset.materialPreset != null) tube.materialPreset = preset.materialPreset;
-          }
+          applyPresetToTube(tube, preset);
         }
         this._emitBatch('fixturePreset');
         this._buildMulti();
       }
     ));
+    const cutWarningCount = tubes.filter(t => this.cutWarnings.has(t.id)).length;
+    if (cutWarningCount > 0) {
+      const warn = document.createElement('div');
+      warn.style.fontSize = '10px';
+      warn.style.color = '#ffaa44';
+      warn.style.lineHeight = '1.4';
+      warn.style.marginTop = '4px';
+      warn.textContent = `${cutWarningCount} selected tube(s) have lengths that can't be ordered (cut marks / min / max length)`;
+      presetGroup.appendChild(warn);
+    }
+    const bendCount = tubes.filter(t => this.bendViolations.has(t.id)).length;
+    if (bendCount > 0) {
+      const warn = document.createElement('div');
+      warn.style.fontSize = '10px';
+      warn.style.color = '#ff4444';
+      warn.style.lineHeight = '1.4';
+      warn.style.marginTop = '4px';
+      warn.textContent = `${bendCount} selected tube(s) bend tighter than the fixture allows`;
+      presetGroup.appendChild(warn);
+    }
     this.container.appendChild(presetGroup);
 
     // Fixture Mode (Placeholder)
@@ -947,7 +1088,10 @@ export class PropertiesPanel {
       mixedCh != null ? String(mixedCh) : String(tubes[0].dmxChannelsPerPixel),
       (val) => {
         const ch = parseInt(val);
-        for (const tube of tubes) tube.dmxChannelsPerPixel = ch;
+        // Tubes with a GDTF fixture keep the mode's footprint
+        for (const tube of tubes) {
+          if (!tube.gdtfFixture) tube.dmxChannelsPerPixel = ch;
+        }
         this._emitBatch('dmxChannelsPerPixel');
       }
     ));
@@ -988,6 +1132,65 @@ export class PropertiesPanel {
     this.container.appendChild(pxGroup);
     } // end if (!allPlaceholders)
 
+    // DMX Patch
+    const dmxGroup = this._group('DMX Patch');
+    const fixtureTubes = tubes.filter(t => t.isPlaceholder || t.pixelMode !== 'uv-mapped');
+    if (this.gdtfLibrary && fixtureTubes.length > 0) {
+      const mixedFixture = this._getMixedValue(fixtureTubes, 'gdtfFixture');
+      const allPlaceholder = fixtureTubes.every(t => t.isPlaceholder);
+      const fixtureOptions = this._gdtfOptions(allPlaceholder, mixedFixture);
+      if (mixedFixture == null) fixtureOptions.unshift({ value: '__mixed__', label: '(mixed)' });
+      this._row(dmxGroup, 'Fixture', this._select(
+        fixtureOptions,
+        mixedFixture != null ? mixedFixture : '__mixed__',
+        (val) => {
+          if (val === '__mixed__') return;
+          if (val === '__import__') {
+            this._buildMulti();
+            if (this.onImportGdtf) this.onImportGdtf(fixtureTubes);
+            return;
+          }
+          for (const tube of fixtureTubes) this.gdtfLibrary.assign(tube, val);
+          this._emitBatch('gdtfFixture');
+          this._buildMulti();
+        }
+      ));
+      const fixture = mixedFixture ? this.gdtfLibrary.get(mixedFixture) : null;
+      if (fixture) {
+        const mixedMode = this._getMixedValue(fixtureTubes, 'gdtfMode');
+        const modeOptions = fixture.modes.map(m => ({ value: m.name, label: `${m.name} (${m.footprint}ch)` }));
+        if (mixedMode == null) modeOptions.unshift({ value: '__mixed__', label: '(mixed)' });
+        this._row(dmxGroup, 'Mode', this._select(
+          modeOptions,
+          mixedMode != null ? mixedMode : '__mixed__',
+          (val) => {
+            if (val === '__mixed__') return;
+            for (const tube of fixtureTubes) this.gdtfLibrary.assign(tube, fixture.id, val);
+            this._emitBatch('gdtfMode');
+            this._buildMulti();
+          }
+        ));
+      }
+    }
+    const conflictCount = tubes.filter(t => this.patchConflicts.has(t.id)).length;
+    if (conflictCount > 0) {
+      const warn = document.createElement('div');
+      warn.style.fontSize = '10px';
+      warn.style.color = '#ff4444';
+      warn.style.marginBottom = '4px';
+      warn.textContent = `${conflictCount} selected tube(s) overlap another tube's DMX range`;
+      dmxGroup.appendChild(warn);
+    }
+    const autoPatchBtn = document.createElement('button');
+    autoPatchBtn.className = 'btn btn-block';
+    autoPatchBtn.textContent = 'Auto-Patch...';
+    autoPatchBtn.title = 'Re-address the selected tubes back to back';
+    autoPatchBtn.addEventListener('click', () => {
+      if (this.onAutoPatch) this.onAutoPatch(tubes);
+    });
+    dmxGroup.appendChild(autoPatchBtn);
+    this.container.appendChild(dmxGroup);
+
     // Curve
     const curveGroup = this._group('Curve');
     const mixedTension = this._getMixedValue(tubes, 'tension');
@@ -1001,9 +1204,47 @@ export class PropertiesPanel {
     ));
     this.container.appendChild(curveGroup);
 
-    // Tools (snap to ref)
+    // Join touching ends into continuous runs
+    const joinGroup = this._group('Join');
+    this._joinToleranceMm = this._joinToleranceMm ?? 5;
+    this._joinClose = this._joinClose ?? true;
+    this._row(joinGroup, 'Tolerance', this._numberInput(
+      this._joinToleranceMm, 0.1, 500, 0.5, 'mm',
+      (val) => { this._joinToleranceMm = val; }
+    ));
+    const closeRow = document.createElement('div');
+    closeRow.className = 'prop-row';
+    const closeLabel = document.createElement('span');
+    closeLabel.className = 'prop-label';
+    closeLabel.textContent = 'Close loops';
+    closeRow.appendChild(closeLabel);
+    const closeToggle = document.createElement('label');
+    closeToggle.className = 'toggle-switch';
+    const closeCb = document.createElement('input');
+    closeCb.type = 'checkbox';
+    closeCb.checked = this._joinClose;
+    closeCb.addEventListener('change', () => { this._joinClose = closeCb.checked; });
+    const closeSlider = document.createElement('span');
+    closeSlider.className = 'toggle-slider';
+    closeToggle.appendChild(closeCb);
+    closeToggle.appendChild(closeSlider);
+    closeRow.appendChild(closeToggle);
+    joinGroup.appendChild(closeRow);
+    const joinBtn = document.createElement('button');
+    joinBtn.className = 'btn btn-block';
+    joinBtn.textContent = 'Join Tubes';
+    joinBtn.title = 'Merge tubes whose ends touch into one continuous run (J)';
+    joinBtn.addEventListener('click', () => {
+      if (this.onJoinTubes) {
+        this.onJoinTubes({ toleranceM: this._joinToleranceMm * 0.001, close: this._joinClose });
+      }
+    });
+    joinGroup.appendChild(joinBtn);
+    this.container.appendChild(joinGroup);
+
+    // Tools (snap to ref, array)
+    const toolsGroup = this._group('Tools');
     if (this.hasRefModels) {
-      const toolsGroup = this._group('Tools');
       const snapBtn = document.createElement('button');
       snapBtn.className = 'btn btn-block';
       snapBtn.textContent = 'Snap All to Ref';
@@ -1014,8 +1255,34 @@ export class PropertiesPanel {
         }
       });
       toolsGroup.appendChild(snapBtn);
-      this.container.appendChild(toolsGroup);
     }
+    toolsGroup.appendChild(this._transformButtons());
+    this.container.appendChild(toolsGroup);
+  }
+
+  /** Array / Rotate / Mirror buttons for the Tools group */
+  _transformButtons() {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.gap = '6px';
+    const button = (label, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-block';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', onClick);
+      row.appendChild(btn);
+    };
+    button('Array...', 'Repeat the selection in a line, around an axis or along a tube', () => {
+      if (this.onArray) this.onArray();
+    });
+    button('Rotate...', 'Rotate the selection around an axis (or press R for the gizmo)', () => {
+      if (this.onTransform) this.onTransform('rotate');
+    });
+    button('Mirror...', 'Mirror the selection across a plane, optionally as a copy', () => {
+      if (this.onTransform) this.onTransform('mirror');
+    });
+    return row;
   }
 
   _emitRef(propName) {
@@ -1385,6 +1652,23 @@ export class PropertiesPanel {
     return wrap;
   }
 
+  /**
+   * Fixture type options: built-in generic, imported GDTFs, and an import entry.
+   * @param {boolean} placeholder - label the built-in entry for placeholders
+   * @param {string} [currentId] - listed as missing if it's not in the library
+   */
+  _gdtfOptions(placeholder, currentId) {
+    const options = [{ value: '', label: placeholder ? 'Generic Placeholder' : 'Generic LED' }];
+    for (const f of this.gdtfLibrary.list()) {
+      options.push({ value: f.id, label: f.manufacturer ? `${f.manufacturer} ${f.name}` : f.name });
+    }
+    if (currentId && !this.gdtfLibrary.get(currentId)) {
+      options.push({ value: currentId, label: 'Missing GDTF (exports as generic)' });
+    }
+    options.push({ value: '__import__', label: 'Import GDTF...' });
+    return options;
+  }
+
   _select(options, currentValue, onChange) {
     const select = document.createElement('select');
     select.className = 'prop-input';
@@ -0,0 +1,239 @@
+/**
+ * Modal dialog for importing an SVG as tubes.
+ * Same layout and options as TextToTubeDialog: plane, size and curve detail,
+ * plus a simplification tolerance for dense artwork.
+ */
+export class SVGImportDialog {
+  constructor() {
+    this.onConfirm = null; // ({ file, plane, size, divisions, simplifyMm }) => {}
+    this.onCancel = null;  // () => {}
+    this._overlay = null;
+    this._lastConfig = {
+      plane: 'XZ',
+      size: 1.0,
+      divisions: 12,
+      simplifyMm: 1,
+    };
+    this._build();
+  }
+
+  /**
+   * @param {object} [defaults] - overrides for the last used config (e.g. { plane })
+   */
+  show(defaults) {
+    this._populateForm({ ...this._lastConfig, ...defaults });
+    this._overlay.classList.add('visible');
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this._cancel();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>IMPORT SVG</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this._cancel());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (form)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this._cancel());
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary';
+    confirmBtn.textContent = 'Import';
+    confirmBtn.addEventListener('click', () => this._confirm());
+    footer.appendChild(cancelBtn);
+    footer.appendChild(confirmBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this._cancel();
+      if (e.key === 'Enter') this._confirm();
+    });
+  }
+
+  _populateForm(cfg) {
+    this._body.innerHTML = '';
+
+    // File section
+    const fileSection = this._section('File');
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.id = 'svg-file';
+    fileInput.accept = '.svg';
+    fileInput.style.flex = '1';
+    fileInput.style.fontSize = '11px';
+    this._formRow(fileSection, 'SVG', fileInput);
+    this._body.appendChild(fileSection);
+
+    // Placement section
+    const placeSection = this._section('Placement');
+
+    const planeSelect = document.createElement('select');
+    planeSelect.className = 'prop-input';
+    planeSelect.id = 'svg-plane';
+    planeSelect.style.flex = '1';
+    for (const [val, label] of [['XZ', 'Top (XZ)'], ['XY', 'Front (XY)'], ['YZ', 'Side (YZ)']]) {
+      const opt = document.createElement('option');
+      opt.value = val;
+      opt.textContent = label;
+      opt.selected = val === cfg.plane;
+      planeSelect.appendChild(opt);
+    }
+    this._formRow(placeSection, 'Plane', planeSelect);
+
+    // Size = longest side of the artwork
+    this._formRow(placeSection, 'Size', this._numberWithUnit(cfg.size, 0.05, 50, 0.05, 'm', 'svg-size'));
+    this._body.appendChild(placeSection);
+
+    // Detail section
+    const detailSection = this._section('Detail');
+
+    const divWrap = document.createElement('div');
+    divWrap.style.display = 'flex';
+    divWrap.style.alignItems = 'center';
+    divWrap.style.flex = '1';
+    divWrap.style.gap = '6px';
+    const divSlider = document.createElement('input');
+    divSlider.type = 'range';
+    divSlider.className = 'prop-range';
+    divSlider.id = 'svg-divisions';
+    divSlider.min = 4;
+    divSlider.max = 32;
+    divSlider.step = 1;
+    divSlider.value = cfg.divisions;
+    const divDisplay = document.createElement('span');
+    divDisplay.style.fontSize = '10px';
+    divDisplay.style.fontFamily = 'var(--font-mono)';
+    divDisplay.style.color = 'var(--text-secondary)';
+    divDisplay.style.minWidth = '24px';
+    divDisplay.style.textAlign = 'right';
+    divDisplay.textContent = String(cfg.divisions);
+    divSlider.addEventListener('input', () => {
+      divDisplay.textContent = divSlider.value;
+    });
+    divWrap.appendChild(divSlider);
+    divWrap.appendChild(divDisplay);
+    this._formRow(detailSection, 'Curves', divWrap);
+
+    // Simplification tolerance (Ramer-Douglas-Peucker)
+    this._formRow(detailSection, 'Simplify', this._numberWithUnit(cfg.simplifyMm, 0, 50, 0.5, 'mm', 'svg-simplify'));
+    this._body.appendChild(detailSection);
+  }
+
+  _getValues() {
+    const g = (id) => {
+      const el = this._body.querySelector(`#${id}`);
+      return el ? el.value : null;
+    };
+
+    const plane = g('svg-plane') || 'XZ';
+    const size = parseFloat(g('svg-size')) || 1.0;
+    const divisions = parseInt(g('svg-divisions')) || 12;
+    const simplifyMm = Math.max(0, parseFloat(g('svg-simplify')) || 0);
+
+    const fileInput = this._body.querySelector('#svg-file');
+    const file = fileInput && fileInput.files.length > 0 ? fileInput.files[0] : null;
+
+    // Save for next open
+    this._lastConfig = { plane, size, divisions, simplifyMm };
+
+    return { file, plane, size, divisions, simplifyMm };
+  }
+
+  _confirm() {
+    const values = this._getValues();
+    if (!values.file) {
+      const fileInput = this._body.querySelector('#svg-file');
+      if (fileInput) {
+        fileInput.style.borderColor = '#ff4444';
+        setTimeout(() => { fileInput.style.borderColor = ''; }, 1500);
+      }
+      return;
+    }
+    this.hide();
+    if (this.onConfirm) this.onConfirm(values);
+  }
+
+  _cancel() {
+    this.hide();
+    if (this.onCancel) this.onCancel();
+  }
+
+  // Form helpers (same pattern as TextToTubeDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+
+  _formRow(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _numberWithUnit(value, min, max, step, unit, id) {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.flex = '1';
+    wrap.style.gap = '3px';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'prop-input';
+    input.id = id;
+    input.value = value;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    wrap.appendChild(input);
+    if (unit) {
+      const suf = document.createElement('span');
+      suf.style.fontSize = '10px';
+      suf.style.color = 'var(--text-muted)';
+      suf.textContent = unit;
+      wrap.appendChild(suf);
+    }
+    return wrap;
+  }
+}
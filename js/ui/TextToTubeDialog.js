@@ -1,4 +1,5 @@
 import { getBundledFontList } from '../text/TextMapper.js';
+import { getStrokeFontList, isStrokeFont } from '../text/StrokeFonts.js';
 
 /**
  * Modal dialog for converting text to tube paths.
@@ -6,21 +7,35 @@ import { getBundledFontList } from '../text/TextMapper.js';
  */
 export class TextToTubeDialog {
   constructor() {
-    this.onConfirm = null; // ({ text, fontId, customFontFile, size, letterSpacing, divisions }) => {}
+    this.onConfirm = null; // ({ text, fontId, customFontFile, style, size, letterSpacing, align, lineSpacing, divisions,
+                           //    path, arcRadius, pathOffset, orientation, reversePath }) => {}
     this.onCancel = null;  // () => {}
     this._overlay = null;
     this._lastConfig = {
       text: 'HELLO',
       fontId: 'helvetiker_bold',
+      style: 'outline',
       size: 0.5,
       letterSpacing: 1.0,
+      align: 'center',
+      lineSpacing: 1.0,
       divisions: 12,
+      path: 'straight',
+      arcRadius: 1.0,
+      pathOffset: 0,
+      orientation: 'tangent',
+      reversePath: false,
     };
     this._build();
   }
 
+  /**
+   * @param {object} [defaults] - overrides for the last used config;
+   *   `pathTubeName` enables laying text along the selected tube
+   */
   show(defaults) {
-    const cfg = defaults || this._lastConfig;
+    const cfg = { ...this._lastConfig, ...defaults };
+    if (cfg.path === 'tube' && !cfg.pathTubeName) cfg.path = 'straight';
     this._populateForm(cfg);
     this._overlay.classList.add('visible');
     requestAnimationFrame(() => {
@@ -95,23 +110,48 @@ export class TextToTubeDialog {
     // Text section
     const textSection = this._section('Text');
 
-    // Text input
+    // Text input (multi-line: Enter adds a line, Ctrl+Enter generates)
     const textRow = document.createElement('div');
     textRow.className = 'prop-row';
     const textLabel = document.createElement('span');
     textLabel.className = 'prop-label';
     textLabel.textContent = 'Text';
     textRow.appendChild(textLabel);
-    const textInput = document.createElement('input');
-    textInput.type = 'text';
+    const textInput = document.createElement('textarea');
     textInput.className = 'prop-input';
     textInput.id = 'ttt-text';
     textInput.value = cfg.text;
     textInput.placeholder = 'Enter text...';
+    textInput.rows = 3;
     textInput.style.flex = '1';
+    textInput.style.resize = 'vertical';
+    textInput.style.fontFamily = 'inherit';
+    textInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this._confirm();
+      }
+    });
     textRow.appendChild(textInput);
     textSection.appendChild(textRow);
 
+    // Alignment of multi-line text
+    const alignSelect = document.createElement('select');
+    alignSelect.className = 'prop-input';
+    alignSelect.id = 'ttt-align';
+    alignSelect.style.flex = '1';
+    for (const [val, label] of [['left', 'Left'], ['center', 'Center'], ['right', 'Right']]) {
+      const opt = document.createElement('option');
+      opt.value = val;
+      opt.textContent = label;
+      opt.selected = val === cfg.align;
+      alignSelect.appendChild(opt);
+    }
+    this._formRow(textSection, 'Align', alignSelect);
+
+    // Line spacing as a multiple of the font's line height
+    this._formRow(textSection, 'Lines', this._numberWithUnit(cfg.lineSpacing, 0.5, 3, 0.05, '×', 'ttt-line-spacing'));
+
     this._body.appendChild(textSection);
 
     // Font section
@@ -130,13 +170,28 @@ export class TextToTubeDialog {
     fontSelect.id = 'ttt-font';
     fontSelect.style.flex = '1';
 
+    const outlineGroup = document.createElement('optgroup');
+    outlineGroup.label = 'Outline fonts';
     for (const f of getBundledFontList()) {
       const opt = document.createElement('option');
       opt.value = f.id;
       opt.textContent = f.label;
       opt.selected = f.id === cfg.fontId;
-      fontSelect.appendChild(opt);
+      outlineGroup.appendChild(opt);
+    }
+    fontSelect.appendChild(outlineGroup);
+
+    // Single-stroke fonts are centerlines already
+    const strokeGroup = document.createElement('optgroup');
+    strokeGroup.label = 'Single-line fonts';
+    for (const f of getStrokeFontList()) {
+      const opt = document.createElement('option');
+      opt.value = f.id;
+      opt.textContent = f.label;
+      opt.selected = f.id === cfg.fontId;
+      strokeGroup.appendChild(opt);
     }
+    fontSelect.appendChild(strokeGroup);
 
     // Custom font option
     const customOpt = document.createElement('option');
@@ -149,6 +204,7 @@ export class TextToTubeDialog {
       if (customFileRow) {
         customFileRow.style.display = fontSelect.value === 'custom' ? 'flex' : 'none';
       }
+      this._syncStyle();
     });
 
     fontRow.appendChild(fontSelect);
@@ -172,7 +228,22 @@ export class TextToTubeDialog {
     customFileRow.appendChild(customFileInput);
     fontSection.appendChild(customFileRow);
 
+    // Style: trace outlines (doubled contour) or the stroke centerline
+    const styleSelect = document.createElement('select');
+    styleSelect.className = 'prop-input';
+    styleSelect.id = 'ttt-style';
+    styleSelect.style.flex = '1';
+    for (const [val, label] of [['outline', 'Outline'], ['single', 'Single line (neon)']]) {
+      const opt = document.createElement('option');
+      opt.value = val;
+      opt.textContent = label;
+      opt.selected = val === cfg.style;
+      styleSelect.appendChild(opt);
+    }
+    this._formRow(fontSection, 'Style', styleSelect);
+
     this._body.appendChild(fontSection);
+    this._syncStyle();
 
     // Size section
     const sizeSection = this._section('Dimensions');
@@ -253,6 +324,76 @@ export class TextToTubeDialog {
     sizeSection.appendChild(divRow);
 
     this._body.appendChild(sizeSection);
+
+    // Path section — straight, around an arc, or along the selected tube
+    const pathSection = this._section('Path');
+
+    const pathSelect = document.createElement('select');
+    pathSelect.className = 'prop-input';
+    pathSelect.id = 'ttt-path';
+    pathSelect.style.flex = '1';
+    const pathOptions = [
+      ['straight', 'Straight'],
+      ['arc_top', 'Arc (text on top)'],
+      ['arc_bottom', 'Arc (text below)'],
+      ['tube', cfg.pathTubeName ? `Along "${cfg.pathTubeName}"` : 'Along selected tube'],
+    ];
+    for (const [val, label] of pathOptions) {
+      const opt = document.createElement('option');
+      opt.value = val;
+      opt.textContent = label;
+      opt.selected = val === cfg.path;
+      if (val === 'tube' && !cfg.pathTubeName) opt.disabled = true;
+      pathSelect.appendChild(opt);
+    }
+    pathSelect.addEventListener('change', () => this._syncPath());
+    this._formRow(pathSection, 'Path', pathSelect);
+
+    this._formRow(pathSection, 'Radius', this._numberWithUnit(cfg.arcRadius, 0.1, 50, 0.05, 'm', 'ttt-arc-radius'));
+    this._formRow(pathSection, 'Offset', this._numberWithUnit(cfg.pathOffset, -5, 5, 0.01, 'm', 'ttt-path-offset'));
+
+    const orientSelect = document.createElement('select');
+    orientSelect.className = 'prop-input';
+    orientSelect.id = 'ttt-orientation';
+    orientSelect.style.flex = '1';
+    for (const [val, label] of [['tangent', 'Follow path'], ['upright', 'Upright']]) {
+      const opt = document.createElement('option');
+      opt.value = val;
+      opt.textContent = label;
+      opt.selected = val === cfg.orientation;
+      orientSelect.appendChild(opt);
+    }
+    this._formRow(pathSection, 'Letters', orientSelect);
+
+    const reverseCb = document.createElement('input');
+    reverseCb.type = 'checkbox';
+    reverseCb.id = 'ttt-reverse-path';
+    reverseCb.checked = cfg.reversePath;
+    this._formRow(pathSection, 'Reverse', reverseCb);
+
+    this._body.appendChild(pathSection);
+    this._syncPath();
+  }
+
+  /** Show only the path options that apply to the chosen path. */
+  _syncPath() {
+    const path = this._body.querySelector('#ttt-path').value;
+    const rowOf = (id) => this._body.querySelector(`#${id}`).closest('.prop-row');
+    const arc = path === 'arc_top' || path === 'arc_bottom';
+    rowOf('ttt-arc-radius').style.display = arc ? 'flex' : 'none';
+    rowOf('ttt-reverse-path').style.display = path === 'tube' ? 'flex' : 'none';
+    rowOf('ttt-path-offset').style.display = path === 'straight' ? 'none' : 'flex';
+    rowOf('ttt-orientation').style.display = path === 'straight' ? 'none' : 'flex';
+  }
+
+  /** Single-line fonts only have one style. */
+  _syncStyle() {
+    const fontSelect = this._body.querySelector('#ttt-font');
+    const styleSelect = this._body.querySelector('#ttt-style');
+    if (!fontSelect || !styleSelect) return;
+    const stroke = isStrokeFont(fontSelect.value);
+    if (stroke) styleSelect.value = 'single';
+    styleSelect.disabled = stroke;
   }
 
   _getValues() {
@@ -263,9 +404,18 @@ export class TextToTubeDialog {
 
     const text = g('ttt-text') || '';
     const fontId = g('ttt-font') || 'helvetiker_bold';
+    const style = g('ttt-style') || 'outline';
     const size = parseFloat(g('ttt-size')) || 0.5;
     const letterSpacing = parseFloat(g('ttt-spacing')) || 1.0;
+    const align = g('ttt-align') || 'center';
+    const lineSpacing = parseFloat(g('ttt-line-spacing')) || 1.0;
     const divisions = parseInt(g('ttt-divisions')) || 12;
+    const path = g('ttt-path') || 'straight';
+    const arcRadius = Math.max(0.05, parseFloat(g('ttt-arc-radius')) || 1.0);
+    const pathOffset = parseFloat(g('ttt-path-offset')) || 0;
+    const orientation = g('ttt-orientation') || 'tangent';
+    const reverseEl = this._body.querySelector('#ttt-reverse-path');
+    const reversePath = !!(reverseEl && reverseEl.checked);
 
     // Custom font file
     let customFontFile = null;
@@ -277,9 +427,15 @@ export class TextToTubeDialog {
     }
 
     // Save for next open
-    this._lastConfig = { text, fontId, size, letterSpacing, divisions };
+    this._lastConfig = {
+      text, fontId, style, size, letterSpacing, align, lineSpacing, divisions,
+      path, arcRadius, pathOffset, orientation, reversePath,
+    };
 
-    return { text, fontId, customFontFile, size, letterSpacing, divisions };
+    return {
+      text, fontId, customFontFile, style, size, letterSpacing, align, lineSpacing, divisions,
+      path, arcRadius, pathOffset, orientation, reversePath,
+    };
   }
 
   _confirm() {
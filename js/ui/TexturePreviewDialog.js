@@ -0,0 +1,184 @@
+import { TEXTURE_MODES } from '../effects/TexturePreview.js';
+
+/**
+ * Modal dialog for previewing an image or video on UV-mapped tubes.
+ * Follows the same pattern as CustomFixtureDialog.
+ */
+export class TexturePreviewDialog {
+  constructor() {
+    this.onApply = null; // ({ file, mode }) => {} — file is null to keep the loaded media
+    this.onClear = null; // () => {}
+    this._overlay = null;
+    this._lastConfig = { mode: 'tube' };
+    this._build();
+  }
+
+  /**
+   * @param {{ loadedName: string|null, targetCount: number }} info
+   */
+  show(info) {
+    this._info = info;
+    this._populateForm(this._lastConfig);
+    this._clearBtn.style.display = info.loadedName ? '' : 'none';
+    this._overlay.classList.add('visible');
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this.hide();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>TEXTURE PREVIEW</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (form)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    this._clearBtn = document.createElement('button');
+    this._clearBtn.className = 'btn';
+    this._clearBtn.textContent = 'Clear';
+    this._clearBtn.addEventListener('click', () => {
+      this.hide();
+      if (this.onClear) this.onClear();
+    });
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this.hide());
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary';
+    confirmBtn.textContent = 'Apply';
+    confirmBtn.addEventListener('click', () => this._confirm());
+    footer.appendChild(this._clearBtn);
+    footer.appendChild(cancelBtn);
+    footer.appendChild(confirmBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') this._confirm();
+    });
+  }
+
+  _populateForm(cfg) {
+    this._body.innerHTML = '';
+
+    const mediaSection = this._section('Media');
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.id = 'txp-file';
+    fileInput.accept = 'image/*,video/*';
+    fileInput.style.flex = '1';
+    fileInput.style.fontSize = '11px';
+    this._formRow(mediaSection, 'File', fileInput);
+
+    if (this._info.loadedName) {
+      const loaded = document.createElement('span');
+      loaded.style.fontSize = '11px';
+      loaded.style.fontFamily = 'var(--font-mono)';
+      loaded.style.color = 'var(--accent-dim)';
+      loaded.textContent = this._info.loadedName;
+      this._formRow(mediaSection, 'Loaded', loaded);
+    }
+    this._body.appendChild(mediaSection);
+
+    const mapSection = this._section('Mapping');
+
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'prop-input';
+    modeSelect.id = 'txp-mode';
+    for (const [value, label] of Object.entries(TEXTURE_MODES)) {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = label;
+      o.selected = value === cfg.mode;
+      modeSelect.appendChild(o);
+    }
+    this._formRow(mapSection, 'Mode', modeSelect);
+
+    const targets = document.createElement('span');
+    targets.style.fontSize = '11px';
+    targets.style.color = 'var(--text-secondary)';
+    targets.textContent = `${this._info.targetCount} UV-mapped tube(s)`;
+    this._formRow(mapSection, 'Targets', targets);
+
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    hint.textContent = 'Applies to the selected UV-mapped tubes, or all UV-mapped tubes when none are selected. '
+      + 'Per Tube runs the image along each tube\'s active pixel range (same UVs as the MVR export); '
+      + '2D Projection spreads one image across all targets.';
+    mapSection.appendChild(hint);
+
+    this._body.appendChild(mapSection);
+  }
+
+  _confirm() {
+    const fileInput = this._body.querySelector('#txp-file');
+    const file = fileInput?.files.length > 0 ? fileInput.files[0] : null;
+    if (!file && !this._info.loadedName) {
+      if (fileInput) {
+        fileInput.style.borderColor = '#ff4444';
+        setTimeout(() => { fileInput.style.borderColor = ''; }, 1500);
+      }
+      return;
+    }
+    const mode = this._body.querySelector('#txp-mode')?.value || 'tube';
+    this._lastConfig = { mode };
+    this.hide();
+    if (this.onApply) this.onApply({ file, mode });
+  }
+
+  // Form helpers (same pattern as CustomFixtureDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+
+  _formRow(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+}
@@ -1,4 +1,5 @@
 import { getPresetList } from '../tube/FixturePresets.js';
+import { SNAP_TYPES } from '../drawing/ObjectSnap.js';
 
 /**
  * Drawing tool toolbar with mode buttons.
@@ -9,8 +10,11 @@ export class Toolbar {
     this.currentTool = 'select';
     this.currentPlane = 'XZ';
     this.snapEnabled = true;
+    this.objectSnapEnabled = true;
     this.onToolChange = null;     // (toolName) => {}
     this.onSnapToggle = null;     // (enabled) => {}
+    this.onObjectSnapToggle = null;      // (enabled) => {}
+    this.onObjectSnapTypeChange = null;  // (typeId, enabled) => {}
     this.onPlaneChange = null;    // (plane) => {}
     this.onExport = null;         // () => {}
     this.onSave = null;           // () => {}
@@ -48,6 +52,7 @@ export class Toolbar {
     this.freehandBtn = this._addButton(drawGroup, 'freehand', 'Freehand Draw', this._freehandIcon(), '3');
     this.rectangleBtn = this._addButton(drawGroup, 'rectangle', 'Rectangle', this._rectangleIcon(), '4');
     this.circleBtn = this._addButton(drawGroup, 'circle', 'Circle', this._circleIcon(), '5');
+    this.penBtn = this._addButton(drawGroup, 'bezier', 'Pen (Bezier)', this._penIcon(), 'B');
     this.cutBtn = this._addButton(drawGroup, 'cut', 'Cut Tube', this._cutIcon(), 'C');
     this.textBtn = this._addButton(drawGroup, 'text-to-tubes', 'Text to Tubes', this._textIcon(), 'T');
     this.textBtn.classList.remove('active');
@@ -66,19 +71,7 @@ export class Toolbar {
     this._presetSelect.style.width = '160px';
     this._presetSelect.style.height = '26px';
     this._presetSelect.style.fontSize = '11px';
-    // Placeholder option
-    const placeholder = document.createElement('option');
-    placeholder.value = '';
-    placeholder.textContent = '— Select Type —';
-    placeholder.disabled = true;
-    placeholder.selected = true;
-    this._presetSelect.appendChild(placeholder);
-    for (const p of getPresetList()) {
-      const opt = document.createElement('option');
-      opt.value = p.id;
-      opt.textContent = p.label;
-      this._presetSelect.appendChild(opt);
-    }
+    this.refreshPresets();
     this._presetSelect.addEventListener('change', () => {
       if (this.onPresetChange) this.onPresetChange(this._presetSelect.value);
     });
@@ -110,7 +103,7 @@ export class Toolbar {
     this.loadBtn.classList.remove('active');
     this.importRefBtn = this._addButton(fileGroup, 'import-ref', 'Import Reference Model', this._importRefIcon(), '^I');
     this.importRefBtn.classList.remove('active');
-    this.importDwgBtn = this._addButton(fileGroup, 'import-dwg', 'Import DWG', this._importDwgIcon(), '');
+    this.importDwgBtn = this._addButton(fileGroup, 'import-dwg', 'Import DWG / DXF', this._importDwgIcon(), '');
     this.importDwgBtn.classList.remove('active');
     this.exportBtn = this._addButton(fileGroup, 'export', 'Export MVR', this._exportIcon(), '^E');
     this.exportBtn.classList.remove('active');
@@ -134,6 +127,9 @@ export class Toolbar {
     const optGroup = this._createGroup();
     this.snapBtn = this._addButton(optGroup, 'snap', 'Grid Snap', this._snapIcon(), 'G');
     this.snapBtn.classList.toggle('active', this.snapEnabled);
+    this.objectSnapBtn = this._addButton(optGroup, 'object-snap', 'Object Snap', this._objectSnapIcon(), 'O');
+    this.objectSnapBtn.classList.toggle('active', this.objectSnapEnabled);
+    this._buildObjectSnapMenu(optGroup);
     row2.appendChild(optGroup);
 
     // Drawing plane group
@@ -341,6 +337,53 @@ export class Toolbar {
     return btn;
   }
 
+  /** Caret next to Object Snap: a dropdown with one checkbox per snap type. */
+  _buildObjectSnapMenu(group) {
+    const wrap = document.createElement('div');
+    wrap.className = 'osnap-menu-wrap';
+    const caret = document.createElement('button');
+    caret.className = 'toolbar-btn osnap-caret';
+    caret.dataset.tooltip = 'Snap Types';
+    caret.innerHTML = `<svg viewBox="0 0 24 24"><path d="M7 10l5 5 5-5z"/></svg>`;
+    const menu = document.createElement('div');
+    menu.className = 'osnap-menu';
+    this._objectSnapChecks = {};
+    for (const type of SNAP_TYPES) {
+      const label = document.createElement('label');
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = type.on;
+      check.addEventListener('change', () => {
+        if (this.onObjectSnapTypeChange) this.onObjectSnapTypeChange(type.id, check.checked);
+      });
+      label.appendChild(check);
+      label.appendChild(document.createTextNode(type.label));
+      menu.appendChild(label);
+      this._objectSnapChecks[type.id] = check;
+    }
+    caret.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.classList.toggle('open');
+    });
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    document.addEventListener('click', () => menu.classList.remove('open'));
+    wrap.appendChild(caret);
+    wrap.appendChild(menu);
+    group.appendChild(wrap);
+  }
+
+  /** Sync the snap type checkboxes with saved settings. */
+  setObjectSnapTypes(types) {
+    for (const [id, check] of Object.entries(this._objectSnapChecks)) {
+      check.checked = !!types[id];
+    }
+  }
+
+  setObjectSnap(enabled) {
+    this.objectSnapEnabled = enabled;
+    this.objectSnapBtn.classList.toggle('active', enabled);
+  }
+
   _onButtonClick(id) {
     if (id === 'save') {
       if (this.onSave) this.onSave();
@@ -408,6 +451,11 @@ export class Toolbar {
       if (this.onSnapToggle) this.onSnapToggle(this.snapEnabled);
       return;
     }
+    if (id === 'object-snap') {
+      this.setObjectSnap(!this.objectSnapEnabled);
+      if (this.onObjectSnapToggle) this.onObjectSnapToggle(this.objectSnapEnabled);
+      return;
+    }
     if (id.startsWith('plane-')) {
       const plane = id.replace('plane-', '');
       this.setPlane(plane);
@@ -421,7 +469,7 @@ export class Toolbar {
   }
 
   _setActive(id) {
-    const toolBtns = ['select', 'click-place', 'freehand', 'rectangle', 'circle', 'cut'];
+    const toolBtns = ['select', 'click-place', 'freehand', 'rectangle', 'circle', 'bezier', 'cut'];
     for (const t of toolBtns) {
       const btn = this.container.querySelector(`[data-tool="${t}"]`);
       if (btn) btn.classList.toggle('active', t === id);
@@ -448,6 +496,40 @@ export class Toolbar {
     }
   }
 
+  /**
+   * (Re)build the fixture dropdown: built-in presets, the user library and a
+   * "Fixture Library..." entry (value '__library__'). Keeps the current selection.
+   */
+  refreshPresets() {
+    const current = this._presetSelect.value;
+    this._presetSelect.innerHTML = '';
+    // Placeholder option
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '— Select Type —';
+    placeholder.disabled = true;
+    this._presetSelect.appendChild(placeholder);
+
+    const presets = getPresetList();
+    const addOption = (parent, value, label) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      parent.appendChild(opt);
+    };
+    for (const p of presets.filter(p => !p.user)) addOption(this._presetSelect, p.id, p.label);
+    const userPresets = presets.filter(p => p.user);
+    if (userPresets.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'Library';
+      for (const p of userPresets) addOption(group, p.id, p.label);
+      this._presetSelect.appendChild(group);
+    }
+    addOption(this._presetSelect, '__library__', 'Fixture Library...');
+
+    this._presetSelect.value = presets.some(p => p.id === current) ? current : '';
+  }
+
   setPreset(presetId) {
     if (this._presetSelect) {
       this._presetSelect.value = presetId;
@@ -483,6 +565,9 @@ export class Toolbar {
   _snapIcon() {
     return `<svg viewBox="0 0 24 24"><rect x="3" y="3" width="7" height="7" fill="none" stroke="currentColor" stroke-width="1.5"/><rect x="14" y="3" width="7" height="7" fill="none" stroke="currentColor" stroke-width="1.5"/><rect x="3" y="14" width="7" height="7" fill="none" stroke="currentColor" stroke-width="1.5"/><rect x="14" y="14" width="7" height="7" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
   }
+  _objectSnapIcon() {
+    return `<svg viewBox="0 0 24 24"><rect x="7" y="7" width="10" height="10" fill="none" stroke="currentColor" stroke-width="1.5"/><path d="M3 12h4M17 12h4M12 3v4M12 17v4" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`;
+  }
   _exportIcon() {
     return `<svg viewBox="0 0 24 24"><path d="M12 3v12m0 0l-4-4m4 4l4-4M4 17v2a2 2 0 002 2h12a2 2 0 002-2v-2" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
   }
@@ -516,6 +601,9 @@ export class Toolbar {
   _circleIcon() {
     return `<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="9" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
   }
+  _penIcon() {
+    return `<svg viewBox="0 0 24 24"><path d="M4 19C6 9 14 5 20 5" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="4" y1="19" x2="9" y2="12" stroke="currentColor" stroke-width="1" stroke-dasharray="2 1.5"/><circle cx="4" cy="19" r="2" fill="currentColor"/><circle cx="9" cy="12" r="1.5" fill="none" stroke="currentColor" stroke-width="1.2"/><circle cx="20" cy="5" r="2" fill="currentColor"/></svg>`;
+  }
   _cutIcon() {
     return `<svg viewBox="0 0 24 24"><circle cx="6" cy="6" r="3" fill="none" stroke="currentColor" stroke-width="1.5"/><circle cx="6" cy="18" r="3" fill="none" stroke="currentColor" stroke-width="1.5"/><line x1="8.5" y1="8" x2="20" y2="18" stroke="currentColor" stroke-width="1.5"/><line x1="8.5" y1="16" x2="20" y2="6" stroke="currentColor" stroke-width="1.5"/></svg>`;
   }
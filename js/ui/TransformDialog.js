@@ -0,0 +1,267 @@
+import { MIRROR_PLANES } from '../tube/TubeTransform.js';
+
+const MODES = {
+  rotate: 'Rotate',
+  mirror: 'Mirror',
+};
+
+/**
+ * Modal dialog for rotating or mirroring the selected tubes.
+ * Follows the same pattern as AutoPatchDialog.
+ */
+export class TransformDialog {
+  constructor() {
+    this.onConfirm = null; // ({ mode, axis, angle, pivot, plane, normal, copy, pixelDirection, patch }) => {}
+    this._overlay = null;
+    this._lastConfig = {
+      axis: 'Y',
+      angle: 90,
+      plane: 'YZ',
+      normal: { x: 1, y: 0, z: 0 },
+      copy: true,
+      pixelDirection: 'keep',
+      patch: true,
+    };
+    this._build();
+  }
+
+  /**
+   * @param {object} opts
+   * @param {'rotate'|'mirror'} opts.mode
+   * @param {number} opts.tubeCount - number of tubes that will be transformed
+   * @param {{ x: number, y: number, z: number }} opts.center - selection center (mm), default pivot
+   */
+  show({ mode, tubeCount, center }) {
+    this._tubeCount = tubeCount;
+    this._center = center;
+    this._populateForm({ ...this._lastConfig, mode });
+    this._overlay.classList.add('visible');
+    requestAnimationFrame(() => {
+      const first = this._panel.querySelector('select, input');
+      if (first) first.focus();
+    });
+  }
+
+  hide() {
+    this._overlay.classList.remove('visible');
+  }
+
+  _build() {
+    // Overlay backdrop
+    this._overlay = document.createElement('div');
+    this._overlay.className = 'custom-fixture-overlay';
+    this._overlay.addEventListener('click', (e) => {
+      if (e.target === this._overlay) this.hide();
+    });
+
+    // Panel
+    this._panel = document.createElement('div');
+    this._panel.className = 'custom-fixture-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'custom-fixture-header';
+    header.innerHTML = `<span>ROTATE / MIRROR</span>`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'help-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    this._panel.appendChild(header);
+
+    // Body (form)
+    this._body = document.createElement('div');
+    this._body.className = 'custom-fixture-body';
+    this._panel.appendChild(this._body);
+
+    // Footer
+    const footer = document.createElement('div');
+    footer.className = 'custom-fixture-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this.hide());
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'btn btn-primary';
+    confirmBtn.textContent = 'Apply';
+    confirmBtn.addEventListener('click', () => this._confirm());
+    footer.appendChild(cancelBtn);
+    footer.appendChild(confirmBtn);
+    this._panel.appendChild(footer);
+
+    this._overlay.appendChild(this._panel);
+    document.body.appendChild(this._overlay);
+
+    // Keyboard
+    this._overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') this._confirm();
+    });
+  }
+
+  _populateForm(cfg) {
+    this._body.innerHTML = '';
+
+    // ── Transform ──
+    const modeSection = this._section(`Transform (${this._tubeCount} tube${this._tubeCount === 1 ? '' : 's'})`);
+    const modeSelect = this._select('tf-mode', MODES, cfg.mode);
+    this._formRow(modeSection, 'Mode', modeSelect);
+    this._body.appendChild(modeSection);
+
+    // ── Rotate ──
+    const rotateSection = this._section('Rotation');
+    this._formRow(rotateSection, 'Axis', this._select('tf-axis', { X: 'X', Y: 'Y (vertical)', Z: 'Z' }, cfg.axis));
+    this._formRow(rotateSection, 'Angle', this._numberWithUnit(cfg.angle, -360, 360, 1, '°', 'tf-angle'));
+    this._body.appendChild(rotateSection);
+
+    // ── Mirror ──
+    const mirrorSection = this._section('Mirror Plane');
+    const planeOptions = {};
+    for (const [id, { label }] of Object.entries(MIRROR_PLANES)) planeOptions[id] = label;
+    const planeSelect = this._select('tf-plane', planeOptions, cfg.plane);
+    this._formRow(mirrorSection, 'Plane', planeSelect);
+    const normalRows = document.createElement('div');
+    this._formRow(normalRows, 'Normal X', this._numberWithUnit(cfg.normal.x, -1, 1, 0.1, '', 'tf-nx'));
+    this._formRow(normalRows, 'Normal Y', this._numberWithUnit(cfg.normal.y, -1, 1, 0.1, '', 'tf-ny'));
+    this._formRow(normalRows, 'Normal Z', this._numberWithUnit(cfg.normal.z, -1, 1, 0.1, '', 'tf-nz'));
+    mirrorSection.appendChild(normalRows);
+    const copyCb = document.createElement('input');
+    copyCb.type = 'checkbox';
+    copyCb.id = 'tf-copy';
+    copyCb.checked = cfg.copy;
+    this._formRow(mirrorSection, 'Keep original', copyCb);
+    this._formRow(mirrorSection, 'Pixel order', this._select('tf-pixels', {
+      keep: 'Same direction as original',
+      mirror: 'Mirrored',
+    }, cfg.pixelDirection));
+    const patchCb = document.createElement('input');
+    patchCb.type = 'checkbox';
+    patchCb.id = 'tf-patch';
+    patchCb.checked = cfg.patch;
+    const patchRow = document.createElement('div');
+    this._formRow(patchRow, 'Auto-patch', patchCb);
+    mirrorSection.appendChild(patchRow);
+    this._body.appendChild(mirrorSection);
+
+    // ── Pivot ──
+    const pivotSection = this._section('Pivot');
+    this._formRow(pivotSection, 'X', this._numberWithUnit(this._center.x, -99999, 99999, 1, 'mm', 'tf-px'));
+    this._formRow(pivotSection, 'Y', this._numberWithUnit(this._center.y, -99999, 99999, 1, 'mm', 'tf-py'));
+    this._formRow(pivotSection, 'Z', this._numberWithUnit(this._center.z, -99999, 99999, 1, 'mm', 'tf-pz'));
+    const hint = document.createElement('div');
+    hint.style.fontSize = '10px';
+    hint.style.color = 'var(--text-muted)';
+    hint.style.lineHeight = '1.4';
+    hint.style.marginTop = '6px';
+    pivotSection.appendChild(hint);
+    this._body.appendChild(pivotSection);
+
+    const update = () => {
+      const mirror = modeSelect.value === 'mirror';
+      rotateSection.style.display = mirror ? 'none' : '';
+      mirrorSection.style.display = mirror ? '' : 'none';
+      normalRows.style.display = planeSelect.value === 'custom' ? '' : 'none';
+      patchRow.style.display = copyCb.checked ? '' : 'none';
+      hint.textContent = mirror
+        ? 'The mirror plane passes through the pivot (defaults to the selection center). '
+          + 'Mirroring turns loops the other way round — "Same direction" keeps the chase running '
+          + 'as on the original (open tubes are reversed, so their data input moves to the other end). '
+          + 'Auto-patch addresses the copies after the highest DMX channel in use.'
+        : 'Positive angles turn counter-clockwise looking down the axis. '
+          + 'Tip: select a tube and press R to rotate it with the gizmo.';
+    };
+    modeSelect.addEventListener('change', update);
+    planeSelect.addEventListener('change', update);
+    copyCb.addEventListener('change', update);
+    update();
+  }
+
+  _confirm() {
+    const g = (id) => this._body.querySelector(`#${id}`);
+    const num = (id, fallback = 0) => {
+      const v = parseFloat(g(id)?.value);
+      return Number.isFinite(v) ? v : fallback;
+    };
+    const values = {
+      mode: g('tf-mode')?.value || 'rotate',
+      axis: g('tf-axis')?.value || 'Y',
+      angle: Math.min(360, Math.max(-360, num('tf-angle'))),
+      pivot: { x: num('tf-px'), y: num('tf-py'), z: num('tf-pz') },
+      plane: g('tf-plane')?.value || 'YZ',
+      normal: { x: num('tf-nx'), y: num('tf-ny'), z: num('tf-nz') },
+      copy: g('tf-copy')?.checked || false,
+      pixelDirection: g('tf-pixels')?.value || 'keep',
+      patch: g('tf-patch')?.checked || false,
+    };
+    if (values.mode === 'mirror' && values.plane === 'custom'
+        && Math.hypot(values.normal.x, values.normal.y, values.normal.z) < 1e-6) {
+      g('tf-nx')?.focus();
+      return;
+    }
+    const { mode, pivot, ...remembered } = values;
+    this._lastConfig = remembered;
+    this.hide();
+    if (this.onConfirm) this.onConfirm(values);
+  }
+
+  // Form helpers (same pattern as CustomFixtureDialog)
+  _section(title) {
+    const div = document.createElement('div');
+    div.className = 'prop-group';
+    const t = document.createElement('div');
+    t.className = 'prop-group-title';
+    t.textContent = title;
+    div.appendChild(t);
+    return div;
+  }
+
+  _formRow(parent, label, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('span');
+    lbl.className = 'prop-label';
+    lbl.textContent = label;
+    row.appendChild(lbl);
+    row.appendChild(inputEl);
+    parent.appendChild(row);
+  }
+
+  _select(id, options, current) {
+    const select = document.createElement('select');
+    select.className = 'prop-input';
+    select.id = id;
+    for (const [value, label] of Object.entries(options)) {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = label;
+      o.selected = value === current;
+      select.appendChild(o);
+    }
+    return select;
+  }
+
+  _numberWithUnit(value, min, max, step, unit, id) {
+    const wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.alignItems = 'center';
+    wrap.style.flex = '1';
+    wrap.style.gap = '3px';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'prop-input';
+    input.id = id;
+    input.value = value;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    wrap.appendChild(input);
+    if (unit) {
+      const suf = document.createElement('span');
+      suf.style.fontSize = '10px';
+      suf.style.color = 'var(--text-muted)';
+      suf.textContent = unit;
+      wrap.appendChild(suf);
+    }
+    return wrap;
+  }
+}
@@ -1,4 +1,5 @@
 import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { TUBE_DRAG_TYPE } from './ControllerPanel.js';
 
 /**
  * Left-side tube list panel.
@@ -12,6 +13,9 @@ export class TubeListPanel {
     this.selectedTubeId = null;
     this.refModels = [];
     this.selectedRefId = null;
+    this.patchConflicts = new Map(); // tubeId → DMX overlaps, set by UIManager
+    this.cutWarnings = new Map();    // tubeId → unbuildable length problems, set by UIManager
+    this.bendViolations = new Map(); // tubeId → bend radius analysis, set by UIManager
 
     this.onSelectTube = null;    // (tubeId) => {}
     this.onMultiSelectTube = null; // (tubeId) => {}
@@ -86,6 +90,16 @@ export class TubeListPanel {
     item.className = cls;
     item.dataset.tubeId = tube.id;
 
+    // Drag onto a controller port (drags the whole multi-selection if this tube is in it)
+    item.draggable = true;
+    item.addEventListener('dragstart', (e) => {
+      const ids = isMultiSelected && this._selectedIds.size > 1
+        ? this.tubes.filter(t => this._selectedIds.has(t.id)).map(t => t.id)
+        : [tube.id];
+      e.dataTransfer.setData(TUBE_DRAG_TYPE, JSON.stringify(ids));
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
     // Group colored left border
     if (tube.groupId) {
       const groupColors = ['#ff44aa', '#44ff88', '#ffaa44', '#aa44ff', '#44aaff', '#ff8844', '#88ff44', '#44ffcc'];
@@ -113,6 +127,42 @@ export class TubeListPanel {
     name.textContent = tube.name;
     item.appendChild(name);
 
+    // DMX overlap warning
+    const conflicts = this.patchConflicts.get(tube.id);
+    if (conflicts && conflicts.length > 0) {
+      const warn = document.createElement('span');
+      warn.className = 'tube-conflict-badge';
+      warn.title = conflicts
+        .map(c => `DMX overlap with ${c.otherName} at ${c.universe}.${c.address}`)
+        .join('\n');
+      warn.innerHTML = `<svg viewBox="0 0 16 16" width="11" height="11"><path d="M8 1.5L15 14H1z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M8 6v4M8 11.5v1" stroke="currentColor" stroke-width="1.5"/></svg>`;
+      item.appendChild(warn);
+    }
+
+    // Cut length warning
+    const cutProblems = this.cutWarnings.get(tube.id);
+    if (cutProblems && cutProblems.length > 0) {
+      const warn = document.createElement('span');
+      warn.className = 'tube-conflict-badge tube-cut-badge';
+      warn.title = `Can't be built:\n${cutProblems.join('\n')}`;
+      warn.innerHTML = `<svg viewBox="0 0 16 16" width="11" height="11"><circle cx="4" cy="12" r="2" fill="none" stroke="currentColor" stroke-width="1.3"/><circle cx="12" cy="12" r="2" fill="none" stroke="currentColor" stroke-width="1.3"/><path d="M5.5 10.5L12 2M10.5 10.5L4 2" stroke="currentColor" stroke-width="1.3" stroke-linecap="round"/></svg>`;
+      item.appendChild(warn);
+    }
+
+    // Bend radius violation
+    const bends = this.bendViolations.get(tube.id);
+    if (bends && bends.violations.length > 0) {
+      const warn = document.createElement('span');
+      warn.className = 'tube-conflict-badge';
+      warn.title = bends.violations
+        .map(v => (v.kind === 'direction'
+          ? `R${Math.round(v.radiusM * 1000)}mm bend in the stiff direction`
+          : `R${Math.round(v.radiusM * 1000)}mm bend, min R${Math.round(v.limitM * 1000)}mm`))
+        .join('\n');
+      warn.innerHTML = `<svg viewBox="0 0 16 16" width="11" height="11"><path d="M2 14c0-6 3-10 9-10h3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><path d="M6 7l-2.5 2.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>`;
+      item.appendChild(warn);
+    }
+
     // Length
     const lengthMm = this._getTubeLength(tube);
     const info = document.createElement('span');
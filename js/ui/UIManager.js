@@ -2,26 +2,66 @@ import { Toolbar } from './Toolbar.js';
 import { PropertiesPanel } from './PropertiesPanel.js';
 import { TubeListPanel } from './TubeListPanel.js';
 import { MVRExporter } from '../export/MVRExporter.js';
+import { PatchSheetExporter } from '../export/PatchSheetExporter.js';
+import { BOMExporter } from '../export/BOMExporter.js';
+import { DXFExporter } from '../export/DXFExporter.js';
+import { PowerReportExporter } from '../export/PowerReportExporter.js';
 import { ReferenceModelManager } from '../ref/ReferenceModelManager.js';
 import { ConnectorManager } from '../tube/ConnectorManager.js';
-import { getPresetById } from '../tube/FixturePresets.js';
+import {
+  getPresetById, presetTubeOptions, applyPresetToTube, isUserPreset, saveUserPreset,
+  onPresetLibraryChange, exportPresetLibrary, importPresetLibrary,
+} from '../tube/FixturePresets.js';
 import { StartPixelPicker } from '../drawing/StartPixelPicker.js';
 import { TubeCutter } from '../drawing/TubeCutter.js';
 import { MarqueeSelect } from '../drawing/MarqueeSelect.js';
 import { CommandPanel } from './CommandPanel.js';
 import { LoadingOverlay } from './LoadingOverlay.js';
 import { CustomFixtureDialog } from './CustomFixtureDialog.js';
+import { FixtureLibraryDialog } from './FixtureLibraryDialog.js';
 import { UndoManager } from './UndoManager.js';
 import { mapEdges } from '../edge/EdgeMapper.js';
 import { EdgePicker } from '../edge/EdgePicker.js';
 import { textToChains, loadBundledFont, parseCustomFont } from '../text/TextMapper.js';
+import { TextPath } from '../text/TextPath.js';
 import { TextToTubeDialog } from './TextToTubeDialog.js';
+import { isStrokeFont, strokeTextToChains } from '../text/StrokeFonts.js';
 import { ShapeWizardDialog } from './ShapeWizardDialog.js';
 import { ShapeGeometryGenerator } from '../shapes/ShapeGeometryGenerator.js';
 import { DWGImporter } from '../import/DWGImporter.js';
+import { DXFImporter } from '../import/DXFImporter.js';
+import { SVGImporter } from '../import/SVGImporter.js';
+import { SVGImportDialog } from './SVGImportDialog.js';
 import { DWGImportDialog } from './DWGImportDialog.js';
+import { MVRImporter } from '../import/MVRImporter.js';
 import { autoSegment } from '../tube/AutoSegmenter.js';
+import { cutRules, tubeCutRules, snapLengthNearest, findCutWarnings } from '../tube/CutRules.js';
+import { findBendViolations } from '../tube/BendAnalyzer.js';
+import { BendOverlay } from '../tube/BendOverlay.js';
+import { ValidationPanel } from './ValidationPanel.js';
+import { buildPowerReport } from '../power/PowerBudget.js';
+import { InjectionOverlay } from '../power/InjectionOverlay.js';
+import { PowerPanel } from './PowerPanel.js';
+import { ControllerManager } from '../dmx/ControllerManager.js';
+import { ControllerPanel } from './ControllerPanel.js';
 import { CurveBuilder } from '../drawing/CurveBuilder.js';
+import { BezierPath } from '../drawing/BezierPath.js';
+import { LiveDMXInput } from '../dmx/LiveDMXInput.js';
+import { LiveDMXDialog } from './LiveDMXDialog.js';
+import { PixelEffectsEngine } from '../effects/PixelEffects.js';
+import { EffectsPanel } from './EffectsPanel.js';
+import { TexturePreview } from '../effects/TexturePreview.js';
+import { TexturePreviewDialog } from './TexturePreviewDialog.js';
+import { findPatchConflicts } from '../dmx/PatchValidator.js';
+import { autoPatch, nextFreePatch } from '../dmx/AutoPatcher.js';
+import { AutoPatchDialog } from './AutoPatchDialog.js';
+import { ArrayDialog } from './ArrayDialog.js';
+import { TransformDialog } from './TransformDialog.js';
+import { DXFExportDialog } from './DXFExportDialog.js';
+import { GDTFLibrary } from '../dmx/GDTFLibrary.js';
+import { planJoins, JOIN_TOLERANCE_M } from '../tube/TubeJoiner.js';
+import { linearArray, radialArray, pathArray, ARRAY_MODES } from '../tube/TubeArray.js';
+import { rotationMatrix, mirrorMatrix, restorePixelDirection } from '../tube/TubeTransform.js';
 import * as THREE from 'three';
 
 /**
@@ -36,6 +76,9 @@ export class UIManager {
     this.toolbar = new Toolbar(document.getElementById('toolbar'));
     this.toolbar.onToolChange = (tool) => this._onToolChange(tool);
     this.toolbar.onSnapToggle = (enabled) => this._onSnapToggle(enabled);
+    this.toolbar.onObjectSnapToggle = (enabled) => this._onObjectSnapToggle(enabled);
+    this.toolbar.onObjectSnapTypeChange = (id, on) => this.app.drawingManager.objectSnap.setType(id, on);
+    this.toolbar.setObjectSnapTypes(app.drawingManager.objectSnap.types);
     this.toolbar.onPlaneChange = (plane) => this._onPlaneChange(plane);
     this.toolbar.onExport = () => this._onExport();
     this.toolbar.onSave = () => this._onSave();
@@ -68,8 +111,12 @@ export class UIManager {
     // Length overlay element
     this.lengthOverlay = document.getElementById('length-overlay');
 
+    // Imported GDTF fixture types (saved with the project)
+    this.gdtfLibrary = new GDTFLibrary();
+
     // Properties panel
     this.propertiesPanel = new PropertiesPanel(document.getElementById('properties-panel'));
+    this.propertiesPanel.gdtfLibrary = this.gdtfLibrary;
     this.propertiesPanel.onPropertyChange = (tube, prop) => this._onPropertyChange(tube, prop);
     this.propertiesPanel.onBatchPropertyChange = (tubes, prop) => {
       this.undoManager.capture();
@@ -120,6 +167,8 @@ export class UIManager {
 
       if (tube && snapTargets.length > 0) {
         const snapped = this.refModelManager.snapTubeToModels(tube, snapTargets);
+        // Snapped points follow the surface now, not the pen path
+        if (snapped > 0) tube.dropBezier();
         this.app.tubeManager.updateTube(tube);
         if (snapped > 0) {
           const statusEl = document.getElementById('status-text');
@@ -136,7 +185,11 @@ export class UIManager {
     const tm = this.app.tubeManager;
     const sm = app.sceneManager;
     tm.onTubeCreated = () => { this._refreshAll(); sm.requestRender(); };
-    tm.onTubeUpdated = () => { this._refreshAll(); sm.requestRender(); };
+    tm.onTubeUpdated = () => {
+      if (this.texturePreview?.active) this.texturePreview.refresh();
+      this._refreshAll();
+      sm.requestRender();
+    };
     tm.onTubeDeleted = () => { this._refreshAll(); sm.requestRender(); };
     tm.onSelectionChanged = (tube) => {
       if (tube) {
@@ -192,13 +245,33 @@ export class UIManager {
     // Connector Manager
     this.connectorManager = new ConnectorManager(app.sceneManager.scene);
 
+    // Pixel controllers (port chains drive the DMX patch of wired tubes)
+    this.controllerManager = new ControllerManager(app.sceneManager.scene);
+    this.propertiesPanel.controllerManager = this.controllerManager;
+    this.controllerPanel = new ControllerPanel(document.getElementById('controller-list'));
+    this.controllerPanel.onAddController = () => this._onAddController();
+    this.controllerPanel.onDeleteController = (id) => this._onDeleteController(id);
+    this.controllerPanel.onChangeController = (id, key, value) => this._onChangeController(id, key, value);
+    this.controllerPanel.onMoveToSelection = (id) => this._onMoveControllerToSelection(id);
+    this.controllerPanel.onAssign = (ids, id, port, index) => this._onAssignTubes(ids, id, port, index);
+    this.controllerPanel.onAssignSelected = (id, port) => this._onAssignSelectedTubes(id, port);
+    this.controllerPanel.onUnassign = (tubeId) => this._onUnassignTube(tubeId);
+    this.controllerPanel.onSelectTube = (id) => this._onSelectTube(id);
+
     // Undo Manager
-    this.undoManager = new UndoManager(app.tubeManager, this.connectorManager);
+    this.undoManager = new UndoManager(app.tubeManager, this.connectorManager, this.controllerManager);
 
     // Wire group movement → connector movement
     tm.onGroupMoved = (tubeIds, delta) => {
       this.connectorManager.moveConnectorsForTubes(tubeIds, delta);
     };
+    tm.onTubesTransformed = (tubeIds, matrix) => {
+      this.connectorManager.transformConnectorsForTubes(tubeIds, matrix);
+    };
+    // Split / joined pieces take the original's controller chain slot
+    tm.onTubeReplaced = (oldId, newIds) => {
+      this.controllerManager.replaceTube(oldId, newIds);
+    };
 
     // Wire connector manager to drawing manager
     this.app.drawingManager.connectorManager = this.connectorManager;
@@ -208,6 +281,7 @@ export class UIManager {
     if (pointEditor) {
       pointEditor.onBeforeMutate = () => this.undoManager.capture();
       pointEditor.refModelManager = this.refModelManager;
+      this.app.drawingManager.objectSnap.refModelManager = this.refModelManager;
       pointEditor.onRefModelSelected = (refModel) => {
         this.refModelManager.selectModelSingle(refModel);
       };
@@ -230,6 +304,9 @@ export class UIManager {
       pointEditor.onGroupMoveLive = (tubeIds, delta) => {
         this.connectorManager.setVisualOffsetForTubes(tubeIds, delta);
       };
+      pointEditor.onGroupTransformLive = (tubeIds, matrix) => {
+        this.connectorManager.setVisualTransformForTubes(tubeIds, matrix);
+      };
     }
 
     // Marquee selection
@@ -267,6 +344,11 @@ export class UIManager {
     this.propertiesPanel.onResize = (tube, targetLengthMm) => this._onResizeTube(tube, targetLengthMm);
     this.propertiesPanel.onReverse = (tube) => this._onReverseTube(tube);
     this.propertiesPanel.onShapeDimensionChange = (tube, shapeType, dims) => this._onShapeDimensionChange(tube, shapeType, dims);
+    this.propertiesPanel.onAutoPatch = () => this._onAutoPatch();
+    this.propertiesPanel.onJoinTubes = (opts) => this._onJoinTubes(opts);
+    this.propertiesPanel.onArray = () => this._onArray();
+    this.propertiesPanel.onTransform = (mode) => this._onTransform(mode);
+    this.propertiesPanel.onImportGdtf = (tubes) => this._onImportGDTF(tubes);
 
     // Start Pixel Picker
     this.startPixelPicker = new StartPixelPicker(app.sceneManager);
@@ -339,16 +421,38 @@ export class UIManager {
     document.body.appendChild(this._refFileInput);
     this._refFileInput.addEventListener('change', (e) => this._onRefFileSelected(e));
 
-    // Hidden file input for DWG import
+    // Hidden file input for DWG / DXF import
     this._dwgFileInput = document.createElement('input');
     this._dwgFileInput.type = 'file';
-    this._dwgFileInput.accept = '.dwg';
+    this._dwgFileInput.accept = '.dwg,.dxf';
     this._dwgFileInput.style.display = 'none';
     document.body.appendChild(this._dwgFileInput);
     this._dwgFileInput.addEventListener('change', (e) => this._onDWGFileSelected(e));
 
-    // DWG importer and dialog
+    // Hidden file input for GDTF fixture import
+    this._gdtfFileInput = document.createElement('input');
+    this._gdtfFileInput.type = 'file';
+    this._gdtfFileInput.accept = '.gdtf';
+    this._gdtfFileInput.multiple = true;
+    this._gdtfFileInput.style.display = 'none';
+    document.body.appendChild(this._gdtfFileInput);
+    this._gdtfFileInput.addEventListener('change', (e) => this._onGDTFFileSelected(e));
+    this._gdtfAssignTargets = null; // tubes to assign the imported fixture to
+
+    // Hidden file input for MVR round-trip import
+    this._mvrFileInput = document.createElement('input');
+    this._mvrFileInput.type = 'file';
+    this._mvrFileInput.accept = '.mvr';
+    this._mvrFileInput.style.display = 'none';
+    document.body.appendChild(this._mvrFileInput);
+    this._mvrFileInput.addEventListener('change', (e) => this._onMVRFileSelected(e));
+    this._mvrImporter = new MVRImporter();
+
+    // DWG / DXF importers and dialog (DXF is pure JS, no WASM)
     this._dwgImporter = new DWGImporter();
+    this._dxfImporter = new DXFImporter();
+    this._dwgActiveImporter = this._dwgImporter;
+    this._dwgFormat = 'DWG';
     this.dwgImportDialog = new DWGImportDialog();
 
     // Reimport file input (reused for ghost entries)
@@ -365,16 +469,114 @@ export class UIManager {
     this.customFixtureDialog = new CustomFixtureDialog();
     this.customFixtureDialog.onConfirm = (preset) => this._onCustomFixtureConfirm(preset);
     this.customFixtureDialog.onCancel = () => this._onCustomFixtureCancel();
+    this.customFixtureDialog.onSaveToLibrary = (preset, id) => this._onSavePresetToLibrary(preset, id);
     this._previousPresetId = 'custom'; // track for cancel-revert
 
+    // Fixture preset library dialog
+    this.fixtureLibraryDialog = new FixtureLibraryDialog();
+    this.fixtureLibraryDialog.onUse = (id) => {
+      this.toolbar.setPreset(id);
+      this._onPresetChange(id);
+    };
+    this.fixtureLibraryDialog.onEdit = (id) => {
+      if (id) this.customFixtureDialog.editPreset(id, getPresetById(id));
+      else this.customFixtureDialog.editPreset(null, {});
+    };
+    this.fixtureLibraryDialog.onImport = () => this._onImportPresetLibrary();
+    this.fixtureLibraryDialog.onExport = () => this._onExportPresetLibrary();
+    onPresetLibraryChange(() => this._onPresetLibraryChanged());
+
+    // Hidden file input for fixture library JSON import
+    this._presetLibraryFileInput = document.createElement('input');
+    this._presetLibraryFileInput.type = 'file';
+    this._presetLibraryFileInput.accept = '.json';
+    this._presetLibraryFileInput.style.display = 'none';
+    document.body.appendChild(this._presetLibraryFileInput);
+    this._presetLibraryFileInput.addEventListener('change', (e) => this._onPresetLibraryFileSelected(e));
+
     // Text to Tubes dialog
     this.textToTubeDialog = new TextToTubeDialog();
     this.textToTubeDialog.onConfirm = (values) => this._onTextToTubesConfirm(values);
 
+    // SVG import dialog
+    this._svgImporter = new SVGImporter();
+    this.svgImportDialog = new SVGImportDialog();
+    this.svgImportDialog.onConfirm = (values) => this._onImportSVGConfirm(values);
+
     // Shape Wizard dialog
     this.shapeWizardDialog = new ShapeWizardDialog();
     this.shapeWizardDialog.onConfirm = (config) => this._onShapeWizardConfirm(config);
 
+    // Live DMX input (Art-Net / sACN via WebSocket bridge)
+    this.liveDMXInput = new LiveDMXInput(app.tubeManager, app.sceneManager);
+    this.liveDMXInput.onStatusChange = (msg) => {
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = msg;
+    };
+    this.liveDMXDialog = new LiveDMXDialog();
+    this.liveDMXDialog.onConnect = ({ url, protocol }) => {
+      // Live input and effects both drive pixel colors — only one at a time
+      if (this.effectsEngine.active) this.effectsEngine.stop();
+      this.liveDMXInput.start(url, protocol);
+    };
+    this.liveDMXDialog.onDisconnect = () => this.liveDMXInput.stop();
+
+    // Pixel effects engine + floating timeline panel
+    this.effectsEngine = new PixelEffectsEngine(app.tubeManager, app.sceneManager);
+    this.effectsPanel = new EffectsPanel(this.effectsEngine);
+    this.effectsPanel.onBeforePlay = () => {
+      if (this.liveDMXInput.active) this.liveDMXInput.stop();
+    };
+
+    // Bend radius overlay + validation panel (bend / cut / DMX issues)
+    this.bendOverlay = new BendOverlay(app.sceneManager);
+    this.validationPanel = new ValidationPanel();
+    this.validationPanel.onSelectTube = (id) => {
+      this._onSelectTube(id);
+      this.focusSelected();
+    };
+    this.validationPanel.onToggleOverlay = (visible) => this.bendOverlay.setVisible(visible);
+
+    // Power budget panel + injection point markers (shown while the panel is open)
+    this.injectionOverlay = new InjectionOverlay(app.sceneManager);
+    this.powerPanel = new PowerPanel();
+    this.powerPanel.onChange = () => this._refreshPower();
+    this.powerPanel.onVisibilityChange = (visible) => {
+      this.injectionOverlay.setVisible(visible);
+      if (visible) this._refreshPower();
+    };
+    this.powerPanel.onSelectTube = (id) => {
+      this._onSelectTube(id);
+      this.focusSelected();
+    };
+    this.powerPanel.onExport = (format) => this._onExportPowerReport(format);
+
+    // Image / video preview on UV-mapped tubes
+    this.texturePreview = new TexturePreview(app.tubeManager, app.sceneManager);
+    this.texturePreviewDialog = new TexturePreviewDialog();
+    this.texturePreviewDialog.onApply = (values) => this._onTexturePreviewApply(values);
+    this.texturePreviewDialog.onClear = () => {
+      this.texturePreview.clear();
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = 'Texture preview cleared';
+    };
+
+    // Auto-patch dialog
+    this.autoPatchDialog = new AutoPatchDialog();
+    this.autoPatchDialog.onConfirm = (values) => this._onAutoPatchConfirm(values);
+
+    // Array dialog
+    this.arrayDialog = new ArrayDialog();
+    this.arrayDialog.onConfirm = (values) => this._onArrayConfirm(values);
+
+    // Rotate / mirror dialog
+    this.transformDialog = new TransformDialog();
+    this.transformDialog.onConfirm = (values) => this._onTransformConfirm(values);
+
+    // DXF export options
+    this.dxfExportDialog = new DXFExportDialog();
+    this.dxfExportDialog.onConfirm = (options) => this._onExportDXFConfirm(options);
+
     // Floating command panel (StreamDeck-style)
     this.commandPanel = new CommandPanel();
     this._registerCommands();
@@ -446,6 +648,7 @@ export class UIManager {
       'freehand': 'Freehand — Click and drag to draw, release to finish',
       'rectangle': 'Rectangle — Click first corner, then second corner | Esc cancel',
       'circle': 'Circle — Click center, then edge point | Esc cancel',
+      'bezier': 'Pen — Click for a corner, drag for a smooth point | Alt+drag break tangent | click first point to close',
       'cut': 'Cut Tool — Hover over a tube and click to split | Esc to exit',
     };
     if (statusEl) statusEl.textContent = messages[tool] || 'Ready';
@@ -455,11 +658,25 @@ export class UIManager {
     this.app.drawingManager.setSnap(enabled);
   }
 
+  _onObjectSnapToggle(enabled) {
+    this.app.drawingManager.setObjectSnap(enabled);
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) statusEl.textContent = `Object snap: ${enabled ? 'ON' : 'OFF'}`;
+  }
+
+  /** Toggle object snap (O key / command panel). */
+  toggleObjectSnap() {
+    this.toolbar.setObjectSnap(!this.toolbar.objectSnapEnabled);
+    this._onObjectSnapToggle(this.toolbar.objectSnapEnabled);
+  }
+
   _onPlaneChange(plane) {
     const dm = this.app.drawingManager;
     let anchor = null;
     if (dm.currentMode === 'click-place' && dm.clickPlaceMode.points.length > 0) {
       anchor = dm.clickPlaceMode.points[dm.clickPlaceMode.points.length - 1];
+    } else if (dm.currentMode === 'bezier' && dm.bezierPenMode.nodes.length > 0) {
+      anchor = dm.bezierPenMode.nodes[dm.bezierPenMode.nodes.length - 1].point;
     }
     this.app.sceneManager.setDrawingPlane(plane, anchor);
     const names = { XZ: 'Ground (XZ)', XY: 'Front (XY)', YZ: 'Side (YZ)' };
@@ -480,7 +697,7 @@ export class UIManager {
     this._lastExportName = filename;
     try {
       if (statusEl) statusEl.textContent = 'Exporting MVR...';
-      await MVRExporter.export(this.app.tubeManager, this.connectorManager, filename);
+      await MVRExporter.export(this.app.tubeManager, this.connectorManager, filename, this.gdtfLibrary);
       if (statusEl) statusEl.textContent = `MVR exported: ${filename}.mvr`;
     } catch (err) {
       console.error('Export error:', err);
@@ -488,6 +705,216 @@ export class UIManager {
     }
   }
 
+  /** Open the DXF export options (centerlines for fabrication / CAD). */
+  _onExportDXF() {
+    const count = this.app.tubeManager.tubes.filter(t => t.isValid).length;
+    if (count === 0) {
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = 'Nothing to export — create some tubes first.';
+      return;
+    }
+    this.dxfExportDialog.show(count);
+  }
+
+  _onExportDXFConfirm(options) {
+    const statusEl = document.getElementById('status-text');
+    const defaultName = this._lastExportName || 'NeonFlexDesign';
+    const filename = prompt('DXF filename:', defaultName);
+    if (!filename) return; // cancelled
+    this._lastExportName = filename;
+    try {
+      DXFExporter.export(this.app.tubeManager, this.connectorManager, filename, options);
+      if (statusEl) statusEl.textContent = `DXF exported: ${filename}.dxf`;
+    } catch (err) {
+      console.error('DXF export error:', err);
+      if (statusEl) statusEl.textContent = `Export failed: ${err.message}`;
+    }
+  }
+
+  /** Recompute the power budget for the panel and the injection markers. */
+  _refreshPower() {
+    const tubes = this.app.tubeManager.tubes;
+    const report = buildPowerReport(tubes, this.powerPanel.settings);
+    this.powerPanel.update(report);
+    this.injectionOverlay.update(tubes, report);
+  }
+
+  /**
+   * Export the power budget (loads, injection points, PSU groups).
+   * @param {'csv'|'html'} format
+   */
+  _onExportPowerReport(format) {
+    const statusEl = document.getElementById('status-text');
+    const report = buildPowerReport(this.app.tubeManager.tubes, this.powerPanel.settings);
+    if (report.tubes.length === 0) {
+      if (statusEl) {
+        statusEl.textContent = report.unpowered.length > 0
+          ? 'No power data — set Power (W/m) on the fixture preset in the Fixture Library.'
+          : 'Nothing to export — create some tubes first.';
+      }
+      return;
+    }
+    const defaultName = this._lastExportName || 'NeonFlexDesign';
+    const filename = prompt('Power report filename:', defaultName);
+    if (!filename) return; // cancelled
+    this._lastExportName = filename;
+    try {
+      if (format === 'csv') {
+        PowerReportExporter.exportCSV(report, filename);
+        if (statusEl) statusEl.textContent = `Power report exported: ${filename}_power.csv`;
+      } else {
+        PowerReportExporter.exportHTML(report, filename);
+        if (statusEl) statusEl.textContent = `Power report exported: ${filename}_power.html — open and print to PDF`;
+      }
+    } catch (err) {
+      console.error('Power report export error:', err);
+      if (statusEl) statusEl.textContent = `Export failed: ${err.message}`;
+    }
+  }
+
+  /**
+   * Export the DMX patch sheet.
+   * @param {'csv'|'html'} format
+   */
+  _onExportPatchSheet(format) {
+    const statusEl = document.getElementById('status-text');
+    if (this.app.tubeManager.tubes.length === 0) {
+      if (statusEl) statusEl.textContent = 'Nothing to export — create some tubes first.';
+      return;
+    }
+    const defaultName = this._lastExportName || 'NeonFlexDesign';
+    const filename = prompt('Patch sheet filename:', defaultName);
+    if (!filename) return; // cancelled
+    this._lastExportName = filename;
+    try {
+      if (format === 'csv') {
+        PatchSheetExporter.exportCSV(this.app.tubeManager, filename);
+        if (statusEl) statusEl.textContent = `Patch sheet exported: ${filename}_patch.csv`;
+      } else {
+        PatchSheetExporter.exportHTML(this.app.tubeManager, filename);
+        if (statusEl) statusEl.textContent = `Patch sheet exported: ${filename}_patch.html — open and print to PDF`;
+      }
+    } catch (err) {
+      console.error('Patch sheet export error:', err);
+      if (statusEl) statusEl.textContent = `Export failed: ${err.message}`;
+    }
+  }
+
+  /**
+   * Export the bill of materials (cut list, meters per product, connectors, end caps).
+   * @param {'csv'|'html'} format
+   */
+  _onExportBOM(format) {
+    const statusEl = document.getElementById('status-text');
+    if (this.app.tubeManager.tubes.length === 0) {
+      if (statusEl) statusEl.textContent = 'Nothing to export — create some tubes first.';
+      return;
+    }
+    const defaultName = this._lastExportName || 'NeonFlexDesign';
+    const filename = prompt('BOM filename:', defaultName);
+    if (!filename) return; // cancelled
+    const spareInput = prompt('Spare (%) added to order quantities:', String(this._bomSparePct ?? 10));
+    if (spareInput === null) return; // cancelled
+    const sparePct = Math.max(0, parseFloat(spareInput) || 0);
+    this._lastExportName = filename;
+    this._bomSparePct = sparePct;
+    try {
+      if (format === 'csv') {
+        BOMExporter.exportCSV(this.app.tubeManager, this.connectorManager, filename, sparePct);
+        if (statusEl) statusEl.textContent = `BOM exported: ${filename}_bom.csv`;
+      } else {
+        BOMExporter.exportHTML(this.app.tubeManager, this.connectorManager, filename, sparePct);
+        if (statusEl) statusEl.textContent = `BOM exported: ${filename}_bom.html — open and print to PDF`;
+      }
+    } catch (err) {
+      console.error('BOM export error:', err);
+      if (statusEl) statusEl.textContent = `Export failed: ${err.message}`;
+    }
+  }
+
+  /**
+   * Auto-patch: targets are the selected tubes, or all tubes when none are selected.
+   */
+  _autoPatchTargets() {
+    const tm = this.app.tubeManager;
+    const valid = tm.tubes.filter(t => t.isValid);
+    const selected = valid.filter(t => tm.selectedTubeIds.has(t.id) || t === tm.selectedTube);
+    return selected.length > 0 ? selected : valid;
+  }
+
+  _onAutoPatch() {
+    const count = this._autoPatchTargets().length;
+    if (count === 0) {
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = 'Nothing to patch — create some tubes first.';
+      return;
+    }
+    this.autoPatchDialog.show(count);
+  }
+
+  _onAutoPatchConfirm(opts) {
+    const targets = this._autoPatchTargets();
+    if (targets.length === 0) return;
+    this.undoManager.capture();
+    const { tubes, lastUniverse } = autoPatch(targets, opts);
+    this._refreshAll();
+
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) {
+      const first = tubes[0];
+      const uniText = lastUniverse > first.dmxUniverse
+        ? `U${first.dmxUniverse}–U${lastUniverse}`
+        : `U${first.dmxUniverse}`;
+      const conflicts = this.tubeListPanel.patchConflicts.size;
+      statusEl.textContent = `Auto-patched ${tubes.length} tube(s) → ${uniText}`
+        + (conflicts > 0 ? ` — ${conflicts} tube(s) still overlap other tubes` : '');
+    }
+  }
+
+  /**
+   * Live DMX: open the bridge dialog (connect, reconnect or disconnect).
+   */
+  _onLiveDMX() {
+    this.liveDMXDialog.show(this.liveDMXInput.active);
+  }
+
+  /**
+   * Texture preview: targets are the selected UV-mapped tubes, or all of them.
+   */
+  _texturePreviewTargets() {
+    const tm = this.app.tubeManager;
+    const uvTubes = tm.tubes.filter(t => t.pixelMode === 'uv-mapped' && !t.isPlaceholder);
+    const selected = uvTubes.filter(t => tm.selectedTubeIds.has(t.id) || t === tm.selectedTube);
+    return selected.length > 0 ? selected : uvTubes;
+  }
+
+  _onTexturePreview() {
+    this.texturePreviewDialog.show({
+      loadedName: this.texturePreview.fileName,
+      targetCount: this._texturePreviewTargets().length,
+    });
+  }
+
+  async _onTexturePreviewApply({ file, mode }) {
+    const statusEl = document.getElementById('status-text');
+    const targets = this._texturePreviewTargets();
+    if (targets.length === 0) {
+      if (statusEl) statusEl.textContent = 'Texture preview needs UV-mapped tubes — set Pixel Mode to UV Mapped first.';
+      return;
+    }
+    try {
+      if (file) {
+        if (statusEl) statusEl.textContent = `Loading ${file.name}...`;
+        await this.texturePreview.loadFile(file);
+      }
+      const count = this.texturePreview.apply(targets, mode);
+      if (statusEl) statusEl.textContent = `Texture preview: ${this.texturePreview.fileName} on ${count} tube(s)`;
+    } catch (err) {
+      console.error('Texture preview error:', err);
+      if (statusEl) statusEl.textContent = `Texture preview failed: ${err.message}`;
+    }
+  }
+
   _onGridSizeChange(sizeM) {
     this.app.sceneManager.setGridSize(sizeM);
     const statusEl = document.getElementById('status-text');
@@ -531,6 +958,13 @@ export class UIManager {
    * Sets the active preset for future drawings.
    */
   _onPresetChange(presetId) {
+    // Library entry → open the library, keep the current preset
+    if (presetId === '__library__') {
+      this.toolbar.setPreset(this._previousPresetId);
+      this.fixtureLibraryDialog.show();
+      return;
+    }
+
     // Custom preset → show dialog, don't apply yet
     if (presetId === 'custom') {
       this._previousPresetId = this.app.drawingManager.activePresetId || 'custom';
@@ -543,10 +977,7 @@ export class UIManager {
     this.app.drawingManager.activePresetId = presetId;
     this._previousPresetId = presetId;
 
-    // Update max length on drawing modes
-    const maxLengthM = preset && preset.maxLengthM ? preset.maxLengthM : 0;
-    this.app.drawingManager.clickPlaceMode.maxLengthM = maxLengthM;
-    this.app.drawingManager.freehandMode.maxLengthM = maxLengthM;
+    this._applyDrawingLimits(preset);
 
     // Also update the selected tube's preset (+ all group members)
     const tube = this.app.tubeManager.selectedTube;
@@ -555,13 +986,7 @@ export class UIManager {
       const targets = tube.groupId ? this.app.tubeManager.getGroupMembers(tube) : [tube];
       for (const t of targets) {
         t.fixturePreset = presetId;
-        if (preset) {
-          if (preset.profile != null) t.profile = preset.profile;
-          if (preset.diameterMm != null) t.diameterMm = preset.diameterMm;
-          if (preset.pixelsPerMeter != null) t.pixelsPerMeter = preset.pixelsPerMeter;
-          if (preset.dmxChannelsPerPixel != null) t.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-          if (preset.materialPreset != null) t.materialPreset = preset.materialPreset;
-        }
+        applyPresetToTube(t, preset);
         this.app.tubeManager.updateTube(t);
       }
       this.propertiesPanel.show(tube);
@@ -570,7 +995,9 @@ export class UIManager {
     const statusEl = document.getElementById('status-text');
     if (statusEl) {
       const label = preset ? preset.label : 'Custom';
-      const extra = preset && preset.maxLengthM ? ` — Max ${Math.round(preset.maxLengthM * 1000)}mm (auto-segments)` : '';
+      let extra = preset && preset.maxLengthM ? ` — Max ${Math.round(preset.maxLengthM * 1000)}mm (auto-segments)` : '';
+      const rules = cutRules(preset);
+      if (rules && rules.incrementM > 0) extra += ` — cut every ${Math.round(rules.incrementM * 10000) / 10}mm`;
       statusEl.textContent = `Fixture preset: ${label}${extra}`;
     }
   }
@@ -580,24 +1007,14 @@ export class UIManager {
     this.app.drawingManager.activePresetId = 'custom';
     this._previousPresetId = 'custom';
 
-    // Update max length on drawing modes
-    const maxLengthM = presetObj.maxLengthM || 0;
-    this.app.drawingManager.clickPlaceMode.maxLengthM = maxLengthM;
-    this.app.drawingManager.freehandMode.maxLengthM = maxLengthM;
+    this._applyDrawingLimits(presetObj);
 
     // Apply to selected tube if one exists
     const tube = this.app.tubeManager.selectedTube;
     if (tube) {
       this.undoManager.capture();
       tube.fixturePreset = 'custom';
-      if (presetObj.profile != null) tube.profile = presetObj.profile;
-      if (presetObj.diameterMm != null) tube.diameterMm = presetObj.diameterMm;
-      if (presetObj.widthMm != null) tube.widthMm = presetObj.widthMm;
-      if (presetObj.heightMm != null) tube.heightMm = presetObj.heightMm;
-      if (presetObj.pixelsPerMeter != null) tube.pixelsPerMeter = presetObj.pixelsPerMeter;
-      if (presetObj.dmxChannelsPerPixel != null) tube.dmxChannelsPerPixel = presetObj.dmxChannelsPerPixel;
-      if (presetObj.materialPreset != null) tube.materialPreset = presetObj.materialPreset;
-      if (presetObj.diffuserShape != null) tube.diffuserShape = presetObj.diffuserShape;
+      applyPresetToTube(tube, presetObj);
       this.app.tubeManager.updateTube(tube);
       this.propertiesPanel.show(tube);
     }
@@ -607,11 +1024,102 @@ export class UIManager {
     this._onToolChange('click-place');
   }
 
+  /**
+   * Update max length and cut marks on the drawing modes for a preset.
+   * @param {object|null} preset
+   */
+  _applyDrawingLimits(preset) {
+    const maxLengthM = preset && preset.maxLengthM ? preset.maxLengthM : 0;
+    this.app.drawingManager.clickPlaceMode.maxLengthM = maxLengthM;
+    this.app.drawingManager.clickPlaceMode.cutRules = cutRules(preset);
+    this.app.drawingManager.freehandMode.maxLengthM = maxLengthM;
+  }
+
   _onCustomFixtureCancel() {
     // Revert toolbar dropdown to previous preset
     this.toolbar.setPreset(this._previousPresetId);
   }
 
+  // ── Fixture Preset Library ────────────────────────────
+
+  /**
+   * Store the custom fixture dialog's values in the user library and make
+   * the saved entry the active preset.
+   * @param {object} presetObj
+   * @param {string|null} id - library entry to update (null = new entry)
+   */
+  _onSavePresetToLibrary(presetObj, id) {
+    const savedId = saveUserPreset(presetObj, id);
+    const preset = getPresetById(savedId);
+    if (id) {
+      // Editing: refresh the active preset if it is this one, don't touch tubes
+      if (this.app.drawingManager.activePresetId === savedId) {
+        this.app.drawingManager.activePreset = preset;
+        this._applyDrawingLimits(preset);
+      }
+      this.toolbar.setPreset(this._previousPresetId);
+    } else {
+      this.toolbar.setPreset(savedId);
+      this._onPresetChange(savedId);
+    }
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) statusEl.textContent = `Fixture library: ${id ? 'updated' : 'saved'} "${preset.label}"`;
+  }
+
+  _onPresetLibraryChanged() {
+    this.toolbar.refreshPresets();
+    if (this.fixtureLibraryDialog.visible) this.fixtureLibraryDialog.refresh();
+    this._refreshAll();
+  }
+
+  _onFixtureLibrary() {
+    this.fixtureLibraryDialog.show();
+  }
+
+  _onExportPresetLibrary() {
+    const data = exportPresetLibrary();
+    const statusEl = document.getElementById('status-text');
+    if (data.presets.length === 0) {
+      if (statusEl) statusEl.textContent = 'Fixture library is empty';
+      return;
+    }
+    const json = JSON.stringify(data, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'fixture-library.json';
+    a.click();
+    URL.revokeObjectURL(url);
+    if (statusEl) statusEl.textContent = `Fixture library exported — ${data.presets.length} preset(s)`;
+  }
+
+  _onImportPresetLibrary() {
+    this._presetLibraryFileInput.value = '';
+    this._presetLibraryFileInput.click();
+  }
+
+  _onPresetLibraryFileSelected(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    const statusEl = document.getElementById('status-text');
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        const result = importPresetLibrary(JSON.parse(ev.target.result));
+        const skipped = result.skipped > 0 ? `, ${result.skipped} skipped` : '';
+        if (statusEl) {
+          statusEl.textContent = `Fixture library imported from ${file.name} — `
+            + `${result.added} added, ${result.updated} updated${skipped}`;
+        }
+      } catch (err) {
+        console.error('Fixture library import error:', err);
+        if (statusEl) statusEl.textContent = `Fixture library import failed: ${err.message}`;
+      }
+    };
+    reader.readAsText(file);
+  }
+
   _onPropertyChange(tube, prop) {
     this.undoManager.capture();
     // When fixture preset changes from properties panel, sync toolbar
@@ -629,13 +1137,19 @@ export class UIManager {
       'materialPreset', 'pixelsPerMeter', 'dmxChannelsPerPixel', 'pixelMode',
       'pixelColor', 'pixelEmissive', 'tension',
       'isPlaceholder', 'facingDirection', 'placeholderName',
+      'gdtfFixture', 'gdtfMode',
     ]);
     if (tube.groupId && groupProps.has(prop)) {
       const members = this.app.tubeManager.getGroupMembers(tube);
       const newValue = tube[prop];
       for (const m of members) {
         if (m.id !== tube.id) {
-          m[prop] = newValue;
+          if (prop === 'gdtfFixture' || prop === 'gdtfMode') {
+            // Also sets the footprint and clamps the address
+            this.gdtfLibrary.assign(m, tube.gdtfFixture, tube.gdtfMode);
+          } else {
+            m[prop] = newValue;
+          }
           this.app.tubeManager.updateTube(m);
         }
       }
@@ -645,6 +1159,91 @@ export class UIManager {
     this._refreshTubeList();
   }
 
+  // ── Controllers ───────────────────────────────────────
+
+  _onAddController() {
+    const cm = this.controllerManager;
+    const tube = this.app.tubeManager.selectedTube;
+    // Continue after the universes of the existing controllers
+    const startUniverse = cm.controllers.reduce(
+      (u, c) => Math.max(u, c.startUniverse + c.portCount * c.universesPerPort), 1
+    );
+    this.undoManager.capture();
+    const controller = cm.createController({
+      position: tube && tube.controlPoints.length > 0 ? tube.controlPoints[0] : null,
+      startUniverse,
+    });
+    this._refreshAll();
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) {
+      statusEl.textContent = `${controller.name} added (U${startUniverse}+) — drag tubes from the list onto its ports`;
+    }
+  }
+
+  _onDeleteController(id) {
+    const controller = this.controllerManager.getControllerById(id);
+    if (!controller) return;
+    if (!confirm(`Delete ${controller.name}? Its tubes keep their current patch.`)) return;
+    this.undoManager.capture();
+    this.controllerManager.deleteController(controller);
+    this._refreshAll();
+  }
+
+  _onChangeController(id, key, value) {
+    const controller = this.controllerManager.getControllerById(id);
+    if (!controller) return;
+    this.undoManager.capture();
+    if (key === 'portCount') controller.setPortCount(value);
+    else controller[key] = value;
+    this._refreshAll();
+  }
+
+  _onMoveControllerToSelection(id) {
+    const controller = this.controllerManager.getControllerById(id);
+    const tube = this.app.tubeManager.selectedTube;
+    if (!controller) return;
+    if (!tube || tube.controlPoints.length === 0) {
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = 'Select a tube first — the controller moves to its start';
+      return;
+    }
+    this.undoManager.capture();
+    controller.position.copy(tube.controlPoints[0]);
+    this._refreshAll();
+  }
+
+  _onAssignTubes(tubeIds, controllerId, port, index = -1) {
+    const controller = this.controllerManager.getControllerById(controllerId);
+    const tm = this.app.tubeManager;
+    const ids = tubeIds.filter(id => tm.getTubeById(id));
+    if (!controller || ids.length === 0) return;
+    this.undoManager.capture();
+    this.controllerManager.assignTubes(ids, controller, port, index);
+    this._refreshAll();
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) statusEl.textContent = `Wired ${ids.length} tube(s) to ${controller.name} port ${port + 1}`;
+  }
+
+  _onAssignSelectedTubes(controllerId, port) {
+    const tm = this.app.tubeManager;
+    const ids = tm.selectedTubeIds.size > 0
+      ? tm.tubes.filter(t => tm.selectedTubeIds.has(t.id)).map(t => t.id)
+      : (tm.selectedTube ? [tm.selectedTube.id] : []);
+    if (ids.length === 0) {
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = 'Select tubes first, or drag them from the list onto a port';
+      return;
+    }
+    this._onAssignTubes(ids, controllerId, port);
+  }
+
+  _onUnassignTube(tubeId) {
+    if (!this.controllerManager.findAssignment(tubeId)) return;
+    this.undoManager.capture();
+    this.controllerManager.unassignTube(tubeId);
+    this._refreshAll();
+  }
+
   _onSelectTube(id) {
     const tube = this.app.tubeManager.getTubeById(id);
     if (tube) {
@@ -696,6 +1295,252 @@ export class UIManager {
     }
   }
 
+  /**
+   * Join the selected tubes whose ends touch into continuous runs
+   * (J key, command panel, multi-select Join button).
+   * @param {object} [opts]
+   * @param {number} [opts.toleranceM] - max gap between ends
+   * @param {boolean} [opts.close=true] - close runs whose last end meets the first
+   */
+  _onJoinTubes(opts = {}) {
+    const tm = this.app.tubeManager;
+    const statusEl = document.getElementById('status-text');
+    const toleranceM = opts.toleranceM ?? JOIN_TOLERANCE_M;
+    const closeLoops = opts.close ?? true;
+    const selected = tm.tubes.filter(t => tm.selectedTubeIds.has(t.id));
+    if (selected.length < 2) {
+      if (statusEl) statusEl.textContent = 'Select at least 2 tubes (Shift+Click in list) then J to join';
+      return;
+    }
+
+    const chains = planJoins(selected, toleranceM);
+    if (chains.length === 0) {
+      if (statusEl) statusEl.textContent = `No tube ends within ${Math.round(toleranceM * 1000)}mm of each other — nothing to join`;
+      return;
+    }
+
+    this.undoManager.capture();
+    const joined = [];
+    let merged = 0;
+    let loops = 0;
+    let removedConnectors = 0;
+    for (const chain of chains) {
+      const ids = chain.runs.map(r => r.tube.id);
+      const close = closeLoops && chain.closesLoop;
+      const { tube, welds } = tm.joinTubes(chain.runs, close);
+      removedConnectors += this.connectorManager.joinConnectors(ids, tube.id, welds, toleranceM * 2);
+      joined.push(tube);
+      merged += ids.length;
+      if (tube.closed) loops++;
+    }
+
+    // Keep the joined runs selected
+    tm.selectTubeSingle(joined[0]);
+    for (const t of joined.slice(1)) tm.toggleMultiSelect(t);
+    this._refreshAll();
+
+    if (statusEl) {
+      const runs = joined.length === 1 ? `"${joined[0].name}"` : `${joined.length} runs`;
+      statusEl.textContent = `Joined ${merged} tubes into ${runs}`
+        + (loops > 0 ? ` — ${loops} closed loop(s)` : '')
+        + (removedConnectors > 0 ? ` — removed ${removedConnectors} connector(s)` : '');
+    }
+  }
+
+  /**
+   * Array / rotate / mirror sources: the selected tubes (picking a grouped
+   * tube selects its group).
+   */
+  _transformSources() {
+    const tm = this.app.tubeManager;
+    return tm.tubes.filter(t => t.isValid && (tm.selectedTubeIds.has(t.id) || t === tm.selectedTube));
+  }
+
+  /** Bounding box center of tubes, in whole millimeters (dialog defaults). */
+  _tubesCenterMm(tubes) {
+    const box = new THREE.Box3();
+    for (const tube of tubes) {
+      for (const pt of tube.controlPoints) box.expandByPoint(pt);
+    }
+    const center = box.getCenter(new THREE.Vector3()).multiplyScalar(1000).round();
+    return { x: center.x, y: center.y, z: center.z };
+  }
+
+  _onArray() {
+    const tm = this.app.tubeManager;
+    const sources = this._transformSources();
+    if (sources.length === 0) {
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = 'Select the tube(s) to array first';
+      return;
+    }
+    this.arrayDialog.show({
+      sourceCount: sources.length,
+      center: this._tubesCenterMm(sources),
+      pathTubes: tm.tubes
+        .filter(t => t.isValid && !sources.includes(t))
+        .map(t => ({ id: t.id, name: t.name })),
+    });
+  }
+
+  /**
+   * Build the array: duplicate every source tube once per transform, copy
+   * the connectors between them, then patch and group the copies.
+   */
+  _onArrayConfirm(opts) {
+    const tm = this.app.tubeManager;
+    const statusEl = document.getElementById('status-text');
+    const sources = this._transformSources();
+    if (sources.length === 0) return;
+
+    let matrices;
+    if (opts.mode === 'radial') {
+      const c = opts.center;
+      matrices = radialArray(opts.count, {
+        axis: opts.axis,
+        center: new THREE.Vector3(c.x, c.y, c.z).multiplyScalar(0.001),
+        angle: THREE.MathUtils.degToRad(opts.angle),
+      });
+    } else if (opts.mode === 'path') {
+      const pathTube = tm.getTubeById(opts.pathTubeId);
+      if (!pathTube || sources.includes(pathTube)) {
+        if (statusEl) statusEl.textContent = 'Array along path needs another tube as the path';
+        return;
+      }
+      matrices = pathArray(opts.count, pathTube, { align: opts.align });
+    } else {
+      const d = opts.spacing;
+      matrices = linearArray(opts.count, new THREE.Vector3(d.x, d.y, d.z).multiplyScalar(0.001));
+    }
+    if (matrices.length === 0) return;
+
+    this.undoManager.capture();
+    const copies = [];
+    let connectors = 0;
+    matrices.forEach((matrix, i) => {
+      const idMap = new Map();
+      for (const source of sources) {
+        const copy = tm.duplicateTube(source, matrix);
+        copy.name = `${source.name} ${i + 2}`;
+        idMap.set(source.id, copy.id);
+        copies.push(copy);
+      }
+      connectors += this.connectorManager.copyConnectorsForTubes(idMap, matrix).length;
+    });
+
+    // Address the copies after everything already patched
+    if (opts.patch) {
+      const existing = tm.tubes.filter(t => !copies.includes(t));
+      autoPatch(copies, { order: 'list', ...nextFreePatch(existing) });
+    }
+
+    let groupId = null;
+    if (opts.group) {
+      groupId = tm.nextGroupId++;
+      for (const tube of [...sources, ...copies]) tube.groupId = groupId;
+    }
+
+    // Select the whole array
+    tm.selectTubeSingle(sources[0]);
+    for (const tube of [...sources.slice(1), ...copies]) tm.toggleMultiSelect(tube);
+    this._refreshAll();
+
+    if (statusEl) {
+      const mode = (ARRAY_MODES[opts.mode] || ARRAY_MODES.linear).toLowerCase();
+      statusEl.textContent = `Array (${mode}): ${copies.length} cop${copies.length === 1 ? 'y' : 'ies'}`
+        + (connectors > 0 ? `, ${connectors} connector(s)` : '')
+        + (opts.patch ? ' — patched after the last used channel' : '')
+        + (groupId ? ` — Group ${groupId}` : '');
+    }
+  }
+
+  /**
+   * Open the rotate / mirror dialog for the selection.
+   * @param {'rotate'|'mirror'} mode
+   */
+  _onTransform(mode) {
+    const sources = this._transformSources();
+    if (sources.length === 0) {
+      const statusEl = document.getElementById('status-text');
+      if (statusEl) statusEl.textContent = `Select the tube(s) to ${mode} first`;
+      return;
+    }
+    this.transformDialog.show({
+      mode,
+      tubeCount: sources.length,
+      center: this._tubesCenterMm(sources),
+    });
+  }
+
+  /**
+   * Rotate or mirror the selected tubes around the pivot. Connectors follow
+   * (TubeManager.onTubesTransformed). Mirrors can leave the originals in
+   * place and work on copies instead, and can restore the pixel direction
+   * the mirror reversed.
+   */
+  _onTransformConfirm(opts) {
+    const tm = this.app.tubeManager;
+    const statusEl = document.getElementById('status-text');
+    const sources = this._transformSources();
+    if (sources.length === 0) return;
+    const pivot = new THREE.Vector3(opts.pivot.x, opts.pivot.y, opts.pivot.z).multiplyScalar(0.001);
+
+    this.undoManager.capture();
+
+    if (opts.mode === 'rotate') {
+      tm.transformTubes(sources, rotationMatrix(opts.axis, THREE.MathUtils.degToRad(opts.angle), pivot));
+      this._refreshAll();
+      if (statusEl) statusEl.textContent = `Rotated ${sources.length} tube(s) ${opts.angle}° around ${opts.axis}`;
+      return;
+    }
+
+    const plane = opts.plane === 'custom'
+      ? new THREE.Vector3(opts.normal.x, opts.normal.y, opts.normal.z)
+      : opts.plane;
+    const matrix = mirrorMatrix(plane, pivot);
+
+    let targets = sources;
+    if (opts.copy) {
+      const idMap = new Map();
+      targets = sources.map(source => {
+        const copy = tm.duplicateTube(source, matrix);
+        copy.name = `${source.name} mirror`;
+        idMap.set(source.id, copy.id);
+        return copy;
+      });
+      this.connectorManager.copyConnectorsForTubes(idMap, matrix);
+      if (opts.patch) {
+        const existing = tm.tubes.filter(t => !targets.includes(t));
+        autoPatch(targets, { order: 'list', ...nextFreePatch(existing) });
+      }
+    } else {
+      tm.transformTubes(sources, matrix);
+    }
+
+    if (opts.pixelDirection === 'keep') {
+      const reversed = targets.filter(t => !t.closed).map(t => t.id);
+      for (const tube of targets) {
+        restorePixelDirection(tube);
+        tm.updateTube(tube);
+      }
+      this.connectorManager.reverseConnectorsForTubes(reversed);
+    }
+
+    // Select what was mirrored (with the originals when copying)
+    const selection = opts.copy ? [...sources, ...targets] : targets;
+    tm.selectTubeSingle(selection[0]);
+    for (const tube of selection.slice(1)) tm.toggleMultiSelect(tube);
+    this._refreshAll();
+
+    if (statusEl) {
+      const planeName = opts.plane === 'custom' ? 'custom plane' : opts.plane;
+      statusEl.textContent = `Mirrored ${sources.length} tube(s) across ${planeName}`
+        + (opts.copy ? ' as copies' : '')
+        + (opts.pixelDirection === 'keep' ? ' — pixel direction kept' : ' — pixel order mirrored')
+        + (opts.copy && opts.patch ? ' — copies patched after the last used channel' : '');
+    }
+  }
+
   _onDeleteTube(id) {
     const tube = this.app.tubeManager.getTubeById(id);
     if (tube) {
@@ -716,6 +1561,33 @@ export class UIManager {
   _refreshTubeList() {
     const tm = this.app.tubeManager;
     const rm = this.refModelManager;
+    // Controller chains set the universe / address of wired tubes before anything reads them
+    const cm = this.controllerManager;
+    cm.prune(tm.tubes);
+    cm.applyPatch(tm.tubes);
+    const portStatus = cm.portStatus(tm.tubes);
+    cm.updateVisuals(tm.tubes);
+    this.controllerPanel.refresh(cm.controllers, tm.tubes, portStatus, tm.selectedTube?.id ?? null);
+    // DMX overlaps are shown in both panels; the properties panel rebuilds after this
+    const conflicts = findPatchConflicts(tm.tubes);
+    this.tubeListPanel.patchConflicts = conflicts;
+    this.propertiesPanel.patchConflicts = conflicts;
+    // Lengths that can't be ordered with the preset's cut rules / max length
+    const cutWarnings = findCutWarnings(tm.tubes);
+    this.tubeListPanel.cutWarnings = cutWarnings;
+    this.propertiesPanel.cutWarnings = cutWarnings;
+    // Bends tighter than the preset's minimum radius / in the stiff direction
+    const bendViolations = findBendViolations(tm.tubes);
+    this.tubeListPanel.bendViolations = bendViolations;
+    this.propertiesPanel.bendViolations = bendViolations;
+    this.bendOverlay.update(tm.tubes, bendViolations);
+    this.validationPanel.update(tm.tubes, {
+      bends: bendViolations,
+      cuts: cutWarnings,
+      conflicts,
+      ports: [...portStatus.values()].filter(s => s.problems.length > 0),
+    });
+    if (this.powerPanel.visible) this._refreshPower();
     this.tubeListPanel.refresh(
       tm.tubes, tm.selectedTube?.id ?? null,
       rm.models, rm.selectedModel?.id ?? null,
@@ -805,6 +1677,15 @@ export class UIManager {
     data.refModels = this.refModelManager.toJSON();
     // Include connectors
     data.connectors = this.connectorManager.toJSON();
+    // Include controllers and their port chains
+    data.controllers = this.controllerManager.toJSON();
+    // Include imported GDTF fixture types
+    data.gdtfLibrary = this.gdtfLibrary.toJSON();
+    // Include library presets used by tubes, so the project opens elsewhere
+    const libraryIds = [...new Set(tm.tubes.map(t => t.fixturePreset).filter(isUserPreset))];
+    if (libraryIds.length > 0) data.fixturePresets = exportPresetLibrary(libraryIds).presets;
+    // Power budget settings (PSU size, headroom, drop limit)
+    data.powerSettings = { ...this.powerPanel.settings };
     const json = JSON.stringify(data, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -833,7 +1714,13 @@ export class UIManager {
         // Switch to select mode before loading
         this.setTool('select');
         this.undoManager.clear();
+        // Fixture types first so the panels can resolve each tube's GDTF
+        this.gdtfLibrary.loadFromJSON(data.gdtfLibrary);
+        // Library presets missing in this browser (existing entries win)
+        if (data.fixturePresets) importPresetLibrary(data.fixturePresets, { overwrite: false });
+        this.powerPanel.setSettings(data.powerSettings);
         const sceneState = this.app.tubeManager.loadProject(data);
+        this.gdtfLibrary.syncTubes(this.app.tubeManager.tubes);
         // Load ref model ghost entries
         this.refModelManager.clearAll();
         if (data.refModels) {
@@ -844,6 +1731,8 @@ export class UIManager {
         if (data.connectors) {
           this.connectorManager.loadFromJSON(data.connectors);
         }
+        // Load controllers (clears them for older projects)
+        this.controllerManager.loadFromJSON(data.controllers);
         // Restore scene state
         if (sceneState.gridSizeM) {
           this.app.sceneManager.setGridSize(sceneState.gridSizeM);
@@ -863,6 +1752,116 @@ export class UIManager {
     reader.readAsText(file);
   }
 
+  // ── GDTF Import ───────────────────────────────────────
+
+  /**
+   * Import .gdtf files into the fixture library.
+   * @param {import('../tube/TubeModel.js').TubeModel[]} [tubes] - assign the first imported fixture to these
+   */
+  _onImportGDTF(tubes = null) {
+    this._gdtfAssignTargets = tubes;
+    this._gdtfFileInput.value = '';
+    this._gdtfFileInput.click();
+  }
+
+  async _onGDTFFileSelected(e) {
+    const files = [...e.target.files];
+    if (files.length === 0) return;
+    const statusEl = document.getElementById('status-text');
+    const targets = this._gdtfAssignTargets;
+    this._gdtfAssignTargets = null;
+
+    const imported = [];
+    const failed = [];
+    for (const file of files) {
+      try {
+        imported.push(await this.gdtfLibrary.importFile(file));
+      } catch (err) {
+        console.error('GDTF import error:', err);
+        failed.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    // Assign to the tubes the import was started from
+    const fixture = imported.find(f => f.modes.length > 0);
+    if (targets && targets.length > 0 && fixture) {
+      this.undoManager.capture();
+      for (const tube of targets) {
+        this.gdtfLibrary.assign(tube, fixture.id);
+        this.app.tubeManager.updateTube(tube);
+      }
+    }
+    this._refreshAll();
+
+    if (statusEl) {
+      const names = imported.map(f => f.manufacturer ? `${f.manufacturer} ${f.name}` : f.name);
+      let text = imported.length > 0 ? `GDTF imported: ${names.join(', ')}` : 'No GDTF imported';
+      if (targets && targets.length > 0 && fixture) text += ` — assigned to ${targets.length} tube(s)`;
+      else if (imported.length > 0 && !fixture) text += ' — no DMX modes found';
+      if (failed.length > 0) text += ` — failed: ${failed.join('; ')}`;
+      statusEl.textContent = text;
+    }
+  }
+
+  // ── MVR Import (round trip) ───────────────────────────
+
+  _onImportMVR() {
+    this._mvrFileInput.value = '';
+    this._mvrFileInput.click();
+  }
+
+  /**
+   * Rebuild editable tubes from an MVR (ideally one exported here and edited in Capture).
+   * Tubes are added to the current scene; saved groups are restored with new group IDs.
+   */
+  async _onMVRFileSelected(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    const statusEl = document.getElementById('status-text');
+    if (statusEl) statusEl.textContent = `Importing ${file.name}...`;
+
+    let result;
+    try {
+      const buffer = await file.arrayBuffer();
+      result = await this._mvrImporter.parse(buffer, { gdtfLibrary: this.gdtfLibrary });
+    } catch (err) {
+      console.error('MVR import error:', err);
+      if (statusEl) statusEl.textContent = `MVR import failed: ${err.message}`;
+      return;
+    }
+
+    const { tubes, stats } = result;
+    if (tubes.length === 0) {
+      if (statusEl) statusEl.textContent = `No tubes found in ${file.name} — use Import Ref to load it as a reference model`;
+      return;
+    }
+
+    this.setTool('select');
+    this.undoManager.capture();
+    const tm = this.app.tubeManager;
+    const groupIds = new Map(); // saved groupId → new groupId
+    const createdTubes = [];
+    for (const td of tubes) {
+      const tube = tm.createTube(td.points, td.options);
+      if (td.groupKey != null) {
+        if (!groupIds.has(td.groupKey)) groupIds.set(td.groupKey, tm.nextGroupId++);
+        tube.groupId = groupIds.get(td.groupKey);
+      }
+      createdTubes.push(tube);
+    }
+    this.gdtfLibrary.syncTubes(createdTubes);
+
+    tm.selectTube(createdTubes[0]);
+    this._refreshAll();
+
+    if (statusEl) {
+      let text = `Imported ${createdTubes.length} tube(s) from ${file.name}`;
+      if (stats.rebuilt > 0) text += ` — ${stats.rebuilt} rebuilt from fixture positions`;
+      if (stats.skipped > 0) text += ` — ${stats.skipped} fixture(s) without tube data skipped`;
+      statusEl.textContent = text;
+    }
+  }
+
   // ── Reference Model Import ────────────────────────────
 
   _onImportRef() {
@@ -914,7 +1913,7 @@ export class UIManager {
     }
   }
 
-  // ── DWG Import ──────────────────────────────────────────
+  // ── DWG / DXF Import ────────────────────────────────────
 
   _onImportDWG() {
     this._dwgFileInput.value = '';
@@ -929,7 +1928,12 @@ export class UIManager {
     // Clear any previous DWG overlay
     this._clearDWGOverlay();
 
-    this.loadingOverlay.show('Loading DWG...');
+    const isDXF = file.name.toLowerCase().endsWith('.dxf');
+    this._dwgFormat = isDXF ? 'DXF' : 'DWG';
+    this._dwgActiveImporter = isDXF ? this._dxfImporter : this._dwgImporter;
+    const fmt = this._dwgFormat;
+
+    this.loadingOverlay.show(`Loading ${fmt}...`);
     this.loadingOverlay.setStatus(`Parsing ${file.name}...`);
     await new Promise(r => requestAnimationFrame(r));
 
@@ -939,13 +1943,13 @@ export class UIManager {
       this._dwgFileName = file.name;
       this._dwgScale = null; // auto-detect
 
-      const result = await this._dwgImporter.parse(buffer); // auto-detect scale
+      const result = await this._dwgActiveImporter.parse(buffer); // auto-detect scale
 
       this.loadingOverlay.hide();
 
       if (result.tubes.length === 0) {
         const info = result.stats;
-        if (statusEl) statusEl.textContent = `DWG: no convertible geometry found (${info.rawModelSpace} model-space entities, ${info.blocksResolved > 0 ? info.blocksResolved + ' from blocks' : 'no blocks resolved'})`;
+        if (statusEl) statusEl.textContent = `${fmt}: no convertible geometry found (${info.rawModelSpace} model-space entities, ${info.blocksResolved > 0 ? info.blocksResolved + ' from blocks' : 'no blocks resolved'})`;
         return;
       }
 
@@ -961,11 +1965,11 @@ export class UIManager {
       this._showDWGPanel(file.name, result);
 
       const blockInfo = result.stats.blocksResolved > 0 ? ` (${result.stats.blocksResolved} from blocks)` : '';
-      if (statusEl) statusEl.textContent = `DWG loaded: ${result.tubes.length} entities${blockInfo}. Click lines to select, then Convert.`;
+      if (statusEl) statusEl.textContent = `${fmt} loaded: ${result.tubes.length} entities${blockInfo}. Click lines to select, then Convert.`;
     } catch (err) {
       this.loadingOverlay.hide();
-      console.error('DWG parse error:', err);
-      if (statusEl) statusEl.textContent = `DWG import failed: ${err.message}`;
+      console.error(`${fmt} parse error:`, err);
+      if (statusEl) statusEl.textContent = `${fmt} import failed: ${err.message}`;
     }
   }
 
@@ -1117,7 +2121,7 @@ export class UIManager {
       // Re-parse with new scale and rebuild overlay
       const statusEl = document.getElementById('status-text');
       try {
-        const result2 = await this._dwgImporter.parse(this._dwgBuffer, { scale });
+        const result2 = await this._dwgActiveImporter.parse(this._dwgBuffer, { scale });
         this._dwgParsedTubes = result2.tubes;
         // Rebuild 3D lines
         if (this._dwgOverlayGroup) {
@@ -1129,10 +2133,10 @@ export class UIManager {
         if (this._dwgPointerHandler) canvas.removeEventListener('pointerdown', this._dwgPointerHandler);
         this._dwgSelectedSet.clear();
         this._showDWGOverlay(result2.tubes);
-        if (statusEl) statusEl.textContent = `DWG rescaled: ${result2.tubes.length} entities`;
+        if (statusEl) statusEl.textContent = `${this._dwgFormat} rescaled: ${result2.tubes.length} entities`;
       } catch (err) {
-        console.error('DWG rescale error:', err);
-        if (statusEl) statusEl.textContent = `DWG rescale failed: ${err.message}`;
+        console.error(`${this._dwgFormat} rescale error:`, err);
+        if (statusEl) statusEl.textContent = `${this._dwgFormat} rescale failed: ${err.message}`;
       }
     };
 
@@ -1158,7 +2162,10 @@ export class UIManager {
       this.app.sceneManager.requestRender();
     };
 
-    this.dwgImportDialog.show({ fileName, entities, entityCounts: result.entityCounts });
+    this.dwgImportDialog.show({
+      fileName, entities, entityCounts: result.entityCounts,
+      format: this._dwgFormat, scale: result.scale,
+    });
   }
 
   /**
@@ -1175,11 +2182,7 @@ export class UIManager {
     const presetId = this.app.drawingManager.activePresetId;
     const tubeOptions = { tension: 0 };
     if (preset) {
-      if (preset.profile != null) tubeOptions.profile = preset.profile;
-      if (preset.diameterMm != null) tubeOptions.diameterMm = preset.diameterMm;
-      if (preset.pixelsPerMeter != null) tubeOptions.pixelsPerMeter = preset.pixelsPerMeter;
-      if (preset.dmxChannelsPerPixel != null) tubeOptions.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-      if (preset.materialPreset != null) tubeOptions.materialPreset = preset.materialPreset;
+      Object.assign(tubeOptions, presetTubeOptions(preset));
       tubeOptions.fixturePreset = presetId;
     }
 
@@ -1262,7 +2265,7 @@ export class UIManager {
     this.app.sceneManager.requestRender();
 
     const statusEl = document.getElementById('status-text');
-    if (statusEl) statusEl.textContent = 'DWG overlay cleared';
+    if (statusEl) statusEl.textContent = `${this._dwgFormat} overlay cleared`;
   }
 
   /**
@@ -1409,6 +2412,7 @@ export class UIManager {
     this.undoManager.capture();
     const total = tube.controlPoints.length;
     const snapped = this.refModelManager.snapTubeToModels(tube, targetModels);
+    if (snapped > 0) tube.dropBezier();
     this.app.tubeManager.updateTube(tube);
     this.propertiesPanel.show(tube);
 
@@ -1601,7 +2605,20 @@ export class UIManager {
           return;
         }
         this.undoManager.capture();
-        this._createTubesFromChains(selectedChains, targetModels);
+        const createdCount = this._createTubesFromChains(selectedChains, 'Edge');
+
+        const label = targetModels.length > 1
+          ? `${targetModels.length} models`
+          : `"${targetModels[0].name}"`;
+        if (statusEl) {
+          statusEl.textContent = `Mapped ${createdCount} edge tube(s) from ${label}`;
+        }
+
+        // Focus camera on results
+        const focusTarget = targetModels[0].group;
+        if (focusTarget) {
+          this.app.sceneManager.focusOnObject(focusTarget);
+        }
       };
       this.edgePicker.onCancel = () => {
         if (statusEl) statusEl.textContent = 'Edge pick cancelled.';
@@ -1611,21 +2628,19 @@ export class UIManager {
   }
 
   /**
-   * Create tubes from a list of edge chains (shared by edge-pick confirm path).
+   * Create tubes from a list of chains with the active preset, auto-segmenting
+   * long runs (shared by edge mapping and SVG import).
+   * @param {{ points: THREE.Vector3[], closed: boolean }[]} chains
+   * @param {string} [namePrefix='Edge'] - name for auto-segmented pieces
+   * @returns {number} tubes created
    */
-  _createTubesFromChains(chains, targetModels) {
-    const statusEl = document.getElementById('status-text');
-
+  _createTubesFromChains(chains, namePrefix = 'Edge') {
     // Build tube options from active preset
     const preset = this.app.drawingManager.activePreset;
     const presetId = this.app.drawingManager.activePresetId;
     const presetOptions = {};
     if (preset) {
-      if (preset.profile != null) presetOptions.profile = preset.profile;
-      if (preset.diameterMm != null) presetOptions.diameterMm = preset.diameterMm;
-      if (preset.pixelsPerMeter != null) presetOptions.pixelsPerMeter = preset.pixelsPerMeter;
-      if (preset.dmxChannelsPerPixel != null) presetOptions.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-      if (preset.materialPreset != null) presetOptions.materialPreset = preset.materialPreset;
+      Object.assign(presetOptions, presetTubeOptions(preset));
       presetOptions.fixturePreset = presetId;
     }
 
@@ -1655,14 +2670,15 @@ export class UIManager {
           segmentPoints = [...chain.points, chain.points[0].clone()];
         }
 
-        const result = autoSegment(segmentPoints, preset.maxLengthM, connectorHeightM, tension);
+        const cutIncrementM = cutRules(preset)?.incrementM || 0;
+        const result = autoSegment(segmentPoints, preset.maxLengthM, connectorHeightM, tension, cutIncrementM);
 
         if (result.segments.length > 1) {
           const segOptions = { ...tubeOpts };
           if (chain.closed) delete segOptions.closed;
 
           for (let i = 0; i < result.segments.length; i++) {
-            const segName = { name: `Edge (seg ${i + 1}/${result.segments.length})` };
+            const segName = { name: `${namePrefix} (seg ${i + 1}/${result.segments.length})` };
             this.app.tubeManager.createTube(result.segments[i], { ...segOptions, ...segName });
             createdCount++;
           }
@@ -1688,17 +2704,62 @@ export class UIManager {
       createdCount++;
     }
 
-    const label = targetModels.length > 1
-      ? `${targetModels.length} models`
-      : `"${targetModels[0].name}"`;
-    if (statusEl) {
-      statusEl.textContent = `Mapped ${createdCount} edge tube(s) from ${label}`;
-    }
+    return createdCount;
+  }
 
-    // Focus camera on results
-    const focusTarget = targetModels[0].group;
-    if (focusTarget) {
-      this.app.sceneManager.focusOnObject(focusTarget);
+  /**
+   * Import SVG: pick file, plane, size and detail in the dialog.
+   */
+  _onImportSVG() {
+    this.svgImportDialog.show({ plane: this.toolbar.currentPlane || 'XZ' });
+  }
+
+  /**
+   * Handle SVG import dialog confirmation — parse and build tubes.
+   */
+  async _onImportSVGConfirm(values) {
+    const statusEl = document.getElementById('status-text');
+    const { file, plane, size, divisions, simplifyMm } = values;
+
+    this.loadingOverlay.show('Loading SVG...');
+    this.loadingOverlay.setStatus(`Parsing ${file.name}...`);
+    await new Promise(r => requestAnimationFrame(r));
+
+    try {
+      const text = await file.text();
+      const { chains, stats } = this._svgImporter.parse(text, {
+        size,
+        plane,
+        divisions,
+        simplifyEpsilon: simplifyMm * 0.001,
+      });
+
+      if (chains.length === 0) {
+        this.loadingOverlay.hide();
+        if (statusEl) statusEl.textContent = `SVG: no convertible paths found in ${file.name}`;
+        return;
+      }
+
+      this.undoManager.capture();
+      this.loadingOverlay.setStatus(`Creating ${chains.length} tube(s)...`);
+      const createdCount = this._createTubesFromChains(chains, 'SVG');
+      this.loadingOverlay.hide();
+
+      const skipInfo = stats.skipped > 0 ? ` (${stats.skipped} degenerate skipped)` : '';
+      if (statusEl) statusEl.textContent = `Created ${createdCount} tube(s) from ${file.name}${skipInfo}`;
+
+      // Focus camera on results
+      const focusBox = new THREE.Box3();
+      for (const chain of chains) {
+        for (const pt of chain.points) focusBox.expandByPoint(pt);
+      }
+      if (!focusBox.isEmpty()) {
+        this.app.sceneManager.focusOnBox(focusBox);
+      }
+    } catch (err) {
+      this.loadingOverlay.hide();
+      console.error('SVG import error:', err);
+      if (statusEl) statusEl.textContent = `SVG import failed: ${err.message}`;
     }
   }
 
@@ -1706,7 +2767,8 @@ export class UIManager {
    * Text to Tubes: show dialog to enter text for tube generation.
    */
   _onTextToTubes() {
-    this.textToTubeDialog.show();
+    const tube = this.app.tubeManager.selectedTube;
+    this.textToTubeDialog.show({ pathTubeName: tube && tube.isValid ? tube.name : null });
   }
 
   /**
@@ -1714,57 +2776,51 @@ export class UIManager {
    */
   async _onTextToTubesConfirm(values) {
     const statusEl = document.getElementById('status-text');
-    const { text, fontId, customFontFile, size, letterSpacing, divisions } = values;
+    const { text, fontId, customFontFile, style, size, letterSpacing, align, lineSpacing, divisions } = values;
 
     this.loadingOverlay.show('Loading font...');
 
     try {
-      // Load font
-      let font;
-      if (fontId === 'custom' && customFontFile) {
-        const arrayBuffer = await customFontFile.arrayBuffer();
-        font = await parseCustomFont(arrayBuffer);
-      } else {
-        font = await loadBundledFont(fontId);
-      }
-
-      this.loadingOverlay.setStatus('Generating text outlines...');
-
       // Get current drawing plane
       const plane = this.toolbar.currentPlane || 'XZ';
+      const path = this._buildTextPath(values, plane);
+      const chainOptions = { size, letterSpacing, align, lineSpacing, divisions, plane, path };
+
+      // Generate chains — single-stroke fonts are centerlines already,
+      // outline fonts are traced or skeletonized depending on the style
+      let chains;
+      let missing = [];
+      if (isStrokeFont(fontId)) {
+        this.loadingOverlay.setStatus('Generating single-line text...');
+        ({ chains, missing } = strokeTextToChains(fontId, text, chainOptions));
+      } else {
+        let font;
+        if (fontId === 'custom' && customFontFile) {
+          const arrayBuffer = await customFontFile.arrayBuffer();
+          font = await parseCustomFont(arrayBuffer);
+        } else {
+          font = await loadBundledFont(fontId);
+        }
 
-      // Generate chains
-      const chains = textToChains(font, text, {
-        size,
-        letterSpacing,
-        divisions,
-        plane,
-      });
+        const single = style === 'single';
+        this.loadingOverlay.setStatus(single ? 'Computing letter centerlines...' : 'Generating text outlines...');
+        await new Promise(r => requestAnimationFrame(r));
+        chains = textToChains(font, text, { ...chainOptions, mode: single ? 'centerline' : 'outline' });
+      }
 
       if (chains.length === 0) {
         this.loadingOverlay.hide();
-        if (statusEl) statusEl.textContent = 'No outlines generated. Try different text or font.';
+        if (statusEl) {
+          statusEl.textContent = missing.length > 0
+            ? `No outlines generated — the font has no glyph for ${missing.join(' ')}`
+            : 'No outlines generated. Try different text or font.';
+        }
         return;
       }
 
       this.undoManager.capture();
       this.loadingOverlay.setStatus(`Creating ${chains.length} tube(s)...`);
 
-      // Build tube options from active preset
-      const preset = this.app.drawingManager.activePreset;
-      const presetId = this.app.drawingManager.activePresetId;
-      const presetOptions = {};
-      if (preset) {
-        if (preset.profile != null) presetOptions.profile = preset.profile;
-        if (preset.diameterMm != null) presetOptions.diameterMm = preset.diameterMm;
-        if (preset.pixelsPerMeter != null) presetOptions.pixelsPerMeter = preset.pixelsPerMeter;
-        if (preset.dmxChannelsPerPixel != null) presetOptions.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-        if (preset.materialPreset != null) presetOptions.materialPreset = preset.materialPreset;
-        presetOptions.fixturePreset = presetId;
-      }
-
-      let createdCount = 0;
-
       // Center text at origin (or wherever makes sense on the plane)
       // Compute bounding box of all chains to find offset
       const bbox = new THREE.Box3();
@@ -1774,70 +2830,22 @@ export class UIManager {
       const center = new THREE.Vector3();
       bbox.getCenter(center);
 
-      // Offset: shift all points so center is at origin
-      const offset = center.clone().negate();
-
-      for (const chain of chains) {
-        // Apply centering offset
-        const offsetPoints = chain.points.map(p => p.clone().add(offset));
-        const tubeOpts = { ...presetOptions, closed: true };
-
-        // Handle auto-segmenting
-        if (preset && preset.maxLengthM) {
-          const connectorHeightM = preset.connectorHeightMm
-            ? preset.connectorHeightMm * 0.001
-            : 0.03;
-          const tension = 0.5;
-
-          const closedCurve = new THREE.CatmullRomCurve3(
-            offsetPoints.map(p => p.clone()), true, 'catmullrom', tension
-          );
-          const perimeter = closedCurve.getLength();
-
-          if (perimeter <= preset.maxLengthM) {
-            this.app.tubeManager.createTube(offsetPoints, tubeOpts);
-            createdCount++;
-            continue;
-          }
-
-          const segmentPoints = [...offsetPoints, offsetPoints[0].clone()];
-          const result = autoSegment(segmentPoints, preset.maxLengthM, connectorHeightM, tension);
-
-          if (result.segments.length > 1) {
-            const segOptions = { ...tubeOpts };
-            delete segOptions.closed;
-
-            for (let i = 0; i < result.segments.length; i++) {
-              const segName = { name: `Text (seg ${i + 1}/${result.segments.length})` };
-              this.app.tubeManager.createTube(result.segments[i], { ...segOptions, ...segName });
-              createdCount++;
-            }
+      // Offset: shift all points so center is at origin — text laid along
+      // a tube stays where the tube is
+      const offset = values.path === 'tube' ? new THREE.Vector3() : center.clone().negate();
+      const offsetChains = chains.map(chain => ({
+        points: chain.points.map(p => p.clone().add(offset)),
+        closed: chain.closed,
+      }));
 
-            if (this.connectorManager) {
-              for (let i = 0; i < result.connectors.length; i++) {
-                const conn = result.connectors[i];
-                this.connectorManager.createConnector({
-                  position: conn.position,
-                  tangent: conn.tangent,
-                  diameterMm: preset.connectorDiameterMm || 30,
-                  heightMm: preset.connectorHeightMm || 30,
-                  fixturePreset: presetId,
-                });
-              }
-            }
-            continue;
-          }
-        }
-
-        // Single tube (no segmenting)
-        this.app.tubeManager.createTube(offsetPoints, tubeOpts);
-        createdCount++;
-      }
+      const createdCount = this._createTubesFromChains(offsetChains, 'Text');
 
       this.loadingOverlay.hide();
 
       if (statusEl) {
-        statusEl.textContent = `Created ${createdCount} tube(s) from "${text}"`;
+        let msg = `Created ${createdCount} tube(s) from "${text.split('\n').join(' / ')}"`;
+        if (missing.length > 0) msg += ` — no glyph for ${missing.join(' ')} (left as spaces)`;
+        statusEl.textContent = msg;
       }
 
       // Focus camera on results
@@ -1862,6 +2870,35 @@ export class UIManager {
     }
   }
 
+  /**
+   * Text path from the dialog values: an arc on the drawing plane, the
+   * selected tube's curve, or null for straight text.
+   * @returns {TextPath|null}
+   */
+  _buildTextPath(values, plane) {
+    const pathOptions = {
+      plane,
+      align: values.align,
+      offset: values.pathOffset,
+      orientation: values.orientation,
+    };
+    switch (values.path) {
+      case 'arc_top':
+      case 'arc_bottom':
+        return TextPath.arc(values.arcRadius, {
+          ...pathOptions,
+          side: values.path === 'arc_top' ? 'top' : 'bottom',
+        });
+      case 'tube': {
+        const tube = this.app.tubeManager.selectedTube;
+        if (!tube || !tube.isValid) throw new Error('Select a tube to lay the text along');
+        return TextPath.alongTube(tube, { ...pathOptions, reverse: values.reversePath });
+      }
+      default:
+        return null;
+    }
+  }
+
   // ── Shape Wizard ──────────────────────────────────────
 
   _onShapeWizard() {
@@ -1932,11 +2969,7 @@ export class UIManager {
     const presetId = this.app.drawingManager.activePresetId;
     const tubeOptions = { tension: 0, closed: false };
     if (preset) {
-      if (preset.profile != null) tubeOptions.profile = preset.profile;
-      if (preset.diameterMm != null) tubeOptions.diameterMm = preset.diameterMm;
-      if (preset.pixelsPerMeter != null) tubeOptions.pixelsPerMeter = preset.pixelsPerMeter;
-      if (preset.dmxChannelsPerPixel != null) tubeOptions.dmxChannelsPerPixel = preset.dmxChannelsPerPixel;
-      if (preset.materialPreset != null) tubeOptions.materialPreset = preset.materialPreset;
+      Object.assign(tubeOptions, presetTubeOptions(preset));
       tubeOptions.fixturePreset = presetId;
     }
 
@@ -2063,13 +3096,23 @@ export class UIManager {
     const currentLength = CurveBuilder.getLength(curve) * 1000; // in mm
     if (currentLength < 0.1) return;
 
+    // Snap to an orderable length (cut mark, >= min cut) for the tube's product
+    const requestedMm = targetLengthMm;
+    const rules = tubeCutRules(tube);
+    if (rules) targetLengthMm = snapLengthNearest(targetLengthMm / 1000, rules) * 1000;
+
     const factor = targetLengthMm / currentLength;
     this.undoManager.capture();
     this.app.tubeManager.scaleTube(tube, factor);
     this.propertiesPanel.show(tube);
 
     const statusEl = document.getElementById('status-text');
-    if (statusEl) statusEl.textContent = `Resized "${tube.name}" to ${Math.round(targetLengthMm)}mm`;
+    if (statusEl) {
+      const snapped = Math.round(targetLengthMm) !== Math.round(requestedMm)
+        ? ` (snapped from ${Math.round(requestedMm)}mm to the nearest cut mark)`
+        : '';
+      statusEl.textContent = `Resized "${tube.name}" to ${Math.round(targetLengthMm)}mm${snapped}`;
+    }
   }
 
   _onReverseTube(tube) {
@@ -2120,6 +3163,7 @@ export class UIManager {
         }
         newPoints.push(pt);
       }
+      tube.dropBezier();
       tube.controlPoints = newPoints;
       this.app.tubeManager.updateTube(tube);
       if (statusEl) statusEl.textContent = `Circle diameter: ${Math.round(dims.diameter * 1000)}mm`;
@@ -2162,6 +3206,7 @@ export class UIManager {
         }
       }
 
+      tube.dropBezier();
       tube.controlPoints = newPoints;
       this.app.tubeManager.updateTube(tube);
       if (statusEl) statusEl.textContent = `Rectangle: ${Math.round(dims.width * 1000)}x${Math.round(dims.height * 1000)}mm`;
@@ -2538,6 +3583,7 @@ export class UIManager {
           for (const point of tube.controlPoints) {
             point.applyMatrix4(tubeTransform);
           }
+          if (tube.bezierNodes) BezierPath.applyMatrix4(tube.bezierNodes, tubeTransform);
           this.app.tubeManager.updateTube(tube);
         }
         // Also transform connectors created during isolation
@@ -2621,6 +3667,8 @@ export class UIManager {
         icon: icons._rectangleIcon(), action: () => t.setTool('rectangle') },
       { id: 'circle', label: 'Circle', shortcut: '5', category: 'draw',
         icon: icons._circleIcon(), action: () => t.setTool('circle') },
+      { id: 'bezier', label: 'Pen (Bezier)', shortcut: 'B', category: 'draw',
+        icon: icons._penIcon(), action: () => t.setTool('bezier') },
       { id: 'cut', label: 'Cut Tube', shortcut: 'C', category: 'draw',
         icon: icons._cutIcon(), action: () => t.setTool('cut') },
 
@@ -2639,12 +3687,29 @@ export class UIManager {
         icon: icons._groupIcon(), action: () => t._onGroupTubes() },
       { id: 'ungroup', label: 'Ungroup', shortcut: 'Ctrl+B', category: 'edit',
         icon: icons._ungroupIcon(), action: () => t._onUngroupTubes() },
+      { id: 'join', label: 'Join Tubes', shortcut: 'J', category: 'edit',
+        icon: '<svg viewBox="0 0 24 24"><path d="M3 17c3 0 5-2 7-5M21 7c-3 0-5 2-7 5" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><circle cx="12" cy="12" r="2.2"/></svg>',
+        action: () => t._onJoinTubes() },
+      { id: 'array', label: 'Array...', shortcut: '', category: 'edit',
+        icon: '<svg viewBox="0 0 24 24"><rect x="3" y="9" width="4" height="6" rx="1" fill="none" stroke="currentColor" stroke-width="1.5"/><rect x="10" y="9" width="4" height="6" rx="1" fill="none" stroke="currentColor" stroke-width="1.5" opacity="0.7"/><rect x="17" y="9" width="4" height="6" rx="1" fill="none" stroke="currentColor" stroke-width="1.5" opacity="0.4"/></svg>',
+        action: () => t._onArray() },
+      { id: 'rotate', label: 'Rotate...', shortcut: '', category: 'edit',
+        icon: '<svg viewBox="0 0 24 24"><path d="M20 12a8 8 0 11-2.34-5.66" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><path d="M18 3v4h-4" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+        action: () => t._onTransform('rotate') },
+      { id: 'mirror', label: 'Mirror...', shortcut: '', category: 'edit',
+        icon: '<svg viewBox="0 0 24 24"><path d="M12 3v18" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2"/><path d="M9 7L4 17h5zM15 7l5 10h-5z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>',
+        action: () => t._onTransform('mirror') },
+      { id: 'auto-patch', label: 'Auto-Patch', shortcut: '', category: 'edit',
+        icon: '<svg viewBox="0 0 24 24"><path d="M4 6h10M4 12h10M4 18h10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><path d="M17 4v16M17 20l-3-3M17 20l3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+        action: () => t._onAutoPatch() },
       { id: 'snap', label: 'Grid Snap', shortcut: 'G', category: 'edit',
         icon: icons._snapIcon(), action: () => {
           t.toolbar.snapEnabled = !t.toolbar.snapEnabled;
           t.toolbar.snapBtn.classList.toggle('active', t.toolbar.snapEnabled);
           t.app.drawingManager.setSnap(t.toolbar.snapEnabled);
         }},
+      { id: 'object-snap', label: 'Object Snap', shortcut: 'O', category: 'edit',
+        icon: icons._objectSnapIcon(), action: () => t.toggleObjectSnap() },
 
       // Drawing plane
       { id: 'plane-xz', label: 'Ground XZ', shortcut: 'F1', category: 'plane',
@@ -2680,6 +3745,21 @@ export class UIManager {
         icon: icons._focusIcon(), action: () => t.focusSelected() },
       { id: 'isolate', label: 'Isolate', shortcut: 'I', category: 'view',
         icon: icons._isolateIcon(), action: () => t.toggleIsolation() },
+      { id: 'live-dmx', label: 'Live DMX', shortcut: '', category: 'view',
+        icon: '<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="2.5" fill="currentColor"/><path d="M7.5 7.5a6.4 6.4 0 000 9M16.5 7.5a6.4 6.4 0 010 9M4.5 4.5a10.6 10.6 0 000 15M19.5 4.5a10.6 10.6 0 010 15" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
+        action: () => t._onLiveDMX() },
+      { id: 'effects', label: 'Pixel Effects', shortcut: 'K', category: 'view',
+        icon: '<svg viewBox="0 0 24 24"><path d="M12 3l1.8 4.6L18.5 9l-4.7 1.5L12 15l-1.8-4.5L5.5 9l4.7-1.4z" fill="currentColor"/><path d="M18 14l.9 2.1L21 17l-2.1.9L18 20l-.9-2.1L15 17l2.1-.9z" fill="currentColor"/></svg>',
+        action: () => t.toggleEffectsPanel() },
+      { id: 'validation', label: 'Validation', shortcut: '', category: 'view',
+        icon: '<svg viewBox="0 0 24 24"><path d="M4 18c0-7 4-12 10-12h6" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><circle cx="7.5" cy="9.5" r="2" fill="currentColor"/><path d="M13 15l2.5 2.5L20 13" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+        action: () => t.toggleValidationPanel() },
+      { id: 'power', label: 'Power Budget', shortcut: '', category: 'view',
+        icon: '<svg viewBox="0 0 24 24"><path d="M13 2L5 13h6l-1 9 8-11h-6z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>',
+        action: () => t.togglePowerPanel() },
+      { id: 'texture-preview', label: 'Texture Preview', shortcut: '', category: 'view',
+        icon: '<svg viewBox="0 0 24 24"><rect x="3" y="5" width="18" height="14" rx="1.5" fill="none" stroke="currentColor" stroke-width="1.5"/><path d="M3 16l5-5 4 4 3-3 6 6" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><circle cx="16" cy="9" r="1.5" fill="currentColor"/></svg>',
+        action: () => t._onTexturePreview() },
 
       // File operations
       { id: 'save', label: 'Save', shortcut: 'Ctrl+S', category: 'file',
@@ -2688,10 +3768,40 @@ export class UIManager {
         icon: icons._loadIcon(), action: () => t._onLoad() },
       { id: 'import-ref', label: 'Import Ref', shortcut: 'Ctrl+I', category: 'file',
         icon: icons._importRefIcon(), action: () => t._onImportRef() },
-      { id: 'import-dwg', label: 'Import DWG', shortcut: '', category: 'file',
+      { id: 'import-dwg', label: 'Import DWG / DXF', shortcut: '', category: 'file',
         icon: icons._importDwgIcon(), action: () => t._onImportDWG() },
+      { id: 'import-svg', label: 'Import SVG', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8l-6-6z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M14 2v6h6" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M7 17c1.5-4 3.5-4 5 0s3.5 4 5 0" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
+        action: () => t._onImportSVG() },
+      { id: 'import-mvr', label: 'Import MVR', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M12 15V3M7 8l5-5 5 5" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/><path d="M4 14v6h16v-6" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><text x="12" y="18.5" font-size="5" fill="currentColor" text-anchor="middle" font-family="sans-serif">MVR</text></svg>',
+        action: () => t._onImportMVR() },
+      { id: 'import-gdtf', label: 'Import GDTF', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M8 3h8l1 4H7z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M7 7l-2 9h14l-2-9" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M9 19l-1 2M15 19l1 2" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
+        action: () => t._onImportGDTF() },
+      { id: 'fixture-library', label: 'Fixture Library', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M4 4h4v16H4zM10 4h4v16h-4z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M16 5l3.5-1 3 15.5-3.5 1z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>',
+        action: () => t._onFixtureLibrary() },
       { id: 'export', label: 'Export MVR', shortcut: 'Ctrl+E', category: 'file',
         icon: icons._exportIcon(), action: () => t._onExport() },
+      { id: 'export-dxf', label: 'Export DXF', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M3 17c3-8 6-8 9-4s6 4 9-4" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><circle cx="3" cy="17" r="1.5" fill="currentColor"/><path d="M4 21h16" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2"/></svg>',
+        action: () => t._onExportDXF() },
+      { id: 'patch-csv', label: 'Patch CSV', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M4 4h16v16H4zM4 9h16M4 14h16M10 9v11" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>',
+        action: () => t._onExportPatchSheet('csv') },
+      { id: 'patch-sheet', label: 'Patch Sheet', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M6 2h9l5 5v15H6z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M9 11h8M9 14h8M9 17h5" stroke="currentColor" stroke-width="1.5"/></svg>',
+        action: () => t._onExportPatchSheet('html') },
+      { id: 'power-report', label: 'Power Report', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M6 2h9l5 5v15H6z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M13 9l-3.5 5h3l-1 4 3.5-5h-3z" fill="currentColor"/></svg>',
+        action: () => t._onExportPowerReport('html') },
+      { id: 'bom-csv', label: 'BOM CSV', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M4 4h16v16H4zM4 9h16M4 14h16M15 9v11" fill="none" stroke="currentColor" stroke-width="1.5"/><path d="M7 11.5h5M7 16.5h5" stroke="currentColor" stroke-width="1.5"/></svg>',
+        action: () => t._onExportBOM('csv') },
+      { id: 'bom-sheet', label: 'BOM Sheet', shortcut: '', category: 'file',
+        icon: '<svg viewBox="0 0 24 24"><path d="M6 2h9l5 5v15H6z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M9 11h2M13 11h4M9 14h2M13 14h4M9 17h2M13 17h4" stroke="currentColor" stroke-width="1.5"/></svg>',
+        action: () => t._onExportBOM('html') },
 
       // Edge / Text tools
       { id: 'map-edges', label: 'Map Edges', shortcut: 'M', category: 'draw',
@@ -2707,6 +3817,18 @@ export class UIManager {
     this.commandPanel.toggle();
   }
 
+  toggleEffectsPanel() {
+    this.effectsPanel.toggle();
+  }
+
+  toggleValidationPanel() {
+    this.validationPanel.toggle();
+  }
+
+  togglePowerPanel() {
+    this.powerPanel.toggle();
+  }
+
   // ── Help Overlay ──────────────────────────────────────
 
   _createHelpOverlay() {
@@ -2726,6 +3848,7 @@ export class UIManager {
             <div class="help-row"><kbd>3</kbd><span>Freehand Draw mode</span></div>
             <div class="help-row"><kbd>4</kbd><span>Rectangle shape tool</span></div>
             <div class="help-row"><kbd>5</kbd><span>Circle shape tool</span></div>
+            <div class="help-row"><kbd>B</kbd><span>Pen tool (bezier curves)</span></div>
             <div class="help-row"><kbd>C</kbd><span>Cut / Split tube tool</span></div>
             <div class="help-row"><kbd>M</kbd><span>Map Edges (ref model)</span></div>
             <div class="help-row"><kbd>T</kbd><span>Text to Tubes</span></div>
@@ -2736,7 +3859,10 @@ export class UIManager {
             <div class="help-row"><kbd>Enter</kbd> / <kbd>Dbl-Click</kbd><span>Finish tube</span></div>
             <div class="help-row"><kbd>Backspace</kbd><span>Undo last point</span></div>
             <div class="help-row"><kbd>Shift + Drag</kbd><span>Adjust height off-plane</span></div>
+            <div class="help-row"><kbd>Tab</kbd><span>Coordinate entry (or type 0-9 / @ after the first point): x,y,z · @dx,dy,dz · L&lt;angle · L (mm)</span></div>
             <div class="help-row"><kbd>Esc</kbd><span>Cancel drawing</span></div>
+            <div class="help-row"><kbd>Drag</kbd><span>Pen: pull out bezier handles</span></div>
+            <div class="help-row"><kbd>Alt + Drag</kbd><span>Pen: break tangent</span></div>
           </div>
           <div class="help-section">
             <div class="help-section-title">Drawing Plane</div>
@@ -2750,12 +3876,15 @@ export class UIManager {
             <div class="help-row"><kbd>Ctrl + R</kbd><span>Redo</span></div>
             <div class="help-row"><kbd>Click tube</kbd><span>Select & move whole tube</span></div>
             <div class="help-row"><kbd>Click point</kbd><span>Move single control point</span></div>
+            <div class="help-row"><kbd>R</kbd><span>Selected tube: switch gizmo move / rotate</span></div>
             <div class="help-row"><kbd>H</kbd><span>Toggle Y-axis on transform gizmo</span></div>
+            <div class="help-row"><kbd>S</kbd><span>Bezier anchor: smooth / corner</span></div>
             <div class="help-row"><kbd>Del</kbd> / <kbd>Backspace</kbd><span>Delete selected point or tube</span></div>
             <div class="help-row"><kbd>Ctrl + D</kbd><span>Duplicate selected tube</span></div>
             <div class="help-row"><kbd>Ctrl + Click</kbd><span>Multi-select tubes (list panel)</span></div>
             <div class="help-row"><kbd>Ctrl + G</kbd><span>Group selected tubes</span></div>
             <div class="help-row"><kbd>Ctrl + B</kbd><span>Ungroup selected tubes</span></div>
+            <div class="help-row"><kbd>J</kbd><span>Join selected tubes at touching ends</span></div>
           </div>
           <div class="help-section">
             <div class="help-section-title">View & Navigation</div>
@@ -2764,8 +3893,10 @@ export class UIManager {
             <div class="help-row"><kbd>Right Mouse</kbd><span>Pan</span></div>
             <div class="help-row"><kbd>Scroll</kbd><span>Zoom</span></div>
             <div class="help-row"><kbd>G</kbd><span>Toggle grid snap</span></div>
+            <div class="help-row"><kbd>O</kbd><span>Toggle object snap (types in the ▾ menu)</span></div>
             <div class="help-row"><kbd>F</kbd><span>Focus / zoom to selected</span></div>
             <div class="help-row"><kbd>I</kbd><span>Toggle isolation mode</span></div>
+            <div class="help-row"><kbd>K</kbd><span>Pixel effects panel</span></div>
             <div class="help-row"><kbd>Shift + Click</kbd><span>Multi-select ref models</span></div>
             <div class="help-row"><kbd>Alt + Drag</kbd><span>Marquee select (ref models)</span></div>
           </div>
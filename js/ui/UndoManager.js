@@ -3,13 +3,14 @@ import { ConnectorModel } from '../tube/ConnectorModel.js';
 
 /**
  * Snapshot-based undo/redo manager.
- * Captures full tube + connector state before each mutation.
+ * Captures full tube + connector (+ controller) state before each mutation.
  * Restores by rebuilding from serialized JSON.
  */
 export class UndoManager {
-  constructor(tubeManager, connectorManager) {
+  constructor(tubeManager, connectorManager, controllerManager = null) {
     this.tubeManager = tubeManager;
     this.connectorManager = connectorManager;
+    this.controllerManager = controllerManager;
     this.undoStack = [];
     this.redoStack = [];
     this.maxSteps = 50;
@@ -58,6 +59,7 @@ export class UndoManager {
     return {
       tubes: this.tubeManager.tubes.map(t => t.toJSON()),
       connectors: this.connectorManager.toJSON(),
+      controllers: this.controllerManager ? this.controllerManager.toJSON() : null,
       selectedTubeId: this.tubeManager.selectedTube?.id ?? null,
     };
   }
@@ -94,6 +96,11 @@ export class UndoManager {
         this.connectorManager.loadFromJSON(snapshot.connectors);
       }
 
+      // Restore controller chains
+      if (this.controllerManager && snapshot.controllers) {
+        this.controllerManager.loadFromJSON(snapshot.controllers);
+      }
+
       // Restore selection (without firing callbacks — UIManager will refresh)
       const selectedId = snapshot.selectedTubeId;
       if (selectedId != null) {
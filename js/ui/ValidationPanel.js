@@ -0,0 +1,289 @@
+/**
+ * Floating, draggable validation panel: lists bend radius violations,
+ * unbuildable cut lengths, DMX overlaps and overloaded controller ports.
+ * Clicking an entry selects the tube (the first tube of a port chain).
+ * Same look as the EffectsPanel.
+ */
+export class ValidationPanel {
+  constructor() {
+    this.visible = false;
+    this.showOverlay = true;
+
+    this.onSelectTube = null;    // (tubeId) => {}
+    this.onToggleOverlay = null; // (visible) => {}
+
+    this._tubes = [];
+    this._issues = { bends: new Map(), cuts: new Map(), conflicts: new Map(), ports: [] };
+
+    this._createPanel();
+    this._setupDrag();
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+  }
+
+  show() {
+    this.visible = true;
+    this._panel.style.display = 'flex';
+    this._render();
+  }
+
+  hide() {
+    this.visible = false;
+    this._panel.style.display = 'none';
+  }
+
+  /**
+   * @param {import('../tube/TubeModel.js').TubeModel[]} tubes
+   * @param {object} issues
+   * @param {Map<number, { violations: import('../tube/BendAnalyzer.js').BendViolation[] }>} issues.bends
+   * @param {Map<number, string[]>} issues.cuts
+   * @param {Map<number, object[]>} issues.conflicts
+   * @param {import('../dmx/ControllerManager.js').PortStatus[]} [issues.ports] - ports with problems
+   */
+  update(tubes, issues) {
+    this._tubes = tubes;
+    this._issues = issues;
+    if (this.visible) this._render();
+  }
+
+  _createPanel() {
+    this._panel = document.createElement('div');
+    const p = this._panel;
+    p.id = 'validation-panel';
+    Object.assign(p.style, {
+      position: 'fixed',
+      top: '120px',
+      right: '300px',
+      width: '320px',
+      maxHeight: '60vh',
+      display: 'none',
+      flexDirection: 'column',
+      background: 'rgba(15, 15, 30, 0.88)',
+      border: '1px solid rgba(0, 212, 255, 0.3)',
+      borderRadius: '10px',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.5), 0 0 20px rgba(0, 212, 255, 0.1)',
+      backdropFilter: 'blur(12px)',
+      zIndex: '500',
+      fontFamily: "var(--font-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif)",
+      overflow: 'hidden',
+      userSelect: 'none',
+    });
+
+    // Header
+    this._header = document.createElement('div');
+    Object.assign(this._header.style, {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '8px 12px',
+      background: 'rgba(0, 212, 255, 0.08)',
+      borderBottom: '1px solid rgba(0, 212, 255, 0.15)',
+      cursor: 'grab',
+    });
+
+    const title = document.createElement('span');
+    Object.assign(title.style, {
+      fontSize: '12px',
+      fontWeight: '700',
+      color: '#00d4ff',
+      letterSpacing: '1px',
+      textTransform: 'uppercase',
+    });
+    title.textContent = 'Validation';
+    this._header.appendChild(title);
+
+    const closeBtn = document.createElement('button');
+    Object.assign(closeBtn.style, {
+      background: 'none',
+      border: 'none',
+      color: '#8899aa',
+      fontSize: '18px',
+      cursor: 'pointer',
+      padding: '0 4px',
+      lineHeight: '1',
+    });
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => this.hide());
+    closeBtn.addEventListener('mouseenter', () => closeBtn.style.color = '#fff');
+    closeBtn.addEventListener('mouseleave', () => closeBtn.style.color = '#8899aa');
+    this._header.appendChild(closeBtn);
+    p.appendChild(this._header);
+
+    // Overlay toggle
+    const optRow = document.createElement('label');
+    Object.assign(optRow.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      padding: '6px 12px',
+      fontSize: '11px',
+      color: 'var(--text-secondary)',
+      borderBottom: '1px solid rgba(42, 42, 78, 0.6)',
+      cursor: 'pointer',
+    });
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.checked = this.showOverlay;
+    cb.addEventListener('change', () => {
+      this.showOverlay = cb.checked;
+      if (this.onToggleOverlay) this.onToggleOverlay(cb.checked);
+    });
+    optRow.appendChild(cb);
+    optRow.appendChild(document.createTextNode('Show bend overlays in viewport'));
+    p.appendChild(optRow);
+
+    // Body (issue list)
+    this._body = document.createElement('div');
+    Object.assign(this._body.style, {
+      padding: '6px 12px 10px',
+      overflowY: 'auto',
+      scrollbarWidth: 'thin',
+    });
+    p.appendChild(this._body);
+
+    document.body.appendChild(p);
+  }
+
+  _render() {
+    this._body.innerHTML = '';
+    const byId = new Map(this._tubes.map(t => [t.id, t]));
+    const mm = (m) => Math.round(m * 1000);
+
+    const bendRows = [];
+    for (const [id, analysis] of this._issues.bends) {
+      for (const v of analysis.violations) {
+        const text = v.kind === 'direction'
+          ? `R${mm(v.radiusM)}mm bend in the stiff direction`
+          : `R${mm(v.radiusM)}mm — min R${mm(v.limitM)}mm`;
+        bendRows.push({ id, text, color: v.kind === 'direction' ? '#ffaa44' : '#ff4444' });
+      }
+    }
+    const cutRows = [];
+    for (const [id, problems] of this._issues.cuts) {
+      for (const text of problems) cutRows.push({ id, text, color: '#ffaa44' });
+    }
+    const dmxRows = [];
+    for (const [id, conflicts] of this._issues.conflicts) {
+      for (const c of conflicts) {
+        dmxRows.push({ id, text: `Overlaps ${c.otherName} at U${c.universe}.${c.address}`, color: '#ff4444' });
+      }
+    }
+
+    const portRows = [];
+    for (const status of this._issues.ports || []) {
+      for (const text of status.problems) {
+        portRows.push({
+          id: status.controller.ports[status.port][0],
+          label: `${status.controller.name} P${status.port + 1}`,
+          text,
+          color: '#ff4444',
+        });
+      }
+    }
+
+    if (bendRows.length + cutRows.length + dmxRows.length + portRows.length === 0) {
+      const ok = document.createElement('div');
+      Object.assign(ok.style, { fontSize: '11px', color: '#00ff88', padding: '6px 0' });
+      ok.textContent = 'No issues found.';
+      this._body.appendChild(ok);
+    }
+
+    this._section('Bend Radius', bendRows, byId);
+    this._section('Cut Length', cutRows, byId);
+    this._section('DMX Overlap', dmxRows, byId);
+    this._section('Controller Ports', portRows, byId);
+
+    const hint = document.createElement('div');
+    Object.assign(hint.style, {
+      fontSize: '10px',
+      color: 'var(--text-muted)',
+      lineHeight: '1.4',
+      marginTop: '6px',
+    });
+    hint.textContent = 'Bend and cut rules come from the fixture preset (Fixture Library → '
+      + 'Bend Radius, Bend Dir., cut marks). Red = too tight, orange = stiff direction.';
+    this._body.appendChild(hint);
+  }
+
+  _section(title, rows, byId) {
+    if (rows.length === 0) return;
+    const head = document.createElement('div');
+    head.className = 'prop-group-title';
+    head.style.marginTop = '6px';
+    head.textContent = `${title} (${rows.length})`;
+    this._body.appendChild(head);
+
+    for (const row of rows) {
+      const tube = byId.get(row.id);
+      const item = document.createElement('div');
+      Object.assign(item.style, {
+        display: 'flex',
+        gap: '6px',
+        padding: '3px 4px',
+        fontSize: '11px',
+        borderRadius: '4px',
+        cursor: 'pointer',
+      });
+      item.addEventListener('mouseenter', () => item.style.background = 'rgba(0, 212, 255, 0.08)');
+      item.addEventListener('mouseleave', () => item.style.background = '');
+      item.addEventListener('click', () => {
+        if (this.onSelectTube) this.onSelectTube(row.id);
+      });
+
+      const name = document.createElement('span');
+      Object.assign(name.style, {
+        color: 'var(--text-primary)',
+        flexShrink: '0',
+        maxWidth: '110px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap',
+      });
+      name.textContent = row.label || (tube ? tube.name : `#${row.id}`);
+      item.appendChild(name);
+
+      const text = document.createElement('span');
+      text.style.color = row.color;
+      text.textContent = row.text;
+      item.appendChild(text);
+
+      this._body.appendChild(item);
+    }
+  }
+
+  // ── Drag ───────────────────────────────────────────────
+
+  _setupDrag() {
+    let dragging = false;
+    let startX, startY, startLeft, startTop;
+
+    this._header.addEventListener('pointerdown', (e) => {
+      dragging = true;
+      this._header.style.cursor = 'grabbing';
+      startX = e.clientX;
+      startY = e.clientY;
+      const rect = this._panel.getBoundingClientRect();
+      startLeft = rect.left;
+      startTop = rect.top;
+      e.preventDefault();
+    });
+
+    document.addEventListener('pointermove', (e) => {
+      if (!dragging) return;
+      this._panel.style.left = (startLeft + e.clientX - startX) + 'px';
+      this._panel.style.top = (startTop + e.clientY - startY) + 'px';
+      this._panel.style.right = 'auto';
+      this._panel.style.bottom = 'auto';
+    });
+
+    document.addEventListener('pointerup', () => {
+      if (dragging) {
+        dragging = false;
+        this._header.style.cursor = 'grab';
+      }
+    });
+  }
+}
@@ -34,3 +34,26 @@ export function simplifyPath(points, epsilon = 0.005) {
     return [start.clone(), end.clone()];
   }
 }
+
+/**
+ * Simplify a closed path by splitting it in half, simplifying each half
+ * independently, then rejoining. This avoids the degenerate case where
+ * simplifyPath collapses a closed contour (start == end) to 2 points.
+ */
+export function simplifyClosedPath(points3D, epsilon) {
+  if (points3D.length <= 4) return points3D;
+
+  const mid = Math.floor(points3D.length / 2);
+
+  // First half: [0 .. mid]
+  const firstHalf = points3D.slice(0, mid + 1);
+  const simplifiedFirst = simplifyPath(firstHalf, epsilon);
+
+  // Second half: [mid .. end]
+  const secondHalf = points3D.slice(mid);
+  const simplifiedSecond = simplifyPath(secondHalf, epsilon);
+
+  // Join: drop duplicate midpoint from second half
+  const combined = simplifiedFirst.concat(simplifiedSecond.slice(1));
+  return combined;
+}
@@ -0,0 +1,132 @@
+/**
+ * Minimal ZIP file reader (stored + deflate entries).
+ * Counterpart to ZipBuilder for reading MVR/GDTF packages.
+ * Uses the central directory for reliable offsets/sizes and the browser
+ * DecompressionStream API for deflate.
+ */
+export class ZipReader {
+  /**
+   * @param {Uint8Array|ArrayBuffer} data - ZIP file bytes
+   */
+  constructor(data) {
+    this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    /** @type {Map<string, { method: number, compressedSize: number, localHeaderOffset: number }>} */
+    this._entries = new Map();
+    this._parse();
+  }
+
+  /** File names inside the archive, in central directory order. */
+  get names() {
+    return [...this._entries.keys()];
+  }
+
+  /**
+   * Central directory info for each entry (for diagnostics).
+   * @returns {{ name: string, method: number, compressedSize: number }[]}
+   */
+  get entries() {
+    return [...this._entries].map(([name, e]) => ({
+      name, method: e.method, compressedSize: e.compressedSize,
+    }));
+  }
+
+  has(name) {
+    return this._entries.has(name);
+  }
+
+  /**
+   * Extract a file.
+   * @param {string} name - file path inside archive
+   * @returns {Promise<Uint8Array|null>} null if missing or unsupported compression
+   */
+  async read(name) {
+    const entry = this._entries.get(name);
+    if (!entry) return null;
+
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    const localNameLen = view.getUint16(entry.localHeaderOffset + 26, true);
+    const localExtraLen = view.getUint16(entry.localHeaderOffset + 28, true);
+    const dataStart = entry.localHeaderOffset + 30 + localNameLen + localExtraLen;
+    const rawData = this.bytes.slice(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) return rawData;
+    if (entry.method === 8) return ZipReader.inflateRaw(rawData);
+    return null;
+  }
+
+  /**
+   * Extract a file as UTF-8 text.
+   * @param {string} name
+   * @returns {Promise<string|null>}
+   */
+  async readText(name) {
+    const data = await this.read(name);
+    return data ? new TextDecoder().decode(data) : null;
+  }
+
+  _parse() {
+    const bytes = this.bytes;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // Find End of Central Directory record (scan backwards)
+    let eocdOffset = -1;
+    for (let i = bytes.length - 22; i >= 0; i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocdOffset = i;
+        break;
+      }
+    }
+    if (eocdOffset === -1) throw new Error('Not a ZIP file (no end of central directory)');
+
+    const cdEntryCount = view.getUint16(eocdOffset + 10, true);
+    let cdOffset = view.getUint32(eocdOffset + 16, true);
+
+    for (let i = 0; i < cdEntryCount; i++) {
+      if (cdOffset + 46 > bytes.length) break;
+      if (view.getUint32(cdOffset, true) !== 0x02014b50) break;
+
+      const method = view.getUint16(cdOffset + 10, true);
+      const compressedSize = view.getUint32(cdOffset + 20, true);
+      const nameLen = view.getUint16(cdOffset + 28, true);
+      const extraLen = view.getUint16(cdOffset + 30, true);
+      const commentLen = view.getUint16(cdOffset + 32, true);
+      const localHeaderOffset = view.getUint32(cdOffset + 42, true);
+
+      const name = new TextDecoder().decode(bytes.slice(cdOffset + 46, cdOffset + 46 + nameLen));
+      this._entries.set(name, { method, compressedSize, localHeaderOffset });
+
+      cdOffset += 46 + nameLen + extraLen + commentLen;
+    }
+  }
+
+  /**
+   * Inflate deflate-raw compressed data using browser DecompressionStream API.
+   * @param {Uint8Array} compressedData
+   * @returns {Promise<Uint8Array>}
+   */
+  static async inflateRaw(compressedData) {
+    const ds = new DecompressionStream('deflate-raw');
+    const writer = ds.writable.getWriter();
+    const reader = ds.readable.getReader();
+
+    writer.write(compressedData);
+    writer.close();
+
+    const chunks = [];
+    let totalLen = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      totalLen += value.byteLength;
+    }
+
+    const result = new Uint8Array(totalLen);
+    let pos = 0;
+    for (const chunk of chunks) {
+      result.set(new Uint8Array(chunk.buffer || chunk), pos);
+      pos += chunk.byteLength;
+    }
+    return result;
+  }
+}